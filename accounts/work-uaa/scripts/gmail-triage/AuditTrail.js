@@ -0,0 +1,99 @@
+/**
+ * Gmail Triage - Audit Trail
+ * Records every classification decision as a structured row in an 'Audit'
+ * sheet, written in batches. Subjects are stored as a SHA-256 hash so the
+ * trail can answer "why was this archived?" without copying mail content.
+ */
+
+// ==================== AUDIT TRAIL ====================
+const AUDIT_HEADERS = [
+  'Timestamp',
+  'Run ID',
+  'Mode',
+  'Thread ID',
+  'Sender',
+  'Subject Hash',
+  'Action',
+  'Label',
+  'Confidence',
+  'Reason',
+  'Matched'
+];
+
+class AuditTrail {
+  /**
+   * @param {Function} openSheet - Returns the Audit sheet; only called on first flush
+   * @param {Object} options
+   * @param {string} options.runId - Run the decisions belong to
+   * @param {string} options.mode - 'dry-run', 'preview' or 'production'
+   * @param {number} options.batchSize - Rows buffered before an automatic flush
+   * @param {Function} options.hash - (text) => hex digest, SHA-256 via Utilities by default
+   */
+  constructor(openSheet, options = {}) {
+    this.openSheet = openSheet;
+    this.runId = options.runId || '';
+    this.mode = options.mode || 'production';
+    this.batchSize = options.batchSize || 100;
+    this.hash = options.hash || AuditTrail.sha256;
+    this.sheet = null;
+    this.rows = [];
+    this.written = 0;
+  }
+
+  static sha256(text) {
+    const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(text), Utilities.Charset.UTF_8);
+    return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Buffer one decision
+   * @param {Object} decision - { threadId, sender, subject, result }
+   *   result is a classification: { action, label, confidence, reason, matchedRules?, keywords? }
+   */
+  record({ threadId, sender, subject, result }) {
+    const matched = [...(result.matchedRules || []), ...(result.keywords || [])];
+
+    this.rows.push([
+      new Date(),
+      this.runId,
+      this.mode,
+      threadId,
+      sender,
+      this.hash(subject || ''),
+      result.action,
+      result.label || '',
+      Math.round(result.confidence * 1000) / 1000,
+      result.reason,
+      matched.join(', ')
+    ]);
+
+    if (this.rows.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write buffered rows with a single setValues call
+   */
+  flush() {
+    if (this.rows.length === 0) return 0;
+
+    if (!this.sheet) {
+      this.sheet = this.openSheet();
+      if (this.sheet.getLastRow() === 0) {
+        this.sheet.getRange(1, 1, 1, AUDIT_HEADERS.length).setValues([AUDIT_HEADERS]);
+        this.sheet.setFrozenRows(1);
+      }
+    }
+
+    const count = this.rows.length;
+    this.sheet.getRange(this.sheet.getLastRow() + 1, 1, count, AUDIT_HEADERS.length).setValues(this.rows);
+    this.rows = [];
+    this.written += count;
+    return count;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { AuditTrail, AUDIT_HEADERS };
+}
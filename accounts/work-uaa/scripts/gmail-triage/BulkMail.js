@@ -0,0 +1,89 @@
+/**
+ * Gmail Triage - Bulk Mail Detection
+ * Recognizes mailing lists, bulk senders and automated mail from message
+ * headers rather than body text, so a person writing "unsubscribe" is not a
+ * newsletter and a newsletter with a long body still is.
+ */
+
+// ==================== BULK MAIL DETECTION ====================
+const BULK_PRECEDENCE = ['bulk', 'junk', 'list'];
+
+// Headers added by email service providers to campaign mail
+const ESP_HEADERS = {
+  'X-MC-User': 'Mailchimp',
+  'X-Mailgun-Sid': 'Mailgun',
+  'X-SG-EID': 'SendGrid',
+  'X-SES-Outgoing': 'Amazon SES',
+  'X-CSA-Complaints': 'Certified Senders Alliance',
+  'X-Campaign': 'Campaign',
+  'X-Marketoid': 'Marketo',
+  'X-Hs-Portal-Id': 'HubSpot'
+};
+
+class BulkMailDetector {
+  /**
+   * @param {GmailMessage} message - Anything with getHeader(name)
+   * @returns {Object} { kind, isBulk, listId, listName, signals }
+   *   kind is 'list' (List-Id), 'bulk' (unsubscribe, precedence or ESP headers),
+   *   'auto' (Auto-Submitted) or null; isBulk is true for lists and bulk mail
+   */
+  static detect(message) {
+    const header = name => String((message && message.getHeader && message.getHeader(name)) || '').trim();
+    const signals = [];
+
+    const list = BulkMailDetector.parseListId(header('List-Id'));
+    if (list) signals.push('List-Id');
+
+    if (header('List-Unsubscribe')) signals.push('List-Unsubscribe');
+
+    const precedence = header('Precedence').toLowerCase();
+    if (BULK_PRECEDENCE.includes(precedence)) signals.push(`Precedence: ${precedence}`);
+
+    for (const [name, provider] of Object.entries(ESP_HEADERS)) {
+      if (header(name)) signals.push(provider);
+    }
+
+    const autoSubmitted = header('Auto-Submitted').toLowerCase();
+    const automated = autoSubmitted !== '' && autoSubmitted !== 'no';
+    if (automated) signals.push(`Auto-Submitted: ${autoSubmitted}`);
+
+    let kind = null;
+    if (list) {
+      kind = 'list';
+    } else if (signals.length > (automated ? 1 : 0)) {
+      kind = 'bulk';
+    } else if (automated) {
+      kind = 'auto';
+    }
+
+    return {
+      kind,
+      isBulk: kind === 'list' || kind === 'bulk',
+      listId: list ? list.id : '',
+      listName: list ? list.name : '',
+      signals
+    };
+  }
+
+  /**
+   * Parse a List-Id header (RFC 2919): 'Description <list-id.example.com>'
+   * @returns {Object|null} { id, name } - name is the whole id made safe for a
+   *   label name, so lists sharing a first label (cs-faculty.lists.alaska.edu
+   *   and cs-faculty.example.com) don't share a label
+   */
+  static parseListId(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const match = text.match(/<([^>]*)>/);
+    const id = (match ? match[1] : text).trim().toLowerCase();
+    if (!id) return null;
+
+    const name = id.replace(/[^a-z0-9._-]+/g, '-').replace(/^[-.]+|[-.]+$/g, '');
+    return { id, name: name || id };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { BulkMailDetector };
+}
@@ -0,0 +1,128 @@
+/**
+ * Gmail Triage - Business Hours
+ * Weekday schedules in the shape of account.json preferences.businessHours:
+ *   { timezone: 'America/Anchorage', schedule: { monday: '08:00-17:00', ..., friday: '08:00-16:00' } }
+ * Days missing from the schedule are closed; enabled: false means always open.
+ */
+
+// ==================== BUSINESS HOURS ====================
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class BusinessHours {
+  /**
+   * @param {Object} config - { enabled?, timezone, schedule: { monday: 'HH:MM-HH:MM', ... } }
+   */
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.timezone = config.timezone || 'UTC';
+    this.schedule = {};
+
+    for (const [day, range] of Object.entries(config.schedule || {})) {
+      const key = day.toLowerCase();
+      if (!WEEKDAYS.includes(key)) throw new Error(`Unknown weekday in business hours: ${day}`);
+      this.schedule[key] = BusinessHours.parseRange(range);
+    }
+
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * Monday-Friday schedule from whole start/end hours
+   */
+  static fromHours(startHour, endHour, timezone) {
+    const pad = n => String(n).padStart(2, '0');
+    const range = `${pad(startHour)}:00-${pad(endHour)}:00`;
+    const schedule = {};
+    WEEKDAYS.slice(1, 6).forEach(day => { schedule[day] = range; });
+    return new BusinessHours({ timezone, schedule });
+  }
+
+  /**
+   * Parse 'HH:MM-HH:MM' into minutes since midnight
+   */
+  static parseRange(range) {
+    const match = String(range).match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+    if (!match) throw new Error(`Invalid business hours range: ${range}`);
+
+    const start = parseInt(match[1]) * 60 + parseInt(match[2]);
+    const end = parseInt(match[3]) * 60 + parseInt(match[4]);
+    if (end <= start || end > 24 * 60) throw new Error(`Invalid business hours range: ${range}`);
+
+    return { start, end };
+  }
+
+  /**
+   * Wall-clock parts of a date in the schedule's timezone
+   */
+  _localParts(date) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(date)) {
+      parts[type] = parseInt(value);
+    }
+    return parts;
+  }
+
+  /**
+   * Milliseconds the timezone is ahead of UTC at a given instant
+   */
+  _offset(timestamp) {
+    const p = this._localParts(new Date(timestamp));
+    const local = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    return local - Math.floor(timestamp / 60000) * 60000;
+  }
+
+  /**
+   * Convert a wall-clock time in the timezone to a Date
+   */
+  _toDate(year, month, day, minutes) {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    let result = guess - this._offset(guess);
+    const corrected = guess - this._offset(result);
+    if (corrected !== result) result = corrected; // DST transition
+    return new Date(result);
+  }
+
+  isOpen(date = new Date()) {
+    if (!this.enabled) return true;
+
+    const p = this._localParts(date);
+    const weekday = WEEKDAYS[new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay()];
+    const hours = this.schedule[weekday];
+    if (!hours) return false;
+
+    const minutes = p.hour * 60 + p.minute;
+    return minutes >= hours.start && minutes < hours.end;
+  }
+
+  /**
+   * Start of the next business-hours window, or the date itself when open
+   * @returns {Date|null} null when the schedule has no open days
+   */
+  nextOpening(date = new Date()) {
+    if (this.isOpen(date)) return date;
+
+    const p = this._localParts(date);
+    for (let i = 0; i <= 7; i++) {
+      const day = new Date(Date.UTC(p.year, p.month - 1, p.day + i));
+      const hours = this.schedule[WEEKDAYS[day.getUTCDay()]];
+      if (!hours) continue;
+
+      const opening = this._toDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hours.start);
+      if (opening > date) return opening;
+    }
+
+    return null;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { BusinessHours };
+}
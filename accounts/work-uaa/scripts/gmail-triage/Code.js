@@ -7,27 +7,87 @@
  */
 
 // ==================== CONFIGURATION ====================
-const CONFIG = (() => {
-  const props = PropertiesService.getScriptProperties().getProperties();
+/**
+ * Settings resolved by ConfigResolver (shared/utilities/ConfigResolver.js):
+ * defaults, then CONFIG_ENVIRONMENT, CONFIG_ACCOUNT and Script Properties
+ */
+const TRIAGE_SETTINGS = {
+  // Historical Data
+  ANALYSIS_SHEET_ID: { type: 'string', required: true, secret: true, property: 'ANALYSIS_SHEET_ID' },
+  
+  // VIP Configuration
+  VIP_SENDERS: { type: 'csv', default: ['provost@alaska.edu', 'dean@alaska.edu'], property: 'TRIAGE_VIP_SENDERS' },
+  VIP_DOMAINS: { type: 'csv', default: ['alaska.edu', 'ua.edu'], property: 'TRIAGE_VIP_DOMAINS' },
+  
+  // Protected Senders (always keep)
+  KEEP_SENDERS: { type: 'csv', default: [], property: 'TRIAGE_KEEP_SENDERS' },
+  KEEP_DOMAINS: { type: 'csv', default: ['alaska.edu'], property: 'TRIAGE_KEEP_DOMAINS' },
+  
+  // Processing Parameters
+  MAX_PER_RUN: { type: 'int', default: 50, min: 1, environment: 'limits.maxThreadsPerRun', property: 'TRIAGE_MAX_PER_RUN' },
+  RATE_LIMIT_PER_MINUTE: { type: 'int', default: 250, min: 1, account: 'quotas.rateLimitPerMinute', property: 'TRIAGE_RATE_LIMIT_PER_MINUTE' }, // Caps MAX_PER_RUN
+  MAX_EXECUTION_SECONDS: { type: 'int', default: 360, min: 90, environment: 'limits.maxExecutionTime', property: 'TRIAGE_MAX_EXECUTION_SECONDS' },
+  DRY_RUN: { type: 'boolean', default: false, environment: 'dryRun', property: 'TRIAGE_DRY_RUN' }, // Safety mode
+  PREVIEW_MODE: { type: 'boolean', default: false, property: 'TRIAGE_PREVIEW_MODE' },
+  JOURNAL_RETAIN_HOURS: { type: 'int', default: 24, min: 1, property: 'TRIAGE_JOURNAL_RETAIN_HOURS' },
+  
+  // Classification Rules (JSON document, else 'Rules' sheet, else default pack)
+  RULES_JSON: { type: 'string', default: '', property: 'TRIAGE_RULES_JSON' },
+  RULE_MODE: { type: 'string', default: '', values: ['first-match', 'best-score'], property: 'TRIAGE_RULE_MODE' },
+  
+  // Naive Bayes Model
+  MODEL_MAX_PER_LABEL: { type: 'int', default: 200, min: 1, property: 'TRIAGE_MODEL_MAX_PER_LABEL' },
+  MODEL_EXCLUDE_LABELS: { type: 'csv', default: ['VIP'], property: 'TRIAGE_MODEL_EXCLUDE_LABELS' },
+  
+  // Feedback Learning
+  FEEDBACK_DELAY_HOURS: { type: 'int', default: 2, min: 0, property: 'TRIAGE_FEEDBACK_DELAY_HOURS' }, // Give users time to correct
+  
+  // Audit Trail (compliance: every decision recorded)
+  AUDIT_ENABLED: { type: 'boolean', default: true, account: 'features.compliance', property: 'TRIAGE_AUDIT_ENABLED' },
+  AUDIT_SHEET_ID: { type: 'string', default: '', secret: true, property: 'TRIAGE_AUDIT_SHEET_ID' }, // Defaults to the analysis spreadsheet
+  
+  // Time Windows - the account's preferences.businessHours (see BusinessHours.js)
+  BUSINESS_HOURS: { type: 'json', default: null, account: 'preferences.businessHours' },
+  VIP_ALERTS: { type: 'boolean', default: false, property: 'TRIAGE_VIP_ALERTS' },
+  
+  // Digest - see Digest.js
+  DIGEST_FREQUENCY: { type: 'string', default: 'run', values: ['run', 'daily', 'weekly'], property: 'TRIAGE_DIGEST_FREQUENCY' },
+  DIGEST_THRESHOLD: { type: 'int', default: 20, min: 0, property: 'TRIAGE_DIGEST_THRESHOLD' }, // Minimum threads per digest
+  DIGEST_LOW_CONFIDENCE: { type: 'number', default: 0.6, min: 0, max: 1, property: 'TRIAGE_DIGEST_LOW_CONFIDENCE' }
+};
+
+/**
+ * Build the configuration from Script Properties values
+ * @param {Object} props - Script Properties as a plain object
+ * @throws {ConfigError} If a required value is missing or a value is invalid
+ */
+function buildConfig(props = {}) {
+  const settings = new ConfigResolver(TRIAGE_SETTINGS).resolve(ConfigResolver.layersFromProperties(props));
+  
   return {
-    // Historical Data
-    ANALYSIS_SHEET_ID: props.ANALYSIS_SHEET_ID || '1OIY5GfzoRGDKgZHXTxf2QvDcXesC3-THSjBGZEunnDY',
+    ...settings,
     
-    // VIP Configuration
-    VIP_SENDERS: (props.TRIAGE_VIP_SENDERS || 'provost@alaska.edu,dean@alaska.edu').split(',').filter(s => s.trim()),
-    VIP_DOMAINS: (props.TRIAGE_VIP_DOMAINS || 'alaska.edu,ua.edu').split(',').filter(s => s.trim()),
+    // Processing Parameters - a run's threads are mutated within about a minute
+    MAX_PER_RUN: Math.min(settings.MAX_PER_RUN, settings.RATE_LIMIT_PER_MINUTE),
     
-    // Protected Senders (always keep)
-    KEEP_SENDERS: (props.TRIAGE_KEEP_SENDERS || '').split(',').filter(s => s.trim()),
-    KEEP_DOMAINS: (props.TRIAGE_KEEP_DOMAINS || 'alaska.edu').split(',').filter(s => s.trim()),
-    
-    // Processing Parameters
+    // Journals outlive the feedback delay, plus an hour for the hourly feedback pass to read them
+    JOURNAL_RETAIN_HOURS: Math.max(settings.JOURNAL_RETAIN_HOURS, settings.FEEDBACK_DELAY_HOURS + 1),
     PAGE_SIZE: 50,
-    MAX_PER_RUN: parseInt(props.TRIAGE_MAX_PER_RUN || '50'), // Start conservative
+    EXECUTION_MARGIN_SECONDS: 60, // Reserved for journal, checkpoint and digest
+    CONTINUATION_DELAY_MINUTES: 1,
     PAUSE_MS: 100,
     CACHE_DURATION_SECONDS: 6 * 60 * 60, // 6 hours
-    DRY_RUN: props.TRIAGE_DRY_RUN === 'true', // Safety mode
-    PREVIEW_MODE: props.TRIAGE_PREVIEW_MODE === 'true'
+    
+    // Naive Bayes Model (stored in the analysis spreadsheet)
+    MODEL_SHEET_NAME: 'Model',
+    MODEL_MIN_PER_LABEL: 5,
+    
+    // Feedback Learning
+    CORRECTIONS_SHEET_NAME: 'Corrections',
+    CORRECTION_TRAINING_WEIGHT: 3, // Each relabel counts as this many training threads
+    
+    // Audit Trail
+    AUDIT_SHEET_NAME: 'Audit',
     
     // Label Prefixes
     RUN_LABEL_PREFIX: '_Triage/Run-',
@@ -40,52 +100,117 @@ const CONFIG = (() => {
     HIGH_CONFIDENCE: 0.8,
     MEDIUM_CONFIDENCE: 0.5,
     
-    // Time Windows
+    // Time Windows - without preferences.businessHours, weekdays between these hours in the script timezone
     BUSINESS_HOURS_START: 8,
-    BUSINESS_HOURS_END: 17
+    BUSINESS_HOURS_END: 17,
+    HELD_LABEL: '_Triage/Held' // After-hours mail waiting for the next business-hours start
+  };
+}
+
+/**
+ * Configuration from the current Script Properties
+ * @param {Properties} properties - Script Properties store
+ */
+function getConfig(properties = PropertiesService.getScriptProperties()) {
+  return buildConfig(properties.getProperties());
+}
+
+/**
+ * Log the effective configuration and where each value came from, with
+ * spreadsheet IDs redacted
+ */
+function showConfig() {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const lines = new ConfigResolver(TRIAGE_SETTINGS).dump(ConfigResolver.layersFromProperties(props));
+  Logger.log('⚙️ Effective configuration:');
+  lines.forEach(line => Logger.log(`  ${line}`));
+}
+
+// ==================== SERVICES ====================
+/**
+ * Apps Script services used by the triage pipeline - callers and tests
+ * replace any of them through overrides
+ * @param {Object} overrides - { gmail, advanced, properties, cache, spreadsheets,
+ *   lock, scriptApp, session, sleep, policy }
+ */
+function createServices(overrides = {}) {
+  const properties = overrides.properties || PropertiesService.getScriptProperties();
+  return {
+    gmail: overrides.gmail || GmailApp,
+    advanced: overrides.advanced === undefined ? LabelCache.advancedService() : overrides.advanced,
+    properties,
+    // Allowed and restricted operations of the account in CONFIG_ACCOUNT
+    policy: overrides.policy || AccountPolicy.current(properties),
+    cache: overrides.cache || CacheService.getScriptCache(),
+    spreadsheets: overrides.spreadsheets || SpreadsheetApp,
+    lock: overrides.lock || LockService.getScriptLock(),
+    scriptApp: overrides.scriptApp || ScriptApp,
+    session: overrides.session || Session,
+    sleep: overrides.sleep || (milliseconds => Utilities.sleep(milliseconds))
   };
-})();
+}
 
 // ==================== HISTORICAL INTELLIGENCE MODULE ====================
 class HistoricalIntelligence {
-  constructor() {
-    this.cacheKey = 'HISTORICAL_ANALYSIS_DATA_V4';
-    this.cache = CacheService.getScriptCache();
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - See buildConfig(), read from Script Properties if omitted
+   * @param {Cache} options.cache - Script cache
+   * @param {SpreadsheetApp} options.spreadsheets - SpreadsheetApp (or compatible) service
+   */
+  constructor(options = {}) {
+    this.cacheKey = 'HISTORICAL_ANALYSIS_DATA_V5';
+    this.config = options.config || getConfig();
+    this.cache = options.cache || CacheService.getScriptCache();
+    this.spreadsheets = options.spreadsheets || SpreadsheetApp;
+    this.report = null; // Validation report of the last load
   }
   
   /**
-   * Load intelligence data from spreadsheet or cache
+   * Load intelligence data from spreadsheet or cache. Returns null unless
+   * every sheet passes validation - see IntelligenceSchema.js
    */
   load() {
     try {
       // Try cache first
       const cached = this.cache.get(this.cacheKey);
       if (cached) {
+        const entry = JSON.parse(cached);
+        this.report = entry.report;
         Logger.log('🧠 Loaded historical intelligence from cache');
-        return JSON.parse(cached);
+        return entry.intelligence;
       }
       
       // Load from spreadsheet
-      if (!CONFIG.ANALYSIS_SHEET_ID) {
+      if (!this.config.ANALYSIS_SHEET_ID) {
         Logger.log('⚠️ No ANALYSIS_SHEET_ID configured');
         return null;
       }
       
       Logger.log('🧠 Building historical intelligence from spreadsheet...');
-      const ss = SpreadsheetApp.openById(CONFIG.ANALYSIS_SHEET_ID);
+      const ss = this.spreadsheets.openById(this.config.ANALYSIS_SHEET_ID);
+      
+      // Refuse partly valid data rather than classify with it
+      const { report, data } = IntelligenceSchema.validate(ss);
+      this.report = report;
+      if (!report.valid) {
+        IntelligenceSchema.formatReport(report).forEach(line => Logger.log(line));
+        return null;
+      }
       
       const intelligence = {
-        senderProfiles: this._processSenderSheet(ss.getSheetByName('Senders')),
-        keywordProfiles: this._processKeywordSheet(ss.getSheetByName('Keywords')),
-        labelPatterns: this._processCharacteristicsSheet(ss.getSheetByName('Characteristics')),
+        senderProfiles: this._processSenderSheet(data.Senders),
+        keywordProfiles: this._processKeywordSheet(data.Keywords),
+        labelPatterns: this._processCharacteristicsSheet(data.Characteristics),
         metadata: {
           lastUpdated: new Date().toISOString(),
-          emailCount: this._getMetadataValue(ss, 'Total Emails Analyzed')
+          emailCount: data.Metadata['Total Emails Analyzed'],
+          schemaVersion: report.schemaVersion
         }
       };
       
       // Cache the processed data
-      this.cache.put(this.cacheKey, JSON.stringify(intelligence), CONFIG.CACHE_DURATION_SECONDS);
+      this.cache.put(this.cacheKey, JSON.stringify({ intelligence, report }), this.config.CACHE_DURATION_SECONDS);
       
       Logger.log(`✅ Loaded intelligence from ${intelligence.metadata.emailCount} emails`);
       return intelligence;
@@ -99,25 +224,14 @@ class HistoricalIntelligence {
   /**
    * Process sender statistics
    */
-  _processSenderSheet(sheet) {
-    if (!sheet) return {};
-    
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const senderIndex = headers.indexOf('Sender');
-    const countIndex = headers.indexOf('Count');
-    const avgLabelsIndex = headers.indexOf('Avg Labels');
-    
+  _processSenderSheet(rows) {
     const profiles = {};
     
-    for (let i = 1; i < Math.min(data.length, 500); i++) { // Top 500 senders
-      const row = data[i];
-      if (!row[senderIndex]) continue;
-      
-      profiles[row[senderIndex]] = {
-        count: row[countIndex] || 0,
-        avgLabels: row[avgLabelsIndex] || 0,
-        importance: row[countIndex] > 10 ? 'high' : 'normal'
+    for (const row of rows.slice(0, 500)) { // Top 500 senders
+      profiles[row['Sender'].toLowerCase()] = {
+        count: row['Count'],
+        avgLabels: row['Avg Labels'] || 0,
+        importance: row['Count'] > 10 ? 'high' : 'normal'
       };
     }
     
@@ -127,25 +241,14 @@ class HistoricalIntelligence {
   /**
    * Process keyword patterns
    */
-  _processKeywordSheet(sheet) {
-    if (!sheet) return {};
-    
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const keywordIndex = headers.indexOf('Keyword');
-    const countIndex = headers.indexOf('Count');
-    const labelIndex = headers.indexOf('Most Common Label');
-    
+  _processKeywordSheet(rows) {
     const profiles = {};
     
-    for (let i = 1; i < Math.min(data.length, 200); i++) {
-      const row = data[i];
-      if (!row[keywordIndex]) continue;
-      
-      profiles[row[keywordIndex].toLowerCase()] = {
-        count: row[countIndex] || 0,
-        commonLabel: row[labelIndex] || '',
-        weight: Math.min(row[countIndex] / 100, 1) // Normalize weight
+    for (const row of rows.slice(0, 200)) {
+      profiles[row['Keyword'].toLowerCase()] = {
+        count: row['Count'],
+        commonLabel: row['Most Common Label'] || '',
+        weight: Math.min(row['Count'] / 100, 1) // Normalize weight
       };
     }
     
@@ -155,77 +258,78 @@ class HistoricalIntelligence {
   /**
    * Process label characteristics
    */
-  _processCharacteristicsSheet(sheet) {
-    if (!sheet) return {};
-    
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const labelIndex = headers.indexOf('Label');
-    
+  _processCharacteristicsSheet(rows) {
     const patterns = {};
     
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      if (!row[labelIndex]) continue;
-      
-      patterns[row[labelIndex]] = {
-        senderPatterns: this._extractPattern(row, headers, 'Top Senders'),
-        keywordPatterns: this._extractPattern(row, headers, 'Top Keywords'),
-        avgResponseTime: this._extractValue(row, headers, 'Avg Response Time')
+    for (const row of rows) {
+      patterns[row['Label']] = {
+        senderPatterns: this._splitList(row['Top Senders']),
+        keywordPatterns: this._splitList(row['Top Keywords']),
+        avgResponseTime: row['Avg Response Time']
       };
     }
     
     return patterns;
   }
   
-  _extractPattern(row, headers, columnName) {
-    const index = headers.indexOf(columnName);
-    if (index === -1) return [];
-    
-    const value = row[index];
+  _splitList(value) {
     if (!value) return [];
-    
     return String(value).split(',').map(s => s.trim()).filter(s => s);
   }
-  
-  _extractValue(row, headers, columnName) {
-    const index = headers.indexOf(columnName);
-    return index !== -1 ? row[index] : null;
-  }
-  
-  _getMetadataValue(ss, key) {
-    try {
-      const metaSheet = ss.getSheetByName('Metadata');
-      if (!metaSheet) return 'Unknown';
-      
-      const data = metaSheet.getDataRange().getValues();
-      for (const row of data) {
-        if (row[0] === key) return row[1];
-      }
-    } catch (e) {
-      // Silent fail
-    }
-    return 'Unknown';
-  }
 }
 
 // ==================== EMAIL CLASSIFIER ====================
 class EmailClassifier {
-  constructor(intelligence) {
+  /**
+   * @param {Object} intelligence - Historical intelligence data (may be null)
+   * @param {Object} options
+   * @param {RuleEngine} options.ruleEngine - Fallback rules (default rule pack if omitted)
+   * @param {NaiveBayesClassifier} options.model - Trained model
+   * @param {FeedbackWeights} options.feedback - Weights learned from user corrections
+   * @param {string[]} options.myAddresses - Our address and aliases, never treated as the sender
+   * @param {Object} options.config - See buildConfig(), read from Script Properties if omitted
+   */
+  constructor(intelligence, options = {}) {
     this.intelligence = intelligence;
+    this.config = options.config || getConfig();
+    this.ruleEngine = options.ruleEngine || new RuleEngine();
+    this.model = options.model || null;
+    this.feedback = options.feedback || null;
+    this.myAddresses = options.myAddresses || [];
   }
   
   /**
    * Classify an email thread based on historical patterns
    */
   classifyThread(thread) {
-    const firstMessage = thread.getMessages()[0];
-    const sender = this._extractSenderEmail(firstMessage.getFrom());
-    const subject = thread.getFirstMessageSubject();
-    const snippet = firstMessage.getPlainBody().substring(0, 500);
+    return this.classifyContext(this.contextFor(thread));
+  }
+  
+  /**
+   * Whole-conversation features - see ThreadContext.js
+   */
+  contextFor(thread) {
+    return ThreadContext.fromThread(thread, this.myAddresses);
+  }
+  
+  /**
+   * Classify from the latest inbound message and the conversation around it
+   */
+  classifyContext(context) {
+    const { sender, subject, body } = context;
     
-    // Check VIP status
-    if (this._isVIP(sender)) {
+    // Nothing received - only our own messages
+    if (context.inboundCount === 0) {
+      return {
+        action: 'keep',
+        label: null,
+        confidence: 1.0,
+        reason: 'Only sent by me'
+      };
+    }
+    
+    // Check VIP status - any VIP joining the conversation counts
+    if (context.senders.some(address => this._isVIP(address))) {
       return {
         action: 'star',
         label: 'VIP',
@@ -244,27 +348,98 @@ class EmailClassifier {
       };
     }
     
+    const bulk = BulkMailDetector.detect(context.message);
+    let classification = this._classifyContent({
+      sender,
+      subject,
+      body,
+      message: context.message,
+      participants: context.participants,
+      bulk
+    });
+    
+    // Apply what was learned from user corrections
+    if (this.feedback) {
+      classification = this.feedback.adjust(classification, sender, tokenize(`${subject} ${body}`));
+    }
+    
+    // A conversation we are part of stays in the inbox
+    if (context.repliedByMe) {
+      classification = { ...classification, noArchive: true };
+      if (classification.action === 'archive') {
+        classification.action = 'keep';
+        classification.reason += ' (already replied)';
+      }
+    }
+    
+    return classification;
+  }
+  
+  /**
+   * Trained model, then historical patterns, then rules
+   * @param {Object} email - { sender, subject, body, message, participants, bulk }
+   */
+  _classifyContent(email) {
+    // Use the trained model if available
+    if (this.model) {
+      const classification = this._classifyWithModel(email);
+      if (classification.confidence >= this.config.MEDIUM_CONFIDENCE) {
+        return classification;
+      }
+    }
+    
     // Use historical intelligence if available
     if (this.intelligence) {
-      const classification = this._classifyWithIntelligence(sender, subject, snippet);
-      if (classification.confidence >= CONFIG.MEDIUM_CONFIDENCE) {
+      const classification = this._classifyWithIntelligence(email);
+      if (classification.confidence >= this.config.MEDIUM_CONFIDENCE) {
         return classification;
       }
     }
     
     // Fallback to rule-based classification
-    return this._ruleBasedClassification(sender, subject, snippet);
+    return this._ruleBasedClassification(email);
+  }
+  
+  /**
+   * Classify using the Naive Bayes model's calibrated probabilities
+   */
+  _classifyWithModel({ sender, subject, body }) {
+    const email = { sender, subject, body };
+    const [best] = this.model.predict(email);
+    
+    if (!best) {
+      return { action: 'keep', label: null, confidence: 0, reason: 'Model has no labels' };
+    }
+    
+    const tokens = this.model.topTokens(email, best.label, 3);
+    return {
+      action: 'label',
+      label: best.label,
+      confidence: best.probability,
+      reason: `Model prediction${tokens.length ? ` (${tokens.join(', ')})` : ''}`,
+      keywords: tokens
+    };
   }
   
   /**
    * Classify using historical patterns
    */
-  _classifyWithIntelligence(sender, subject, snippet) {
+  _classifyWithIntelligence({ sender, subject, body: snippet, bulk = null }) {
     let scoreMap = {};
     let totalWeight = 0;
     
-    // Check sender profile
-    if (this.intelligence.senderProfiles[sender]) {
+    // Bulk mail: volume says nothing about importance - use the labels its
+    // sender or list historically carried instead
+    if (bulk && bulk.isBulk) {
+      for (const [label, pattern] of Object.entries(this.intelligence.labelPatterns || {})) {
+        const senders = (pattern.senderPatterns || []).map(s => s.toLowerCase());
+        if (senders.includes(sender) || (bulk.listId && senders.includes(bulk.listId))) {
+          scoreMap[label] = (scoreMap[label] || 0) + 0.4;
+          totalWeight += 0.4;
+        }
+      }
+    } else if (this.intelligence.senderProfiles[sender]) {
+      // Check sender profile
       const profile = this.intelligence.senderProfiles[sender];
       if (profile.importance === 'high') {
         scoreMap['Important'] = (scoreMap['Important'] || 0) + 0.4;
@@ -274,12 +449,14 @@ class EmailClassifier {
     
     // Check keywords
     const text = (subject + ' ' + snippet).toLowerCase();
+    const keywordsByLabel = {};
     for (const [keyword, profile] of Object.entries(this.intelligence.keywordProfiles || {})) {
       if (text.includes(keyword)) {
         const label = profile.commonLabel;
         if (label) {
           scoreMap[label] = (scoreMap[label] || 0) + profile.weight * 0.3;
           totalWeight += profile.weight * 0.3;
+          (keywordsByLabel[label] = keywordsByLabel[label] || []).push(keyword);
         }
       }
     }
@@ -300,7 +477,8 @@ class EmailClassifier {
         action: 'label',
         label: bestLabel,
         confidence: Math.min(bestScore / totalWeight, 1),
-        reason: 'Historical pattern match'
+        reason: 'Historical pattern match',
+        keywords: keywordsByLabel[bestLabel] || []
       };
     }
     
@@ -313,37 +491,16 @@ class EmailClassifier {
   }
   
   /**
-   * Fallback rule-based classification
+   * Fallback rule-based classification - see RuleEngine.js for the rule pack
    */
-  _ruleBasedClassification(sender, subject, snippet) {
-    const text = (subject + ' ' + snippet).toLowerCase();
-    
-    // University/Academic rules
-    if (sender.endsWith('@alaska.edu') || sender.endsWith('@ua.edu')) {
-      if (text.includes('meeting') || text.includes('schedule')) {
-        return { action: 'label', label: 'Meetings', confidence: 0.8, reason: 'Meeting related' };
-      }
-      if (text.includes('student') || text.includes('grade')) {
-        return { action: 'label', label: 'Students', confidence: 0.8, reason: 'Student related' };
-      }
-      if (text.includes('department') || text.includes('faculty')) {
-        return { action: 'label', label: 'Department', confidence: 0.7, reason: 'Department business' };
-      }
-    }
-    
-    // Newsletter/Marketing detection
-    if (text.includes('unsubscribe') || text.includes('newsletter')) {
-      return { action: 'label', label: 'Newsletters', confidence: 0.9, reason: 'Newsletter detected' };
-    }
-    
-    // Default keep
-    return { action: 'keep', label: null, confidence: 0.3, reason: 'No specific rule matched' };
+  _ruleBasedClassification(email) {
+    return this.ruleEngine.evaluate(email);
   }
   
   _isVIP(sender) {
-    if (CONFIG.VIP_SENDERS.includes(sender)) return true;
+    if (this.config.VIP_SENDERS.includes(sender)) return true;
     
-    for (const domain of CONFIG.VIP_DOMAINS) {
+    for (const domain of this.config.VIP_DOMAINS) {
       if (sender.endsWith('@' + domain)) return true;
     }
     
@@ -351,9 +508,9 @@ class EmailClassifier {
   }
   
   _isProtected(sender) {
-    if (CONFIG.KEEP_SENDERS.includes(sender)) return true;
+    if (this.config.KEEP_SENDERS.includes(sender)) return true;
     
-    for (const domain of CONFIG.KEEP_DOMAINS) {
+    for (const domain of this.config.KEEP_DOMAINS) {
       if (sender.endsWith('@' + domain)) return true;
     }
     
@@ -369,13 +526,38 @@ class EmailClassifier {
 // ==================== MAIN PROCESSING ====================
 /**
  * Main entry point - process inbox emails
+ * @param {Object} options - Injected dependencies. Triggers pass their event
+ *   object here, which carries neither key, so Apps Script runs use the defaults
+ * @param {Object} options.config - See buildConfig(), read from Script Properties if omitted
+ * @param {Object} options.services - Overrides for createServices()
+ * @returns {Object} Run counts, or null if another run holds the lock
  */
-function processInbox() {
+function processInbox(options = {}) {
+  const services = createServices(options.services);
+  const config = options.config || getConfig(services.properties);
+  
+  // Scheduled and continuation triggers may overlap - only one run at a time
+  const lock = services.lock;
+  if (!lock.tryLock(1000)) {
+    Logger.log('⏳ Another triage run is in progress - skipping');
+    return null;
+  }
+  
+  // One policy for the whole run, so AccountPolicy.current() doesn't re-read Script Properties
+  const previousPolicy = AccountPolicy.installed;
+  AccountPolicy.install(services.policy);
+  
+  let audit = null;
   try {
     Logger.log('🚀 Starting Gmail Triage process...');
+    const budget = new ExecutionBudget(config.MAX_EXECUTION_SECONDS, config.EXECUTION_MARGIN_SECONDS);
     
     // Load historical intelligence
-    const intelligenceSystem = new HistoricalIntelligence();
+    const intelligenceSystem = new HistoricalIntelligence({
+      config,
+      cache: services.cache,
+      spreadsheets: services.spreadsheets
+    });
     const intelligence = intelligenceSystem.load();
     
     if (!intelligence) {
@@ -383,75 +565,128 @@ function processInbox() {
     }
     
     // Initialize classifier
-    const classifier = new EmailClassifier(intelligence);
+    const classifier = createClassifier(intelligence, config, services);
     
-    // Get threads to process
-    const threads = GmailApp.search(CONFIG.SAFE_GUARD_QUERY, 0, CONFIG.MAX_PER_RUN);
-    Logger.log(`📧 Found ${threads.length} threads to process`);
+    // Outside business hours non-VIP mail is held; at the next start it is released
+    const hours = loadBusinessHours(config, services);
+    const afterHours = !hours.isOpen();
+    if (!afterHours && !config.DRY_RUN && !config.PREVIEW_MODE) {
+      releaseHeldThreads(config, services);
+    }
     
-    if (threads.length === 0) {
-      Logger.log('✅ No emails to process');
-      return;
+    // Journal every mutation so the run can be rolled back
+    const mode = config.DRY_RUN ? 'dry-run' : config.PREVIEW_MODE ? 'preview' : 'production';
+    const journal = new RunJournal(RunJournal.createRunId(), {
+      mode,
+      retainHours: config.JOURNAL_RETAIN_HOURS,
+      properties: services.properties
+    });
+    const runLabel = config.RUN_LABEL_PREFIX + journal.runId;
+    Logger.log(`🧾 Run ID: ${journal.runId} (${mode})`);
+    
+    // Changes are collected per page and written in batches - see MutationPlan.js
+    const labels = new LabelCache({ gmail: services.gmail, advanced: services.advanced });
+    const plan = new MutationPlan(labels, { journal, gmail: services.gmail, policy: services.policy });
+    
+    // Page through unprocessed threads, resuming from the last checkpoint
+    const continuation = new Continuation('processInbox', {
+      properties: services.properties,
+      scriptApp: services.scriptApp
+    });
+    const checkpoint = continuation.loadCheckpoint();
+    const threads = new InboxPager(`${config.SAFE_GUARD_QUERY} -label:_Triage/Processed`, {
+      pageSize: config.PAGE_SIZE,
+      maxThreads: config.MAX_PER_RUN,
+      offset: checkpoint ? checkpoint.offset : 0,
+      budget,
+      search: (query, start, max) => services.gmail.search(query, start, max),
+      beforePage: () => applyPlan(plan) // Handled threads must leave the results before the next page
+    });
+    
+    if (checkpoint) {
+      Logger.log(`↪️ Resuming backlog (run ${checkpoint.runs + 1}, ${checkpoint.processed} processed so far)`);
     }
     
+    // Record every decision for compliance review
+    audit = new AuditTrail(() => openAuditSheet(config, services), { runId: journal.runId, mode });
+    
     // Process each thread
     let processed = 0;
     let starred = 0;
     let labeled = 0;
     let archived = 0;
+    let held = 0;
+    const digestEntries = [];
     
     for (const thread of threads) {
       try {
-        const result = classifier.classifyThread(thread);
+        const context = classifier.contextFor(thread);
+        const result = classifier.classifyContext(context);
+        const sender = context.sender;
+        const hold = afterHours && result.action !== 'star' && !hours.isOpen(thread.getLastMessageDate());
+        plan.track(thread, context.messageIds);
+        
+        if (config.AUDIT_ENABLED) {
+          audit.record({ threadId: thread.getId(), sender, subject: thread.getFirstMessageSubject(), result });
+        }
         
         // Apply classification based on mode
-        if (CONFIG.DRY_RUN) {
+        let inInbox = true;
+        if (config.DRY_RUN) {
           // DRY RUN - Log only
           Logger.log(`[DRY RUN] Would ${result.action}: ${thread.getFirstMessageSubject()}`);
           if (result.label) {
             Logger.log(`[DRY RUN] Would label as: ${result.label}`);
           }
-          processed++;
+          if (hold) {
+            Logger.log(`[DRY RUN] Would hold until ${hours.nextOpening()}`);
+          }
           
-        } else if (CONFIG.PREVIEW_MODE) {
+        } else if (config.PREVIEW_MODE) {
           // PREVIEW MODE - Add preview labels only
-          const previewLabel = GmailApp.createLabel(`_Triage/PREVIEW-${result.action}`);
-          thread.addLabel(previewLabel);
+          plan.addLabel(thread, `${config.PREVIEW_LABEL_PREFIX}${result.action}`);
           
           if (result.label) {
-            const labelPreview = GmailApp.createLabel(`_Triage/PREVIEW-${result.label}`);
-            thread.addLabel(labelPreview);
+            plan.addLabel(thread, `${config.PREVIEW_LABEL_PREFIX}${result.label}`);
+          }
+          
+          if (hold) {
+            plan.addLabel(thread, `${config.PREVIEW_LABEL_PREFIX}hold`);
           }
           
           Logger.log(`[PREVIEW] Marked for ${result.action}: ${thread.getFirstMessageSubject()}`);
-          processed++;
           
         } else {
           // PRODUCTION MODE - Apply actual changes
+          
           switch (result.action) {
             case 'star':
-              thread.addLabel(GmailApp.createLabel('VIP'));
-              thread.markImportant();
-              if (!thread.isStarred()) {
-                GmailApp.starMessage(thread.getMessages()[0]);
+              plan.addLabel(thread, 'VIP');
+              plan.markImportant(thread);
+              if (!thread.hasStarredMessages()) {
+                plan.star(thread, context.message);
               }
               starred++;
               Logger.log(`⭐ Starred VIP: ${thread.getFirstMessageSubject()}`);
+              
+              // VIP alerts are never deferred
+              if (config.VIP_ALERTS) {
+                sendVipAlert(thread, sender, services);
+              }
               break;
               
             case 'label':
               if (result.label) {
-                const label = GmailApp.createLabel(result.label);
-                thread.addLabel(label);
+                plan.addLabel(thread, result.label);
                 labeled++;
                 
                 // Archive only with high confidence and not from .edu domains
-                const sender = classifier._extractSenderEmail(thread.getMessages()[0].getFrom());
                 const isEduDomain = sender.endsWith('.edu');
                 
-                if (result.confidence >= CONFIG.HIGH_CONFIDENCE && !isEduDomain) {
-                  thread.moveToArchive();
+                if (result.confidence >= config.HIGH_CONFIDENCE && !isEduDomain && !result.noArchive) {
+                  plan.archive(thread);
                   archived++;
+                  inInbox = false;
                 }
                 Logger.log(`🏷️ Labeled as ${result.label}: ${thread.getFirstMessageSubject()}`);
               }
@@ -459,10 +694,10 @@ function processInbox() {
               
             case 'archive':
               // Extra safety check for work email
-              const archiveSender = classifier._extractSenderEmail(thread.getMessages()[0].getFrom());
-              if (!archiveSender.endsWith('.edu')) {
-                thread.moveToArchive();
+              if (!sender.endsWith('.edu')) {
+                plan.archive(thread);
                 archived++;
+                inInbox = false;
                 Logger.log(`📦 Archived: ${thread.getFirstMessageSubject()}`);
               } else {
                 Logger.log(`📥 Kept (edu domain): ${thread.getFirstMessageSubject()}`);
@@ -473,61 +708,482 @@ function processInbox() {
               // Keep in inbox
               Logger.log(`📥 Kept: ${thread.getFirstMessageSubject()}`);
           }
+          
+          if (hold && inInbox) {
+            plan.addLabel(thread, config.HELD_LABEL);
+            plan.archive(thread, 'hold');
+            held++;
+            Logger.log(`🌙 Held until business hours: ${thread.getFirstMessageSubject()}`);
+          }
         }
         
-        // Mark as processed
-        thread.addLabel(GmailApp.createLabel('_Triage/Processed'));
+        if (config.DRY_RUN || config.PREVIEW_MODE) {
+          // Not marked processed, so it stays in the results - page past it
+          threads.skip();
+        } else {
+          // Mark as processed and tag with the run label
+          plan.addLabel(thread, '_Triage/Processed');
+          plan.addLabel(thread, runLabel);
+        }
+        
+        // Collected for the digest, see Digest.js
+        digestEntries.push({
+          id: thread.getId(),
+          subject: thread.getFirstMessageSubject(),
+          sender,
+          action: result.action,
+          label: result.label,
+          confidence: result.confidence,
+          reason: result.reason,
+          archived: !inInbox,
+          held: hold,
+          mode
+        });
         
         processed++;
         
         // Pause to avoid rate limits
         if (processed % 10 === 0) {
-          Utilities.sleep(CONFIG.PAUSE_MS);
+          services.sleep(config.PAUSE_MS);
         }
         
       } catch (error) {
         Logger.log(`❌ Error processing thread: ${error.toString()}`);
+        threads.skip();
       }
     }
     
+    applyPlan(plan);
+    
+    if (threads.yielded === 0) {
+      Logger.log('✅ No emails to process');
+    }
+    
+    // Drained: forget the checkpoint. Otherwise save progress and continue shortly
+    if (threads.drained) {
+      continuation.complete();
+    } else {
+      continuation.saveCheckpoint({
+        offset: threads.offset,
+        runs: checkpoint ? checkpoint.runs + 1 : 1,
+        processed: (checkpoint ? checkpoint.processed : 0) + threads.yielded
+      });
+      continuation.schedule(config.CONTINUATION_DELAY_MINUTES);
+      Logger.log(`⏸️ Stopped (${threads.stopReason}) after ${budget.elapsedSeconds().toFixed(0)}s - continuing in ${config.CONTINUATION_DELAY_MINUTES} min`);
+    }
+    
+    // Persist the journal so the run can be undone; audit rows are written in finally
+    const saved = journal.save();
+    Logger.log(`🧾 Journaled ${journal.threadCount} threads - undo with rollbackRun('${journal.runId}')`);
+    if (saved && saved.omitted > 0) {
+      Logger.log(`⚠️ Journal budget reached - ${saved.omitted} threads of this run can't be rolled back`);
+    }
+    
     // Log summary
     Logger.log('📊 Processing Summary:');
     Logger.log(`  - Processed: ${processed}`);
     Logger.log(`  - Starred: ${starred}`);
     Logger.log(`  - Labeled: ${labeled}`);
     Logger.log(`  - Archived: ${archived}`);
+    Logger.log(`  - Held until business hours: ${held}`);
     
-    // Send summary email if significant activity
-    if (processed > 20) {
-      sendSummaryEmail(processed, starred, labeled, archived);
+    // Decisions accumulate until the digest is due; it only goes out during business hours
+    const digest = new DigestStore({
+      properties: services.properties,
+      timeZone: services.session.getScriptTimeZone()
+    });
+    digest.add({ counts: { processed, starred, labeled, archived, held }, entries: digestEntries });
+    if (!afterHours) {
+      sendDigest(config, services, digest);
     }
     
+    return { runId: journal.runId, mode, processed, starred, labeled, archived, held, drained: threads.drained };
+    
   } catch (error) {
     Logger.log(`❌ Fatal error: ${error.toString()}`);
     throw error;
+  } finally {
+    // Decisions already applied keep their audit rows even if the run failed
+    if (audit) {
+      try {
+        audit.flush();
+      } catch (error) {
+        Logger.log(`⚠️ Could not write audit rows: ${error.toString()}`);
+      }
+    }
+    AccountPolicy.install(previousPolicy);
+    lock.releaseLock();
   }
 }
 
 /**
- * Send summary email
+ * Build the classifier with the configured rules and trained model
  */
-function sendSummaryEmail(processed, starred, labeled, archived) {
-  const subject = `Gmail Triage Summary - ${new Date().toLocaleDateString()}`;
-  const body = `
-Gmail Triage completed successfully.
+function createClassifier(intelligence, config = getConfig(), services = createServices()) {
+  return new EmailClassifier(intelligence, {
+    config,
+    ruleEngine: loadRuleEngine(config, services),
+    model: loadModel(config, services),
+    feedback: FeedbackWeights.load(services.properties),
+    myAddresses: getMyAddresses(services)
+  });
+}
+
+/**
+ * Our address and send-as aliases - their messages are never the sender
+ */
+function getMyAddresses(services = createServices()) {
+  return [services.session.getActiveUser().getEmail(), ...services.gmail.getAliases()]
+    .filter(address => address)
+    .map(address => address.toLowerCase());
+}
+
+/**
+ * Load classification rules: TRIAGE_RULES_JSON, then the 'Rules' sheet of the
+ * analysis spreadsheet, then the default rule pack
+ */
+function loadRuleEngine(config = getConfig(), services = createServices()) {
+  const options = config.RULE_MODE ? { mode: config.RULE_MODE } : {};
+  
+  try {
+    if (config.RULES_JSON) {
+      const engine = RuleEngine.fromJson(config.RULES_JSON, options);
+      Logger.log(`📐 Loaded ${engine.rules.length} rules from TRIAGE_RULES_JSON (${engine.mode})`);
+      return engine;
+    }
+    
+    if (config.ANALYSIS_SHEET_ID) {
+      const sheet = services.spreadsheets.openById(config.ANALYSIS_SHEET_ID).getSheetByName('Rules');
+      if (sheet) {
+        const engine = RuleEngine.fromSheet(sheet, options);
+        Logger.log(`📐 Loaded ${engine.rules.length} rules from Rules sheet (${engine.mode})`);
+        return engine;
+      }
+    }
+  } catch (error) {
+    Logger.log(`❌ Invalid rules, using default rule pack: ${error.toString()}`);
+  }
+  
+  return new RuleEngine(DEFAULT_RULE_PACK, options);
+}
+
+/**
+ * Load the trained Naive Bayes model, or null if trainModel() has not run
+ */
+function loadModel(config = getConfig(), services = createServices()) {
+  try {
+    const sheet = services.spreadsheets.openById(config.ANALYSIS_SHEET_ID).getSheetByName(config.MODEL_SHEET_NAME);
+    const model = sheet ? new ModelStore(sheet).load() : null;
+    if (model) {
+      Logger.log(`🤖 Loaded model with ${Object.keys(model.labels).length} labels, ${model.vocabulary.size} tokens`);
+    }
+    return model;
+  } catch (error) {
+    Logger.log(`⚠️ Could not load model: ${error.toString()}`);
+    return null;
+  }
+}
+
+/**
+ * Train the Naive Bayes model from threads that already carry user labels
+ * and store it in the analysis spreadsheet
+ */
+function trainModel() {
+  const config = getConfig();
+  Logger.log('🤖 Training model from labeled threads...');
+  const myAddresses = getMyAddresses();
+  const documents = [];
+  
+  for (const label of GmailApp.getUserLabels()) {
+    const name = label.getName();
+    if (name.startsWith('_Triage') || config.MODEL_EXCLUDE_LABELS.includes(name)) continue;
+    
+    const threads = label.getThreads(0, config.MODEL_MAX_PER_LABEL);
+    if (threads.length < config.MODEL_MIN_PER_LABEL) {
+      Logger.log(`  Skipping ${name}: only ${threads.length} threads`);
+      continue;
+    }
+    
+    const messages = GmailApp.getMessagesForThreads(threads);
+    threads.forEach((thread, i) => {
+      const context = ThreadContext.fromMessages(messages[i], myAddresses);
+      if (context.inboundCount === 0) return;
+      documents.push({
+        threadId: thread.getId(),
+        sender: context.sender,
+        subject: context.subject,
+        body: context.body,
+        label: name
+      });
+    });
+    Logger.log(`  ${name}: ${threads.length} threads`);
+  }
+  
+  // Relabeled threads, and labels added next to ours, carry extra weight
+  const corrections = loadCorrections(config).filter(c => (c.type === 'relabeled' || c.type === 'label-added') && c.to);
+  for (const correction of corrections) {
+    for (let i = 0; i < config.CORRECTION_TRAINING_WEIGHT; i++) {
+      documents.push({ threadId: correction.threadId, sender: correction.sender, subject: correction.subject, body: '', label: correction.to });
+    }
+  }
+  if (corrections.length > 0) {
+    Logger.log(`  Corrections: ${corrections.length} relabeled threads`);
+  }
+  
+  if (documents.length === 0) {
+    Logger.log('❌ No labeled threads to train on');
+    return null;
+  }
+  
+  const model = NaiveBayesClassifier.train(documents);
+  
+  const ss = SpreadsheetApp.openById(config.ANALYSIS_SHEET_ID);
+  const sheet = ss.getSheetByName(config.MODEL_SHEET_NAME) || ss.insertSheet(config.MODEL_SHEET_NAME);
+  new ModelStore(sheet).save(model);
+  
+  Logger.log(`✅ Trained on ${documents.length} threads, ${Object.keys(model.labels).length} labels, ` +
+    `${model.vocabulary.size} tokens (temperature ${model.temperature})`);
+  return model;
+}
+
+/**
+ * Feedback pass - find user corrections to production runs older than
+ * FEEDBACK_DELAY_HOURS and learn sender/keyword weights from them.
+ * Run from an hourly trigger; corrections are also recorded in the
+ * Corrections sheet and used by trainModel().
+ */
+function learnFromCorrections() {
+  const properties = PropertiesService.getScriptProperties();
+  const config = getConfig(properties);
+  const weights = FeedbackWeights.load(properties);
+  const cutoff = Date.now() - config.FEEDBACK_DELAY_HOURS * 60 * 60 * 1000;
+  
+  const runs = RunJournal.listRuns(properties).filter(run =>
+    run.mode === 'production' &&
+    !weights.isReviewed(run.runId) &&
+    new Date(run.startedAt).getTime() <= cutoff
+  );
+  
+  const myAddresses = getMyAddresses();
+  const senderOf = thread => ThreadContext.fromThread(thread, myAddresses).sender;
+  
+  const corrections = [];
+  for (const run of runs) {
+    const journal = RunJournal.load(run.runId, properties);
+    if (journal) {
+      corrections.push(...FeedbackLearner.detectCorrections(journal, GmailApp, '_Triage', senderOf));
+    }
+    weights.markReviewed(run.runId);
+  }
+  
+  for (const correction of corrections) {
+    weights.learn(correction, tokenize(correction.subject));
+    Logger.log(`✏️ ${correction.type}: ${correction.sender} ${correction.from || ''} → ${correction.to || ''}`);
+  }
+  
+  weights.save(properties);
+  if (corrections.length > 0) {
+    appendCorrections(corrections, config);
+  }
+  
+  Logger.log(`✅ Reviewed ${runs.length} runs, learned from ${corrections.length} corrections`);
+  return corrections;
+}
+
+/**
+ * Record corrections in the Corrections sheet of the analysis spreadsheet
+ */
+function appendCorrections(corrections, config = getConfig()) {
+  const ss = SpreadsheetApp.openById(config.ANALYSIS_SHEET_ID);
+  let sheet = ss.getSheetByName(config.CORRECTIONS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(config.CORRECTIONS_SHEET_NAME);
+    sheet.appendRow(['Detected', 'Run ID', 'Thread ID', 'Sender', 'Subject', 'Type', 'From Label', 'To Label']);
+  }
+  
+  const rows = corrections.map(c => [
+    new Date(), c.runId, c.threadId, c.sender, c.subject, c.type, c.from || '', c.to || ''
+  ]);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * Read recorded corrections back from the Corrections sheet
+ */
+function loadCorrections(config = getConfig()) {
+  const sheet = SpreadsheetApp.openById(config.ANALYSIS_SHEET_ID).getSheetByName(config.CORRECTIONS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  
+  return sheet.getDataRange().getValues().slice(1).map(row => ({
+    runId: row[1],
+    threadId: row[2],
+    sender: row[3],
+    subject: row[4],
+    type: row[5],
+    from: row[6] || null,
+    to: row[7] || null
+  }));
+}
+
+/**
+ * Open (or create) the Audit sheet - TRIAGE_AUDIT_SHEET_ID, else the analysis spreadsheet
+ */
+function openAuditSheet(config = getConfig(), services = createServices()) {
+  const ss = services.spreadsheets.openById(config.AUDIT_SHEET_ID || config.ANALYSIS_SHEET_ID);
+  return ss.getSheetByName(config.AUDIT_SHEET_NAME) || ss.insertSheet(config.AUDIT_SHEET_NAME);
+}
+
+/**
+ * Write the planned changes and log how they went
+ */
+function applyPlan(plan) {
+  const result = plan.apply();
+  if (result.threads === 0) return result;
+  
+  if (result.fallbackReason) {
+    Logger.log(`⚠️ Gmail advanced service unavailable, used GmailApp: ${result.fallbackReason}`);
+  }
+  Logger.log(`✍️ Applied changes to ${result.threads} threads in ${result.calls} calls (${result.mode})`);
+  for (const error of result.errors) {
+    Logger.log(`❌ ${error.operation} failed for ${error.count} items: ${error.error}`);
+  }
+  return result;
+}
+
+/**
+ * Undo a processInbox run - restores inbox, starred, importance and labels
+ * of every thread the run touched
+ * @param {string} runId - Run ID logged by processInbox (see listRuns())
+ */
+function rollbackRun(runId) {
+  const properties = PropertiesService.getScriptProperties();
+  const journal = RunJournal.load(runId, properties);
+  
+  if (!journal) {
+    Logger.log(`❌ No journal found for run ${runId}`);
+    return null;
+  }
+  
+  Logger.log(`⏪ Rolling back run ${runId} (${journal.mode}, ${journal.entries.length} threads)...`);
+  const result = RunJournal.rollback(journal, GmailApp);
+  
+  for (const failure of result.errors) {
+    Logger.log(`❌ Failed to restore ${failure.threadId}: ${failure.error}`);
+  }
+  
+  // Drop the run label and the journal once every thread is restored
+  if (result.errors.length === 0) {
+    const runLabel = GmailApp.getUserLabelByName(getConfig(properties).RUN_LABEL_PREFIX + runId);
+    if (runLabel) runLabel.deleteLabel();
+    RunJournal.remove(runId, properties);
+  }
+  
+  Logger.log(`✅ Restored ${result.restored} threads (${result.missing} no longer exist, ${result.errors.length} errors)`);
+  return result;
+}
+
+/**
+ * List journaled runs that can be rolled back
+ */
+function listRuns() {
+  const runs = RunJournal.listRuns(PropertiesService.getScriptProperties());
+  
+  Logger.log(`🧾 ${runs.length} journaled runs:`);
+  for (const run of runs) {
+    Logger.log(`  ${run.runId} - ${run.mode}, ${run.threads} threads, started ${run.startedAt}`);
+  }
+  
+  return runs;
+}
 
-Summary:
-- Emails Processed: ${processed}
-- VIP/Starred: ${starred}
-- Labeled: ${labeled}
-- Archived: ${archived}
+/**
+ * Business-hours schedule from the account's preferences.businessHours, else the default weekday hours
+ */
+function loadBusinessHours(config = getConfig(), services = createServices()) {
+  if (config.BUSINESS_HOURS) {
+    try {
+      return new BusinessHours(config.BUSINESS_HOURS);
+    } catch (error) {
+      Logger.log(`⚠️ Invalid preferences.businessHours in CONFIG_ACCOUNT, using default hours: ${error.message}`);
+    }
+  }
+  
+  return BusinessHours.fromHours(config.BUSINESS_HOURS_START, config.BUSINESS_HOURS_END, services.session.getScriptTimeZone());
+}
 
-Time: ${new Date().toLocaleString()}
+/**
+ * Return held threads to the inbox - runs at the first run in business hours
+ */
+function releaseHeldThreads(config = getConfig(), services = createServices()) {
+  const label = services.gmail.getUserLabelByName(config.HELD_LABEL);
+  if (!label) return 0;
+  
+  let released = 0;
+  let threads;
+  while ((threads = label.getThreads(0, 100)).length > 0) {
+    services.policy.authorize('modify', { release: config.HELD_LABEL, threads: threads.length });
+    services.gmail.moveThreadsToInbox(threads);
+    label.removeFromThreads(threads);
+    released += threads.length;
+  }
+  
+  if (released > 0) {
+    Logger.log(`☀️ Released ${released} held threads to the inbox`);
+  }
+  return released;
+}
+
+/**
+ * Immediate notification for VIP mail, regardless of business hours
+ */
+function sendVipAlert(thread, sender, services = createServices()) {
+  const subject = `VIP: ${thread.getFirstMessageSubject()}`;
+  const body = `
+New email from ${sender}.
+
+${thread.getPermalink()}
 
 This is an automated message from your Gmail Triage system.
   `;
   
-  GmailApp.sendEmail(Session.getActiveUser().getEmail(), subject, body);
+  const to = services.session.getActiveUser().getEmail();
+  services.policy.authorize('send', { to, subject });
+  services.gmail.sendEmail(to, subject, body);
+}
+
+/**
+ * Send the pending digest if its period is over and it covers at least
+ * DIGEST_THRESHOLD threads. Smaller digests are dropped.
+ * @returns {Object} The sent { subject, html, text }, or null
+ */
+function sendDigest(config = getConfig(), services = createServices(), store = null) {
+  const timeZone = services.session.getScriptTimeZone();
+  const digests = store || new DigestStore({ properties: services.properties, timeZone });
+  
+  const frequency = config.DIGEST_FREQUENCY;
+  if (!digests.isDue(frequency)) return null;
+  
+  const digest = digests.load();
+  if (digest.counts.processed < config.DIGEST_THRESHOLD) {
+    digests.clear();
+    Logger.log(`📭 Digest skipped - ${digest.counts.processed} threads, threshold ${config.DIGEST_THRESHOLD}`);
+    return null;
+  }
+  
+  const account = services.session.getActiveUser().getEmail();
+  const email = DigestRenderer.render(digest, {
+    frequency,
+    lowConfidence: config.DIGEST_LOW_CONFIDENCE,
+    comparison: digests.compare(frequency),
+    account,
+    timeZone
+  });
+  // A blocked or failed digest stays pending for the next run
+  services.policy.authorize('send', { to: account, subject: email.subject });
+  services.gmail.sendEmail(account, email.subject, email.text, { htmlBody: email.html });
+  digests.clear();
+  Logger.log(`📬 Sent digest: ${email.subject}`);
+  return email;
 }
 
 /**
@@ -539,6 +1195,7 @@ function setup() {
   // Create labels
   const labels = [
     '_Triage/Processed',
+    '_Triage/Held',
     'VIP',
     'Important',
     'Students',
@@ -564,6 +1221,25 @@ function setup() {
  */
 function clearCache() {
   const cache = CacheService.getScriptCache();
-  cache.remove('HISTORICAL_ANALYSIS_DATA_V4');
+  cache.remove(new HistoricalIntelligence().cacheKey);
   Logger.log('✅ Cache cleared');
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TRIAGE_SETTINGS,
+    buildConfig,
+    getConfig,
+    showConfig,
+    createServices,
+    HistoricalIntelligence,
+    EmailClassifier,
+    processInbox,
+    createClassifier,
+    loadRuleEngine,
+    loadBusinessHours,
+    releaseHeldThreads,
+    sendDigest,
+    rollbackRun
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Gmail Triage - Resumable Processing
+ * Time budget, paged inbox iteration and continuation triggers so a large
+ * backlog drains over several executions without hitting the 6-minute limit.
+ */
+
+// ==================== EXECUTION BUDGET ====================
+class ExecutionBudget {
+  /**
+   * @param {number} limitSeconds - Total execution time available (limits.maxExecutionTime)
+   * @param {number} marginSeconds - Time reserved for saving state and summaries
+   * @param {Function} clock - Returns the current time in ms
+   */
+  constructor(limitSeconds, marginSeconds = 60, clock = () => Date.now()) {
+    this.limitSeconds = limitSeconds;
+    this.marginSeconds = marginSeconds;
+    this.clock = clock;
+    this.startedAt = clock();
+    this.items = 0;
+  }
+
+  elapsedSeconds() {
+    return (this.clock() - this.startedAt) / 1000;
+  }
+
+  remainingSeconds() {
+    return this.limitSeconds - this.marginSeconds - this.elapsedSeconds();
+  }
+
+  /**
+   * Count a finished unit of work, used to estimate the cost of the next one
+   */
+  recordItem() {
+    this.items++;
+  }
+
+  /**
+   * True when there is not enough time left for another average-sized item
+   */
+  isExhausted() {
+    const averageSeconds = this.items > 0 ? this.elapsedSeconds() / this.items : 0;
+    return this.remainingSeconds() <= averageSeconds;
+  }
+}
+
+// ==================== INBOX PAGER ====================
+class InboxPager {
+  /**
+   * Iterates threads matching a query page by page. The query must exclude
+   * processed threads, so handled threads drop out of the result set and
+   * the offset only advances past threads that were skipped.
+   * @param {string} query - Gmail search query
+   * @param {Object} options
+   * @param {number} options.pageSize - Threads per search call
+   * @param {number} options.maxThreads - Cap on threads yielded
+   * @param {number} options.offset - Starting offset from a checkpoint
+   * @param {ExecutionBudget} options.budget - Stops iteration when exhausted
+   * @param {Function} options.search - (query, start, max) => GmailThread[]
+   * @param {Function} options.beforePage - Called before every search after the
+   *   first, e.g. to apply pending changes so handled threads leave the results
+   */
+  constructor(query, options = {}) {
+    this.query = query;
+    this.pageSize = options.pageSize || 50;
+    this.maxThreads = options.maxThreads || Infinity;
+    this.offset = options.offset || 0;
+    this.budget = options.budget || null;
+    this.search = options.search || ((q, start, max) => GmailApp.search(q, start, max));
+    this.beforePage = options.beforePage || null;
+
+    this.yielded = 0;
+    this.pages = 0;
+    this.drained = false;
+    this.stopReason = null;
+    this.seen = new Set();
+  }
+
+  /**
+   * Leave the current thread in the result set; later pages start after it
+   */
+  skip() {
+    this.offset++;
+  }
+
+  *[Symbol.iterator]() {
+    while (this.yielded < this.maxThreads) {
+      if (this.budget && this.budget.isExhausted()) {
+        this.stopReason = 'time';
+        return;
+      }
+
+      if (this.pages > 0 && this.beforePage) this.beforePage();
+
+      const size = Math.min(this.pageSize, this.maxThreads - this.yielded);
+      const page = this.search(this.query, this.offset, size);
+      this.pages++;
+
+      if (page.length === 0) {
+        this.drained = true;
+        this.stopReason = 'drained';
+        return;
+      }
+
+      let fresh = 0;
+      for (const thread of page) {
+        // Search indexing can lag behind label changes - never yield a thread twice
+        if (this.seen.has(thread.getId())) continue;
+
+        if (this.budget && this.budget.isExhausted()) {
+          this.stopReason = 'time';
+          return;
+        }
+
+        this.seen.add(thread.getId());
+        fresh++;
+        this.yielded++;
+        yield thread;
+        if (this.budget) this.budget.recordItem();
+
+        if (this.yielded >= this.maxThreads) break;
+      }
+
+      // Whole page already handled: move past it instead of searching it again
+      if (fresh === 0) this.offset += page.length;
+    }
+
+    this.stopReason = 'limit';
+  }
+}
+
+// ==================== CONTINUATION ====================
+const CONTINUATION_CHECKPOINT_KEY = 'TRIAGE_CHECKPOINT';
+const CONTINUATION_TRIGGER_KEY = 'TRIAGE_CONTINUATION_TRIGGER_ID';
+
+class Continuation {
+  /**
+   * @param {string} handlerName - Function the continuation trigger runs
+   * @param {Object} options
+   * @param {Object} options.properties - Script Properties store
+   * @param {Object} options.scriptApp - ScriptApp (or compatible) service
+   */
+  constructor(handlerName, options = {}) {
+    this.handlerName = handlerName;
+    this.properties = options.properties || PropertiesService.getScriptProperties();
+    this.scriptApp = options.scriptApp || ScriptApp;
+  }
+
+  /**
+   * Saved progress of an unfinished backlog, or null
+   */
+  loadCheckpoint() {
+    const raw = this.properties.getProperty(CONTINUATION_CHECKPOINT_KEY);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  saveCheckpoint(state) {
+    this.properties.setProperty(CONTINUATION_CHECKPOINT_KEY, JSON.stringify({
+      ...state,
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Schedule a one-shot run of the handler, replacing any pending continuation
+   */
+  schedule(delayMinutes = 1) {
+    this._deletePendingTrigger();
+
+    const trigger = this.scriptApp.newTrigger(this.handlerName)
+      .timeBased()
+      .after(delayMinutes * 60 * 1000)
+      .create();
+
+    this.properties.setProperty(CONTINUATION_TRIGGER_KEY, trigger.getUniqueId());
+    return trigger;
+  }
+
+  /**
+   * Backlog finished - forget the checkpoint and any pending continuation
+   */
+  complete() {
+    this.properties.deleteProperty(CONTINUATION_CHECKPOINT_KEY);
+    this._deletePendingTrigger();
+  }
+
+  /**
+   * Only the trigger we created is removed, never the regular schedule
+   */
+  _deletePendingTrigger() {
+    const triggerId = this.properties.getProperty(CONTINUATION_TRIGGER_KEY);
+    if (!triggerId) return;
+
+    for (const trigger of this.scriptApp.getProjectTriggers()) {
+      if (trigger.getUniqueId() === triggerId) {
+        this.scriptApp.deleteTrigger(trigger);
+      }
+    }
+
+    this.properties.deleteProperty(CONTINUATION_TRIGGER_KEY);
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ExecutionBudget, InboxPager, Continuation };
+}
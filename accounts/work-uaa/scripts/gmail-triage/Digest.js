@@ -0,0 +1,360 @@
+/**
+ * Gmail Triage - Digest
+ * Every run adds its decisions to a pending digest in Script Properties;
+ * when the digest is due (every run, daily or weekly) it is mailed as HTML
+ * grouped by action and label. DigestRenderer only formats data, so it can
+ * be tested without any Apps Script service.
+ */
+
+// ==================== DIGEST STORE ====================
+const DIGEST_KEY = 'TRIAGE_DIGEST';
+const DIGEST_HISTORY_KEY = 'TRIAGE_DIGEST_HISTORY';
+const DIGEST_CHUNK_SIZE = 3000; // Characters - under the 9KB value cap even for multi-byte subjects
+const DIGEST_MAX_ENTRIES = 200; // Threads listed per digest, the rest are only counted
+const DIGEST_SUBJECT_CHARS = 100;
+const DIGEST_HISTORY_DAYS = 14;
+const DIGEST_FREQUENCIES = ['run', 'daily', 'weekly'];
+const DIGEST_COUNTS = ['processed', 'starred', 'labeled', 'archived', 'held'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DigestStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.properties - Script Properties store
+   * @param {string} options.timeZone - Timezone of the day boundaries
+   */
+  constructor(options = {}) {
+    this.properties = options.properties || PropertiesService.getScriptProperties();
+    this.timeZone = options.timeZone || Session.getScriptTimeZone();
+  }
+
+  /**
+   * Calendar day of a date in a timezone, e.g. 2025-07-15
+   */
+  static dayKey(date, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .format(date);
+  }
+
+  static emptyCounts() {
+    return Object.fromEntries(DIGEST_COUNTS.map(key => [key, 0]));
+  }
+
+  /**
+   * Pending digest: { startedAt, counts, entries, omitted }
+   */
+  load() {
+    const meta = this.properties.getProperty(DIGEST_KEY);
+    if (!meta) {
+      return { startedAt: null, counts: DigestStore.emptyCounts(), entries: [], omitted: 0 };
+    }
+
+    const { chunks } = JSON.parse(meta);
+    let payload = '';
+    for (let i = 0; i < chunks; i++) {
+      payload += this.properties.getProperty(`${DIGEST_KEY}_${i}`) || '';
+    }
+    return JSON.parse(payload);
+  }
+
+  /**
+   * Add a run to the pending digest and to today's totals
+   * @param {Object} run - { counts, entries } - entries are
+   *   { id, subject, sender, action, label, confidence, reason, archived, held, mode }
+   * @param {Date} now
+   */
+  add({ counts, entries }, now = new Date()) {
+    const digest = this.load();
+    if (!digest.startedAt) digest.startedAt = now.toISOString();
+
+    for (const key of DIGEST_COUNTS) {
+      digest.counts[key] += counts[key] || 0;
+    }
+
+    for (const entry of entries) {
+      if (digest.entries.length >= DIGEST_MAX_ENTRIES) {
+        digest.omitted++;
+        continue;
+      }
+      digest.entries.push({ ...entry, subject: String(entry.subject || '').substring(0, DIGEST_SUBJECT_CHARS) });
+    }
+
+    this.save(digest);
+    this.addToHistory(counts, now);
+  }
+
+  save(digest) {
+    this.clear();
+
+    const payload = JSON.stringify(digest);
+    const chunks = [];
+    for (let i = 0; i < payload.length; i += DIGEST_CHUNK_SIZE) {
+      chunks.push(payload.substring(i, i + DIGEST_CHUNK_SIZE));
+    }
+
+    chunks.forEach((chunk, i) => this.properties.setProperty(`${DIGEST_KEY}_${i}`, chunk));
+    this.properties.setProperty(DIGEST_KEY, JSON.stringify({ chunks: chunks.length }));
+  }
+
+  /**
+   * Drop the pending digest (after it was sent or skipped)
+   */
+  clear() {
+    const meta = this.properties.getProperty(DIGEST_KEY);
+    if (!meta) return;
+
+    const { chunks } = JSON.parse(meta);
+    for (let i = 0; i < chunks; i++) {
+      this.properties.deleteProperty(`${DIGEST_KEY}_${i}`);
+    }
+    this.properties.deleteProperty(DIGEST_KEY);
+  }
+
+  /**
+   * Has the pending digest covered a full period?
+   * @param {string} frequency - 'run', 'daily' or 'weekly'
+   */
+  isDue(frequency, now = new Date()) {
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      throw new Error(`Unknown digest frequency "${frequency}" - use ${DIGEST_FREQUENCIES.join(', ')}`);
+    }
+
+    const { startedAt } = this.load();
+    if (!startedAt) return false;
+
+    const started = new Date(startedAt);
+    switch (frequency) {
+      case 'daily':
+        return DigestStore.dayKey(started, this.timeZone) !== DigestStore.dayKey(now, this.timeZone);
+      case 'weekly':
+        return now.getTime() - started.getTime() >= 7 * DAY_MS;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Totals per day, { '2025-07-15': { processed, ... } }
+   */
+  history() {
+    const raw = this.properties.getProperty(DIGEST_HISTORY_KEY);
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  addToHistory(counts, now) {
+    const history = this.history();
+    const day = DigestStore.dayKey(now, this.timeZone);
+    const totals = history[day] || DigestStore.emptyCounts();
+
+    for (const key of DIGEST_COUNTS) {
+      totals[key] += counts[key] || 0;
+    }
+    history[day] = totals;
+
+    const kept = Object.keys(history).sort().slice(-DIGEST_HISTORY_DAYS);
+    this.properties.setProperty(DIGEST_HISTORY_KEY, JSON.stringify(
+      Object.fromEntries(kept.map(key => [key, history[key]]))
+    ));
+  }
+
+  /**
+   * Day-over-day totals. Per-run digests compare today so far with
+   * yesterday; daily and weekly digests, sent early in a new day, compare
+   * yesterday with the day before.
+   * @returns {Object} { current: { day, counts }, previous: { day, counts } }
+   */
+  compare(frequency, now = new Date()) {
+    const history = this.history();
+    const reference = frequency === 'run' ? now : new Date(now.getTime() - DAY_MS);
+    const day = date => {
+      const key = DigestStore.dayKey(date, this.timeZone);
+      return { day: key, counts: history[key] || DigestStore.emptyCounts() };
+    };
+
+    return { current: day(reference), previous: day(new Date(reference.getTime() - DAY_MS)) };
+  }
+}
+
+// ==================== DIGEST RENDERER ====================
+const DIGEST_GROUPS = [
+  { action: 'star', title: 'VIP / Starred' },
+  { action: 'label', title: 'Labeled' },
+  { action: 'archive', title: 'Archived' },
+  { action: 'hold', title: 'Held until business hours' },
+  { action: 'keep', title: 'Kept in inbox' }
+];
+
+const DIGEST_COUNT_TITLES = {
+  processed: 'Processed',
+  starred: 'VIP / Starred',
+  labeled: 'Labeled',
+  archived: 'Archived',
+  held: 'Held'
+};
+
+class DigestRenderer {
+  /**
+   * Build the digest email
+   * @param {Object} digest - As returned by DigestStore.load()
+   * @param {Object} options
+   * @param {string} options.frequency - 'run', 'daily' or 'weekly'
+   * @param {number} options.lowConfidence - Decisions below this are flagged for review
+   * @param {Object} options.comparison - DigestStore.compare() result, optional
+   * @param {string} options.account - Mailbox address for deep links
+   * @param {string} options.timeZone - For displayed dates
+   * @returns {Object} { subject, html, text }
+   */
+  static render(digest, options = {}) {
+    const frequency = options.frequency || 'run';
+    const lowConfidence = options.lowConfidence === undefined ? 0.6 : options.lowConfidence;
+    const review = digest.entries.filter(entry => DigestRenderer.needsReview(entry, lowConfidence));
+    const groups = DigestRenderer.group(digest.entries);
+    const title = { run: 'Gmail Triage Digest', daily: 'Daily Gmail Triage Digest', weekly: 'Weekly Gmail Triage Digest' }[frequency];
+    const period = `${DigestRenderer.formatDate(digest.startedAt, options.timeZone)} – ${DigestRenderer.formatDate(options.now || new Date(), options.timeZone)}`;
+
+    const subject = `${title} - ${digest.counts.processed} threads` +
+      (review.length ? `, ${review.length} to review` : '');
+
+    const html = [
+      '<div style="font-family:Arial,sans-serif;font-size:14px;color:#202124">',
+      `<h2 style="margin:0 0 4px">${DigestRenderer.escape(title)}</h2>`,
+      `<p style="margin:0 0 16px;color:#5f6368">${DigestRenderer.escape(period)}</p>`,
+      DigestRenderer.renderCounts(digest.counts, options.comparison),
+      review.length ? DigestRenderer.renderReview(review, lowConfidence, options.account) : '',
+      ...groups.map(group => DigestRenderer.renderGroup(group, lowConfidence, options.account)),
+      digest.omitted ? `<p style="color:#5f6368">${digest.omitted} more threads not listed.</p>` : '',
+      '<p style="color:#5f6368;font-size:12px">This is an automated message from your Gmail Triage system.</p>',
+      '</div>'
+    ].join('\n');
+
+    const text = [
+      `${title} (${period})`,
+      '',
+      ...Object.entries(DIGEST_COUNT_TITLES).map(([key, name]) => `- ${name}: ${digest.counts[key]}`),
+      '',
+      review.length ? `Needs review (confidence below ${Math.round(lowConfidence * 100)}%):` : 'Nothing needs review.',
+      ...review.map(entry => `- ${entry.subject} - ${entry.sender} (${DigestRenderer.percent(entry.confidence)})`),
+      '',
+      'Open this email in Gmail to see the full HTML digest.'
+    ].join('\n');
+
+    return { subject, html, text };
+  }
+
+  /**
+   * Decisions a person should double-check
+   */
+  static needsReview(entry, lowConfidence) {
+    return entry.action !== 'star' && typeof entry.confidence === 'number' && entry.confidence < lowConfidence;
+  }
+
+  /**
+   * Group entries by action (held threads form their own group), then label
+   * @returns {Object[]} [{ action, title, labels: [{ label, entries }] }]
+   */
+  static group(entries) {
+    return DIGEST_GROUPS.map(({ action, title }) => {
+      const byLabel = {};
+      for (const entry of entries) {
+        if ((entry.held ? 'hold' : entry.action) !== action) continue;
+        const label = entry.label || '';
+        (byLabel[label] = byLabel[label] || []).push(entry);
+      }
+
+      const labels = Object.keys(byLabel).sort().map(label => ({ label, entries: byLabel[label] }));
+      return { action, title, labels };
+    }).filter(group => group.labels.length > 0);
+  }
+
+  static renderCounts(counts, comparison) {
+    const header = comparison
+      ? `<tr><th></th><th align="right">This digest</th><th align="right">${comparison.current.day}</th>` +
+        `<th align="right">${comparison.previous.day}</th><th align="right">Change</th></tr>`
+      : '<tr><th></th><th align="right">This digest</th></tr>';
+
+    const rows = Object.entries(DIGEST_COUNT_TITLES).map(([key, name]) => {
+      const cells = [`<td>${name}</td>`, `<td align="right">${counts[key]}</td>`];
+      if (comparison) {
+        const current = comparison.current.counts[key];
+        const change = current - comparison.previous.counts[key];
+        const color = change > 0 ? '#188038' : change < 0 ? '#d93025' : '#5f6368';
+        cells.push(
+          `<td align="right">${current}</td>`,
+          `<td align="right">${comparison.previous.counts[key]}</td>`,
+          `<td align="right" style="color:${color}">${change > 0 ? '+' : ''}${change}</td>`
+        );
+      }
+      return `<tr>${cells.join('')}</tr>`;
+    });
+
+    return `<table cellpadding="4" style="border-collapse:collapse;margin-bottom:16px">${header}${rows.join('')}</table>`;
+  }
+
+  static renderReview(entries, lowConfidence, account) {
+    return [
+      '<div style="background:#fef7e0;border-left:4px solid #f9ab00;padding:8px 12px;margin-bottom:16px">',
+      `<h3 style="margin:0 0 8px">Needs review (confidence below ${Math.round(lowConfidence * 100)}%)</h3>`,
+      DigestRenderer.renderTable(entries, lowConfidence, account, true),
+      '</div>'
+    ].join('\n');
+  }
+
+  static renderGroup(group, lowConfidence, account) {
+    const count = group.labels.reduce((sum, { entries }) => sum + entries.length, 0);
+    return [
+      `<h3 style="margin:16px 0 4px">${DigestRenderer.escape(group.title)} (${count})</h3>`,
+      ...group.labels.map(({ label, entries }) => [
+        label ? `<h4 style="margin:8px 0 4px;color:#5f6368">${DigestRenderer.escape(label)}</h4>` : '',
+        DigestRenderer.renderTable(entries, lowConfidence, account, false)
+      ].join('\n'))
+    ].join('\n');
+  }
+
+  static renderTable(entries, lowConfidence, account, showDecision) {
+    const rows = entries.map(entry => {
+      const flagged = DigestRenderer.needsReview(entry, lowConfidence);
+      const style = flagged && !showDecision ? ' style="background:#fef7e0"' : '';
+      const decision = showDecision
+        ? `<td>${DigestRenderer.escape(entry.action)}${entry.label ? ` → ${DigestRenderer.escape(entry.label)}` : ''}</td>`
+        : '';
+      const mode = entry.mode && entry.mode !== 'production' ? ` <em>(${DigestRenderer.escape(entry.mode)})</em>` : '';
+      return `<tr${style}>` +
+        `<td><a href="${DigestRenderer.escape(DigestRenderer.link(entry.id, account))}">${DigestRenderer.escape(entry.subject || '(no subject)')}</a>${mode}</td>` +
+        `<td>${DigestRenderer.escape(entry.sender)}</td>` +
+        decision +
+        `<td align="right" title="${DigestRenderer.escape(entry.reason || '')}">${DigestRenderer.percent(entry.confidence)}</td>` +
+        '</tr>';
+    });
+    return `<table cellpadding="4" style="border-collapse:collapse;width:100%">${rows.join('')}</table>`;
+  }
+
+  /**
+   * Deep link that opens the thread in the right mailbox
+   */
+  static link(threadId, account) {
+    const user = account ? `?authuser=${encodeURIComponent(account)}` : '';
+    return `https://mail.google.com/mail/${user}#all/${threadId}`;
+  }
+
+  static percent(confidence) {
+    return typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : '';
+  }
+
+  static formatDate(value, timeZone) {
+    if (!value) return '';
+    return new Intl.DateTimeFormat('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+  }
+
+  static escape(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { DigestStore, DigestRenderer, DIGEST_FREQUENCIES };
+}
@@ -0,0 +1,255 @@
+/**
+ * Gmail Triage - Feedback Learning
+ * Compares what a run did (its journal) with the thread's current state to
+ * find user overrides, and turns them into sender and keyword weights that
+ * adjust later classifications.
+ */
+
+// ==================== CORRECTION DETECTION ====================
+class FeedbackLearner {
+  /**
+   * Find user corrections to a journaled run
+   * @param {Object} journal - Journal as returned by RunJournal.load()
+   * @param {GmailApp} gmail - GmailApp (or compatible) service
+   * @param {string} systemPrefix - Labels under this prefix are ignored
+   * @param {Function} senderOf - (thread) => sender address, as used for classification
+   * @returns {Array} [{ runId, threadId, sender, subject, type, from, to }]
+   *   type is 'label-removed', 'relabeled', 'label-added' (another label added
+   *   next to the one applied) or 'unarchived'
+   */
+  static detectCorrections(journal, gmail, systemPrefix = '_Triage', senderOf = null) {
+    const getSender = senderOf || (thread => FeedbackLearner.extractSender(thread.getMessages()[0].getFrom()));
+
+    const corrections = [];
+
+    for (const entry of journal.entries) {
+      const thread = gmail.getThreadById(entry.threadId);
+      if (!thread) continue;
+
+      const before = entry.before;
+      const current = thread.getLabels().map(l => l.getName());
+      const isUserLabel = name => !name.startsWith(systemPrefix) && !before.labels.includes(name);
+
+      const applied = [...new Set(entry.changes
+        .filter(change => change.type === 'addLabel' && isUserLabel(change.label))
+        .map(change => change.label))];
+      const removed = applied.filter(name => !current.includes(name));
+      const added = current.filter(name => isUserLabel(name) && !applied.includes(name));
+      const archived = entry.changes.some(change => change.type === 'archive');
+      const unarchived = archived && before.inInbox && thread.isInInbox();
+
+      if (removed.length === 0 && added.length === 0 && !unarchived) continue;
+
+      const base = {
+        runId: journal.runId,
+        threadId: entry.threadId,
+        sender: getSender(thread),
+        subject: entry.subject
+      };
+
+      for (const label of removed) {
+        corrections.push({
+          ...base,
+          type: added.length > 0 ? 'relabeled' : 'label-removed',
+          from: label,
+          to: added[0] || null
+        });
+      }
+
+      if (removed.length === 0 && applied.length > 0) {
+        for (const label of added) {
+          corrections.push({ ...base, type: 'label-added', from: applied[0], to: label });
+        }
+      }
+
+      if (unarchived) {
+        corrections.push({ ...base, type: 'unarchived', from: null, to: null });
+      }
+    }
+
+    return corrections;
+  }
+
+  static extractSender(fromString) {
+    const match = String(fromString).match(/<(.+?)>/);
+    return (match ? match[1] : String(fromString)).toLowerCase();
+  }
+}
+
+// ==================== FEEDBACK WEIGHTS ====================
+const FEEDBACK_WEIGHTS_KEY = 'TRIAGE_FEEDBACK_WEIGHTS';
+const FEEDBACK_CHUNK_SIZE = 3000; // Characters - under the 9KB value cap even for multi-byte keys
+const FEEDBACK_MAX_SENDER_BYTES = 60 * 1024; // Of the 500KB store shared with journals and the digest
+const FEEDBACK_MAX_KEYWORD_BYTES = 30 * 1024;
+const FEEDBACK_MAX_REVIEWED_RUNS = 100;
+const FEEDBACK_KEYWORD_FACTOR = 0.25; // A keyword counts a quarter of a sender correction
+const FEEDBACK_PREFERRED_THRESHOLD = 2; // Corrections before a sender's label is overridden
+
+class FeedbackWeights {
+  constructor(data = {}) {
+    this.senders = data.senders || {};
+    this.keywords = data.keywords || {};
+    this.reviewedRuns = data.reviewedRuns || [];
+  }
+
+  /**
+   * Load saved weights - the meta key holds the chunk count
+   */
+  static load(properties) {
+    const meta = properties.getProperty(FEEDBACK_WEIGHTS_KEY);
+    if (!meta) return new FeedbackWeights();
+
+    const { chunks } = JSON.parse(meta);
+    let payload = '';
+    for (let i = 0; i < chunks; i++) {
+      payload += properties.getProperty(`${FEEDBACK_WEIGHTS_KEY}_${i}`) || '';
+    }
+    return new FeedbackWeights(JSON.parse(payload));
+  }
+
+  /**
+   * Save in chunks, pruning the least recently corrected senders and
+   * keywords to their byte caps first. The chunk count is written last.
+   */
+  save(properties) {
+    this._prune(this.senders, FEEDBACK_MAX_SENDER_BYTES);
+    this._prune(this.keywords, FEEDBACK_MAX_KEYWORD_BYTES);
+    this.reviewedRuns = this.reviewedRuns.slice(-FEEDBACK_MAX_REVIEWED_RUNS);
+
+    const payload = JSON.stringify({
+      senders: this.senders,
+      keywords: this.keywords,
+      reviewedRuns: this.reviewedRuns
+    });
+    const chunks = [];
+    for (let i = 0; i < payload.length; i += FEEDBACK_CHUNK_SIZE) {
+      chunks.push(payload.substring(i, i + FEEDBACK_CHUNK_SIZE));
+    }
+
+    const previous = JSON.parse(properties.getProperty(FEEDBACK_WEIGHTS_KEY) || '{}');
+    chunks.forEach((chunk, i) => properties.setProperty(`${FEEDBACK_WEIGHTS_KEY}_${i}`, chunk));
+    properties.setProperty(FEEDBACK_WEIGHTS_KEY, JSON.stringify({ chunks: chunks.length }));
+    for (let i = chunks.length; i < (previous.chunks || 0); i++) {
+      properties.deleteProperty(`${FEEDBACK_WEIGHTS_KEY}_${i}`);
+    }
+    return chunks.length;
+  }
+
+  /**
+   * Drop the oldest entries until the map's JSON fits maxBytes; learn()
+   * re-inserts keys so recent ones survive
+   */
+  _prune(map, maxBytes) {
+    const sizes = Object.keys(map).map(key => [key, RunJournal.byteLength(JSON.stringify({ [key]: map[key] })) - 1]);
+    let total = sizes.reduce((sum, [, size]) => sum + size, 1);
+    for (const [key, size] of sizes) {
+      if (total <= maxBytes) break;
+      delete map[key];
+      total -= size;
+    }
+  }
+
+  isReviewed(runId) {
+    return this.reviewedRuns.includes(runId);
+  }
+
+  markReviewed(runId) {
+    if (!this.isReviewed(runId)) this.reviewedRuns.push(runId);
+  }
+
+  /**
+   * Update weights from one correction
+   * @param {Object} correction - From FeedbackLearner.detectCorrections()
+   * @param {string[]} tokens - Keywords of the corrected email
+   */
+  learn(correction, tokens = []) {
+    const sender = this._touch(this.senders, correction.sender, () => ({ labels: {}, noArchive: false }));
+
+    if (correction.type === 'unarchived') {
+      sender.noArchive = true;
+      return;
+    }
+
+    // An added label leaves the applied one standing; only the new one gains
+    const deltas = correction.type === 'label-added' ? {} : { [correction.from]: -1 };
+    if ((correction.type === 'relabeled' || correction.type === 'label-added') && correction.to) deltas[correction.to] = 1;
+
+    for (const [label, delta] of Object.entries(deltas)) {
+      sender.labels[label] = (sender.labels[label] || 0) + delta;
+
+      for (const token of new Set(tokens)) {
+        const keyword = this._touch(this.keywords, token, () => ({}));
+        keyword[label] = (keyword[label] || 0) + delta;
+      }
+    }
+  }
+
+  _touch(map, key, create) {
+    const entry = map[key] || create();
+    delete map[key];
+    map[key] = entry;
+    return entry;
+  }
+
+  /**
+   * Net correction score for a label: sender corrections plus weighted keywords
+   */
+  score(sender, label, tokens = []) {
+    const senderScore = (this.senders[sender] && this.senders[sender].labels[label]) || 0;
+    let keywordScore = 0;
+    for (const token of new Set(tokens)) {
+      keywordScore += (this.keywords[token] && this.keywords[token][label]) || 0;
+    }
+    return senderScore + keywordScore * FEEDBACK_KEYWORD_FACTOR;
+  }
+
+  /**
+   * Apply learned corrections to a classification
+   * @param {Object} result - { action, label, confidence, reason }
+   * @param {string} sender
+   * @param {string[]} tokens - Keywords of the email
+   */
+  adjust(result, sender, tokens = []) {
+    const entry = this.senders[sender];
+    let adjusted = { ...result };
+    let overridden = false;
+
+    // Repeatedly moved to another label: use that label instead
+    if (entry) {
+      const [preferred, count] = Object.entries(entry.labels)
+        .sort((a, b) => b[1] - a[1])[0] || [];
+
+      if (preferred && count >= FEEDBACK_PREFERRED_THRESHOLD && preferred !== result.label) {
+        adjusted = {
+          action: 'label',
+          label: preferred,
+          confidence: Math.min(0.5 + 0.1 * count, 0.9),
+          reason: `Learned from ${count} corrections`
+        };
+        overridden = true;
+      }
+    }
+
+    if (adjusted.label && !overridden) {
+      const score = this.score(sender, adjusted.label, tokens);
+      if (score !== 0) {
+        // Each net correction halves (or doubles) the confidence
+        const scaled = adjusted.confidence * Math.pow(2, score);
+        adjusted.confidence = Math.min(scaled, Math.max(adjusted.confidence, 0.95));
+        adjusted.reason += score < 0 ? ' (lowered by corrections)' : ' (raised by corrections)';
+      }
+    }
+
+    // Sender's mail was moved back to the inbox before: never archive it
+    if (entry && entry.noArchive) {
+      adjusted.noArchive = true;
+      if (adjusted.action === 'archive') adjusted.action = 'keep';
+    }
+
+    return adjusted;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { FeedbackLearner, FeedbackWeights };
+}
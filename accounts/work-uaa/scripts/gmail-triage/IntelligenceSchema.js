@@ -0,0 +1,249 @@
+/**
+ * Gmail Triage - Historical Intelligence Schema
+ * Declares the sheets of the analysis spreadsheet and validates them before
+ * HistoricalIntelligence uses any of it. Data is all-or-nothing: one missing
+ * column, bad cell or duplicate key and the whole spreadsheet is refused.
+ *
+ * Column types: 'text' (string or number, trimmed), 'number' and 'any'.
+ * A trailing '?' marks an optional column, which may be absent or empty.
+ */
+
+// ==================== SCHEMA ====================
+const INTELLIGENCE_SCHEMA = {
+  version: 1,
+  tables: {
+    Senders: {
+      key: 'Sender',
+      columns: { Sender: 'text', Count: 'number', 'Avg Labels': 'number?' }
+    },
+    Keywords: {
+      key: 'Keyword',
+      columns: { Keyword: 'text', Count: 'number', 'Most Common Label': 'text?' }
+    },
+    Characteristics: {
+      key: 'Label',
+      columns: { Label: 'text', 'Top Senders': 'text?', 'Top Keywords': 'text?', 'Avg Response Time': 'any?' }
+    }
+  },
+  // Key | Value rows without a header
+  metadata: {
+    sheet: 'Metadata',
+    keys: { 'Total Emails Analyzed': 'number', 'Schema Version': 'number?' }
+  }
+};
+
+const SCHEMA_MAX_REPORTED_VALUES = 10; // Bad values listed per sheet
+
+// ==================== VALIDATION ====================
+class IntelligenceSchema {
+  /**
+   * Validate every declared sheet
+   * @param {Spreadsheet} spreadsheet
+   * @param {Object} schema
+   * @returns {Object} { report, data } - data.<Table> is an array of typed row
+   *   objects, data.Metadata an object of typed values
+   */
+  static validate(spreadsheet, schema = INTELLIGENCE_SCHEMA) {
+    const report = {
+      schemaVersion: schema.version,
+      sheetVersion: null,
+      valid: true,
+      errors: [],
+      warnings: [],
+      sheets: {}
+    };
+    const data = {};
+
+    for (const [name, spec] of Object.entries(schema.tables)) {
+      const sheet = spreadsheet.getSheetByName(name);
+      if (!sheet) {
+        report.errors.push(`${name}: sheet is missing`);
+        report.sheets[name] = { found: false };
+        continue;
+      }
+
+      const result = IntelligenceSchema.validateTable(name, sheet.getDataRange().getValues(), spec);
+      report.sheets[name] = result.summary;
+      report.errors.push(...result.errors);
+      data[name] = result.rows;
+    }
+
+    const metaSheet = spreadsheet.getSheetByName(schema.metadata.sheet);
+    if (!metaSheet) {
+      report.errors.push(`${schema.metadata.sheet}: sheet is missing`);
+      report.sheets[schema.metadata.sheet] = { found: false };
+    } else {
+      const result = IntelligenceSchema.validateMetadata(metaSheet.getDataRange().getValues(), schema.metadata);
+      report.sheets[schema.metadata.sheet] = result.summary;
+      report.errors.push(...result.errors);
+      data.Metadata = result.values;
+
+      // Sheets written before versioning are treated as version 1
+      const version = result.values['Schema Version'];
+      report.sheetVersion = version === undefined ? null : version;
+      if (version === undefined) {
+        report.warnings.push(`Metadata: no Schema Version, assuming ${schema.version}`);
+      } else if (version !== schema.version) {
+        report.errors.push(`Metadata: Schema Version ${version} is not supported (expected ${schema.version})`);
+      }
+    }
+
+    report.valid = report.errors.length === 0;
+    return { report, data };
+  }
+
+  /**
+   * Check a header row plus data rows against a table spec
+   * @returns {Object} { summary, errors, rows }
+   */
+  static validateTable(name, values, spec) {
+    const headers = (values[0] || []).map(h => String(h).trim());
+    const summary = { found: true, rows: 0, skipped: 0, missingColumns: [], badValues: [], duplicates: [] };
+    const errors = [];
+    const rows = [];
+
+    const columns = Object.entries(spec.columns).map(([column, declared]) => ({
+      column,
+      type: declared.replace('?', ''),
+      optional: declared.endsWith('?'),
+      index: headers.indexOf(column)
+    }));
+
+    for (const { column, optional, index } of columns) {
+      if (index === -1 && !optional) summary.missingColumns.push(column);
+    }
+    if (summary.missingColumns.length > 0) {
+      errors.push(`${name}: missing columns ${summary.missingColumns.join(', ')}`);
+      return { summary, errors, rows };
+    }
+
+    const keyIndex = headers.indexOf(spec.key);
+    const seen = new Set();
+
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+
+      // Blank key: trailing empty rows
+      if (row[keyIndex] === '' || row[keyIndex] === null || row[keyIndex] === undefined) {
+        summary.skipped++;
+        continue;
+      }
+
+      const record = {};
+      for (const { column, type, optional, index } of columns) {
+        const raw = index === -1 ? '' : row[index];
+        const value = IntelligenceSchema.coerce(raw, type);
+
+        if (value === undefined && !(optional && raw === '')) {
+          summary.badValues.push({ row: i + 1, column, value: raw });
+        }
+        record[column] = value === undefined ? null : value;
+      }
+
+      const key = String(record[spec.key]).toLowerCase();
+      if (seen.has(key)) {
+        summary.duplicates.push(key);
+      }
+      seen.add(key);
+
+      rows.push(record);
+      summary.rows++;
+    }
+
+    if (summary.badValues.length > 0) {
+      const listed = summary.badValues.slice(0, SCHEMA_MAX_REPORTED_VALUES)
+        .map(bad => `row ${bad.row} ${bad.column}=${JSON.stringify(bad.value)}`);
+      const more = summary.badValues.length - listed.length;
+      errors.push(`${name}: ${summary.badValues.length} bad values (${listed.join('; ')}${more > 0 ? `; and ${more} more` : ''})`);
+    }
+    if (summary.duplicates.length > 0) {
+      errors.push(`${name}: duplicate ${spec.key} ${[...new Set(summary.duplicates)].join(', ')}`);
+    }
+
+    return { summary, errors, rows };
+  }
+
+  /**
+   * Check Key | Value rows against the metadata spec
+   * @returns {Object} { summary, errors, values }
+   */
+  static validateMetadata(values, spec) {
+    const summary = { found: true, rows: values.length, missingKeys: [], badValues: [] };
+    const errors = [];
+    const typed = {};
+
+    const raw = {};
+    for (const row of values) {
+      if (row[0] !== '' && row[0] !== null && row[0] !== undefined) raw[String(row[0]).trim()] = row[1];
+    }
+
+    for (const [key, declared] of Object.entries(spec.keys)) {
+      const optional = declared.endsWith('?');
+      if (!(key in raw)) {
+        if (!optional) summary.missingKeys.push(key);
+        continue;
+      }
+
+      const value = IntelligenceSchema.coerce(raw[key], declared.replace('?', ''));
+      if (value === undefined) {
+        summary.badValues.push({ key, value: raw[key] });
+      } else {
+        typed[key] = value;
+      }
+    }
+
+    if (summary.missingKeys.length > 0) {
+      errors.push(`${spec.sheet}: missing keys ${summary.missingKeys.join(', ')}`);
+    }
+    for (const bad of summary.badValues) {
+      errors.push(`${spec.sheet}: bad value for ${bad.key}: ${JSON.stringify(bad.value)}`);
+    }
+
+    return { summary, errors, values: typed };
+  }
+
+  /**
+   * Convert a cell to a declared type, or undefined when it does not fit
+   */
+  static coerce(value, type) {
+    if (type === 'any') return value;
+
+    if (type === 'text') {
+      if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+      const text = String(value).trim();
+      return text === '' ? undefined : text;
+    }
+
+    if (type === 'number') {
+      if (typeof value === 'number') return isNaN(value) ? undefined : value;
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+      return undefined;
+    }
+
+    throw new Error(`Unknown schema type: ${type}`);
+  }
+
+  /**
+   * Human-readable report lines for logging
+   */
+  static formatReport(report) {
+    const lines = [
+      `Schema version ${report.schemaVersion} (spreadsheet: ${report.sheetVersion === null ? 'unversioned' : report.sheetVersion})`
+    ];
+
+    for (const [name, sheet] of Object.entries(report.sheets)) {
+      lines.push(sheet.found
+        ? `  ${name}: ${sheet.rows} rows${sheet.skipped ? `, ${sheet.skipped} blank skipped` : ''}`
+        : `  ${name}: missing`);
+    }
+
+    report.warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+    report.errors.forEach(error => lines.push(`❌ ${error}`));
+    lines.push(report.valid ? '✅ Valid' : '❌ Invalid - historical intelligence not used');
+    return lines;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { IntelligenceSchema, INTELLIGENCE_SCHEMA };
+}
@@ -0,0 +1,283 @@
+/**
+ * Gmail Triage - Batched Mutations
+ * The triage loop records what it wants to change in a MutationPlan; apply()
+ * then writes everything with as few calls as possible. With the Gmail
+ * advanced service, threads needing the same changes share one
+ * Users.Messages.batchModify call per 1,000 message IDs. Without it the plan
+ * falls back to GmailApp's bulk methods, 100 threads per call.
+ *
+ * Each change is checked against the account's AccountPolicy when it is
+ * planned, so a restricted operation fails before it is journaled: labels
+ * need 'label', archiving and holding 'archive', and marking important or
+ * starring 'modify'. apply() audit-logs each operation once with its count.
+ */
+
+// ==================== LABEL CACHE ====================
+const BATCH_MODIFY_LIMIT = 1000; // Message IDs per batchModify request
+const GMAILAPP_BATCH_LIMIT = 100; // Threads per GmailApp bulk call
+
+class LabelCache {
+  /**
+   * Resolves label names once per run, creating missing labels
+   * @param {Object} options
+   * @param {GmailApp} options.gmail - GmailApp (or compatible) service
+   * @param {Gmail} options.advanced - Gmail advanced service, or null
+   */
+  constructor(options = {}) {
+    this.gmail = options.gmail || GmailApp;
+    this.advanced = options.advanced === undefined ? LabelCache.advancedService() : options.advanced;
+    this.labels = null;
+    this.labelIds = null;
+  }
+
+  /**
+   * The Gmail advanced service if it is enabled for this script
+   */
+  static advancedService() {
+    return typeof Gmail !== 'undefined' && Gmail.Users && Gmail.Users.Messages ? Gmail : null;
+  }
+
+  /**
+   * GmailLabel for a name
+   */
+  getLabel(name) {
+    if (!this.labels) {
+      this.labels = {};
+      this.gmail.getUserLabels().forEach(label => { this.labels[label.getName()] = label; });
+    }
+
+    if (!this.labels[name]) {
+      this.labels[name] = this.gmail.createLabel(name);
+    }
+    return this.labels[name];
+  }
+
+  /**
+   * Gmail API label ID for a name (advanced service only)
+   */
+  getLabelId(name) {
+    if (!this.labelIds) {
+      this.labelIds = {};
+      const response = this.advanced.Users.Labels.list('me');
+      (response.labels || []).forEach(label => { this.labelIds[label.name] = label.id; });
+    }
+
+    if (!this.labelIds[name]) {
+      const created = this.advanced.Users.Labels.create({
+        name,
+        labelListVisibility: 'labelShow',
+        messageListVisibility: 'show'
+      }, 'me');
+      this.labelIds[name] = created.id;
+    }
+    return this.labelIds[name];
+  }
+}
+
+// ==================== MUTATION PLAN ====================
+class MutationPlan {
+  /**
+   * @param {LabelCache} labels
+   * @param {Object} options
+   * @param {RunJournal} options.journal - Every planned change is journaled first
+   * @param {GmailApp} options.gmail - Fallback service
+   * @param {AccountPolicy} options.policy - Defaults to AccountPolicy.current()
+   */
+  constructor(labels, options = {}) {
+    this.labels = labels;
+    this.journal = options.journal || null;
+    this.gmail = options.gmail || GmailApp;
+    this.policy = options.policy || AccountPolicy.current();
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  _entry(thread) {
+    const threadId = thread.getId();
+    if (!this.entries.has(threadId)) {
+      this.entries.set(threadId, {
+        thread,
+        messageIds: null,
+        labels: new Set(),
+        archive: false,
+        important: false,
+        starred: []
+      });
+    }
+    return this.entries.get(threadId);
+  }
+
+  _record(thread, change, operation) {
+    // authorize() throws the PolicyError; allowed operations are audited in apply()
+    if (!this.policy.allows(operation)) this.policy.authorize(operation, { thread: thread.getId() });
+    if (this.journal) this.journal.record(thread, change);
+  }
+
+  /**
+   * Message IDs of a thread, when already known - saves a getMessages() call
+   */
+  track(thread, messageIds) {
+    this._entry(thread).messageIds = messageIds;
+    return this;
+  }
+
+  addLabel(thread, name) {
+    this._record(thread, { type: 'addLabel', label: name }, 'label');
+    this._entry(thread).labels.add(name);
+    return this;
+  }
+
+  /**
+   * @param {string} type - Journal change type: 'archive' or 'hold'
+   */
+  archive(thread, type = 'archive') {
+    this._record(thread, { type }, 'archive');
+    this._entry(thread).archive = true;
+    return this;
+  }
+
+  markImportant(thread) {
+    this._record(thread, { type: 'markImportant' }, 'modify');
+    this._entry(thread).important = true;
+    return this;
+  }
+
+  star(thread, message) {
+    this._record(thread, { type: 'star', messageId: message.getId() }, 'modify');
+    this._entry(thread).starred.push(message);
+    return this;
+  }
+
+  /**
+   * Write all planned changes and clear the plan
+   * @returns {Object} { mode, threads, calls, errors, fallbackReason? }
+   *   mode is 'advanced', 'gmailapp' or 'none' for an empty plan
+   */
+  apply() {
+    const entries = [...this.entries.values()];
+    this.entries.clear();
+
+    const result = { mode: 'none', threads: entries.length, calls: 0, errors: [] };
+    if (entries.length === 0) return result;
+    this._authorize(entries);
+
+    if (this.labels.advanced) {
+      try {
+        this._applyAdvanced(entries, result);
+        result.mode = 'advanced';
+        return result;
+      } catch (error) {
+        // Advanced service unusable (e.g. Gmail API not enabled) before the
+        // first modification: the whole plan goes through GmailApp instead
+        result.fallbackReason = error.toString();
+      }
+    }
+
+    this._applyGmailApp(entries, result);
+    result.mode = 'gmailapp';
+    return result;
+  }
+
+  /**
+   * Check (and audit) every operation the plan performs before writing any
+   */
+  _authorize(entries) {
+    const labels = new Set(entries.flatMap(entry => [...entry.labels]));
+    const count = test => entries.filter(test).length;
+    const operations = [
+      ['label', { labels: [...labels], threads: count(entry => entry.labels.size > 0) }],
+      ['archive', { threads: count(entry => entry.archive) }],
+      ['modify', { threads: count(entry => entry.important || entry.starred.length > 0) }]
+    ];
+    for (const [operation, details] of operations) {
+      if (details.threads > 0) this.policy.authorize(operation, details);
+    }
+  }
+
+  /**
+   * One batchModify per set of identical changes and 1,000 message IDs.
+   * Throws only if nothing has been modified yet.
+   */
+  _applyAdvanced(entries, result) {
+    const groups = new Map();
+    const addToGroup = (add, remove, ids) => {
+      const key = `${add.join(',')}|${remove.join(',')}`;
+      if (!groups.has(key)) groups.set(key, { add, remove, ids: [] });
+      groups.get(key).ids.push(...ids);
+    };
+
+    // Resolve every label before the first modification
+    for (const entry of entries) {
+      const add = [...entry.labels].map(name => this.labels.getLabelId(name));
+      if (entry.important) add.push('IMPORTANT');
+      add.sort();
+      const remove = entry.archive ? ['INBOX'] : [];
+
+      if (add.length > 0 || remove.length > 0) {
+        const ids = entry.messageIds || entry.thread.getMessages().map(message => message.getId());
+        addToGroup(add, remove, ids);
+      }
+      if (entry.starred.length > 0) {
+        addToGroup(['STARRED'], [], entry.starred.map(message => message.getId()));
+      }
+    }
+
+    for (const group of groups.values()) {
+      for (let i = 0; i < group.ids.length; i += BATCH_MODIFY_LIMIT) {
+        const ids = group.ids.slice(i, i + BATCH_MODIFY_LIMIT);
+        try {
+          this.labels.advanced.Users.Messages.batchModify({
+            ids,
+            addLabelIds: group.add,
+            removeLabelIds: group.remove
+          }, 'me');
+        } catch (error) {
+          if (result.calls === 0) throw error;
+          result.errors.push({ operation: `batchModify +${group.add} -${group.remove}`, count: ids.length, error: error.toString() });
+        }
+        result.calls++;
+      }
+    }
+  }
+
+  /**
+   * GmailApp bulk methods, 100 threads per call
+   */
+  _applyGmailApp(entries, result) {
+    const run = (operation, items, fn) => {
+      for (let i = 0; i < items.length; i += GMAILAPP_BATCH_LIMIT) {
+        const chunk = items.slice(i, i + GMAILAPP_BATCH_LIMIT);
+        try {
+          fn(chunk);
+        } catch (error) {
+          result.errors.push({ operation, count: chunk.length, error: error.toString() });
+        }
+        result.calls++;
+      }
+    };
+
+    const byLabel = {};
+    for (const entry of entries) {
+      entry.labels.forEach(name => (byLabel[name] = byLabel[name] || []).push(entry.thread));
+    }
+
+    for (const [name, threads] of Object.entries(byLabel)) {
+      const label = this.labels.getLabel(name);
+      run(`addLabel ${name}`, threads, chunk => label.addToThreads(chunk));
+    }
+
+    const important = entries.filter(entry => entry.important).map(entry => entry.thread);
+    const archived = entries.filter(entry => entry.archive).map(entry => entry.thread);
+
+    run('markImportant', important, chunk => this.gmail.markThreadsImportant(chunk));
+    run('archive', archived, chunk => this.gmail.moveThreadsToArchive(chunk));
+    run('star', entries.flatMap(entry => entry.starred), chunk => this.gmail.starMessages(chunk));
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { LabelCache, MutationPlan };
+}
@@ -0,0 +1,296 @@
+/**
+ * Gmail Triage - Naive Bayes Classifier
+ * Multinomial Naive Bayes over subject, body and sender tokens, trained on
+ * threads that already carry user labels. Pure JavaScript so fit/predict
+ * run the same in Apps Script and Node.
+ */
+
+// ==================== TOKENIZER ====================
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from',
+  'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no', 'nor',
+  'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over',
+  'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until',
+  'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom',
+  'why', 'will', 'with', 'would', 'you', 'your', 'yours', 're', 'fw', 'fwd', 'hi', 'hello',
+  'thanks', 'thank', 'regards', 'best', 'dear', 'please', 'com', 'www', 'http', 'https'
+]);
+
+/**
+ * Split text into lowercase word tokens without stop-words, numbers or URLs
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(token =>
+      token.length >= 2 &&
+      token.length <= 30 &&
+      !STOP_WORDS.has(token) &&
+      !/^\d+$/.test(token)
+    );
+}
+
+/**
+ * Turn an email into model features: text tokens plus sender and domain
+ * @param {Object} email - { sender, subject, body }
+ */
+function extractFeatures({ sender = '', subject = '', body = '' }) {
+  const features = tokenize(`${subject} ${body}`);
+  const address = String(sender).toLowerCase();
+
+  if (address) {
+    features.push(`sender:${address}`);
+    if (address.includes('@')) features.push(`domain:${address.split('@').pop()}`);
+  }
+
+  return features;
+}
+
+// ==================== CLASSIFIER ====================
+const CALIBRATION_TEMPERATURES = [1, 1.5, 2, 3, 5, 8, 12, 20, 30, 50];
+
+class NaiveBayesClassifier {
+  /**
+   * @param {Object} options
+   * @param {number} options.alpha - Additive (Laplace) smoothing
+   * @param {number} options.maxVocabulary - Keep only the most frequent tokens
+   * @param {number} options.minTokenCount - Drop tokens seen fewer times
+   */
+  constructor(options = {}) {
+    this.alpha = options.alpha || 1;
+    this.maxVocabulary = options.maxVocabulary || 5000;
+    this.minTokenCount = options.minTokenCount || 2;
+    this.temperature = 1;
+    this.labels = {};
+    this.vocabulary = new Set();
+    this.documentCount = 0;
+  }
+
+  /**
+   * Train on labeled emails, replacing any previous model
+   * @param {Array} documents - [{ sender, subject, body, label }]
+   */
+  fit(documents) {
+    const labels = {};
+    const totals = {};
+
+    for (const doc of documents) {
+      if (!doc.label) continue;
+      const entry = labels[doc.label] || (labels[doc.label] = { docs: 0, total: 0, tokens: {} });
+      entry.docs++;
+
+      for (const token of extractFeatures(doc)) {
+        entry.tokens[token] = (entry.tokens[token] || 0) + 1;
+        totals[token] = (totals[token] || 0) + 1;
+      }
+    }
+
+    // Prune rare tokens and cap the vocabulary so the model stays small
+    const vocabulary = Object.keys(totals)
+      .filter(token => totals[token] >= this.minTokenCount)
+      .sort((a, b) => totals[b] - totals[a] || (a < b ? -1 : 1))
+      .slice(0, this.maxVocabulary);
+    this.vocabulary = new Set(vocabulary);
+
+    for (const entry of Object.values(labels)) {
+      const kept = {};
+      entry.total = 0;
+      for (const [token, count] of Object.entries(entry.tokens)) {
+        if (!this.vocabulary.has(token)) continue;
+        kept[token] = count;
+        entry.total += count;
+      }
+      entry.tokens = kept;
+    }
+
+    this.labels = labels;
+    this.documentCount = Object.values(labels).reduce((sum, entry) => sum + entry.docs, 0);
+    this.temperature = 1;
+    return this;
+  }
+
+  /**
+   * Unnormalized log posterior per label
+   */
+  _logScores(features) {
+    const labelNames = Object.keys(this.labels);
+    const vocabularySize = Math.max(this.vocabulary.size, 1);
+    const scores = {};
+
+    for (const label of labelNames) {
+      const entry = this.labels[label];
+      const denominator = entry.total + this.alpha * vocabularySize;
+      let score = Math.log(entry.docs / this.documentCount);
+
+      for (const token of features) {
+        if (!this.vocabulary.has(token)) continue;
+        score += Math.log(((entry.tokens[token] || 0) + this.alpha) / denominator);
+      }
+
+      scores[label] = score;
+    }
+
+    return scores;
+  }
+
+  /**
+   * Per-label probabilities, highest first
+   * @param {Object} email - { sender, subject, body }
+   * @returns {Array} [{ label, probability }]
+   */
+  predict(email) {
+    const labelNames = Object.keys(this.labels);
+    if (labelNames.length === 0) return [];
+
+    const scores = this._logScores(extractFeatures(email));
+    const scaled = labelNames.map(label => scores[label] / this.temperature);
+    const max = Math.max(...scaled);
+    const exps = scaled.map(score => Math.exp(score - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+
+    return labelNames
+      .map((label, i) => ({ label, probability: exps[i] / sum }))
+      .sort((a, b) => b.probability - a.probability);
+  }
+
+  /**
+   * Tokens of an email that most favour a label - useful as a reason
+   */
+  topTokens(email, label, limit = 5) {
+    const entry = this.labels[label];
+    if (!entry) return [];
+
+    return [...new Set(extractFeatures(email))]
+      .filter(token => entry.tokens[token])
+      .sort((a, b) => entry.tokens[b] - entry.tokens[a])
+      .slice(0, limit);
+  }
+
+  /**
+   * Naive Bayes is overconfident; pick the softmax temperature that minimizes
+   * log loss on held-out documents
+   */
+  calibrate(documents) {
+    const labeled = documents.filter(doc => doc.label && this.labels[doc.label]);
+    if (labeled.length === 0) return this.temperature;
+
+    let bestTemperature = 1;
+    let bestLoss = Infinity;
+
+    for (const temperature of CALIBRATION_TEMPERATURES) {
+      this.temperature = temperature;
+      let loss = 0;
+
+      for (const doc of labeled) {
+        const match = this.predict(doc).find(p => p.label === doc.label);
+        loss -= Math.log(Math.max(match.probability, 1e-12));
+      }
+
+      if (loss < bestLoss) {
+        bestLoss = loss;
+        bestTemperature = temperature;
+      }
+    }
+
+    this.temperature = bestTemperature;
+    return bestTemperature;
+  }
+
+  /**
+   * Fit on 80% of the threads, calibrate on the rest, then refit on all
+   * of them keeping the calibrated temperature. Documents sharing a
+   * threadId (weighted copies of a correction) stay on the same side.
+   */
+  static train(documents, options = {}) {
+    const holdoutEvery = options.holdoutEvery || 5;
+    const groups = new Map();
+    const groupOf = documents.map((doc, i) => {
+      const key = doc.threadId ? `thread:${doc.threadId}` : `doc:${i}`;
+      if (!groups.has(key)) groups.set(key, groups.size);
+      return groups.get(key);
+    });
+    const training = documents.filter((_, i) => groupOf[i] % holdoutEvery !== 0);
+    const holdout = documents.filter((_, i) => groupOf[i] % holdoutEvery === 0);
+
+    const model = new NaiveBayesClassifier(options).fit(training);
+    const temperature = model.calibrate(holdout);
+
+    model.fit(documents);
+    model.temperature = temperature;
+    return model;
+  }
+
+  toJSON() {
+    return {
+      version: 1,
+      alpha: this.alpha,
+      maxVocabulary: this.maxVocabulary,
+      minTokenCount: this.minTokenCount,
+      temperature: this.temperature,
+      trainedAt: new Date().toISOString(),
+      labels: this.labels
+    };
+  }
+
+  static fromJSON(data) {
+    const model = new NaiveBayesClassifier(data);
+    model.temperature = data.temperature || 1;
+    model.labels = data.labels || {};
+    model.documentCount = Object.values(model.labels).reduce((sum, entry) => sum + entry.docs, 0);
+    model.vocabulary = new Set();
+    for (const entry of Object.values(model.labels)) {
+      Object.keys(entry.tokens).forEach(token => model.vocabulary.add(token));
+    }
+    return model;
+  }
+}
+
+// ==================== MODEL STORE ====================
+const MODEL_CELL_SIZE = 40000; // Sheets cells hold up to 50,000 characters
+const MODEL_CELL_PREFIX = '~'; // Keeps Sheets from reading a chunk as a formula, number or date
+
+class ModelStore {
+  /**
+   * Persists a serialized model as chunks in column A of a sheet
+   * @param {Sheet} sheet
+   */
+  constructor(sheet) {
+    this.sheet = sheet;
+  }
+
+  save(model) {
+    const payload = JSON.stringify(model.toJSON());
+    const rows = [];
+    for (let i = 0; i < payload.length; i += MODEL_CELL_SIZE) {
+      rows.push([MODEL_CELL_PREFIX + payload.substring(i, i + MODEL_CELL_SIZE)]);
+    }
+
+    this.sheet.clear();
+    this.sheet.getRange(1, 1, rows.length, 1).setValues(rows);
+    return rows.length;
+  }
+
+  /**
+   * Load the stored model, or null when the sheet is empty
+   */
+  load() {
+    if (this.sheet.getLastRow() === 0) return null;
+
+    const payload = this.sheet.getRange(1, 1, this.sheet.getLastRow(), 1)
+      .getValues()
+      .map(row => String(row[0]).substring(MODEL_CELL_PREFIX.length))
+      .join('');
+
+    return payload ? NaiveBayesClassifier.fromJSON(JSON.parse(payload)) : null;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { NaiveBayesClassifier, ModelStore, tokenize, extractFeatures };
+}
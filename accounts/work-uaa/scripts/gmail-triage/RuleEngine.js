@@ -0,0 +1,323 @@
+/**
+ * Gmail Triage - Rule Engine
+ * Evaluates ordered, declarative classification rules loaded from JSON or
+ * the 'Rules' sheet of the analysis spreadsheet.
+ *
+ * Rule shape:
+ *   {
+ *     id: 'uni-meetings',
+ *     enabled: true,
+ *     when: { all: [ { field: 'domain', op: 'in', value: ['alaska.edu'] },
+ *                    { any: [ { field: 'text', op: 'contains', value: 'meeting' } ] } ] },
+ *     then: { action: 'label', label: 'Meetings', confidence: 0.8, reason: 'Meeting related' }
+ *   }
+ *
+ * Conditions nest with all / any / not. Fields: sender, domain, subject,
+ * body, text (subject + body), participants (every address in the thread),
+ * bulk ('list', 'bulk', 'auto' or empty - see BulkMail.js), list (List-Id)
+ * and header:<Name>. String comparisons are case-insensitive; participants is
+ * a list, and a condition on it matches when any address does. A label may
+ * contain {list}, replaced by the mailing list's List-Id.
+ */
+
+// ==================== DEFAULT RULE PACK ====================
+const DEFAULT_RULE_PACK = {
+  version: 1,
+  mode: 'first-match',
+  rules: [
+    {
+      id: 'university-meetings',
+      when: {
+        all: [
+          { field: 'domain', op: 'in', value: ['alaska.edu', 'ua.edu'] },
+          { field: 'text', op: 'contains', value: ['meeting', 'schedule'] }
+        ]
+      },
+      then: { action: 'label', label: 'Meetings', confidence: 0.8, reason: 'Meeting related' }
+    },
+    {
+      id: 'university-students',
+      when: {
+        all: [
+          { field: 'domain', op: 'in', value: ['alaska.edu', 'ua.edu'] },
+          { field: 'text', op: 'contains', value: ['student', 'grade'] }
+        ]
+      },
+      then: { action: 'label', label: 'Students', confidence: 0.8, reason: 'Student related' }
+    },
+    {
+      id: 'university-department',
+      when: {
+        all: [
+          { field: 'domain', op: 'in', value: ['alaska.edu', 'ua.edu'] },
+          { field: 'text', op: 'contains', value: ['department', 'faculty'] }
+        ]
+      },
+      then: { action: 'label', label: 'Department', confidence: 0.7, reason: 'Department business' }
+    },
+    {
+      id: 'mailing-lists',
+      when: { field: 'bulk', op: 'equals', value: 'list' },
+      then: { action: 'label', label: 'Lists/{list}', confidence: 0.85, reason: 'Mailing list' }
+    },
+    {
+      id: 'newsletters',
+      when: { field: 'bulk', op: 'equals', value: 'bulk' },
+      then: { action: 'label', label: 'Newsletters', confidence: 0.9, reason: 'Newsletter detected' }
+    }
+  ]
+};
+
+// ==================== RULE ENGINE ====================
+const RULE_ACTIONS = ['label', 'star', 'archive', 'keep'];
+const RULE_FIELDS = ['sender', 'domain', 'subject', 'body', 'text', 'participants', 'bulk', 'list'];
+
+const RULE_OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  contains: (actual, expected) => actual.includes(expected),
+  startsWith: (actual, expected) => actual.startsWith(expected),
+  endsWith: (actual, expected) => actual.endsWith(expected),
+  matches: (actual, expected) => new RegExp(expected, 'i').test(actual),
+  in: (actual, expected) => actual === expected,
+  exists: actual => actual !== ''
+};
+
+class RuleEngine {
+  /**
+   * @param {Object|Array} pack - Rule pack { mode, rules } or a bare rules array
+   * @param {Object} options
+   * @param {string} options.mode - 'first-match' (default) or 'best-score'
+   * @param {Object} options.fallback - Result when no rule matches
+   */
+  constructor(pack = DEFAULT_RULE_PACK, options = {}) {
+    const rules = Array.isArray(pack) ? pack : pack.rules || [];
+
+    this.mode = options.mode || pack.mode || 'first-match';
+    this.fallback = options.fallback || {
+      action: 'keep',
+      label: null,
+      confidence: 0.3,
+      reason: 'No specific rule matched'
+    };
+
+    if (!['first-match', 'best-score'].includes(this.mode)) {
+      throw new Error(`Unknown rule mode: ${this.mode}`);
+    }
+
+    rules.forEach((rule, i) => RuleEngine.validateRule(rule, i));
+    this.rules = rules.filter(rule => rule.enabled !== false);
+  }
+
+  /**
+   * Parse a JSON rule document
+   */
+  static fromJson(json, options = {}) {
+    return new RuleEngine(JSON.parse(json), options);
+  }
+
+  /**
+   * Build rules from a sheet with columns:
+   * Id | Enabled | Conditions | Action | Label | Confidence | Reason
+   * Rows are evaluated top to bottom; Conditions holds a JSON condition.
+   */
+  static fromSheet(sheet, options = {}) {
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0].map(h => String(h).trim());
+    const column = name => {
+      const index = headers.indexOf(name);
+      if (index === -1) throw new Error(`Rules sheet is missing column: ${name}`);
+      return index;
+    };
+
+    const idIndex = column('Id');
+    const enabledIndex = column('Enabled');
+    const conditionsIndex = column('Conditions');
+    const actionIndex = column('Action');
+    const labelIndex = column('Label');
+    const confidenceIndex = column('Confidence');
+    const reasonIndex = column('Reason');
+
+    const rules = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (!row[idIndex]) continue;
+
+      let when;
+      try {
+        when = JSON.parse(row[conditionsIndex]);
+      } catch (e) {
+        throw new Error(`Rule ${row[idIndex]} (row ${i + 1}) has invalid Conditions JSON: ${e.message}`);
+      }
+
+      rules.push({
+        id: String(row[idIndex]),
+        enabled: row[enabledIndex] !== false && String(row[enabledIndex]).toLowerCase() !== 'false',
+        when,
+        then: {
+          action: String(row[actionIndex]),
+          label: row[labelIndex] ? String(row[labelIndex]) : null,
+          confidence: Number(row[confidenceIndex]),
+          reason: String(row[reasonIndex] || row[idIndex])
+        }
+      });
+    }
+
+    return new RuleEngine({ rules }, options);
+  }
+
+  /**
+   * Throw a descriptive error for a malformed rule
+   */
+  static validateRule(rule, index) {
+    const name = rule && rule.id ? rule.id : `#${index}`;
+
+    if (!rule || !rule.id) throw new Error(`Rule ${name} is missing an id`);
+    if (!rule.when) throw new Error(`Rule ${name} is missing a 'when' condition`);
+    if (!rule.then) throw new Error(`Rule ${name} is missing a 'then' action`);
+
+    const { action, label, confidence } = rule.then;
+    if (!RULE_ACTIONS.includes(action)) {
+      throw new Error(`Rule ${name} has unknown action: ${action}`);
+    }
+    if (action === 'label' && !label) {
+      throw new Error(`Rule ${name} uses action 'label' without a label`);
+    }
+    if (typeof confidence !== 'number' || isNaN(confidence) || confidence < 0 || confidence > 1) {
+      throw new Error(`Rule ${name} confidence must be a number between 0 and 1`);
+    }
+
+    RuleEngine.validateCondition(rule.when, name);
+  }
+
+  static validateCondition(condition, name) {
+    if (condition.all || condition.any) {
+      const children = condition.all || condition.any;
+      if (!Array.isArray(children) || children.length === 0) {
+        throw new Error(`Rule ${name} has an empty all/any group`);
+      }
+      children.forEach(child => RuleEngine.validateCondition(child, name));
+      return;
+    }
+
+    if (condition.not) {
+      RuleEngine.validateCondition(condition.not, name);
+      return;
+    }
+
+    const { field, op } = condition;
+    if (!RULE_FIELDS.includes(field) && !/^header:.+/.test(field || '')) {
+      throw new Error(`Rule ${name} uses unknown field: ${field}`);
+    }
+    if (!RULE_OPERATORS[op]) {
+      throw new Error(`Rule ${name} uses unknown operator: ${op}`);
+    }
+    if (op !== 'exists' && condition.value === undefined) {
+      throw new Error(`Rule ${name} condition on ${field} is missing a value`);
+    }
+    if (op === 'matches') {
+      const patterns = Array.isArray(condition.value) ? condition.value : [condition.value];
+      patterns.forEach(pattern => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (e) {
+          throw new Error(`Rule ${name} has an invalid pattern: ${pattern}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Build the evaluation context for a message
+   * @param {Object} email - { sender, subject, body, message?, participants?, bulk? }
+   *   bulk is a BulkMailDetector.detect() result
+   */
+  static buildContext({ sender = '', subject = '', body = '', message = null, participants = [], bulk = null }) {
+    const headers = {};
+    const lowerSender = String(sender).toLowerCase();
+    const lowerSubject = String(subject).toLowerCase();
+    const lowerBody = String(body).toLowerCase();
+
+    return {
+      sender: lowerSender,
+      domain: lowerSender.includes('@') ? lowerSender.split('@').pop() : '',
+      subject: lowerSubject,
+      body: lowerBody,
+      text: `${lowerSubject} ${lowerBody}`,
+      participants: participants.map(address => String(address).toLowerCase()),
+      bulk: (bulk && bulk.kind) || '',
+      list: (bulk && bulk.listId) || '',
+      listName: (bulk && bulk.listName) || '',
+      header(name) {
+        const key = name.toLowerCase();
+        if (!(key in headers)) {
+          headers[key] = message && message.getHeader
+            ? String(message.getHeader(name) || '').toLowerCase()
+            : '';
+        }
+        return headers[key];
+      }
+    };
+  }
+
+  /**
+   * Evaluate a condition tree against a context
+   */
+  static matches(condition, context) {
+    if (condition.all) return condition.all.every(child => RuleEngine.matches(child, context));
+    if (condition.any) return condition.any.some(child => RuleEngine.matches(child, context));
+    if (condition.not) return !RuleEngine.matches(condition.not, context);
+
+    const actual = condition.field.startsWith('header:')
+      ? context.header(condition.field.substring('header:'.length))
+      : context[condition.field];
+    const test = RULE_OPERATORS[condition.op];
+
+    // List fields (participants) match when any element does
+    const actuals = Array.isArray(actual) ? actual : [actual];
+    if (condition.op === 'exists') return actuals.some(item => test(item));
+
+    // A list of values matches when any of them does. Patterns keep their
+    // case so escapes like \S survive; they are matched case-insensitively
+    const expected = Array.isArray(condition.value) ? condition.value : [condition.value];
+    return expected.some(value => actuals.some(item =>
+      test(item, condition.op === 'matches' ? String(value) : String(value).toLowerCase())
+    ));
+  }
+
+  /**
+   * Classify an email
+   * @param {Object} email - { sender, subject, body, message?, participants?, bulk? }
+   * @returns {Object} { action, label, confidence, reason, rule, matchedRules }
+   */
+  evaluate(email) {
+    const context = RuleEngine.buildContext(email);
+    const matched = [];
+
+    for (const rule of this.rules) {
+      if (!RuleEngine.matches(rule.when, context)) continue;
+
+      matched.push(rule);
+      if (this.mode === 'first-match') break;
+    }
+
+    if (matched.length === 0) {
+      return { ...this.fallback, rule: null, matchedRules: [] };
+    }
+
+    // Highest confidence wins; earlier rules win ties
+    const best = matched.reduce((a, b) => (b.then.confidence > a.then.confidence ? b : a));
+
+    return {
+      action: best.then.action,
+      label: best.then.label ? best.then.label.replace('{list}', context.listName || 'unknown') : null,
+      confidence: best.then.confidence,
+      reason: best.then.reason || best.id,
+      rule: best.id,
+      matchedRules: matched.map(rule => rule.id)
+    };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { RuleEngine, DEFAULT_RULE_PACK };
+}
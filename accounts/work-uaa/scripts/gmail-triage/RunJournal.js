@@ -0,0 +1,296 @@
+/**
+ * Gmail Triage - Run Journal
+ * Records every mutation a processInbox run makes, together with the prior
+ * state of each touched thread, so a single run can be rolled back.
+ *
+ * Journals share the 500KB Script Properties store with the digest, feedback
+ * weights and configuration, so all of them together stay under a byte
+ * budget: older runs are pruned before a new one is written.
+ */
+
+// ==================== RUN JOURNAL ====================
+const JOURNAL_KEY_PREFIX = 'TRIAGE_JOURNAL_';
+const JOURNAL_INDEX_KEY = 'TRIAGE_JOURNAL_INDEX';
+const JOURNAL_CHUNK_SIZE = 3000; // Characters - under the 9KB value cap even for multi-byte subjects
+const JOURNAL_MAX_BYTES = 200 * 1024; // All journals together, of the 500KB store
+const JOURNAL_RETAIN_HOURS = 24;
+
+class RunJournal {
+  /**
+   * @param {string} runId - Identifier for this run
+   * @param {Object} options
+   * @param {Object} options.properties - Script Properties store (getProperty/setProperty/deleteProperty)
+   * @param {string} options.mode - 'dry-run', 'preview' or 'production'
+   * @param {number} options.retainHours - Age in hours a journal is kept for,
+   *   unless the byte budget needs its room sooner
+   * @param {number} options.maxBytes - Budget for all saved journals together
+   */
+  constructor(runId, options = {}) {
+    this.runId = runId;
+    this.properties = options.properties || PropertiesService.getScriptProperties();
+    this.mode = options.mode || 'production';
+    this.retainHours = options.retainHours || JOURNAL_RETAIN_HOURS;
+    this.maxBytes = options.maxBytes || JOURNAL_MAX_BYTES;
+    this.startedAt = new Date().toISOString();
+    this.entries = {};
+  }
+
+  /**
+   * Build a sortable run ID from a date, e.g. 20250116-083015
+   */
+  static createRunId(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+      `-${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+  }
+
+  /**
+   * Capture the state of a thread before it is mutated
+   */
+  static snapshot(thread) {
+    return {
+      inInbox: thread.isInInbox(),
+      important: thread.isImportant(),
+      starredMessageIds: thread.getMessages().filter(m => m.isStarred()).map(m => m.getId()),
+      labels: thread.getLabels().map(l => l.getName())
+    };
+  }
+
+  /**
+   * Record a mutation. Must be called BEFORE the change is applied so the
+   * first record for a thread captures its original state.
+   * @param {GmailThread} thread
+   * @param {Object} change - { type: 'addLabel'|'archive'|'hold'|'star'|'markImportant', label?, messageId? }
+   *   'hold' is an after-hours archive that is undone when business hours start
+   */
+  record(thread, change) {
+    const threadId = thread.getId();
+    if (!this.entries[threadId]) {
+      this.entries[threadId] = {
+        threadId,
+        subject: thread.getFirstMessageSubject(),
+        before: RunJournal.snapshot(thread),
+        changes: []
+      };
+    }
+    this.entries[threadId].changes.push(change);
+  }
+
+  get threadCount() {
+    return Object.keys(this.entries).length;
+  }
+
+  /**
+   * Persist the journal and register it in the run index. Runs older than
+   * retainHours are pruned first, then the oldest until this one fits the
+   * byte budget, and keys left behind by
+   * a failed save are deleted; the index is written last. A run larger than
+   * the whole budget keeps the threads that fit.
+   * @returns {Object} { bytes, omitted } - omitted threads can't be rolled back
+   */
+  save() {
+    if (this.threadCount === 0) return null;
+
+    const header = { runId: this.runId, mode: this.mode, startedAt: this.startedAt };
+    const budget = this.maxBytes - RunJournal.byteLength(JSON.stringify({ ...header, entries: [] }));
+    const entries = [];
+    let used = 0;
+    for (const entry of Object.values(this.entries)) {
+      const size = RunJournal.byteLength(JSON.stringify(entry)) + 1;
+      if (used + size > budget) break;
+      entries.push(entry);
+      used += size;
+    }
+
+    // Keys and the chunk count are stored too; drop threads until they fit as well
+    const key = JOURNAL_KEY_PREFIX + this.runId;
+    let chunks;
+    let bytes;
+    do {
+      const payload = JSON.stringify({ ...header, entries, omitted: this.threadCount - entries.length });
+      chunks = [];
+      for (let i = 0; i < payload.length; i += JOURNAL_CHUNK_SIZE) {
+        chunks.push(payload.substring(i, i + JOURNAL_CHUNK_SIZE));
+      }
+      bytes = RunJournal.byteLength(key + JSON.stringify({ chunks: chunks.length })) +
+        chunks.reduce((sum, chunk, i) => sum + RunJournal.byteLength(`${key}_${i}${chunk}`), 0);
+    } while (bytes > this.maxBytes && entries.pop());
+    const omitted = this.threadCount - entries.length;
+
+    // Make room before writing anything
+    const index = RunJournal.listRuns(this.properties).filter(run => run.runId !== this.runId);
+    const sizeOf = run => run.bytes || RunJournal.storedBytes(run.runId, this.properties);
+    let stored = index.reduce((sum, run) => sum + sizeOf(run), 0);
+    const expired = run => new Date(run.startedAt).getTime() < Date.now() - this.retainHours * 60 * 60 * 1000;
+    while (index.length > 0 && (expired(index[0]) || stored + bytes > this.maxBytes)) {
+      stored -= sizeOf(index.shift());
+    }
+    this.properties.setProperty(JOURNAL_INDEX_KEY, JSON.stringify(index));
+    RunJournal.deleteUnindexed(this.properties);
+
+    chunks.forEach((chunk, i) => this.properties.setProperty(`${key}_${i}`, chunk));
+    this.properties.setProperty(key, JSON.stringify({ chunks: chunks.length }));
+
+    index.push({
+      runId: this.runId,
+      mode: this.mode,
+      startedAt: this.startedAt,
+      threads: entries.length,
+      bytes
+    });
+    this.properties.setProperty(JOURNAL_INDEX_KEY, JSON.stringify(index));
+    return { bytes, omitted };
+  }
+
+  /**
+   * UTF-8 size of a string, as the property store counts it
+   */
+  static byteLength(text) {
+    let bytes = 0;
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    }
+    return bytes;
+  }
+
+  /**
+   * Bytes a saved journal takes, for index entries written without a size
+   */
+  static storedBytes(runId, properties) {
+    const key = JOURNAL_KEY_PREFIX + runId;
+    const meta = properties.getProperty(key);
+    if (!meta) return 0;
+
+    let bytes = RunJournal.byteLength(key + meta);
+    for (let i = 0; i < JSON.parse(meta).chunks; i++) {
+      bytes += RunJournal.byteLength(`${key}_${i}${properties.getProperty(`${key}_${i}`) || ''}`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Delete journal keys of runs missing from the index - pruned runs and
+   * chunks left by a save that failed part way
+   */
+  static deleteUnindexed(properties) {
+    const indexed = new Set(RunJournal.listRuns(properties).map(run => run.runId));
+    for (const key of properties.getKeys()) {
+      if (!key.startsWith(JOURNAL_KEY_PREFIX) || key === JOURNAL_INDEX_KEY) continue;
+      const runId = key.substring(JOURNAL_KEY_PREFIX.length).replace(/_[0-9]+$/, '');
+      if (!indexed.has(runId)) properties.deleteProperty(key);
+    }
+  }
+
+  /**
+   * List journaled runs, oldest first
+   */
+  static listRuns(properties) {
+    const raw = properties.getProperty(JOURNAL_INDEX_KEY);
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  /**
+   * Load a saved journal, or null when the run is unknown
+   */
+  static load(runId, properties) {
+    const key = JOURNAL_KEY_PREFIX + runId;
+    const meta = properties.getProperty(key);
+    if (!meta) return null;
+
+    const { chunks } = JSON.parse(meta);
+    let payload = '';
+    for (let i = 0; i < chunks; i++) {
+      payload += properties.getProperty(`${key}_${i}`) || '';
+    }
+
+    return JSON.parse(payload);
+  }
+
+  /**
+   * Delete a saved journal and drop it from the index
+   */
+  static remove(runId, properties) {
+    const key = JOURNAL_KEY_PREFIX + runId;
+    const meta = properties.getProperty(key);
+    if (meta) {
+      const { chunks } = JSON.parse(meta);
+      for (let i = 0; i < chunks; i++) {
+        properties.deleteProperty(`${key}_${i}`);
+      }
+      properties.deleteProperty(key);
+    }
+
+    const raw = properties.getProperty(JOURNAL_INDEX_KEY);
+    if (raw) {
+      const index = JSON.parse(raw).filter(run => run.runId !== runId);
+      properties.setProperty(JOURNAL_INDEX_KEY, JSON.stringify(index));
+    }
+  }
+
+  /**
+   * Reverse every recorded change of a run, restoring each thread's prior state
+   * @param {Object} journal - Journal as returned by load()
+   * @param {GmailApp} gmail - GmailApp (or compatible) service
+   * @returns {Object} { restored, missing, errors }
+   */
+  static rollback(journal, gmail) {
+    const result = { restored: 0, missing: 0, errors: [] };
+    const labelCache = {};
+    const getLabel = name => {
+      if (!(name in labelCache)) labelCache[name] = gmail.getUserLabelByName(name);
+      return labelCache[name];
+    };
+
+    for (const entry of journal.entries) {
+      try {
+        const thread = gmail.getThreadById(entry.threadId);
+        if (!thread) {
+          result.missing++;
+          continue;
+        }
+
+        const before = entry.before;
+        for (const change of entry.changes) {
+          switch (change.type) {
+            case 'addLabel':
+              if (!before.labels.includes(change.label)) {
+                const label = getLabel(change.label);
+                if (label) thread.removeLabel(label);
+              }
+              break;
+
+            case 'archive':
+            case 'hold':
+              if (before.inInbox) thread.moveToInbox();
+              break;
+
+            case 'star':
+              if (!before.starredMessageIds.includes(change.messageId)) {
+                const message = gmail.getMessageById(change.messageId);
+                if (message) gmail.unstarMessage(message);
+              }
+              break;
+
+            case 'markImportant':
+              if (!before.important) thread.markUnimportant();
+              break;
+
+            default:
+              throw new Error(`Unknown journal change type: ${change.type}`);
+          }
+        }
+
+        result.restored++;
+      } catch (error) {
+        result.errors.push({ threadId: entry.threadId, error: error.toString() });
+      }
+    }
+
+    return result;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { RunJournal };
+}
@@ -22,20 +22,20 @@ function testDryRun() {
   
   Logger.log(`✅ Loaded intelligence from ${intelligence.metadata.emailCount} emails`);
   
-  const classifier = new EmailClassifier(intelligence);
+  const classifier = createClassifier(intelligence);
   
   // Get LIMITED test batch
-  const threads = GmailApp.search(CONFIG.SAFE_GUARD_QUERY + ' newer_than:1d', 0, 5);
+  const threads = GmailApp.search(getConfig().SAFE_GUARD_QUERY + ' newer_than:1d', 0, 5);
   Logger.log(`\n📧 Testing with ${threads.length} recent threads (max 5)`);
   
   const results = [];
   
   for (const thread of threads) {
-    const firstMessage = thread.getMessages()[0];
-    const sender = classifier._extractSenderEmail(firstMessage.getFrom());
+    const context = classifier.contextFor(thread);
+    const sender = context.sender;
     const subject = thread.getFirstMessageSubject();
     
-    const classification = classifier.classifyThread(thread);
+    const classification = classifier.classifyContext(context);
     
     const result = {
       subject: subject.substring(0, 50),
@@ -87,7 +87,9 @@ function testPreviewMode() {
   Logger.log('👁️ STARTING PREVIEW MODE - Will add preview labels only');
   Logger.log('================================================');
   
-  const intelligenceSystem = new HistoricalIntelligence();
+  const services = createServices();
+  const config = getConfig(services.properties);
+  const intelligenceSystem = new HistoricalIntelligence({ config, cache: services.cache, spreadsheets: services.spreadsheets });
   const intelligence = intelligenceSystem.load();
   
   if (!intelligence) {
@@ -95,10 +97,14 @@ function testPreviewMode() {
     return;
   }
   
-  const classifier = new EmailClassifier(intelligence);
+  const classifier = createClassifier(intelligence, config, services);
+  
+  // Preview labels go through a MutationPlan, so the account policy applies
+  const labels = new LabelCache({ gmail: services.gmail, advanced: services.advanced });
+  const plan = new MutationPlan(labels, { gmail: services.gmail, policy: services.policy });
   
   // Get small batch for testing
-  const threads = GmailApp.search(CONFIG.SAFE_GUARD_QUERY + ' -label:_Triage/PREVIEW', 0, 10);
+  const threads = services.gmail.search(config.SAFE_GUARD_QUERY + ' -label:_Triage/PREVIEW', 0, 10);
   Logger.log(`📧 Processing ${threads.length} threads in preview mode`);
   
   let processed = 0;
@@ -108,12 +114,9 @@ function testPreviewMode() {
       const classification = classifier.classifyThread(thread);
       
       // Add PREVIEW labels only
-      const previewLabel = GmailApp.createLabel(`_Triage/PREVIEW-${classification.action}`);
-      thread.addLabel(previewLabel);
-      
+      plan.addLabel(thread, `${config.PREVIEW_LABEL_PREFIX}${classification.action}`);
       if (classification.label) {
-        const labelPreview = GmailApp.createLabel(`_Triage/PREVIEW-${classification.label}`);
-        thread.addLabel(labelPreview);
+        plan.addLabel(thread, `${config.PREVIEW_LABEL_PREFIX}${classification.label}`);
       }
       
       Logger.log(`✅ Preview labeled: ${thread.getFirstMessageSubject().substring(0, 50)}`);
@@ -126,6 +129,8 @@ function testPreviewMode() {
     }
   }
   
+  applyPlan(plan);
+  
   Logger.log('\n================================================');
   Logger.log(`👁️ PREVIEW COMPLETE - ${processed} emails labeled for review`);
   Logger.log('Review emails with _Triage/PREVIEW labels');
@@ -163,9 +168,16 @@ function testSingleEmail(subjectKeyword) {
   // Load intelligence and classify
   const intelligenceSystem = new HistoricalIntelligence();
   const intelligence = intelligenceSystem.load();
-  const classifier = new EmailClassifier(intelligence);
+  const classifier = createClassifier(intelligence);
   
-  const classification = classifier.classifyThread(thread);
+  const context = classifier.contextFor(thread);
+  const classification = classifier.classifyContext(context);
+  
+  Logger.log('\n🧵 Conversation:');
+  Logger.log(`Messages: ${context.messageCount} (${context.inboundCount} received)`);
+  Logger.log(`Latest sender: ${context.sender || 'none'}`);
+  Logger.log(`Participants: ${context.participants.join(', ')}`);
+  Logger.log(`Replied by me: ${context.repliedByMe}`);
   
   Logger.log('\n🎯 Classification Result:');
   Logger.log(`Action: ${classification.action}`);
@@ -186,9 +198,15 @@ function testIntelligenceLoading() {
   const intelligenceSystem = new HistoricalIntelligence();
   const intelligence = intelligenceSystem.load();
   
+  // Schema validation report (also cached with the data)
+  if (intelligenceSystem.report) {
+    Logger.log('\n📋 Validation Report:');
+    IntelligenceSchema.formatReport(intelligenceSystem.report).forEach(line => Logger.log(line));
+  }
+  
   if (!intelligence) {
     Logger.log('❌ Failed to load intelligence');
-    Logger.log('Check ANALYSIS_SHEET_ID in Script Properties');
+    Logger.log('Check ANALYSIS_SHEET_ID in Script Properties and the report above');
     return false;
   }
   
@@ -307,7 +325,7 @@ function clearTestLabels() {
  * Count emails that would be processed
  */
 function countProcessableEmails() {
-  const count = GmailApp.search(CONFIG.SAFE_GUARD_QUERY, 0, 500).length;
+  const count = GmailApp.search(getConfig().SAFE_GUARD_QUERY, 0, 500).length;
   Logger.log(`📊 ${count} emails match processing criteria`);
   
   if (count > 100) {
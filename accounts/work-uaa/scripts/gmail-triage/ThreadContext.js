@@ -0,0 +1,91 @@
+/**
+ * Gmail Triage - Thread Context
+ * Aggregates a whole conversation into classification features: the latest
+ * inbound message, everyone involved and whether we already replied.
+ * Messages sent from one of our own addresses never count as the sender.
+ */
+
+// ==================== THREAD CONTEXT ====================
+const CONTEXT_MAX_INBOUND = 3; // Inbound messages whose bodies are read
+const CONTEXT_BODY_CHARS = 500; // Per message
+const REPLY_PREFIX = /^\s*((re|fw|fwd|aw|wg)\s*(\[\d+\])?\s*:\s*)+/i;
+
+class ThreadContext {
+  /**
+   * @param {GmailThread} thread
+   * @param {string[]} myAddresses - Our address and aliases
+   */
+  static fromThread(thread, myAddresses = []) {
+    return ThreadContext.fromMessages(thread.getMessages(), myAddresses);
+  }
+
+  /**
+   * @param {GmailMessage[]} messages - In conversation order, oldest first
+   * @param {string[]} myAddresses - Our address and aliases
+   * @returns {Object} {
+   *   sender, subject, body, message, senders, participants,
+   *   messageIds, messageCount, inboundCount, repliedByMe, startedByMe
+   * }
+   */
+  static fromMessages(messages, myAddresses = []) {
+    const mine = new Set(myAddresses.map(address => address.toLowerCase()));
+    const participants = new Set();
+    const senders = [];
+    const inbound = [];
+    let repliedByMe = false;
+
+    messages.forEach(message => {
+      const from = ThreadContext.parseAddresses(message.getFrom())[0] || '';
+      const fromMe = mine.has(from);
+
+      if (fromMe) {
+        // A message of ours after something we received is a reply
+        if (inbound.length > 0) repliedByMe = true;
+      } else {
+        inbound.push(message);
+        if (from && !senders.includes(from)) senders.push(from);
+      }
+
+      const recipients = [message.getTo ? message.getTo() : '', message.getCc ? message.getCc() : ''];
+      for (const address of ThreadContext.parseAddresses([message.getFrom(), ...recipients].join(','))) {
+        if (!mine.has(address)) participants.add(address);
+      }
+    });
+
+    const latest = inbound[inbound.length - 1] || null;
+    const original = messages[0];
+
+    // Newest inbound messages first, so the latest content dominates
+    const body = inbound
+      .slice(-CONTEXT_MAX_INBOUND)
+      .reverse()
+      .map(message => message.getPlainBody().substring(0, CONTEXT_BODY_CHARS))
+      .join('\n');
+
+    return {
+      sender: latest ? ThreadContext.parseAddresses(latest.getFrom())[0] || '' : '',
+      subject: String((latest || original).getSubject()).replace(REPLY_PREFIX, ''),
+      body,
+      message: latest,
+      senders,
+      participants: [...participants].sort(),
+      messageIds: messages.map(message => message.getId()),
+      messageCount: messages.length,
+      inboundCount: inbound.length,
+      repliedByMe,
+      startedByMe: mine.has(ThreadContext.parseAddresses(original.getFrom())[0])
+    };
+  }
+
+  /**
+   * Lowercase email addresses from a From/To/Cc header value
+   */
+  static parseAddresses(value) {
+    return (String(value || '').match(/[^\s<>,;:"'()]+@[^\s<>,;:"'()]+/g) || [])
+      .map(address => address.toLowerCase());
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ThreadContext };
+}
@@ -20,6 +20,18 @@ if [[ "$CURRENT_CONFIG" != *"alaska.edu"* ]]; then
     gcloud-switch alaska-edu
 fi
 
+# Shared files are pushed with the project, then removed again
+SHARED_FILES=(../../../../shared/utilities/ConfigResolver.js ../../../../shared/utilities/AccountPolicy.js)
+cleanup_shared() {
+    for file in "${SHARED_FILES[@]}"; do
+        rm -f "$(basename "$file")"
+    done
+}
+trap cleanup_shared EXIT
+for file in "${SHARED_FILES[@]}"; do
+    cp "$file" .
+done
+
 # Push to Apps Script
 echo "Pushing code to Apps Script..."
 clasp push
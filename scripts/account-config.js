@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Print an account's CONFIG_ACCOUNT Script Property value
+ *
+ * Settings and policies read one account document, so the account's
+ * config/accounts.json entry and its accounts/<account>/account.json are
+ * merged (account.json wins, see ConfigResolver.mergeAccount).
+ *
+ * Usage: node scripts/account-config.js <account> [--root <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigResolver } = require('../shared/utilities/ConfigResolver.js');
+
+/**
+ * The merged account document
+ * @param {string} key - Account key in config/accounts.json, e.g. 'work-uaa'
+ * @param {string} root - Repository root
+ * @throws {Error} If the account is not in config/accounts.json
+ */
+function accountConfig(key, root = process.cwd()) {
+  const registry = JSON.parse(fs.readFileSync(path.join(root, 'config', 'accounts.json'), 'utf8')).accounts;
+  if (!registry[key]) {
+    throw new Error(`Unknown account "${key}" - use ${Object.keys(registry).join(', ')}`);
+  }
+
+  const file = path.join(root, 'accounts', key, 'account.json');
+  const account = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  return ConfigResolver.mergeAccount(registry[key], account);
+}
+
+// ==================== CLI ====================
+function main(argv = process.argv.slice(2)) {
+  const rootIndex = argv.indexOf('--root');
+  const root = path.resolve(rootIndex >= 0 ? argv[rootIndex + 1] : path.join(__dirname, '..'));
+  const key = argv.find((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--root');
+
+  if (!key) {
+    console.error('Usage: node scripts/account-config.js <account> [--root <dir>]');
+    process.exit(1);
+  }
+  try {
+    console.log(JSON.stringify(accountConfig(key, root)));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { accountConfig };
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+/**
+ * Validate configuration files
+ *
+ * Checks config/accounts.json, config/environments/<name>.json and
+ * accounts/<account>/account.json against the JSON Schemas in config/schemas/, then
+ * checks that the files agree with each other and with the directory tree.
+ * Script folders and templates an account lists but that are not written
+ * yet are warnings; everything else is an error.
+ *
+ * Usage: node scripts/validate-configs.js [--root <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS = {
+  accounts: 'config/schemas/accounts.schema.json',
+  environment: 'config/schemas/environment.schema.json',
+  account: 'config/schemas/account.schema.json'
+};
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  date: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/
+};
+
+// ==================== JSON SCHEMA ====================
+/**
+ * Validate a value against a JSON Schema (draft-07 subset: $ref, type, enum,
+ * required, properties, additionalProperties, propertyNames, minProperties,
+ * items, minItems, uniqueItems, minLength, pattern, format, minimum, maximum)
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} root - Schema that local $refs resolve against
+ * @param {string} at - JSON Pointer of value
+ * @returns {Object[]} [{ path, message }]
+ */
+function validateSchema(value, schema, root = schema, at = '') {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), root, at);
+  }
+
+  const errors = [];
+  const fail = message => errors.push({ path: at || '/', message });
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    return errors;
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    fail(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern} (got "${value}")`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(`must be a valid ${schema.format} (got "${value}")`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      for (const item of value) {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) fail(`has duplicate item ${key}`);
+        seen.add(key);
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, `${at}/${i}`)));
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} properties`);
+    }
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${at}/${key}`, message: 'is required' });
+    }
+    for (const key of keys) {
+      const keyPath = `${at}/${escapePointer(key)}`;
+      if (schema.propertyNames) {
+        validateSchema(key, schema.propertyNames, root, keyPath)
+          .forEach(error => errors.push({ path: keyPath, message: `property name ${error.message}` }));
+      }
+      if (schema.properties && key in schema.properties) {
+        errors.push(...validateSchema(value[key], schema.properties[key], root, keyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: keyPath, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, root, keyPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $refs are supported: ${ref}`);
+  }
+  return ref.substring(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) throw new Error(`Unresolved $ref: ${ref}`);
+    return node[key];
+  }, root);
+}
+
+function escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// ==================== CONFIG FILES ====================
+/**
+ * Validate every configuration file under root
+ * @param {string} root - Repository root
+ * @returns {Object} { files, errors, warnings } - problems are { file, path, message }
+ */
+function validateConfigs(root = process.cwd()) {
+  const report = { files: [], errors: [], warnings: [] };
+  const error = (file, at, message) => report.errors.push({ file, path: at, message });
+  const warn = (file, at, message) => report.warnings.push({ file, path: at, message });
+
+  const read = (file, schemaName) => {
+    report.files.push(file);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+    } catch (e) {
+      error(file, '/', e.code === 'ENOENT' ? 'file not found' : `invalid JSON: ${e.message}`);
+      return null;
+    }
+
+    const schema = JSON.parse(fs.readFileSync(path.join(root, SCHEMAS[schemaName]), 'utf8'));
+    validateSchema(data, schema).forEach(problem => error(file, problem.path, problem.message));
+    return data;
+  };
+
+  // Environments: one file per environment, named after it
+  const environmentDir = path.join(root, 'config', 'environments');
+  for (const name of listFiles(environmentDir, '.json')) {
+    const file = `config/environments/${name}`;
+    const environment = read(file, 'environment');
+    if (environment && environment.name !== path.basename(name, '.json')) {
+      error(file, '/name', `must match the file name "${path.basename(name, '.json')}" (got "${environment.name}")`);
+    }
+  }
+
+  // Account registry against account directories
+  const registry = read('config/accounts.json', 'accounts');
+  const registered = registry && hasType(registry.accounts, 'object') ? registry.accounts : {};
+  const directories = listDirectories(path.join(root, 'accounts'));
+
+  for (const key of Object.keys(registered)) {
+    if (!directories.includes(key)) {
+      error('config/accounts.json', `/accounts/${key}`, `has no accounts/${key}/ directory`);
+    }
+    checkOperations((registered[key] || {}).permissions, `/accounts/${key}/permissions`, 'config/accounts.json', error);
+  }
+
+  for (const key of directories) {
+    const file = `accounts/${key}/account.json`;
+    if (registry && !(key in registered)) {
+      error(file, '/', `account "${key}" is not registered in config/accounts.json`);
+    }
+
+    const account = read(file, 'account');
+    if (!account) continue;
+
+    const entry = registered[key];
+    if (entry && account.account) {
+      for (const field of ['email', 'type']) {
+        if (entry[field] && account.account[field] && entry[field] !== account.account[field]) {
+          error(file, `/account/${field}`, `"${account.account[field]}" does not match config/accounts.json ("${entry[field]}")`);
+        }
+      }
+    }
+
+    checkOperations(account.permissions, '/permissions', file, error);
+    checkScripts(root, key, account, file, warn);
+    checkTemplates(root, key, account, file, warn);
+  }
+
+  return report;
+}
+
+/**
+ * Scripts should have a folder under accounts/<key>/scripts/
+ */
+function checkScripts(root, key, account, file, warn) {
+  if (!Array.isArray(account.scripts)) return;
+
+  account.scripts.forEach((script, i) => {
+    if (!script || typeof script.name !== 'string') return;
+    const folder = `accounts/${key}/scripts/${script.name}`;
+    if (isDirectory(path.join(root, folder))) return;
+
+    if (script.enabled === false) {
+      warn(file, `/scripts/${i}/name`, `disabled script has no folder ${folder}/`);
+    } else {
+      warn(file, `/scripts/${i}/name`, `script folder ${folder}/ not found`);
+    }
+  });
+}
+
+/**
+ * Templates are paths relative to the account directory
+ */
+function checkTemplates(root, key, account, file, warn) {
+  const sources = [
+    ['/templates', account.templates],
+    ['/filters/autoResponse/templates', account.filters && account.filters.autoResponse && account.filters.autoResponse.templates]
+  ];
+
+  for (const [pointer, templates] of sources) {
+    if (!hasType(templates, 'object')) continue;
+    for (const [name, template] of Object.entries(templates)) {
+      if (typeof template !== 'string') continue;
+      if (!fs.existsSync(path.join(root, 'accounts', key, template))) {
+        warn(file, `${pointer}/${name}`, `template accounts/${key}/${template} not found`);
+      }
+    }
+  }
+}
+
+/**
+ * An operation cannot be both allowed and restricted
+ */
+function checkOperations(permissions, pointer, file, error) {
+  if (!permissions || !Array.isArray(permissions.allowedOperations) || !Array.isArray(permissions.restrictedOperations)) {
+    return;
+  }
+  for (const operation of permissions.allowedOperations) {
+    if (permissions.restrictedOperations.includes(operation)) {
+      error(file, `${pointer}/allowedOperations`, `"${operation}" is also a restricted operation`);
+    }
+  }
+}
+
+function listFiles(dir, extension) {
+  if (!isDirectory(dir)) return [];
+  return fs.readdirSync(dir).filter(name => name.endsWith(extension)).sort();
+}
+
+function listDirectories(dir) {
+  if (!isDirectory(dir)) return [];
+  return fs.readdirSync(dir).filter(name => isDirectory(path.join(dir, name))).sort();
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+// ==================== CLI ====================
+function main(argv = process.argv.slice(2)) {
+  const rootIndex = argv.indexOf('--root');
+  const root = path.resolve(rootIndex >= 0 ? argv[rootIndex + 1] : path.join(__dirname, '..'));
+  const report = validateConfigs(root);
+
+  console.log(`🔍 Validating ${report.files.length} configuration files...`);
+  for (const file of report.files) {
+    const errors = report.errors.filter(problem => problem.file === file);
+    const warnings = report.warnings.filter(problem => problem.file === file);
+    console.log(`${errors.length ? '❌' : warnings.length ? '⚠️ ' : '✅'} ${file}`);
+    errors.forEach(problem => console.log(`   ${problem.path}: ${problem.message}`));
+    warnings.forEach(problem => console.log(`   ${problem.path}: ${problem.message} (warning)`));
+  }
+
+  if (report.errors.length) {
+    console.error(`❌ ${report.errors.length} errors, ${report.warnings.length} warnings`);
+    process.exit(1);
+  }
+  console.log(`✅ All configuration files are valid (${report.warnings.length} warnings)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { validateSchema, validateConfigs };
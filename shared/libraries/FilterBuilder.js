@@ -1,5 +1,10 @@
 /**
  * Filter builder for creating complex Gmail filters programmatically
+ *
+ * Criteria are kept in the Gmail API's shape (from, to, subject, query,
+ * negatedQuery, ...). Search operators without a criteria field of their
+ * own, such as label: or list:, are added to query. Some operators only work
+ * in searches; assertFilterable() rejects them before a filter is saved.
  */
 
 class FilterBuilder {
@@ -8,7 +13,7 @@ class FilterBuilder {
     this.actions = {};
   }
 
-  // Criteria methods
+  // Criteria methods - from, to and subject take an array to match any of them
   from(email) {
     this.criteria.from = email;
     return this;
@@ -24,8 +29,11 @@ class FilterBuilder {
     return this;
   }
 
+  /**
+   * Words to match, in search syntax, added to any operators already set
+   */
   hasWords(words) {
-    this.criteria.query = words;
+    this.criteria.query = this.criteria.query ? `${this.criteria.query} ${words}` : words;
     return this;
   }
 
@@ -54,6 +62,62 @@ class FilterBuilder {
     return this;
   }
 
+  // Search operators - each takes an array to match any of the values
+  label(name) {
+    return this._addTerm('label', name);
+  }
+
+  category(name) {
+    for (const value of [].concat(name)) {
+      if (!CATEGORIES.includes(value)) {
+        throw new Error(`Unknown category "${value}" - use ${CATEGORIES.join(', ')}`);
+      }
+    }
+    return this._addTerm('category', name);
+  }
+
+  is(state) {
+    return this._addTerm('is', state);
+  }
+
+  in(location) {
+    return this._addTerm('in', location);
+  }
+
+  filename(name) {
+    return this._addTerm('filename', name);
+  }
+
+  list(address) {
+    return this._addTerm('list', address);
+  }
+
+  deliveredTo(address) {
+    return this._addTerm('deliveredto', address);
+  }
+
+  /**
+   * @param {Date|string} date - A Date, 'YYYY/MM/DD' or epoch seconds
+   */
+  after(date) {
+    return this._addTerm('after', FilterBuilder.formatDate(date));
+  }
+
+  before(date) {
+    return this._addTerm('before', FilterBuilder.formatDate(date));
+  }
+
+  /**
+   * @param {string} period - Days, months or years, e.g. '7d', '6m', '1y'
+   */
+  olderThan(period) {
+    return this._addTerm('older_than', FilterBuilder.checkPeriod(period));
+  }
+
+  newerThan(period) {
+    return this._addTerm('newer_than', FilterBuilder.checkPeriod(period));
+  }
+
   // Action methods
   addLabel(labelName) {
     if (!this.actions.add) this.actions.add = [];
@@ -116,11 +180,85 @@ class FilterBuilder {
   }
 
   /**
-   * Create the filter in Gmail
+   * Search-only terms in the query - label:, category:, is:, in:, dates,
+   * ages and state such as has:userlabels. Gmail filters run as mail
+   * arrives, before any of these can match.
+   * @returns {string[]} e.g. ['label:work', 'is:unread']
+   */
+  searchOnlyTerms() {
+    const terms = [];
+    const visit = node => {
+      if (node.type === 'operator') {
+        const searchOnly = SEARCH_ONLY_OPERATORS.includes(node.operator) ||
+          (node.operator === 'has' && SEARCH_ONLY_HAS.test(node.value.toLowerCase()));
+        if (searchOnly) terms.push(node.text);
+      }
+      (node.children || []).forEach(visit);
+      if (node.child) visit(node.child);
+    };
+    
+    visit(FilterBuilder.parseQuery(this.criteria.query));
+    visit(FilterBuilder.parseQuery(this.criteria.negatedQuery));
+    return terms;
+  }
+
+  /**
+   * Whether Gmail will accept this as a filter, not just a search
+   */
+  isFilterable() {
+    return this.searchOnlyTerms().length === 0;
+  }
+
+  /**
+   * @throws {Error} Naming the search-only terms
+   */
+  assertFilterable() {
+    const terms = this.searchOnlyTerms();
+    if (terms.length) {
+      throw new Error(`Search-only criteria can't be saved as a Gmail filter: ${terms.join(', ')}`);
+    }
+    return this;
+  }
+
+  /**
+   * Policy operations creating this filter needs: organize, plus delete if it
+   * trashes and forward if it forwards
+   */
+  operations() {
+    const operations = ['organize'];
+    if (this.actions.shouldTrash) operations.push('delete');
+    if (this.actions.forward) operations.push('forward');
+    return operations;
+  }
+
+  /**
+   * Check this filter against an account policy
+   * @param {AccountPolicy} policy
+   * @throws {PolicyError} If the policy doesn't allow one of operations()
+   */
+  authorize(policy) {
+    const details = { filter: this.toQueryString() };
+    this.operations().forEach(operation => {
+      policy.authorize(operation, operation === 'forward' ? { ...details, to: this.actions.forward } : details);
+    });
+    return this;
+  }
+
+  /**
+   * Create the filter in Gmail, with labels looked up by name
    * Note: This requires Gmail API advanced service
+   * @throws {Error} If the filter uses search-only criteria or a label doesn't exist
+   * @throws {PolicyError} If the account's policy doesn't allow the filter
    */
   create() {
-    const filter = this.build();
+    this.assertFilterable();
+    this.authorize(AccountPolicy.current());
+    const labels = Gmail.Users.Labels.list('me').labels || [];
+    const filter = this.toGmailFilter(name => {
+      const label = labels.find(item => item.name === name);
+      if (!label) throw new Error(`Label not found: ${name}`);
+      return label.id;
+    });
     
     try {
       // This requires enabling Gmail API in Apps Script
@@ -138,9 +276,11 @@ class FilterBuilder {
   toQueryString() {
     const parts = [];
     
-    if (this.criteria.from) parts.push(`from:(${this.criteria.from})`);
-    if (this.criteria.to) parts.push(`to:(${this.criteria.to})`);
-    if (this.criteria.subject) parts.push(`subject:(${this.criteria.subject})`);
+    for (const field of ['from', 'to', 'subject']) {
+      if (this.criteria[field] && this.criteria[field].length) {
+        parts.push(`${field}:(${FilterBuilder.formatValues(this.criteria[field])})`);
+      }
+    }
     if (this.criteria.query) parts.push(this.criteria.query);
     if (this.criteria.negatedQuery) parts.push(`-(${this.criteria.negatedQuery})`);
     if (this.criteria.hasAttachment) parts.push('has:attachment');
@@ -148,13 +288,662 @@ class FilterBuilder {
     
     if (this.criteria.size && this.criteria.sizeComparison) {
       const comparison = this.criteria.sizeComparison === 'larger' ? 'larger:' : 'smaller:';
-      parts.push(`${comparison}${this.criteria.size}`);
+      parts.push(`${comparison}${FilterBuilder.formatSize(this.criteria.size)}`);
     }
     
     return parts.join(' ');
   }
+
+  /**
+   * Build a filter from a Gmail search query - the reverse of toQueryString().
+   * Top-level from:, to:, subject:, has:attachment, -in:chats and
+   * larger:/smaller: become criteria, negated terms become doesNotHaveWords,
+   * and everything else (label:, OR, groups, words) is kept verbatim in
+   * hasWords. fromQueryString(q).toQueryString() is stable on a second pass.
+   * @param {string} query - Gmail search query
+   * @returns {FilterBuilder}
+   */
+  static fromQueryString(query) {
+    const builder = new FilterBuilder();
+    const words = [];
+    const negated = [];
+    
+    for (const node of FilterBuilder.parseQuery(query).children) {
+      if (builder._applyNode(node)) continue;
+      
+      if (node.type === 'not') {
+        negated.push(node.child);
+      } else {
+        words.push(node.text);
+      }
+    }
+    
+    if (words.length) {
+      builder.hasWords(words.join(' '));
+    }
+    
+    // -a -b is -{a b}: several negated terms fold into one "doesn't have" group
+    if (negated.length === 1) {
+      const [child] = negated;
+      builder.doesNotHaveWords(child.type === 'group' && child.brace === '(' ? child.inner : child.text);
+    } else if (negated.length > 1) {
+      builder.doesNotHaveWords(`{${negated.map(child => child.text).join(' ')}}`);
+    }
+    
+    return builder;
+  }
+
+  /**
+   * Parse a Gmail search query into a syntax tree. Every node keeps its
+   * source text:
+   *   { type: 'and', children }           - the query, implicit AND
+   *   { type: 'or', children }            - a OR b
+   *   { type: 'not', child }              - -term
+   *   { type: 'group', brace, children, inner } - (a b) or {a b}
+   *   { type: 'operator', operator, value } - from:x, subject:(a b), to:"A B"
+   *   { type: 'phrase', value }           - "exact words"
+   *   { type: 'word', value }
+   * Unbalanced brackets are closed at the end of the query.
+   * @param {string} query
+   * @returns {Object} The 'and' node
+   */
+  static parseQuery(query) {
+    const text = String(query || '');
+    let pos = 0;
+    
+    const skipSpace = () => {
+      while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    
+    const readWord = () => {
+      const start = pos;
+      while (pos < text.length && !/[\s(){}"]/.test(text[pos])) pos++;
+      return text.substring(start, pos);
+    };
+    
+    const readPhrase = () => {
+      const start = pos;
+      const end = text.indexOf('"', start + 1) === -1 ? text.length : text.indexOf('"', start + 1);
+      pos = Math.min(end + 1, text.length);
+      return { type: 'phrase', value: text.substring(start + 1, end), text: text.substring(start, pos) };
+    };
+    
+    const parseSequence = close => {
+      const children = [];
+      for (;;) {
+        skipSpace();
+        if (pos >= text.length || (close && text[pos] === close)) return children;
+        if (text[pos] === ')' || text[pos] === '}') {
+          // Stray closing bracket - keep it as a word
+          children.push({ type: 'word', value: text[pos], text: text[pos++] });
+          continue;
+        }
+        
+        const node = parseOr();
+        if (node.type === 'word' && node.value === 'AND') continue;
+        children.push(node);
+      }
+    };
+    
+    const parseOr = () => {
+      const start = pos;
+      const children = [parseUnary()];
+      for (;;) {
+        const save = pos;
+        skipSpace();
+        if (pos > save && /^OR(\s|$)/.test(text.substring(pos, pos + 3))) {
+          pos += 2;
+          skipSpace();
+          if (pos < text.length && text[pos] !== ')' && text[pos] !== '}') {
+            children.push(parseUnary());
+            continue;
+          }
+        }
+        pos = save;
+        break;
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children, text: text.substring(start, pos) };
+    };
+    
+    const parseUnary = () => {
+      const start = pos;
+      if (text[pos] === '-' && pos + 1 < text.length && !/\s/.test(text[pos + 1])) {
+        pos++;
+        const child = parsePrimary();
+        return { type: 'not', child, text: text.substring(start, pos) };
+      }
+      return parsePrimary();
+    };
+    
+    const parseGroup = () => {
+      const start = pos;
+      const brace = text[pos++];
+      const close = brace === '(' ? ')' : '}';
+      const children = parseSequence(close);
+      const innerEnd = pos;
+      if (text[pos] === close) pos++;
+      return {
+        type: 'group',
+        brace,
+        children,
+        inner: text.substring(start + 1, innerEnd).trim(),
+        text: text.substring(start, pos)
+      };
+    };
+    
+    const parsePrimary = () => {
+      const start = pos;
+      if (text[pos] === '(' || text[pos] === '{') return parseGroup();
+      if (text[pos] === '"') return readPhrase();
+      
+      const word = readWord();
+      const match = word.match(/^([a-z_]+):(.*)$/i);
+      if (!match) {
+        return { type: 'word', value: word, text: word };
+      }
+      
+      let value = match[2];
+      if (!value && (text[pos] === '(' || text[pos] === '{')) {
+        const group = parseGroup();
+        value = group.brace === '(' ? group.inner : group.text;
+      } else if (!value && text[pos] === '"') {
+        value = readPhrase().text;
+      }
+      return { type: 'operator', operator: match[1].toLowerCase(), value, text: text.substring(start, pos) };
+    };
+    
+    const children = parseSequence(null);
+    return { type: 'and', children, text };
+  }
+
+  /**
+   * Quote a value for a search query. Values with brackets, quotes, a leading
+   * '-' or a bare OR/AND become a phrase; in a list of alternatives (phrase =
+   * true) so do values with spaces. A value already written as a phrase,
+   * '"like this"', is kept as one. Gmail can't escape double quotes inside
+   * a phrase, so they are dropped.
+   * @param {string} value
+   * @param {boolean} phrase - Quote values containing spaces too
+   */
+  static quote(value, phrase = false) {
+    const text = String(value);
+    if (/^"[^"]+"$/.test(text)) return text;
+    const special = /[(){}"]|(^|\s)-|(^|\s)(OR|AND)(\s|$)/;
+    if (!special.test(text) && !(phrase && /\s/.test(text))) return text;
+    return `"${text.replace(/"/g, '').trim()}"`;
+  }
+
+  /**
+   * A from/to/subject value for a query: an array is any of its values,
+   * e.g. ['a@x.com', 'b@y.com'] is 'a@x.com OR b@y.com'
+   */
+  static formatValues(value) {
+    return Array.isArray(value)
+      ? value.map(item => FilterBuilder.quote(item, true)).join(' OR ')
+      : FilterBuilder.quote(value);
+  }
+
+  /**
+   * The reverse of formatValues(). A phrase keeps its quotes, e.g.
+   * '"hello world"', unless formatValues() would quote its value anyway.
+   * Text that is not a single value or a list of alternatives is returned
+   * as written.
+   * @returns {string|string[]}
+   */
+  static parseValues(text) {
+    const { children } = FilterBuilder.parseQuery(text);
+    const literal = (node, list) => {
+      if (node.type === 'word') return node.value;
+      if (node.type !== 'phrase') return null;
+      return FilterBuilder.quote(node.value, list) === node.value ? node.text : node.value;
+    };
+    if (children.length !== 1) return text;
+    
+    const [node] = children;
+    if (node.type === 'or') {
+      const values = node.children.map(child => literal(child, true));
+      return values.every(value => value !== null) ? values : text;
+    }
+    return literal(node, false) !== null ? literal(node, false) : text;
+  }
+
+  /**
+   * A date for after:/before: - Dates use the script's time zone
+   * @param {Date|string|number} date - Date, 'YYYY/MM/DD' or epoch seconds
+   */
+  static formatDate(date) {
+    if (date instanceof Date) {
+      return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy/MM/dd');
+    }
+    if (!/^(\d{4}[/-]\d{1,2}[/-]\d{1,2}|\d+)$/.test(String(date))) {
+      throw new Error(`Invalid search date "${date}" - use a Date, YYYY/MM/DD or epoch seconds`);
+    }
+    return String(date).replace(/-/g, '/');
+  }
+
+  /**
+   * @throws {Error} Unless period is like 7d, 6m or 1y
+   */
+  static checkPeriod(period) {
+    if (!/^\d+[dmy]$/.test(String(period))) {
+      throw new Error(`Invalid search period "${period}" - use days, months or years such as 7d, 6m, 1y`);
+    }
+    return String(period);
+  }
+
+  /**
+   * Parse a Gmail size such as 5M, 100K or 2048 into bytes
+   * @returns {number|null} Bytes, or null if the size is not recognized
+   */
+  static parseSize(size) {
+    const match = String(size).match(/^(\d+)([km]?)$/i);
+    if (!match) return null;
+    const unit = { '': 1, k: 1024, m: 1024 * 1024 }[match[2].toLowerCase()];
+    return parseInt(match[1], 10) * unit;
+  }
+
+  /**
+   * Shortest Gmail notation for a size in bytes
+   */
+  static formatSize(bytes) {
+    if (typeof bytes !== 'number') return String(bytes);
+    if (bytes % (1024 * 1024) === 0) return `${bytes / (1024 * 1024)}M`;
+    if (bytes % 1024 === 0) return `${bytes / 1024}K`;
+    return String(bytes);
+  }
+
+  /**
+   * Apply a top-level query node as a criterion
+   * @returns {boolean} Whether the node was used
+   */
+  _applyNode(node) {
+    if (node.type === 'not') {
+      const { child } = node;
+      if (child.type === 'operator' && child.operator === 'in' && child.value.toLowerCase() === 'chats') {
+        this.excludeChats();
+        return true;
+      }
+      return false;
+    }
+    
+    if (node.type !== 'operator') return false;
+    
+    switch (node.operator) {
+      case 'from':
+      case 'to':
+      case 'subject':
+        if (this.criteria[node.operator] || !node.value) return false;
+        this[node.operator](FilterBuilder.parseValues(node.value));
+        return true;
+        
+      case 'has':
+        if (node.value.toLowerCase() !== 'attachment') return false;
+        this.hasAttachment();
+        return true;
+        
+      case 'larger':
+      case 'smaller': {
+        const bytes = FilterBuilder.parseSize(node.value);
+        if (bytes === null || this.criteria.size) return false;
+        this.size(bytes).sizeComparison(node.operator);
+        return true;
+      }
+        
+      default:
+        return false;
+    }
+  }
+  /**
+   * Add operator:value to the query. Label names are written the way Gmail
+   * search expects them, e.g. 'Clients/Active Projects' is
+   * label:clients-active-projects. Several values match any of them.
+   */
+  _addTerm(operator, value) {
+    const terms = [].concat(value).map(item => {
+      const text = operator === 'label' ? String(item).toLowerCase().replace(/[\s/]+/g, '-') : item;
+      return `${operator}:${FilterBuilder.quote(text, true)}`;
+    });
+    return this.hasWords(terms.length > 1 ? `{${terms.join(' ')}}` : terms[0]);
+  }
+
+  /**
+   * Gmail API filter resource (Users.Settings.Filters). Actions become label
+   * changes: archive removes INBOX, markAsRead removes UNREAD, star adds
+   * STARRED and so on.
+   * @param {Function} labelId - Maps a label name to its ID
+   * @returns {Object} { criteria, action: { addLabelIds, removeLabelIds, forward } }
+   */
+  toGmailFilter(labelId = name => name) {
+    const criteria = {};
+    for (const key of FILTER_CRITERIA) {
+      const value = this.criteria[key];
+      if (value === undefined || value === false || value === '' || (Array.isArray(value) && !value.length)) continue;
+      criteria[key] = VALUE_CRITERIA.includes(key) ? FilterBuilder.formatValues(value) : value;
+    }
+    
+    const add = (this.actions.add || []).map(labelId);
+    const remove = (this.actions.remove || []).map(labelId);
+    for (const [flag, [list, id]] of Object.entries(SYSTEM_LABEL_ACTIONS)) {
+      if (this.actions[flag]) (list === 'add' ? add : remove).push(id);
+    }
+    
+    const action = {};
+    if (add.length) action.addLabelIds = add;
+    if (remove.length) action.removeLabelIds = remove;
+    if (this.actions.forward) action.forward = this.actions.forward;
+    
+    return { criteria, action };
+  }
+
+  /**
+   * Build a filter from a Gmail API filter resource
+   * @param {Object} resource - { criteria, action }
+   * @param {Function} labelName - Maps a label ID to its name
+   * @returns {FilterBuilder}
+   */
+  static fromGmailFilter(resource, labelName = id => id) {
+    const builder = new FilterBuilder();
+    for (const key of FILTER_CRITERIA) {
+      const value = (resource.criteria || {})[key];
+      if (value === undefined || value === false || value === '') continue;
+      builder.criteria[key] = VALUE_CRITERIA.includes(key) ? FilterBuilder.parseValues(value) : value;
+    }
+    
+    const action = resource.action || {};
+    const flagFor = (list, id) => Object.keys(SYSTEM_LABEL_ACTIONS)
+      .find(flag => SYSTEM_LABEL_ACTIONS[flag][0] === list && SYSTEM_LABEL_ACTIONS[flag][1] === id);
+    
+    for (const id of action.addLabelIds || []) {
+      const flag = flagFor('add', id);
+      if (flag) builder.actions[flag] = true;
+      else builder.addLabel(labelName(id));
+    }
+    for (const id of action.removeLabelIds || []) {
+      const flag = flagFor('remove', id);
+      if (flag) builder.actions[flag] = true;
+      else builder.removeLabel(labelName(id));
+    }
+    if (action.forward) builder.forward(action.forward);
+    
+    return builder;
+  }
+
+  /**
+   * Build a filter from a JSON spec, e.g. an entry of account.json
+   * filters.gmail. Keys are builder method names; "query" is parsed with
+   * fromQueryString() first:
+   *   { "query": "from:(github.com) -label:work",
+   *     "criteria": { "hasAttachment": true },
+   *     "actions": { "addLabel": ["GitHub"], "archive": true } }
+   * @throws {Error} On unknown criteria or actions
+   */
+  static fromSpec(spec) {
+    const builder = spec.query ? FilterBuilder.fromQueryString(spec.query) : new FilterBuilder();
+    
+    // Criteria take arrays as alternatives, actions take one value per call
+    const call = (allowed, kind) => ([method, value]) => {
+      if (!allowed.includes(method)) {
+        throw new Error(`Unknown filter ${kind} "${method}" - use ${allowed.join(', ')}`);
+      }
+      if (value === false) return;
+      const values = kind === 'action' && Array.isArray(value) ? value : [value];
+      values.forEach(item => builder[method](item === true ? undefined : item));
+    };
+    
+    Object.entries(spec.criteria || {}).forEach(call(SPEC_CRITERIA, 'criteria'));
+    Object.entries(spec.actions || {}).forEach(call(SPEC_ACTIONS, 'action'));
+    return builder;
+  }
+
+  /**
+   * JSON spec for account.json filters.gmail, the reverse of fromSpec()
+   * @returns {Object} { criteria, actions }
+   */
+  toSpec() {
+    const criteria = {};
+    for (const method of SPEC_CRITERIA) {
+      const value = this.criteria[SPEC_CRITERIA_KEYS[method] || method];
+      if (value !== undefined && value !== false && value !== '') criteria[method] = value;
+    }
+    
+    const actions = {};
+    if (this.actions.add && this.actions.add.length) actions.addLabel = this.actions.add.slice();
+    if (this.actions.remove && this.actions.remove.length) actions.removeLabel = this.actions.remove.slice();
+    for (const [method, flag] of Object.entries(SPEC_ACTION_FLAGS)) {
+      if (this.actions[flag]) actions[method] = true;
+    }
+    if (this.actions.forward) actions.forward = this.actions.forward;
+    
+    return { criteria, actions };
+  }
+
+  /**
+   * Serialize filters as Gmail's mailFilters.xml (Settings > Filters >
+   * Export). The format allows one label per filter, so a filter adding
+   * several labels becomes one entry per label.
+   * @param {FilterBuilder[]} filters
+   * @param {Object} options - { author: { name, email }, updated: Date }
+   * @returns {string} Atom XML
+   * @throws {Error} If a filter removes labels, which the format can't express
+   */
+  static toMailFiltersXml(filters, options = {}) {
+    const updated = (options.updated || new Date()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+    
+    const entries = [];
+    filters.forEach(filter => {
+      filter._mailFilterEntries().forEach(properties => {
+        const id = `tag:mail.google.com,2008:filter:z${String(entries.length + 1).padStart(19, '0')}*`;
+        entries.push([
+          '\t<entry>',
+          "\t\t<category term='filter'></category>",
+          '\t\t<title>Mail Filter</title>',
+          `\t\t<id>${id}</id>`,
+          `\t\t<updated>${updated}</updated>`,
+          '\t\t<content></content>',
+          ...properties.map(([name, value]) => `\t\t<apps:property name='${name}' value='${escape(value)}'/>`),
+          '\t</entry>'
+        ].join('\n'));
+      });
+    });
+    
+    const author = options.author
+      ? ['\t<author>', `\t\t<name>${escape(options.author.name || '')}</name>`, `\t\t<email>${escape(options.author.email || '')}</email>`, '\t</author>']
+      : [];
+    
+    return [
+      "<?xml version='1.0' encoding='UTF-8'?>",
+      "<feed xmlns='http://www.w3.org/2005/Atom' xmlns:apps='http://schemas.google.com/apps/2006'>",
+      '\t<title>Mail Filters</title>',
+      '\t<id>tag:mail.google.com,2008:filters:</id>',
+      `\t<updated>${updated}</updated>`,
+      ...author,
+      ...entries,
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Parse Gmail's mailFilters.xml into filters, one per entry. Properties
+   * with no FilterBuilder equivalent (e.g. cannedResponse) are ignored.
+   * @param {string} xml
+   * @returns {FilterBuilder[]}
+   * @throws {Error} If the document is not a mail filters feed
+   */
+  static fromMailFiltersXml(xml) {
+    if (!/<feed[\s>]/.test(xml)) {
+      throw new Error('Not a mailFilters.xml document: <feed> not found');
+    }
+    
+    const entries = xml.match(/<entry[\s>][\s\S]*?<\/entry>/g) || [];
+    return entries.map(entry => {
+      const properties = {};
+      const pattern = /<apps:property\s+([^>]*?)\/?>/g;
+      let match;
+      while ((match = pattern.exec(entry)) !== null) {
+        const attributes = {};
+        match[1].replace(/(\w+)\s*=\s*(?:'([^']*)'|"([^"]*)")/g, (all, name, single, double) => {
+          attributes[name] = FilterBuilder.decodeXml(single !== undefined ? single : double);
+        });
+        if (attributes.name) properties[attributes.name] = attributes.value || '';
+      }
+      return FilterBuilder._fromMailFilterProperties(properties);
+    });
+  }
+
+  /**
+   * Decode XML character and entity references
+   */
+  static decodeXml(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, ref) => {
+      if (ref[0] !== '#') return ref in named ? named[ref] : all;
+      return String.fromCodePoint(ref[1].toLowerCase() === 'x' ? parseInt(ref.substring(2), 16) : parseInt(ref.substring(1), 10));
+    });
+  }
+
+  /**
+   * mailFilters.xml properties, one list of [name, value] pairs per entry
+   */
+  _mailFilterEntries() {
+    if (this.actions.remove && this.actions.remove.length) {
+      throw new Error(`mailFilters.xml cannot remove labels (${this.actions.remove.join(', ')}) - use archive or markAsRead`);
+    }
+    
+    const common = [];
+    for (const [property, key] of MAIL_FILTER_CRITERIA) {
+      const value = this.criteria[key];
+      if (value === undefined || value === false || value === '' || (Array.isArray(value) && !value.length)) continue;
+      common.push([property, VALUE_CRITERIA.includes(key) ? FilterBuilder.formatValues(value) : String(value)]);
+    }
+    if (this.criteria.size && this.criteria.sizeComparison) {
+      const [unit, divisor] = MAIL_FILTER_SIZE_UNITS.find(([, bytes]) => this.criteria.size % bytes === 0);
+      common.push(['size', String(this.criteria.size / divisor)]);
+      common.push(['sizeOperator', this.criteria.sizeComparison === 'larger' ? 's_sl' : 's_ss']);
+      common.push(['sizeUnit', unit]);
+    }
+    
+    const categories = [];
+    const labels = [];
+    for (const name of this.actions.add || []) {
+      const smartLabel = Object.keys(MAIL_FILTER_CATEGORIES).find(key => MAIL_FILTER_CATEGORIES[key] === name);
+      if (smartLabel) categories.push(smartLabel);
+      else labels.push(name);
+    }
+    
+    const flags = MAIL_FILTER_ACTIONS.filter(flag => this.actions[flag]).map(flag => [flag, 'true']);
+    if (categories.length) flags.push(['smartLabelToApply', categories[0]]);
+    if (this.actions.forward) flags.push(['forwardTo', this.actions.forward]);
+    
+    // One entry per label; the other actions go on the first entry only
+    const perLabel = labels.length ? labels : [null];
+    return perLabel.map((label, i) => [
+      ...common,
+      ...(label ? [['label', label]] : []),
+      ...(i === 0 ? flags : [])
+    ]);
+  }
+
+  /**
+   * Filter from one mailFilters.xml entry's properties
+   */
+  static _fromMailFilterProperties(properties) {
+    const builder = new FilterBuilder();
+    
+    for (const [property, key] of MAIL_FILTER_CRITERIA) {
+      const value = properties[property];
+      if (value === undefined || value === '') continue;
+      if (key === 'hasAttachment' || key === 'excludeChats') {
+        if (value === 'true') builder.criteria[key] = true;
+      } else {
+        builder.criteria[key] = VALUE_CRITERIA.includes(key) ? FilterBuilder.parseValues(value) : value;
+      }
+    }
+    
+    if (properties.size) {
+      const unit = MAIL_FILTER_SIZE_UNITS.find(([name]) => name === properties.sizeUnit) || MAIL_FILTER_SIZE_UNITS[2];
+      builder.size(Number(properties.size) * unit[1]);
+      builder.sizeComparison(properties.sizeOperator === 's_ss' ? 'smaller' : 'larger');
+    }
+    
+    if (properties.label) builder.addLabel(properties.label);
+    if (MAIL_FILTER_CATEGORIES[properties.smartLabelToApply]) {
+      builder.addLabel(MAIL_FILTER_CATEGORIES[properties.smartLabelToApply]);
+    }
+    MAIL_FILTER_ACTIONS.forEach(flag => {
+      if (properties[flag] === 'true') builder.actions[flag] = true;
+    });
+    if (properties.forwardTo) builder.forward(properties.forwardTo);
+    
+    return builder;
+  }
 }
 
+// Gmail API criteria fields, which are also the builder's criteria keys
+const FILTER_CRITERIA = ['from', 'to', 'subject', 'query', 'negatedQuery', 'hasAttachment', 'excludeChats', 'size', 'sizeComparison'];
+
+// Criteria holding values rather than search syntax
+const VALUE_CRITERIA = ['from', 'to', 'subject'];
+
+// Search operators Gmail filters can't use
+const SEARCH_ONLY_OPERATORS = ['label', 'category', 'is', 'in', 'after', 'before', 'older', 'newer', 'older_than', 'newer_than'];
+const SEARCH_ONLY_HAS = /^(userlabels|nouserlabels|[a-z]+-(star|bang|guillemet|question|check|info))$/;
+const CATEGORIES = ['primary', 'social', 'promotions', 'updates', 'forums', 'reservations', 'purchases'];
+
+// Builder action flags that are system label changes in the Gmail API
+const SYSTEM_LABEL_ACTIONS = {
+  shouldArchive: ['remove', 'INBOX'],
+  shouldMarkAsRead: ['remove', 'UNREAD'],
+  shouldStar: ['add', 'STARRED'],
+  shouldAlwaysMarkAsImportant: ['add', 'IMPORTANT'],
+  shouldNeverMarkAsImportant: ['remove', 'IMPORTANT'],
+  shouldTrash: ['add', 'TRASH'],
+  shouldNeverSpam: ['remove', 'SPAM']
+};
+
+// Builder methods usable in fromSpec() and toSpec()
+const SPEC_CRITERIA = [
+  'from', 'to', 'subject', 'hasWords', 'doesNotHaveWords', 'hasAttachment', 'excludeChats', 'size', 'sizeComparison',
+  'label', 'category', 'is', 'in', 'filename', 'list', 'deliveredTo', 'after', 'before', 'olderThan', 'newerThan'
+];
+const SPEC_ACTIONS = ['addLabel', 'removeLabel', 'markAsRead', 'markAsImportant', 'neverMarkAsImportant', 'archive', 'deleteIt', 'neverSpam', 'star', 'forward'];
+const SPEC_CRITERIA_KEYS = { hasWords: 'query', doesNotHaveWords: 'negatedQuery' };
+const SPEC_ACTION_FLAGS = {
+  markAsRead: 'shouldMarkAsRead',
+  markAsImportant: 'shouldAlwaysMarkAsImportant',
+  neverMarkAsImportant: 'shouldNeverMarkAsImportant',
+  archive: 'shouldArchive',
+  deleteIt: 'shouldTrash',
+  neverSpam: 'shouldNeverSpam',
+  star: 'shouldStar'
+};
+
+// mailFilters.xml property names. The action flags are the builder's own.
+const MAIL_FILTER_CRITERIA = [
+  ['from', 'from'],
+  ['to', 'to'],
+  ['subject', 'subject'],
+  ['hasTheWord', 'query'],
+  ['doesNotHaveTheWord', 'negatedQuery'],
+  ['hasAttachment', 'hasAttachment'],
+  ['excludeChats', 'excludeChats']
+];
+const MAIL_FILTER_ACTIONS = [
+  'shouldArchive', 'shouldMarkAsRead', 'shouldStar', 'shouldTrash',
+  'shouldNeverSpam', 'shouldAlwaysMarkAsImportant', 'shouldNeverMarkAsImportant'
+];
+const MAIL_FILTER_SIZE_UNITS = [['s_smb', 1024 * 1024], ['s_skb', 1024], ['s_sb', 1]];
+const MAIL_FILTER_CATEGORIES = {
+  '^smartlabel_personal': 'CATEGORY_PERSONAL',
+  '^smartlabel_social': 'CATEGORY_SOCIAL',
+  '^smartlabel_promo': 'CATEGORY_PROMOTIONS',
+  '^smartlabel_notification': 'CATEGORY_UPDATES',
+  '^smartlabel_group': 'CATEGORY_FORUMS'
+};
+
 // Factory function for easier use
 function createFilter() {
   return new FilterBuilder();
@@ -0,0 +1,217 @@
+/**
+ * Declarative filter sync
+ * Compares the filters an account should have (FilterBuilder objects, usually
+ * from account.json filters.gmail) with the filters Gmail has, plans the
+ * creates and deletes, and applies the plan. Gmail filters cannot be edited,
+ * so a changed filter is a delete plus a create. Running a sync again once
+ * Gmail matches changes nothing.
+ *
+ * Requires the Gmail API advanced service. apply() checks the whole plan
+ * against the account's AccountPolicy before changing anything.
+ */
+
+class FilterSync {
+  /**
+   * @param {Object} options - { gmail: Gmail advanced service, prune: true to
+   *   delete filters that are not desired, policy: AccountPolicy
+   *   (default AccountPolicy.current()) }
+   */
+  constructor(options = {}) {
+    this.gmail = options.gmail || Gmail;
+    this.prune = options.prune === true;
+    this.policy = options.policy || null;
+  }
+
+  /**
+   * Desired filters from an account.json object
+   * @param {Object} account - Parsed account.json
+   * @returns {FilterBuilder[]}
+   */
+  static fromAccount(account) {
+    const specs = (account.filters && account.filters.gmail) || [];
+    return specs.map(spec => FilterBuilder.fromSpec(spec));
+  }
+
+  /**
+   * Identity of a filter, with labels by name and lists sorted, so equal
+   * filters compare equal however they were written
+   * @param {FilterBuilder} builder
+   * @returns {string}
+   */
+  static key(builder) {
+    const { criteria, action } = builder.toGmailFilter();
+    const sorted = {};
+    Object.keys(criteria).sort().forEach(field => { sorted[field] = criteria[field]; });
+    return JSON.stringify({
+      criteria: sorted,
+      add: (action.addLabelIds || []).slice().sort(),
+      remove: (action.removeLabelIds || []).slice().sort(),
+      forward: action.forward || null
+    });
+  }
+
+  /**
+   * Work out what has to change
+   * @param {FilterBuilder[]} desired
+   * @returns {Object} { labels: names to create, create: [{ builder, query }],
+   *   remove: [{ id, builder, query, reason }], unchanged }
+   * @throws {Error} If a desired filter uses search-only criteria, or prune
+   *   is on with no desired filters - that would delete every filter
+   */
+  plan(desired) {
+    if (this.prune && !desired.length) {
+      throw new Error('Refusing to prune with no desired filters - is filters.gmail missing from the account?');
+    }
+    desired.forEach(builder => builder.assertFilterable());
+    const labels = this._labels();
+    const existing = new Map();
+
+    for (const filter of this._filters()) {
+      const builder = FilterBuilder.fromGmailFilter(filter, id => labels.byId.get(id) || id);
+      const key = FilterSync.key(builder);
+      if (!existing.has(key)) existing.set(key, []);
+      existing.get(key).push({ id: filter.id, builder, query: builder.toQueryString() });
+    }
+
+    const plan = { labels: [], create: [], remove: [], unchanged: 0 };
+    const wanted = new Set();
+
+    for (const builder of desired) {
+      const key = FilterSync.key(builder);
+      if (wanted.has(key)) continue;
+      wanted.add(key);
+
+      for (const name of (builder.actions.add || []).concat(builder.actions.remove || [])) {
+        if (!labels.byName.has(name) && !plan.labels.includes(name)) plan.labels.push(name);
+      }
+
+      const matches = existing.get(key) || [];
+      if (matches.length) {
+        plan.unchanged++;
+        matches.slice(1).forEach(match => plan.remove.push({ ...match, reason: 'duplicate' }));
+      } else {
+        plan.create.push({ builder, query: builder.toQueryString() });
+      }
+    }
+
+    if (this.prune) {
+      for (const [key, matches] of existing) {
+        if (!wanted.has(key)) matches.forEach(match => plan.remove.push({ ...match, reason: 'not desired' }));
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Human-readable plan, one line per change
+   * @returns {string[]}
+   */
+  format(plan) {
+    const describe = builder => {
+      const { action } = builder.toGmailFilter();
+      const changes = [
+        ...(action.addLabelIds || []).map(label => `+${label}`),
+        ...(action.removeLabelIds || []).map(label => `-${label}`),
+        ...(action.forward ? [`forward ${action.forward}`] : [])
+      ];
+      return changes.join(' ');
+    };
+
+    const lines = [
+      ...plan.labels.map(name => `+ label ${name}`),
+      ...plan.create.map(({ builder, query }) => `+ filter ${query} => ${describe(builder)}`),
+      ...plan.remove.map(({ id, builder, query, reason }) => `- filter ${query} => ${describe(builder)} (${id}, ${reason})`)
+    ];
+    lines.push(`${plan.labels.length} labels to create, ${plan.create.length} filters to create, ` +
+      `${plan.remove.length} to delete, ${plan.unchanged} unchanged`);
+    return lines;
+  }
+
+  /**
+   * Apply a plan. Filters that already exist or are already gone are skipped,
+   * so a plan can be re-applied after a partial failure.
+   * @returns {Object} { labels, created, removed, skipped }
+   * @throws {PolicyError} If the policy doesn't allow a change; nothing is applied
+   */
+  apply(plan) {
+    const policy = this.policy || AccountPolicy.current();
+    if (plan.labels.length || plan.remove.length) {
+      policy.authorize('organize', { labels: plan.labels, removeFilters: plan.remove.map(({ query }) => query) });
+    }
+    plan.create.forEach(({ builder }) => builder.authorize(policy));
+
+    const result = { labels: 0, created: 0, removed: 0, skipped: 0 };
+
+    for (const name of plan.labels) {
+      try {
+        this.gmail.Users.Labels.create({ name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }, 'me');
+        result.labels++;
+      } catch (e) {
+        if (!/exists/i.test(e.message)) throw e;
+      }
+    }
+
+    const labels = this._labels();
+    const labelId = name => {
+      if (!labels.byName.has(name)) throw new Error(`Label not found: ${name}`);
+      return labels.byName.get(name);
+    };
+
+    for (const { builder } of plan.create) {
+      try {
+        this.gmail.Users.Settings.Filters.create(builder.toGmailFilter(labelId), 'me');
+        result.created++;
+      } catch (e) {
+        if (!/already exists/i.test(e.message)) throw e;
+        result.skipped++;
+      }
+    }
+
+    for (const { id } of plan.remove) {
+      try {
+        this.gmail.Users.Settings.Filters.remove('me', id);
+        result.removed++;
+      } catch (e) {
+        if (!/not found/i.test(e.message)) throw e;
+        result.skipped++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Plan, and apply unless dryRun
+   * @param {FilterBuilder[]} desired
+   * @param {Object} options - { dryRun: only plan (default true) }
+   * @returns {Object} { plan, lines, result } - result is null on a dry run
+   */
+  sync(desired, options = {}) {
+    const plan = this.plan(desired);
+    const dryRun = options.dryRun !== false;
+    return {
+      plan,
+      lines: this.format(plan),
+      result: dryRun ? null : this.apply(plan)
+    };
+  }
+
+  _filters() {
+    return this.gmail.Users.Settings.Filters.list('me').filter || [];
+  }
+
+  _labels() {
+    const byName = new Map();
+    const byId = new Map();
+    for (const label of this.gmail.Users.Labels.list('me').labels || []) {
+      byName.set(label.name, label.id);
+      byId.set(label.id, label.name);
+    }
+    return { byName, byId };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { FilterSync };
+}
@@ -1,21 +1,146 @@
 /**
  * Shared Gmail utility functions
  * Used across all account scripts
+ *
+ * Every method that changes the mailbox first checks the account's
+ * AccountPolicy (shared/utilities/AccountPolicy.js) and throws a
+ * PolicyError if the operation is restricted. Cleanup also honors the
+ * account's RetentionPolicy (shared/utilities/RetentionPolicy.js).
  */
 
+// GmailApp.search and Threads.list return at most 500 threads per call
+const GMAIL_PAGE_MAX = 500;
+
+// How far either side of its old position a GmailApp cursor looks for the
+// last thread of the previous page when the results have shifted
+const GMAIL_CURSOR_WINDOW = 50;
+
+// Default most threads batchDelete touches in one call
+const BATCH_DELETE_MAX = 100;
+
 const GmailUtils = {
   /**
    * Get threads matching a query with pagination
    * @param {string} query - Gmail search query
    * @param {number} maxResults - Maximum results to return
-   * @param {string} pageToken - Token for pagination
+   * @param {string} pageToken - nextPageToken from searchPage() for a later page
    */
   searchThreads(query, maxResults = 50, pageToken = null) {
-    const threads = pageToken 
-      ? GmailApp.search(query, 0, maxResults)
-      : GmailApp.search(query, 0, maxResults);
+    return this.searchPage(query, { maxResults, pageToken }).threads;
+  },
+
+  /**
+   * Get one page of threads and the token for the next page
+   *
+   * Tokens are opaque and tied to the query. Over GmailApp a token holds the
+   * next offset and the ID of the last thread returned. If mail arrives or
+   * leaves the results, the next page starts after that thread's new
+   * position. With advanced: true it wraps the Gmail advanced service's own
+   * nextPageToken.
+   * @param {string} query - Gmail search query
+   * @param {Object} options - { maxResults (max 500), pageToken, advanced }
+   * @returns {Object} { threads, nextPageToken } - nextPageToken is null on the last page
+   * @throws {Error} If the token is invalid, belongs to another query, or its
+   *   last thread can no longer be found
+   */
+  searchPage(query, options = {}) {
+    const size = Math.min(options.maxResults || 50, GMAIL_PAGE_MAX);
+    const fingerprint = this._fingerprint(query, options.advanced);
+    const cursor = options.pageToken ? this._decodeCursor(options.pageToken, fingerprint) : null;
+    
+    if (options.advanced) {
+      const response = Gmail.Users.Threads.list('me', {
+        q: query,
+        maxResults: size,
+        pageToken: cursor ? cursor.token : undefined
+      });
+      return {
+        threads: (response.threads || []).map(({ id }) => this._summarize(GmailApp.getThreadById(id))),
+        nextPageToken: response.nextPageToken
+          ? this._encodeCursor({ query: fingerprint, token: response.nextPageToken })
+          : null
+      };
+    }
     
-    return threads.map(thread => ({
+    const start = cursor ? this._locateCursor(query, cursor) : 0;
+    const threads = GmailApp.search(query, start, size + 1);
+    const page = threads.slice(0, size);
+    return {
+      threads: page.map(thread => this._summarize(thread)),
+      nextPageToken: threads.length > size
+        ? this._encodeCursor({ query: fingerprint, start: start + size, after: page[page.length - 1].getId() })
+        : null
+    };
+  },
+
+  /**
+   * Walk the threads matching a query lazily, one page at a time
+   * @param {string} query - Gmail search query
+   * @param {Object} options - { pageSize (default 100), limit: most threads
+   *   to yield (default 1000), advanced }
+   * @yields {Object} Thread summaries, as from searchThreads()
+   */
+  *iterateThreads(query, options = {}) {
+    const pageSize = options.pageSize || 100;
+    const limit = options.limit || 1000;
+    let pageToken = null;
+    let count = 0;
+    
+    do {
+      const page = this.searchPage(query, {
+        maxResults: Math.min(pageSize, limit - count),
+        pageToken,
+        advanced: options.advanced
+      });
+      for (const thread of page.threads) {
+        yield thread;
+        count++;
+      }
+      pageToken = page.nextPageToken;
+    } while (pageToken && count < limit);
+  },
+
+  /**
+   * Offset of the page after cursor.after, which moves if threads were added
+   * to or removed from the results since the token was issued
+   */
+  _locateCursor(query, cursor) {
+    const [previous] = GmailApp.search(query, cursor.start - 1, 1);
+    if (previous && previous.getId() === cursor.after) return cursor.start;
+    
+    const from = Math.max(0, cursor.start - 1 - GMAIL_CURSOR_WINDOW);
+    const index = GmailApp.search(query, from, 2 * GMAIL_CURSOR_WINDOW + 1)
+      .findIndex(thread => thread.getId() === cursor.after);
+    if (index === -1) {
+      throw new Error('Search results changed too much to continue from this page token - search again without one');
+    }
+    return from + index + 1;
+  },
+
+  _fingerprint(query, advanced) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, `${advanced ? 'api' : 'app'}:${query}`);
+    return Utilities.base64EncodeWebSafe(digest).substring(0, 12);
+  },
+
+  _encodeCursor(cursor) {
+    return Utilities.base64EncodeWebSafe(JSON.stringify(cursor));
+  },
+
+  _decodeCursor(pageToken, fingerprint) {
+    let cursor;
+    try {
+      cursor = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(pageToken)).getDataAsString());
+    } catch (e) {
+      throw new Error(`Invalid page token: ${pageToken}`);
+    }
+    if (!cursor || cursor.query !== fingerprint) {
+      throw new Error('Page token belongs to a different search');
+    }
+    return cursor;
+  },
+
+  _summarize(thread) {
+    return {
       id: thread.getId(),
       firstMessageSubject: thread.getFirstMessageSubject(),
       lastMessageDate: thread.getLastMessageDate(),
@@ -23,7 +148,7 @@ const GmailUtils = {
       labels: thread.getLabels().map(l => l.getName()),
       isUnread: thread.isUnread(),
       isImportant: thread.isImportant()
-    }));
+    };
   },
 
   /**
@@ -32,6 +157,7 @@ const GmailUtils = {
    * @param {string[]} labelNames - Labels to apply
    */
   applyLabels(threadIds, labelNames) {
+    AccountPolicy.current().authorize('label', { labels: labelNames, threads: threadIds.length });
     const threads = threadIds.map(id => GmailApp.getThreadById(id));
     const labels = labelNames.map(name => 
       GmailApp.getUserLabelByName(name) || GmailApp.createLabel(name)
@@ -46,10 +172,13 @@ const GmailUtils = {
    * Archive threads older than specified days
    * @param {string} query - Base query to filter threads
    * @param {number} daysOld - Age threshold in days
+   * @throws {RetentionError} If cleanup is turned off for the account
    */
   archiveOldThreads(query, daysOld) {
+    RetentionPolicy.current().assertCleanup(`archive threads older than ${daysOld} days`);
     const dateQuery = `${query} older_than:${daysOld}d`;
     const threads = GmailApp.search(dateQuery);
+    AccountPolicy.current().authorize('archive', { query: dateQuery, threads: threads.length });
     
     threads.forEach(thread => {
       thread.moveToArchive();
@@ -58,6 +187,25 @@ const GmailUtils = {
     return threads.length;
   },
 
+  /**
+   * Send an email, with cc and bcc recipients checked against the account's
+   * allowed domains as well as the recipient
+   * @param {string} recipient - Comma-separated addresses
+   * @param {string} subject
+   * @param {string} body - Plain text body
+   * @param {Object} options - GmailApp.sendEmail options (cc, bcc, htmlBody, ...)
+   */
+  sendEmail(recipient, subject, body, options = {}) {
+    const to = [recipient, options.cc, options.bcc]
+      .filter(Boolean)
+      .join(',')
+      .split(',')
+      .map(address => address.trim())
+      .filter(Boolean);
+    AccountPolicy.current().authorize('send', { to, subject });
+    GmailApp.sendEmail(recipient, subject, body, options);
+  },
+
   /**
    * Get email statistics
    * @param {string} query - Query to filter emails
@@ -78,20 +226,79 @@ const GmailUtils = {
   },
 
   /**
-   * Batch delete threads matching criteria
+   * Move threads matching a query to the trash, or delete them permanently
+   *
+   * The query must narrow the mailbox: '' or only in:, is: and category:
+   * terms (e.g. in:inbox) are refused, and so is a query matching more than
+   * maxCount threads. Permanent deletion uses the Gmail advanced service,
+   * which needs the https://mail.google.com/ scope, and must be confirmed:
+   * call with dryRun first, then pass that manifest's confirmation as
+   * confirm. It only matches while the query finds the same threads.
+   * Threads inside the account's retention window or on a legal-hold label
+   * are never deleted: the whole call is refused, dry runs included.
    * @param {string} query - Query for threads to delete
-   * @param {boolean} permanent - Whether to permanently delete
+   * @param {Object|boolean} options - { permanent, dryRun, confirm, maxCount
+   *   (default 100, at most 499) }, or just permanent
+   * @returns {Object} Manifest { query, permanent, dryRun, count, threadIds,
+   *   confirmation, timestamp }
+   * @throws {Error} If a guard fails; nothing is deleted. A RetentionError
+   *   lists the protected threads
    */
-  batchDelete(query, permanent = false) {
-    const threads = GmailApp.search(query);
+  batchDelete(query, options = {}) {
+    const settings = typeof options === 'boolean' ? { permanent: options } : options;
+    const maxCount = Math.min(settings.maxCount || BATCH_DELETE_MAX, GMAIL_PAGE_MAX - 1);
     
+    if (this._isBroadQuery(query)) {
+      throw new Error(`Refusing to delete threads matching "${query}" - add terms such as from:, label: or older_than:`);
+    }
+    
+    const threads = GmailApp.search(query, 0, maxCount + 1);
+    if (threads.length > maxCount) {
+      throw new Error(`"${query}" matches more than ${maxCount} threads - narrow the query or raise maxCount`);
+    }
+    RetentionPolicy.current().assertDeletable(threads);
+    
+    const permanent = Boolean(settings.permanent);
+    const threadIds = threads.map(thread => thread.getId());
+    const manifest = {
+      query,
+      permanent,
+      dryRun: Boolean(settings.dryRun),
+      count: threadIds.length,
+      threadIds,
+      confirmation: this._deleteConfirmation(query, permanent, threadIds),
+      timestamp: new Date().toISOString()
+    };
+    if (manifest.dryRun) return manifest;
+    
+    AccountPolicy.current().authorize('delete', { query, permanent, threads: threadIds.length });
     if (permanent) {
-      threads.forEach(thread => thread.moveToTrash());
+      if (settings.confirm !== manifest.confirmation) {
+        throw new Error('Permanent deletion needs confirm set to the confirmation from a dryRun of the same query and threads');
+      }
+      threadIds.forEach(id => Gmail.Users.Threads.remove('me', id));
     } else {
       threads.forEach(thread => thread.moveToTrash());
     }
     
-    return threads.length;
+    return manifest;
+  },
+
+  /**
+   * Whether a query only selects a location or state, e.g. '', in:inbox,
+   * is:read or -is:starred category:promotions
+   */
+  _isBroadQuery(query) {
+    const terms = String(query || '').match(/"[^"]*"|[^\s(){}]+/g) || [];
+    return terms
+      .filter(term => term !== 'OR' && term !== 'AND')
+      .every(term => /^-?(in|is|category):\S+$/i.test(term));
+  },
+
+  _deleteConfirmation(query, permanent, threadIds) {
+    const text = JSON.stringify({ query, permanent, threadIds: threadIds.slice().sort() });
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text);
+    return `delete-${Utilities.base64EncodeWebSafe(digest).substring(0, 16)}`;
   }
 };
 
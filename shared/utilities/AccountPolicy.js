@@ -0,0 +1,162 @@
+/**
+ * Account permission policy
+ * Checks mutating Gmail calls against an account's permissions
+ * (allowedOperations, restrictedOperations, auditLog) and restrictions
+ * (allowedDomains, blockedDomains). Either shape of account config works:
+ * the entry in config/accounts.json or accounts/<account>/account.json.
+ *
+ *   const policy = AccountPolicy.fromAccount(account);
+ *   policy.authorize('archive', { threads: 12 });          // throws PolicyError if not allowed
+ *   policy.authorize('send', { to: 'dean@alaska.edu' });   // recipients must be in allowedDomains
+ *
+ * Operations are those of the account schema: read, label, archive,
+ * organize, modify, delete, forward and send. Shared libraries use
+ * AccountPolicy.current(), which reads the account from the CONFIG_ACCOUNT
+ * Script Property (see ConfigResolver). Without it every operation is allowed.
+ */
+
+const POLICY_OPERATIONS = ['read', 'label', 'archive', 'organize', 'modify', 'delete', 'forward', 'send'];
+const POLICY_ACCOUNT_PROPERTY = 'CONFIG_ACCOUNT';
+
+/**
+ * Thrown when an account's policy does not allow an operation
+ */
+class PolicyError extends Error {
+  constructor(operation, message) {
+    super(message);
+    this.name = 'PolicyError';
+    this.operation = operation;
+  }
+}
+
+class AccountPolicy {
+  /**
+   * @param {Object} rules - { account, allowedOperations, restrictedOperations,
+   *   allowedDomains, blockedDomains, auditLog }
+   * @param {Object} options - { log: function(line) for audit lines, Logger.log by default }
+   */
+  constructor(rules = {}, options = {}) {
+    for (const operation of (rules.allowedOperations || []).concat(rules.restrictedOperations || [])) {
+      if (!POLICY_OPERATIONS.includes(operation)) {
+        throw new Error(`Unknown operation "${operation}" - use ${POLICY_OPERATIONS.join(', ')}`);
+      }
+    }
+    this.account = rules.account || 'this account';
+    this.allowedOperations = rules.allowedOperations || null;
+    this.restrictedOperations = rules.restrictedOperations || [];
+    this.allowedDomains = (rules.allowedDomains || []).map(domain => domain.toLowerCase());
+    this.blockedDomains = (rules.blockedDomains || []).map(domain => domain.toLowerCase());
+    this.auditLog = Boolean(rules.auditLog);
+    this.log = options.log || (line => Logger.log(line));
+  }
+
+  /**
+   * Policy from an account's config
+   * @param {Object} account - config/accounts.json entry or account.json
+   */
+  static fromAccount(account = {}, options = {}) {
+    const permissions = account.permissions || {};
+    const restrictions = account.restrictions || {};
+    const compliance = (account.compliance && account.compliance.auditLog) || {};
+
+    return new AccountPolicy({
+      account: account.email || (account.account && account.account.email),
+      allowedOperations: permissions.allowedOperations,
+      restrictedOperations: permissions.restrictedOperations,
+      allowedDomains: restrictions.allowedDomains,
+      blockedDomains: restrictions.blockedDomains,
+      auditLog: permissions.auditLog === true || compliance.enabled === true
+    }, options);
+  }
+
+  /**
+   * Policy from Script Properties - the account is JSON in CONFIG_ACCOUNT
+   * @param {Object} props - Script Properties as a plain object
+   * @throws {Error} If CONFIG_ACCOUNT is not valid JSON
+   */
+  static fromProperties(props = {}, options = {}) {
+    if (!props[POLICY_ACCOUNT_PROPERTY]) return new AccountPolicy({}, options);
+    try {
+      return AccountPolicy.fromAccount(JSON.parse(props[POLICY_ACCOUNT_PROPERTY]), options);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      throw new Error(`${POLICY_ACCOUNT_PROPERTY} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * The policy shared libraries check against: the one passed to install(),
+   * otherwise the account in Script Properties
+   * @param {Properties} properties - Script Properties store
+   */
+  static current(properties = null) {
+    if (AccountPolicy.installed) return AccountPolicy.installed;
+    const store = properties || PropertiesService.getScriptProperties();
+    return AccountPolicy.fromProperties(store.getProperties());
+  }
+
+  /**
+   * Use a policy for every later current() call; null goes back to Script Properties
+   */
+  static install(policy) {
+    AccountPolicy.installed = policy;
+    return policy;
+  }
+
+  /**
+   * Whether an operation is allowed, ignoring recipients
+   */
+  allows(operation) {
+    if (this.restrictedOperations.includes(operation)) return false;
+    return !this.allowedOperations || this.allowedOperations.includes(operation);
+  }
+
+  /**
+   * Check an operation, then write an audit line if auditLog is on
+   * @param {string} operation - One of POLICY_OPERATIONS
+   * @param {Object} details - What the operation touches; to is a recipient
+   *   address (or list) checked against the domain restrictions
+   * @throws {PolicyError} If the operation or a recipient is not allowed
+   */
+  authorize(operation, details = {}) {
+    if (!POLICY_OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown operation "${operation}" - use ${POLICY_OPERATIONS.join(', ')}`);
+    }
+    if (this.restrictedOperations.includes(operation)) {
+      throw new PolicyError(operation, `"${operation}" is a restricted operation for ${this.account}`);
+    }
+    if (this.allowedOperations && !this.allowedOperations.includes(operation)) {
+      throw new PolicyError(operation, `"${operation}" is not an allowed operation for ${this.account} - allowed: ${this.allowedOperations.join(', ')}`);
+    }
+
+    for (const recipient of [].concat(details.to || [])) {
+      const domain = AccountPolicy.domainOf(recipient);
+      const matches = allowed => domain === allowed || domain.endsWith(`.${allowed}`);
+      if (this.blockedDomains.some(matches)) {
+        throw new PolicyError(operation, `${operation} to ${recipient} is blocked - ${domain} is a blocked domain for ${this.account}`);
+      }
+      if (this.allowedDomains.length && !this.allowedDomains.some(matches)) {
+        throw new PolicyError(operation, `${operation} to ${recipient} is blocked - ${this.account} only allows ${this.allowedDomains.join(', ')}`);
+      }
+    }
+
+    if (this.auditLog) {
+      this.log(`🔐 Audit: ${operation} ${JSON.stringify(details)}`);
+    }
+    return true;
+  }
+
+  /**
+   * Lower-case domain of an address such as 'Name <user@alaska.edu>'
+   */
+  static domainOf(address) {
+    const match = String(address).match(/@([^\s<>@]+?)>?\s*$/);
+    return match ? match[1].toLowerCase() : '';
+  }
+}
+
+AccountPolicy.installed = null;
+
+if (typeof module !== 'undefined') {
+  module.exports = { AccountPolicy, PolicyError };
+}
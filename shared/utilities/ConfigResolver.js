@@ -0,0 +1,257 @@
+/**
+ * Layered configuration resolver
+ * Merges, from lowest to highest precedence: built-in defaults, the
+ * environment file (config/environments/<name>.json), account settings (the
+ * account's entry in config/accounts.json) and Script Properties.
+ *
+ * Each setting is declared once with its type and where every layer keeps it:
+ *
+ *   const resolver = new ConfigResolver({
+ *     SHEET_ID: { type: 'string', required: true, secret: true, property: 'SHEET_ID' },
+ *     MAX_PER_RUN: { type: 'int', default: 50, min: 1,
+ *                    environment: 'limits.maxThreadsPerRun', property: 'MAX_PER_RUN' }
+ *   });
+ *   const config = resolver.resolve(ConfigResolver.layersFromProperties(props));
+ *
+ * Apps Script projects cannot read repository files, so the environment and
+ * account layers come from the CONFIG_ENVIRONMENT and CONFIG_ACCOUNT Script
+ * Properties, each holding JSON. CONFIG_ACCOUNT is the account's
+ * config/accounts.json entry merged with its accounts/<account>/account.json
+ * (see mergeAccount(); scripts/account-config.js prints it).
+ */
+
+const CONFIG_ENVIRONMENT_PROPERTY = 'CONFIG_ENVIRONMENT';
+const CONFIG_ACCOUNT_PROPERTY = 'CONFIG_ACCOUNT';
+const CONFIG_TYPES = ['string', 'boolean', 'int', 'number', 'csv', 'json'];
+const REDACTED = '[redacted]';
+
+/**
+ * Thrown when required values are missing or values cannot be coerced
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+class ConfigResolver {
+  /**
+   * @param {Object} settings - { KEY: { type, default, required, secret, min, max,
+   *   values, environment, account, property } } - environment and account are
+   *   dotted paths into their layer, property is a Script Properties key
+   */
+  constructor(settings) {
+    for (const [key, spec] of Object.entries(settings)) {
+      if (!CONFIG_TYPES.includes(spec.type)) {
+        throw new Error(`Setting ${key} has unknown type "${spec.type}"`);
+      }
+    }
+    this.settings = settings;
+  }
+
+  /**
+   * Resolve every setting
+   * @param {Object} layers - { environment, account, properties } as plain objects
+   * @returns {Object} { KEY: value }
+   * @throws {ConfigError} Listing every missing or invalid value
+   */
+  resolve(layers = {}) {
+    const { config, problems } = this.explain(layers);
+    if (problems.length) {
+      throw new ConfigError(problems);
+    }
+    return config;
+  }
+
+  /**
+   * Resolve without throwing, recording where each value came from
+   * @returns {Object} { config, sources: { KEY: 'property TRIAGE_X' }, problems }
+   */
+  explain(layers = {}) {
+    const config = {};
+    const sources = {};
+    const problems = [];
+
+    for (const [key, spec] of Object.entries(this.settings)) {
+      let value = spec.default;
+      let source = 'default';
+
+      const candidates = [
+        ['environment', layers.environment, spec.environment],
+        ['account', layers.account, spec.account],
+        ['property', layers.properties, spec.property]
+      ];
+
+      for (const [layer, data, path] of candidates) {
+        if (!data || !path) continue;
+        const raw = layer === 'property' ? data[path] : ConfigResolver.lookup(data, path);
+        if (raw === undefined || raw === null || raw === '') continue;
+
+        try {
+          value = ConfigResolver.coerce(raw, spec);
+          source = `${layer} ${path}`;
+        } catch (error) {
+          problems.push(`${key}: ${layer} ${path} ${error.message}`);
+        }
+      }
+
+      if (spec.required && (value === undefined || value === '' || (Array.isArray(value) && !value.length))) {
+        const where = [
+          spec.property && `Script Property ${spec.property}`,
+          spec.environment && `environment ${spec.environment}`,
+          spec.account && `account ${spec.account}`
+        ].filter(Boolean).join(' or ');
+        problems.push(`${key} is required${where ? ` - set ${where}` : ''}`);
+      }
+
+      config[key] = value;
+      sources[key] = source;
+    }
+
+    return { config, sources, problems };
+  }
+
+  /**
+   * Effective configuration for debugging, with secrets redacted
+   * @returns {string[]} One line per setting, then any problems
+   */
+  dump(layers = {}) {
+    const { config, sources, problems } = this.explain(layers);
+    const lines = Object.keys(this.settings).map(key => {
+      const value = this.settings[key].secret && config[key] !== undefined && config[key] !== ''
+        ? REDACTED
+        : JSON.stringify(config[key]);
+      return `${key} = ${value} (${sources[key]})`;
+    });
+    return lines.concat(problems.map(problem => `⚠️ ${problem}`));
+  }
+
+  /**
+   * Convert a layer value to the setting's type
+   * @throws {Error} Describing the invalid value
+   */
+  static coerce(raw, spec) {
+    let value;
+    switch (spec.type) {
+      case 'boolean':
+        if (typeof raw === 'boolean') {
+          value = raw;
+        } else if (/^(true|yes|1)$/i.test(String(raw))) {
+          value = true;
+        } else if (/^(false|no|0)$/i.test(String(raw))) {
+          value = false;
+        } else {
+          throw new Error(`${JSON.stringify(raw)} is not a boolean`);
+        }
+        break;
+
+      case 'int':
+        if (!/^-?\d+$/.test(String(raw).trim())) {
+          throw new Error(`${JSON.stringify(raw)} is not an integer`);
+        }
+        value = parseInt(raw, 10);
+        break;
+
+      case 'number':
+        value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isFinite(value) || String(raw).trim() === '') {
+          throw new Error(`${JSON.stringify(raw)} is not a number`);
+        }
+        break;
+
+      case 'csv':
+        value = (Array.isArray(raw) ? raw.map(String) : String(raw).split(','))
+          .map(item => item.trim())
+          .filter(item => item);
+        break;
+
+      case 'json':
+        if (typeof raw !== 'string') {
+          value = raw;
+          break;
+        }
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          throw new Error(`is not valid JSON: ${error.message}`);
+        }
+        break;
+
+      default:
+        if (typeof raw === 'object') {
+          throw new Error(`${JSON.stringify(raw)} is not a string`);
+        }
+        value = String(raw);
+    }
+
+    if (spec.min !== undefined && value < spec.min) {
+      throw new Error(`${value} is below the minimum of ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      throw new Error(`${value} is above the maximum of ${spec.max}`);
+    }
+    if (spec.values && !spec.values.includes(value)) {
+      throw new Error(`"${value}" must be one of: ${spec.values.join(', ')}`);
+    }
+    return value;
+  }
+
+  /**
+   * Value at a dotted path, e.g. 'limits.maxThreadsPerRun'
+   */
+  static lookup(data, path) {
+    return path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), data);
+  }
+
+  /**
+   * One account document from both of its files - quotas and features live
+   * in the registry entry, preferences and compliance in account.json.
+   * Objects are merged key by key, and account.json wins where both set a
+   * value (arrays are replaced, not concatenated).
+   * @param {Object} entry - The account's config/accounts.json entry
+   * @param {Object} account - Its account.json
+   */
+  static mergeAccount(entry = {}, account = {}) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const merged = { ...entry };
+    for (const [key, value] of Object.entries(account)) {
+      merged[key] = isObject(value) && isObject(merged[key]) ? ConfigResolver.mergeAccount(merged[key], value) : value;
+    }
+    return merged;
+  }
+
+  /**
+   * Layers from Script Properties: CONFIG_ENVIRONMENT and CONFIG_ACCOUNT hold
+   * JSON, every other property overrides a setting directly
+   * @param {Object} props - Script Properties as a plain object
+   * @throws {ConfigError} If either JSON property cannot be parsed
+   */
+  static layersFromProperties(props = {}) {
+    const problems = [];
+    const parse = key => {
+      if (!props[key]) return null;
+      try {
+        return JSON.parse(props[key]);
+      } catch (error) {
+        problems.push(`${key} is not valid JSON: ${error.message}`);
+        return null;
+      }
+    };
+
+    const layers = {
+      environment: parse(CONFIG_ENVIRONMENT_PROPERTY),
+      account: parse(CONFIG_ACCOUNT_PROPERTY),
+      properties: props
+    };
+    if (problems.length) {
+      throw new ConfigError(problems);
+    }
+    return layers;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ConfigResolver, ConfigError };
+}
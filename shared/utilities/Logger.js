@@ -1,8 +1,21 @@
 /**
  * Enhanced logging utility for AppScript projects
  * Supports multiple log levels and destinations
+ *
+ * Sheet and email destinations are written on flush(), which happens every
+ * bufferSize entries - call it once more at the end of a run. Sheet rows
+ * go to the 'Logs' sheet in a single setValues call. Once the spreadsheet's
+ * grid, every sheet counted, would pass sheetMaxCells cells, logging moves
+ * to a new spreadsheet, whose ID is kept in Script Properties.
  */
 
+const LOG_HEADERS = ['Timestamp', 'Level', 'Prefix', 'Message', 'Data'];
+
+// A spreadsheet holds at most 10 million cells across all its sheets, but
+// opening and writing slow down long before that - roll over at a tenth
+const LOG_SHEET_MAX_CELLS = 1000000;
+const LOG_ROLLOVER_PROPERTY = 'LOG_SHEET_ROLLOVER_'; // + sheetId: { id, number } of the current spreadsheet
+
 class Logger {
   constructor(config = {}) {
     this.config = {
@@ -10,6 +23,8 @@ class Logger {
       prefix: config.prefix || '',
       logToSheet: config.logToSheet || false,
       sheetId: config.sheetId || null,
+      sheetName: config.sheetName || 'Logs',
+      sheetMaxCells: config.sheetMaxCells || LOG_SHEET_MAX_CELLS,
       logToEmail: config.logToEmail || false,
       emailRecipient: config.emailRecipient || null,
       bufferSize: config.bufferSize || 100
@@ -24,6 +39,8 @@ class Logger {
     };
     
     this.buffer = [];
+    this.logSheet = null;
+    this.logSpreadsheet = null;
   }
 
   _shouldLog(level) {
@@ -50,6 +67,7 @@ class Logger {
     this.buffer.push({
       timestamp: new Date(),
       level,
+      prefix: this.config.prefix,
       message,
       data,
       formatted
@@ -59,23 +77,116 @@ class Logger {
     if (this.buffer.length >= this.config.bufferSize) {
       this.flush();
     }
-    
-    // Log to sheet if configured
-    if (this.config.logToSheet && this.config.sheetId) {
-      this._logToSheet(formatted);
-    }
   }
 
-  _logToSheet(message) {
+  /**
+   * Append entries as rows, one setValues call per sheet written
+   */
+  _logToSheet(entries) {
+    const rows = entries.map(entry => [
+      entry.timestamp,
+      entry.level,
+      entry.prefix,
+      entry.message,
+      entry.data ? JSON.stringify(entry.data) : ''
+    ]);
+    
     try {
-      const sheet = SpreadsheetApp.openById(this.config.sheetId);
-      const logSheet = sheet.getSheetByName('Logs') || sheet.insertSheet('Logs');
-      logSheet.appendRow([new Date(), message]);
+      let sheet = this._getLogSheet();
+      let cells = this._countCells(this.logSpreadsheet);
+      while (rows.length > 0) {
+        // Empty grid rows are already counted; new rows must fit the budget
+        const free = sheet.getMaxRows() - sheet.getLastRow();
+        const growth = Math.max(0, Math.floor((this.config.sheetMaxCells - cells) / sheet.getMaxColumns()));
+        if (free + growth <= 0) {
+          sheet = this._rollOver();
+          cells = this._countCells(this.logSpreadsheet);
+          continue;
+        }
+        
+        const chunk = rows.splice(0, free + growth);
+        if (chunk.length > free) {
+          sheet.insertRowsAfter(sheet.getMaxRows(), chunk.length - free);
+          cells += (chunk.length - free) * sheet.getMaxColumns();
+        }
+        sheet.getRange(sheet.getLastRow() + 1, 1, chunk.length, LOG_HEADERS.length).setValues(chunk);
+      }
     } catch (e) {
       console.error('Failed to log to sheet:', e);
     }
   }
 
+  /**
+   * The Logs sheet of the current spreadsheet: sheetId, or the newest one
+   * it rolled over to. A Logs sheet without the header row, such as the
+   * two-column [date, message] log of earlier versions, is left as it is
+   * and logging rolls over.
+   */
+  _getLogSheet() {
+    if (this.logSheet) return this.logSheet;
+    
+    const current = this._currentRollover();
+    this.logSpreadsheet = SpreadsheetApp.openById(current ? current.id : this.config.sheetId);
+    const sheet = this.logSpreadsheet.getSheetByName(this.config.sheetName);
+    if (sheet && sheet.getLastRow() > 0 && !this._hasLogHeaders(sheet)) {
+      return this._rollOver();
+    }
+    
+    this.logSheet = this._prepareLogSheet(sheet || this.logSpreadsheet.insertSheet(this.config.sheetName));
+    return this.logSheet;
+  }
+
+  /**
+   * Continue in a new spreadsheet named after the first, e.g. 'Script logs 2'
+   */
+  _rollOver() {
+    const first = SpreadsheetApp.openById(this.config.sheetId);
+    const number = (this._currentRollover() || { number: 1 }).number + 1;
+    
+    this.logSpreadsheet = SpreadsheetApp.create(`${first.getName()} ${number}`);
+    const sheet = this.logSpreadsheet.getSheets()[0].setName(this.config.sheetName);
+    PropertiesService.getScriptProperties().setProperty(LOG_ROLLOVER_PROPERTY + this.config.sheetId,
+      JSON.stringify({ id: this.logSpreadsheet.getId(), number }));
+    
+    this.logSheet = this._prepareLogSheet(sheet);
+    return this.logSheet;
+  }
+
+  /**
+   * { id, number } of the spreadsheet logging rolled over to, or null
+   */
+  _currentRollover() {
+    const raw = PropertiesService.getScriptProperties().getProperty(LOG_ROLLOVER_PROPERTY + this.config.sheetId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Grid cells of every sheet - what the spreadsheet limit counts
+   */
+  _countCells(spreadsheet) {
+    return spreadsheet.getSheets().reduce((sum, sheet) => sum + sheet.getMaxRows() * sheet.getMaxColumns(), 0);
+  }
+
+  _hasLogHeaders(sheet) {
+    const [first] = sheet.getRange(1, 1, 1, LOG_HEADERS.length).getValues();
+    return first.every((value, i) => value === LOG_HEADERS[i]);
+  }
+
+  /**
+   * Give an empty sheet the header row and no columns past the five logged;
+   * a sheet that already has entries is used as it is
+   */
+  _prepareLogSheet(sheet) {
+    if (sheet.getLastRow() > 0) return sheet;
+    
+    if (sheet.getMaxColumns() > LOG_HEADERS.length) {
+      sheet.deleteColumns(LOG_HEADERS.length + 1, sheet.getMaxColumns() - LOG_HEADERS.length);
+    }
+    sheet.getRange(1, 1, 1, LOG_HEADERS.length).setValues([LOG_HEADERS]);
+    sheet.setFrozenRows(1);
+    return sheet;
+  }
+
   error(message, data) {
     this._write('ERROR', message, data);
   }
@@ -102,6 +213,10 @@ class Logger {
   flush() {
     if (this.buffer.length === 0) return;
     
+    if (this.config.logToSheet && this.config.sheetId) {
+      this._logToSheet(this.buffer);
+    }
+    
     if (this.config.logToEmail && this.config.emailRecipient) {
       this._sendLogEmail();
     }
@@ -136,5 +251,5 @@ class Logger {
 const globalLogger = new Logger();
 
 if (typeof module !== 'undefined') {
-  module.exports = { Logger, globalLogger };
+  module.exports = { Logger, globalLogger, LOG_HEADERS };
 }
\ No newline at end of file
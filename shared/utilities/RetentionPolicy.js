@@ -0,0 +1,274 @@
+/**
+ * Retention policy
+ * Keeps mail inside an account's retention window, and mail on legal-hold
+ * labels, from being trashed or deleted. Either shape of account config works:
+ *
+ *   config/accounts.json entry:  restrictions.retentionPolicy: "7years",
+ *                                features.cleanup: false
+ *   account.json:                compliance.retentionPolicy: { enabled, duration,
+ *                                  exceptions: [legal-hold labels],
+ *                                  labels: { "Research/grants": "10years" } },
+ *                                preferences.cleanup.enabled
+ *
+ * A thread is retained until its last message is older than its retention.
+ * Retention comes from the labels the thread carries when any of them sets
+ * one (the longest wins, and a label covers its sublabels), otherwise from
+ * the account. Threads on a legal-hold label can never be deleted.
+ *
+ *   const retention = RetentionPolicy.fromAccount(account);
+ *   retention.assertDeletable(threads);            // throws RetentionError
+ *   retention.format(retention.report('older_than:1y'));
+ */
+
+const RETENTION_DURATION = /^([0-9]+)(days|months|years)$/;
+const RETENTION_ACCOUNT_PROPERTY = 'CONFIG_ACCOUNT';
+const RETENTION_REPORT_PAGE = 500;
+
+/**
+ * Thrown when a cleanup would touch retained or held mail
+ */
+class RetentionError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object[]} threads - evaluate() results of the protected threads
+   */
+  constructor(message, threads = []) {
+    super(message);
+    this.name = 'RetentionError';
+    this.threads = threads;
+  }
+}
+
+class RetentionPolicy {
+  /**
+   * @param {Object} rules - { account, duration: e.g. '7years', labels:
+   *   { label: duration }, holds: legal-hold labels, cleanup: false to
+   *   refuse all cleanup }
+   * @param {Object} options - { gmail: GmailApp (or compatible) for report() }
+   */
+  constructor(rules = {}, options = {}) {
+    this.account = rules.account || 'this account';
+    this.duration = rules.duration || null;
+    this.labels = rules.labels || {};
+    this.holds = rules.holds || [];
+    this.cleanup = rules.cleanup !== false;
+    this.gmail = options.gmail || null;
+
+    [this.duration, ...Object.values(this.labels)].filter(Boolean).forEach(RetentionPolicy.parseDuration);
+  }
+
+  /**
+   * Policy from an account's config
+   * @param {Object} account - config/accounts.json entry or account.json
+   */
+  static fromAccount(account = {}, options = {}) {
+    const restrictions = account.restrictions || {};
+    const compliance = (account.compliance && account.compliance.retentionPolicy) || {};
+    const features = account.features || {};
+    const cleanup = (account.preferences && account.preferences.cleanup) || {};
+    const enabled = compliance.enabled !== false;
+
+    return new RetentionPolicy({
+      account: account.email || (account.account && account.account.email),
+      duration: (enabled && compliance.duration) || restrictions.retentionPolicy,
+      labels: enabled ? compliance.labels : {},
+      holds: compliance.exceptions,
+      cleanup: features.cleanup !== false && cleanup.enabled !== false
+    }, options);
+  }
+
+  /**
+   * Policy from Script Properties - the account is JSON in CONFIG_ACCOUNT
+   * @throws {Error} If CONFIG_ACCOUNT is not valid JSON
+   */
+  static fromProperties(props = {}, options = {}) {
+    if (!props[RETENTION_ACCOUNT_PROPERTY]) return new RetentionPolicy({}, options);
+    try {
+      return RetentionPolicy.fromAccount(JSON.parse(props[RETENTION_ACCOUNT_PROPERTY]), options);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      throw new Error(`${RETENTION_ACCOUNT_PROPERTY} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * The policy shared libraries check against: the one passed to install(),
+   * otherwise the account in Script Properties
+   */
+  static current(properties = null) {
+    if (RetentionPolicy.installed) return RetentionPolicy.installed;
+    const store = properties || PropertiesService.getScriptProperties();
+    return RetentionPolicy.fromProperties(store.getProperties());
+  }
+
+  /**
+   * Use a policy for every later current() call; null goes back to Script Properties
+   */
+  static install(policy) {
+    RetentionPolicy.installed = policy;
+    return policy;
+  }
+
+  /**
+   * @param {string} duration - e.g. '30days', '6months', '7years'
+   * @returns {Object} { count, unit }
+   */
+  static parseDuration(duration) {
+    const match = String(duration).match(RETENTION_DURATION);
+    if (!match) {
+      throw new Error(`Invalid retention "${duration}" - use e.g. 30days, 6months or 7years`);
+    }
+    return { count: Number(match[1]), unit: match[2] };
+  }
+
+  /**
+   * date plus a duration, in calendar months and years
+   */
+  static addDuration(date, duration) {
+    const { count, unit } = RetentionPolicy.parseDuration(duration);
+    const result = new Date(date.getTime());
+    if (unit === 'days') result.setUTCDate(result.getUTCDate() + count);
+    if (unit === 'months') result.setUTCMonth(result.getUTCMonth() + count);
+    if (unit === 'years') result.setUTCFullYear(result.getUTCFullYear() + count);
+    return result;
+  }
+
+  /**
+   * Refuse cleanup on accounts that turn it off
+   * @param {string} operation - What was attempted, for the message
+   * @throws {RetentionError}
+   */
+  assertCleanup(operation) {
+    if (!this.cleanup) {
+      throw new RetentionError(`Cleanup is turned off for ${this.account} - refusing to ${operation}`);
+    }
+    return this;
+  }
+
+  /**
+   * Retention for a set of labels: the longest label retention, or the account's
+   * @returns {string|null}
+   */
+  retentionFor(labelNames) {
+    const durations = Object.keys(this.labels)
+      .filter(label => labelNames.some(name => RetentionPolicy._covers(label, name)))
+      .map(label => this.labels[label]);
+    if (!durations.length) return this.duration;
+
+    const epoch = new Date(0);
+    return durations.reduce((longest, duration) =>
+      RetentionPolicy.addDuration(epoch, duration) > RetentionPolicy.addDuration(epoch, longest) ? duration : longest);
+  }
+
+  /**
+   * Legal-hold labels among labelNames (a hold covers its sublabels)
+   */
+  holdsFor(labelNames) {
+    return this.holds.filter(hold => labelNames.some(name => RetentionPolicy._covers(hold, name)));
+  }
+
+  /**
+   * Where a thread stands
+   * @param {GmailThread} thread
+   * @returns {Object} { threadId, subject, lastMessageDate, labels, retention,
+   *   holds, eligibleAt (null when held), status: 'eligible', 'retained' or 'held' }
+   */
+  evaluate(thread, now = new Date()) {
+    const labels = thread.getLabels().map(label => label.getName());
+    const lastMessageDate = thread.getLastMessageDate();
+    const retention = this.retentionFor(labels);
+    const holds = this.holdsFor(labels);
+    const eligibleAt = holds.length ? null : retention ? RetentionPolicy.addDuration(lastMessageDate, retention) : lastMessageDate;
+
+    let status = 'eligible';
+    if (holds.length) status = 'held';
+    else if (eligibleAt > now) status = 'retained';
+
+    return { threadId: thread.getId(), subject: thread.getFirstMessageSubject(), lastMessageDate, labels, retention, holds, eligibleAt, status };
+  }
+
+  /**
+   * @param {GmailThread[]} threads - Threads about to be trashed or deleted
+   * @throws {RetentionError} If cleanup is off, or any thread is retained or
+   *   held; error.threads lists them
+   */
+  assertDeletable(threads, now = new Date()) {
+    this.assertCleanup(`delete ${threads.length} threads`);
+    const protectedThreads = threads.map(thread => this.evaluate(thread, now)).filter(item => item.status !== 'eligible');
+    if (!protectedThreads.length) return this;
+
+    const held = protectedThreads.filter(item => item.status === 'held');
+    const retained = protectedThreads.filter(item => item.status === 'retained');
+    const problems = [];
+    if (retained.length) {
+      const latest = new Date(Math.max(...retained.map(item => item.eligibleAt.getTime())));
+      problems.push(`${retained.length} inside their retention window (until ${latest.toISOString().slice(0, 10)})`);
+    }
+    if (held.length) {
+      const labels = [...new Set(held.flatMap(item => item.holds))];
+      problems.push(`${held.length} on legal hold (${labels.join(', ')}) and undeletable`);
+    }
+    throw new RetentionError(`Refusing to delete threads for ${this.account}: ${problems.join('; ')}`, protectedThreads);
+  }
+
+  /**
+   * What a query's threads would allow to be cleaned up, and when
+   * @param {string} query - Gmail search query, '' for all mail
+   * @param {Object} options - { limit: most threads to read (default 1000) }
+   * @returns {Object} { account, generatedAt, query, threads: evaluate() results
+   *   by eligibleAt, counts: { eligible, retained, held }, schedule: { 'YYYY-MM': count } }
+   */
+  report(query = '', options = {}) {
+    const gmail = this.gmail || GmailApp;
+    const limit = options.limit || 1000;
+    const now = options.now || new Date();
+    const threads = [];
+
+    for (let start = 0; start < limit; start += RETENTION_REPORT_PAGE) {
+      const page = gmail.search(query, start, Math.min(RETENTION_REPORT_PAGE, limit - start));
+      threads.push(...page.map(thread => this.evaluate(thread, now)));
+      if (page.length < RETENTION_REPORT_PAGE) break;
+    }
+
+    threads.sort((a, b) => (a.eligibleAt ? a.eligibleAt.getTime() : Infinity) - (b.eligibleAt ? b.eligibleAt.getTime() : Infinity));
+    const counts = { eligible: 0, retained: 0, held: 0 };
+    const schedule = {};
+    for (const item of threads) {
+      counts[item.status]++;
+      if (item.status === 'retained') {
+        const month = item.eligibleAt.toISOString().slice(0, 7);
+        schedule[month] = (schedule[month] || 0) + 1;
+      }
+    }
+
+    return { account: this.account, generatedAt: now, query, threads, counts, schedule };
+  }
+
+  /**
+   * Human-readable report
+   * @returns {string[]}
+   */
+  format(report) {
+    const lines = [
+      `Retention for ${report.account}: ${this.duration || 'none'}` +
+        (this.holds.length ? `, legal holds ${this.holds.join(', ')}` : '') +
+        (this.cleanup ? '' : ' (cleanup turned off)'),
+      `${report.threads.length} threads: ${report.counts.eligible} eligible now, ` +
+        `${report.counts.retained} retained, ${report.counts.held} on legal hold`
+    ];
+    for (const [month, count] of Object.entries(report.schedule)) {
+      lines.push(`  ${month}: ${count} become eligible`);
+    }
+    return lines;
+  }
+
+  static _covers(label, name) {
+    return name === label || name.startsWith(`${label}/`);
+  }
+}
+
+RetentionPolicy.installed = null;
+
+if (typeof module !== 'undefined') {
+  module.exports = { RetentionPolicy, RetentionError };
+}
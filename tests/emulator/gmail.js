@@ -0,0 +1,597 @@
+/**
+ * In-memory Gmail for the emulator
+ *
+ * GmailStore holds threads, messages and labels. createGmailApp() and
+ * createGmailService() expose it through the GmailApp API and the Gmail
+ * advanced service, so changes made through either are visible to both.
+ * Wrapper objects are created per call, like the real API.
+ */
+
+import { compile } from './search.js';
+
+const SYSTEM_LABELS = ['INBOX', 'SENT', 'DRAFT', 'TRASH', 'SPAM', 'STARRED', 'UNREAD', 'IMPORTANT'];
+const CATEGORY_LABELS = {
+  primary: 'CATEGORY_PERSONAL',
+  social: 'CATEGORY_SOCIAL',
+  promotions: 'CATEGORY_PROMOTIONS',
+  updates: 'CATEGORY_UPDATES',
+  forums: 'CATEGORY_FORUMS'
+};
+
+const SEARCH_MAX = 500; // GmailApp.search max argument
+const BATCH_MODIFY_MAX = 1000; // Messages.batchModify ids
+const BULK_THREAD_MAX = 100; // GmailApp bulk thread methods
+const API_PAGE_MAX = 500; // Messages.list / Threads.list maxResults
+
+function notFound(what, id) {
+  return new Error(`${what} not found: ${id}`);
+}
+
+const AGE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Fixture dates are ISO strings or ages such as "-3d", "-2h" and "-90m"
+ */
+function toDate(value, now) {
+  if (value instanceof Date) return new Date(value);
+  if (value === undefined || value === null) return new Date(now);
+  const age = String(value).match(/^-(\d+)([mhd])$/);
+  if (age) return new Date(now - Number(age[1]) * AGE_UNITS[age[2]]);
+  return new Date(value);
+}
+
+// ==================== STORE ====================
+
+export class GmailStore {
+  /**
+   * @param {Object} options - { user, aliases, clock }
+   */
+  constructor({ user = 'me@example.com', aliases = [], clock } = {}) {
+    this.user = user;
+    this.aliases = aliases;
+    this.clock = clock || { now: () => Date.now() };
+    this.labels = new Map(); // id -> name
+    this.threads = new Map(); // id -> { id, messageIds }
+    this.messages = new Map(); // id -> message record
+    this.filters = [];
+    this.sentEmails = [];
+    this.nextId = 1;
+  }
+
+  get addresses() {
+    return [this.user, ...this.aliases].map(address => address.toLowerCase());
+  }
+
+  newId(prefix) {
+    return `${prefix}${(this.nextId++).toString(16).padStart(8, '0')}`;
+  }
+
+  // ----- Labels -----
+
+  labelId(name) {
+    for (const [id, existing] of this.labels) {
+      if (existing === name) return id;
+    }
+    return null;
+  }
+
+  createLabel(name) {
+    return this.labelId(name) || this._addLabel(name);
+  }
+
+  _addLabel(name) {
+    const id = `Label_${this.labels.size + 1}`;
+    this.labels.set(id, name);
+    return id;
+  }
+
+  deleteLabel(id) {
+    if (!this.labels.has(id)) throw notFound('Label', id);
+    this.labels.delete(id);
+    for (const message of this.messages.values()) message.labelIds.delete(id);
+  }
+
+  isLabelId(id) {
+    return SYSTEM_LABELS.includes(id) || Object.values(CATEGORY_LABELS).includes(id) || this.labels.has(id);
+  }
+
+  // ----- Threads and messages -----
+
+  /**
+   * Add a thread from a fixture
+   * @param {Object} fixture - { id?, labels?, inbox?, unread?, starred?,
+   *   important?, category?, trash?, spam?, messages: [...] }
+   */
+  addThread(fixture) {
+    const threadId = fixture.id || this.newId('t');
+    const thread = { id: threadId, messageIds: [] };
+    this.threads.set(threadId, thread);
+
+    const threadLabels = (fixture.labels || []).map(name => this.createLabel(name));
+
+    for (const source of fixture.messages || [{}]) {
+      const from = source.from || 'sender@example.com';
+      const fromMe = this.addresses.some(address => from.toLowerCase().includes(address));
+      const labelIds = new Set(threadLabels);
+      (source.labels || []).forEach(name => labelIds.add(this.createLabel(name)));
+
+      if (fromMe) labelIds.add('SENT');
+      if (!fromMe && fixture.inbox !== false) labelIds.add('INBOX');
+      if (source.unread ?? fixture.unread) labelIds.add('UNREAD');
+      if (source.starred ?? false) labelIds.add('STARRED');
+      if (fixture.starred && source === fixture.messages?.[0]) labelIds.add('STARRED');
+      if (fixture.important) labelIds.add('IMPORTANT');
+      if (fixture.trash) labelIds.add('TRASH');
+      if (fixture.spam) labelIds.add('SPAM');
+      if (fixture.category) labelIds.add(CATEGORY_LABELS[fixture.category]);
+
+      const headers = {};
+      for (const [name, value] of Object.entries(source.headers || {})) {
+        headers[name.toLowerCase()] = String(value);
+      }
+
+      const id = source.id || this.newId('m');
+      this.messages.set(id, {
+        id,
+        threadId,
+        from,
+        to: source.to ?? this.user,
+        cc: source.cc || '',
+        bcc: source.bcc || '',
+        replyTo: source.replyTo || '',
+        subject: source.subject ?? fixture.messages?.[0]?.subject ?? '',
+        date: toDate(source.date, this.clock.now()),
+        body: source.body || '',
+        html: source.html || source.body || '',
+        headers,
+        attachments: (source.attachments || []).map(a => ({
+          name: a.name,
+          size: a.size || 0,
+          contentType: a.contentType || 'application/octet-stream'
+        })),
+        labelIds
+      });
+      thread.messageIds.push(id);
+    }
+
+    return threadId;
+  }
+
+  thread(id) {
+    const thread = this.threads.get(id);
+    if (!thread) throw notFound('Thread', id);
+    return thread;
+  }
+
+  message(id) {
+    const message = this.messages.get(id);
+    if (!message) throw notFound('Message', id);
+    return message;
+  }
+
+  threadMessages(threadId) {
+    return this.thread(threadId).messageIds.map(id => this.messages.get(id));
+  }
+
+  lastDate(threadId) {
+    return Math.max(...this.threadMessages(threadId).map(m => m.date.getTime()));
+  }
+
+  modifyMessage(id, add = [], remove = []) {
+    const message = this.message(id);
+    add.forEach(labelId => message.labelIds.add(labelId));
+    remove.forEach(labelId => message.labelIds.delete(labelId));
+  }
+
+  modifyThread(threadId, add = [], remove = []) {
+    this.thread(threadId).messageIds.forEach(id => this.modifyMessage(id, add, remove));
+  }
+
+  deleteMessage(id) {
+    const message = this.message(id);
+    this.messages.delete(id);
+    const thread = this.threads.get(message.threadId);
+    thread.messageIds = thread.messageIds.filter(other => other !== id);
+    if (thread.messageIds.length === 0) this.threads.delete(thread.id);
+  }
+
+  deleteThread(threadId) {
+    [...this.thread(threadId).messageIds].forEach(id => this.deleteMessage(id));
+  }
+
+  threadHas(threadId, labelId) {
+    return this.threadMessages(threadId).some(m => m.labelIds.has(labelId));
+  }
+
+  // ----- Search -----
+
+  /**
+   * View of a message for the search evaluator
+   */
+  searchView(message) {
+    const labels = [...message.labelIds].filter(id => this.labels.has(id)).map(id => this.labels.get(id));
+    const category = Object.keys(CATEGORY_LABELS).find(key => message.labelIds.has(CATEGORY_LABELS[key]));
+    return {
+      ...message,
+      labels,
+      system: message.labelIds,
+      category: category || 'primary',
+      size: message.body.length + message.attachments.reduce((sum, a) => sum + a.size, 0)
+    };
+  }
+
+  /**
+   * Matching message IDs, newest first
+   */
+  searchMessages(query) {
+    const matches = compile(query, { now: this.clock.now(), me: this.addresses });
+    return [...this.messages.values()]
+      .filter(message => matches(this.searchView(message)))
+      .sort((a, b) => b.date - a.date)
+      .map(message => message.id);
+  }
+
+  /**
+   * Matching thread IDs, most recent activity first
+   */
+  searchThreads(query) {
+    const matches = compile(query, { now: this.clock.now(), me: this.addresses });
+    return [...this.threads.values()]
+      .filter(thread => thread.messageIds.some(id => matches(this.searchView(this.messages.get(id)))))
+      .sort((a, b) => this.lastDate(b.id) - this.lastDate(a.id))
+      .map(thread => thread.id);
+  }
+}
+
+// ==================== GMAILAPP ====================
+
+function createLabelFacade(store, id) {
+  const label = {
+    getId: () => id,
+    getName: () => store.labels.get(id),
+    getThreads: (start = 0, max = SEARCH_MAX) => store
+      .searchThreads(`label:"${store.labels.get(id)}"`)
+      .filter(threadId => store.threadHas(threadId, id))
+      .slice(start, start + max)
+      .map(threadId => createThreadFacade(store, threadId)),
+    getUnreadCount: () => [...store.threads.keys()]
+      .filter(threadId => store.threadHas(threadId, id) && store.threadHas(threadId, 'UNREAD')).length,
+    addToThread: thread => { store.modifyThread(thread.getId(), [id]); return label; },
+    addToThreads: threads => {
+      checkBulk(threads);
+      threads.forEach(thread => store.modifyThread(thread.getId(), [id]));
+      return label;
+    },
+    removeFromThread: thread => { store.modifyThread(thread.getId(), [], [id]); return label; },
+    removeFromThreads: threads => {
+      checkBulk(threads);
+      threads.forEach(thread => store.modifyThread(thread.getId(), [], [id]));
+      return label;
+    },
+    deleteLabel: () => store.deleteLabel(id)
+  };
+  return label;
+}
+
+function checkBulk(items) {
+  if (items.length > BULK_THREAD_MAX) {
+    throw new Error(`Argument too large: at most ${BULK_THREAD_MAX} threads per call`);
+  }
+}
+
+function createMessageFacade(store, id) {
+  const record = () => store.message(id);
+  const message = {
+    getId: () => id,
+    getThread: () => createThreadFacade(store, record().threadId),
+    getFrom: () => record().from,
+    getTo: () => record().to,
+    getCc: () => record().cc,
+    getBcc: () => record().bcc,
+    getReplyTo: () => record().replyTo,
+    getSubject: () => record().subject,
+    getDate: () => new Date(record().date),
+    getPlainBody: () => record().body,
+    getBody: () => record().html,
+    getRawContent: () => Object.entries(record().headers).map(([k, v]) => `${k}: ${v}`).join('\r\n') +
+      `\r\n\r\n${record().body}`,
+    getHeader: name => record().headers[String(name).toLowerCase()] || '',
+    getAttachments: () => record().attachments.map(a => ({
+      getName: () => a.name,
+      getSize: () => a.size,
+      getContentType: () => a.contentType
+    })),
+    isStarred: () => record().labelIds.has('STARRED'),
+    isUnread: () => record().labelIds.has('UNREAD'),
+    isInInbox: () => record().labelIds.has('INBOX'),
+    isInTrash: () => record().labelIds.has('TRASH'),
+    isDraft: () => record().labelIds.has('DRAFT'),
+    star: () => { store.modifyMessage(id, ['STARRED']); return message; },
+    unstar: () => { store.modifyMessage(id, [], ['STARRED']); return message; },
+    markRead: () => { store.modifyMessage(id, [], ['UNREAD']); return message; },
+    markUnread: () => { store.modifyMessage(id, ['UNREAD']); return message; },
+    moveToTrash: () => { store.modifyMessage(id, ['TRASH'], ['INBOX']); return message; }
+  };
+  return message;
+}
+
+function createThreadFacade(store, id) {
+  const messages = () => store.threadMessages(id);
+  const has = labelId => store.threadHas(id, labelId);
+  const modify = (add, remove) => { store.modifyThread(id, add, remove); return thread; };
+
+  const thread = {
+    getId: () => id,
+    getMessages: () => messages().map(m => createMessageFacade(store, m.id)),
+    getMessageCount: () => messages().length,
+    getFirstMessageSubject: () => messages()[0].subject,
+    getLastMessageDate: () => new Date(store.lastDate(id)),
+    getPermalink: () => `https://mail.google.com/mail/u/0/#inbox/${id}`,
+    getLabels: () => [...store.labels.keys()].filter(has).map(labelId => createLabelFacade(store, labelId)),
+    addLabel: label => modify([label.getId()], []),
+    removeLabel: label => modify([], [label.getId()]),
+    hasStarredMessages: () => has('STARRED'),
+    isImportant: () => has('IMPORTANT'),
+    isInInbox: () => has('INBOX'),
+    isInTrash: () => has('TRASH'),
+    isInSpam: () => has('SPAM'),
+    isUnread: () => has('UNREAD'),
+    markImportant: () => modify(['IMPORTANT'], []),
+    markUnimportant: () => modify([], ['IMPORTANT']),
+    markRead: () => modify([], ['UNREAD']),
+    markUnread: () => modify(['UNREAD'], []),
+    moveToArchive: () => modify([], ['INBOX']),
+    moveToInbox: () => modify(['INBOX'], ['TRASH', 'SPAM']),
+    moveToTrash: () => modify(['TRASH'], ['INBOX']),
+    moveToSpam: () => modify(['SPAM'], ['INBOX'])
+  };
+  return thread;
+}
+
+/**
+ * GmailApp backed by a store
+ */
+export function createGmailApp(store) {
+  const threadsOf = ids => ids.map(id => createThreadFacade(store, id));
+  const bulk = (add, remove) => threads => {
+    checkBulk(threads);
+    threads.forEach(thread => store.modifyThread(thread.getId(), add, remove));
+  };
+  const bulkMessages = (add, remove) => messages => {
+    checkBulk(messages);
+    messages.forEach(message => store.modifyMessage(message.getId(), add, remove));
+  };
+
+  return {
+    search(query, start, max) {
+      const ids = store.searchThreads(query);
+      if (start === undefined) return threadsOf(ids);
+      if (max > SEARCH_MAX) throw new Error(`Argument max cannot exceed ${SEARCH_MAX}`);
+      return threadsOf(ids.slice(start, start + max));
+    },
+    getInboxThreads: (start = 0, max = SEARCH_MAX) => threadsOf(store.searchThreads('in:inbox').slice(start, start + max)),
+    getStarredThreads: (start = 0, max = SEARCH_MAX) => threadsOf(store.searchThreads('is:starred').slice(start, start + max)),
+    getInboxUnreadCount: () => store.searchThreads('in:inbox is:unread').length,
+    getThreadById: id => (store.threads.has(id) ? createThreadFacade(store, id) : null),
+    getMessageById: id => (store.messages.has(id) ? createMessageFacade(store, id) : null),
+    getMessagesForThreads: threads => threads.map(thread => thread.getMessages()),
+    getUserLabels: () => [...store.labels.keys()].map(id => createLabelFacade(store, id)),
+    getUserLabelByName: name => {
+      const id = store.labelId(name);
+      return id ? createLabelFacade(store, id) : null;
+    },
+    createLabel: name => createLabelFacade(store, store.createLabel(name)),
+    deleteLabel: label => { store.deleteLabel(label.getId()); },
+    getAliases: () => [...store.aliases],
+    sendEmail(recipient, subject, body, options = {}) {
+      store.sentEmails.push({ to: recipient, subject, body, options, date: new Date(store.clock.now()) });
+    },
+    markThreadsImportant: bulk(['IMPORTANT'], []),
+    markThreadsUnimportant: bulk([], ['IMPORTANT']),
+    markThreadsRead: bulk([], ['UNREAD']),
+    markThreadsUnread: bulk(['UNREAD'], []),
+    moveThreadsToArchive: bulk([], ['INBOX']),
+    moveThreadsToInbox: bulk(['INBOX'], ['TRASH', 'SPAM']),
+    moveThreadsToTrash: bulk(['TRASH'], ['INBOX']),
+    moveThreadsToSpam: bulk(['SPAM'], ['INBOX']),
+    starMessages: bulkMessages(['STARRED'], []),
+    unstarMessages: bulkMessages([], ['STARRED']),
+    markMessagesRead: bulkMessages([], ['UNREAD']),
+    markMessagesUnread: bulkMessages(['UNREAD'], []),
+    moveMessagesToTrash: bulkMessages(['TRASH'], ['INBOX']),
+    starMessage: message => { store.modifyMessage(message.getId(), ['STARRED']); },
+    unstarMessage: message => { store.modifyMessage(message.getId(), [], ['STARRED']); },
+    moveThreadToArchive: thread => { store.modifyThread(thread.getId(), [], ['INBOX']); },
+    moveThreadToTrash: thread => { store.modifyThread(thread.getId(), ['TRASH'], ['INBOX']); },
+    markThreadImportant: thread => { store.modifyThread(thread.getId(), ['IMPORTANT']); }
+  };
+}
+
+// ==================== ADVANCED SERVICE ====================
+
+function page(ids, { maxResults = 100, pageToken } = {}) {
+  const size = Math.min(maxResults, API_PAGE_MAX);
+  const start = pageToken ? Number(pageToken) : 0;
+  const slice = ids.slice(start, start + size);
+  return {
+    slice,
+    nextPageToken: start + size < ids.length ? String(start + size) : undefined,
+    resultSizeEstimate: ids.length
+  };
+}
+
+function checkUser(userId) {
+  if (userId !== 'me') throw new Error(`Delegated access is not emulated: ${userId}`);
+}
+
+function apiMessage(store, message, format = 'full') {
+  const resource = {
+    id: message.id,
+    threadId: message.threadId,
+    labelIds: [...message.labelIds],
+    snippet: message.body.substring(0, 100),
+    internalDate: String(message.date.getTime()),
+    sizeEstimate: message.body.length
+  };
+  if (format !== 'minimal') {
+    const headers = [
+      ['From', message.from], ['To', message.to], ['Subject', message.subject],
+      ['Date', message.date.toUTCString()],
+      ...Object.entries(message.headers)
+    ].map(([name, value]) => ({ name, value }));
+    resource.payload = { headers };
+  }
+  return resource;
+}
+
+/**
+ * Gmail advanced service (Gmail API v1) backed by a store
+ */
+export function createGmailService(store) {
+  const validateLabels = ids => {
+    for (const id of ids || []) {
+      if (!store.isLabelId(id)) throw new Error(`Invalid label: ${id}`);
+    }
+  };
+
+  return {
+    Users: {
+      Labels: {
+        list(userId) {
+          checkUser(userId);
+          return {
+            labels: [
+              ...SYSTEM_LABELS.map(id => ({ id, name: id, type: 'system' })),
+              ...[...store.labels].map(([id, name]) => ({ id, name, type: 'user' }))
+            ]
+          };
+        },
+        get(userId, id) {
+          checkUser(userId);
+          if (!store.labels.has(id)) throw notFound('Label', id);
+          return { id, name: store.labels.get(id), type: 'user' };
+        },
+        create(resource, userId) {
+          checkUser(userId);
+          if (store.labelId(resource.name)) throw new Error('Label name exists or conflicts');
+          const id = store._addLabel(resource.name);
+          return { id, name: resource.name, type: 'user' };
+        },
+        remove(userId, id) {
+          checkUser(userId);
+          store.deleteLabel(id);
+        }
+      },
+      Messages: {
+        list(userId, options = {}) {
+          checkUser(userId);
+          const ids = store.searchMessages(options.q || '');
+          const result = page(ids, options);
+          return {
+            messages: result.slice.length ? result.slice.map(id => ({ id, threadId: store.messages.get(id).threadId })) : undefined,
+            nextPageToken: result.nextPageToken,
+            resultSizeEstimate: result.resultSizeEstimate
+          };
+        },
+        get(userId, id, options = {}) {
+          checkUser(userId);
+          return apiMessage(store, store.message(id), options.format);
+        },
+        modify(resource, userId, id) {
+          checkUser(userId);
+          validateLabels(resource.addLabelIds);
+          store.modifyMessage(id, resource.addLabelIds, resource.removeLabelIds);
+          return apiMessage(store, store.message(id), 'minimal');
+        },
+        batchModify(resource, userId) {
+          checkUser(userId);
+          const ids = resource.ids || [];
+          if (ids.length > BATCH_MODIFY_MAX) throw new Error(`Too many ids: at most ${BATCH_MODIFY_MAX}`);
+          validateLabels(resource.addLabelIds);
+          ids.forEach(id => store.message(id));
+          ids.forEach(id => store.modifyMessage(id, resource.addLabelIds, resource.removeLabelIds));
+        },
+        trash(userId, id) {
+          checkUser(userId);
+          store.modifyMessage(id, ['TRASH'], ['INBOX']);
+          return apiMessage(store, store.message(id), 'minimal');
+        },
+        remove(userId, id) {
+          checkUser(userId);
+          store.deleteMessage(id);
+        },
+        batchDelete(resource, userId) {
+          checkUser(userId);
+          const ids = resource.ids || [];
+          if (ids.length > BATCH_MODIFY_MAX) throw new Error(`Too many ids: at most ${BATCH_MODIFY_MAX}`);
+          ids.forEach(id => store.message(id));
+          ids.forEach(id => store.deleteMessage(id));
+        }
+      },
+      Threads: {
+        list(userId, options = {}) {
+          checkUser(userId);
+          const result = page(store.searchThreads(options.q || ''), options);
+          return {
+            threads: result.slice.length ? result.slice.map(id => ({ id })) : undefined,
+            nextPageToken: result.nextPageToken,
+            resultSizeEstimate: result.resultSizeEstimate
+          };
+        },
+        get(userId, id) {
+          checkUser(userId);
+          return { id, messages: store.threadMessages(id).map(m => apiMessage(store, m)) };
+        },
+        modify(resource, userId, id) {
+          checkUser(userId);
+          validateLabels(resource.addLabelIds);
+          store.modifyThread(id, resource.addLabelIds, resource.removeLabelIds);
+          return { id };
+        },
+        trash(userId, id) {
+          checkUser(userId);
+          store.modifyThread(id, ['TRASH'], ['INBOX']);
+          return { id };
+        },
+        remove(userId, id) {
+          checkUser(userId);
+          store.deleteThread(id);
+        }
+      },
+      Settings: {
+        Filters: {
+          list(userId) {
+            checkUser(userId);
+            return { filter: store.filters.length ? store.filters.map(f => structuredClone(f)) : undefined };
+          },
+          get(userId, id) {
+            checkUser(userId);
+            const filter = store.filters.find(f => f.id === id);
+            if (!filter) throw notFound('Filter', id);
+            return structuredClone(filter);
+          },
+          create(resource, userId) {
+            checkUser(userId);
+            if (!resource.criteria || Object.keys(resource.criteria).length === 0) {
+              throw new Error('Filter must have criteria');
+            }
+            validateLabels(resource.action?.addLabelIds);
+            const same = JSON.stringify({ criteria: resource.criteria, action: resource.action || {} });
+            if (store.filters.some(f => JSON.stringify({ criteria: f.criteria, action: f.action || {} }) === same)) {
+              throw new Error('Filter already exists');
+            }
+            const filter = { id: store.newId('ANe1Bm'), ...structuredClone(resource) };
+            store.filters.push(filter);
+            return structuredClone(filter);
+          },
+          remove(userId, id) {
+            checkUser(userId);
+            const index = store.filters.findIndex(f => f.id === id);
+            if (index === -1) throw notFound('Filter', id);
+            store.filters.splice(index, 1);
+          }
+        }
+      }
+    }
+  };
+}
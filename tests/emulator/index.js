@@ -0,0 +1,170 @@
+/**
+ * In-memory Apps Script runtime for tests
+ *
+ * createRuntime(fixture) builds stateful GmailApp, Gmail (advanced service),
+ * PropertiesService, CacheService, LockService, SpreadsheetApp, Utilities,
+ * ScriptApp, Session and Logger globals. tests/setup.ts installs an empty
+ * runtime before every test; tests that need data install their own:
+ *
+ *   const runtime = createRuntime(loadFixture('inbox')).install();
+ *   processInbox();
+ *   expect(runtime.gmail.searchThreads('label:VIP')).toHaveLength(1);
+ *
+ * Fixture format (every key optional):
+ *   {
+ *     "user": "me@alaska.edu", "aliases": [], "timeZone": "America/Anchorage",
+ *     "labels": ["Newsletters"],
+ *     "threads": [{ "id", "labels", "inbox", "unread", "starred", "important",
+ *                   "category", "trash", "spam",
+ *                   "messages": [{ "id", "from", "to", "cc", "subject", "date",
+ *                                  "body", "headers", "attachments", "labels",
+ *                                  "starred", "unread" }] }],
+ *     "properties": { "script": {}, "user": {}, "document": {} },
+ *     "spreadsheets": { "<id>": { "name", "sheets": { "<name>": [[row], ...] } } }
+ *   }
+ *
+ * Message dates may be ISO strings or ages relative to now such as "-3d",
+ * "-2h" or "-90m", so fixtures work with older_than: at any date.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GmailStore, createGmailApp, createGmailService } from './gmail.js';
+import {
+  FakeProperties,
+  FakeCache,
+  FakeLock,
+  createScriptApp,
+  createLogger
+} from './services.js';
+import { FakeSpreadsheet, createSpreadsheetApp } from './spreadsheet.js';
+import { createUtilities } from './utilities.js';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const GLOBALS = [
+  'GmailApp', 'Gmail', 'PropertiesService', 'CacheService', 'LockService',
+  'SpreadsheetApp', 'Utilities', 'ScriptApp', 'Session', 'Logger'
+];
+
+/**
+ * Read tests/fixtures/<name>.json
+ */
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Clock that follows Date.now(), so vi.useFakeTimers() controls it, plus
+ * an offset moved by advance() and Utilities.sleep()
+ */
+function createClock() {
+  let offset = 0;
+  return {
+    now: () => Date.now() + offset,
+    advance(milliseconds) {
+      offset += milliseconds;
+    }
+  };
+}
+
+/**
+ * Build a runtime from a fixture
+ * @param {Object} fixture - See the module comment
+ * @returns {Object} { globals, gmail, properties, caches, locks, spreadsheets,
+ *   triggers, logs, clock, install(target) }
+ */
+export function createRuntime(fixture = {}) {
+  const clock = createClock();
+  const user = fixture.user || 'me@example.com';
+  const timeZone = fixture.timeZone || 'UTC';
+
+  const gmail = new GmailStore({ user, aliases: fixture.aliases || [], clock });
+  (fixture.labels || []).forEach(name => gmail.createLabel(name));
+  (fixture.threads || []).forEach(thread => gmail.addThread(thread));
+
+  const properties = {
+    script: new FakeProperties(fixture.properties?.script),
+    user: new FakeProperties(fixture.properties?.user),
+    document: new FakeProperties(fixture.properties?.document)
+  };
+  const caches = { script: new FakeCache(clock), user: new FakeCache(clock), document: new FakeCache(clock) };
+  const locks = { script: new FakeLock(), user: new FakeLock(), document: new FakeLock() };
+
+  const spreadsheets = new Map();
+  for (const [id, { name, sheets }] of Object.entries(fixture.spreadsheets || {})) {
+    spreadsheets.set(id, new FakeSpreadsheet(id, name || id, sheets));
+  }
+
+  const triggers = [];
+  const logs = [];
+
+  const globals = {
+    GmailApp: createGmailApp(gmail),
+    Gmail: createGmailService(gmail),
+    PropertiesService: {
+      getScriptProperties: () => properties.script,
+      getUserProperties: () => properties.user,
+      getDocumentProperties: () => properties.document
+    },
+    CacheService: {
+      getScriptCache: () => caches.script,
+      getUserCache: () => caches.user,
+      getDocumentCache: () => caches.document
+    },
+    LockService: {
+      getScriptLock: () => locks.script,
+      getUserLock: () => locks.user,
+      getDocumentLock: () => locks.document
+    },
+    SpreadsheetApp: createSpreadsheetApp(spreadsheets),
+    Utilities: createUtilities(clock),
+    ScriptApp: createScriptApp(triggers),
+    Session: {
+      getActiveUser: () => ({ getEmail: () => user }),
+      getEffectiveUser: () => ({ getEmail: () => user }),
+      getScriptTimeZone: () => timeZone
+    },
+    Logger: createLogger(logs)
+  };
+
+  const runtime = {
+    globals,
+    gmail,
+    properties,
+    caches,
+    locks,
+    spreadsheets,
+    triggers,
+    logs,
+    clock,
+    sentEmails: gmail.sentEmails,
+
+    /**
+     * Assign the globals to target (globalThis by default)
+     */
+    install(target = globalThis) {
+      GLOBALS.forEach(name => { target[name] = globals[name]; });
+      return runtime;
+    }
+  };
+
+  return runtime;
+}
+
+/**
+ * Expose the exports of script files as globals. Apps Script runs every file
+ * of a project in one global scope, so scripts like Code.js use the classes
+ * of their sibling files without importing them.
+ *
+ *   import * as RuleEngine from '.../gmail-triage/RuleEngine.js';
+ *   installScripts(RuleEngine, ThreadContext, ...);
+ */
+export function installScripts(...modules) {
+  for (const exports of modules) {
+    for (const [name, value] of Object.entries(exports)) {
+      if (name !== 'default') globalThis[name] = value;
+    }
+  }
+}
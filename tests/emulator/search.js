@@ -0,0 +1,330 @@
+/**
+ * Gmail search query evaluation for the emulator
+ *
+ * Supports implicit AND, OR, AND, -negation, ( ) grouping, { } OR-groups,
+ * quoted phrases and the common operators: from, to, cc, bcc, deliveredto,
+ * subject, label, in, is, has, filename, larger, smaller, size, after,
+ * before, older, newer, older_than, newer_than, list and category.
+ * Unknown operators throw so tests notice unsupported queries.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 * 1024 };
+
+/**
+ * Split a query into tokens: ( ) { } OR AND - and terms
+ */
+export function tokenize(query) {
+  const tokens = [];
+  const text = String(query || '');
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if ('(){}'.includes(ch)) {
+      tokens.push({ type: ch });
+      i++;
+    } else if (ch === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      tokens.push({ type: '-' });
+      i++;
+    } else {
+      // A term runs until whitespace or a bracket; quotes and operator
+      // values in parentheses, e.g. subject:(a b), stay in the term
+      let term = '';
+      while (i < text.length && !/\s/.test(text[i]) && !'(){}'.includes(text[i])) {
+        if (text[i] === '"') {
+          const end = text.indexOf('"', i + 1);
+          const stop = end === -1 ? text.length : end;
+          term += text.substring(i, stop + 1);
+          i = stop + 1;
+        } else {
+          term += text[i++];
+        }
+      }
+
+      if (term.endsWith(':') && text[i] === '(') {
+        // Up to the closing bracket, skipping brackets inside quotes
+        let stop = i + 1;
+        while (stop < text.length && text[stop] !== ')') {
+          if (text[stop] === '"') {
+            const end = text.indexOf('"', stop + 1);
+            stop = end === -1 ? text.length : end;
+          }
+          stop++;
+        }
+        term += text.substring(i, stop + 1);
+        i = stop + 1;
+      }
+
+      if (term === 'OR' || term === '|') tokens.push({ type: 'OR' });
+      else if (term === 'AND') tokens.push({ type: 'AND' });
+      else tokens.push({ type: 'term', value: term });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree of { and }, { or }, { not } and { term } nodes
+ */
+export function parse(query) {
+  const tokens = tokenize(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  function parseSequence(closing) {
+    const items = [];
+    while (pos < tokens.length && (!closing || peek().type !== closing)) {
+      if (peek().type === 'AND') {
+        pos++;
+        continue;
+      }
+      items.push(parseOr());
+    }
+    if (closing) {
+      if (!peek()) throw new Error(`Unbalanced search query: ${query}`);
+      pos++;
+    }
+    return items;
+  }
+
+  function parseOr() {
+    const options = [parseUnary()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      options.push(parseUnary());
+    }
+    return options.length === 1 ? options[0] : { or: options };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) throw new Error(`Incomplete search query: ${query}`);
+    pos++;
+
+    switch (token.type) {
+      case '-':
+        return { not: parseUnary() };
+      case '(':
+        return { and: parseSequence(')') };
+      case '{':
+        return { or: parseSequence('}') };
+      case 'term':
+        return { term: parseTerm(token.value) };
+      default:
+        throw new Error(`Unexpected ${token.type} in search query: ${query}`);
+    }
+  }
+
+  return { and: parseSequence(null) };
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+function parseTerm(raw) {
+  const match = raw.match(/^([a-z0-9_]+):(.*)$/i);
+  if (!match || match[1].toLowerCase() === 'http' || match[1].toLowerCase() === 'https') {
+    return { operator: null, value: unquote(raw).toLowerCase() };
+  }
+
+  const operator = match[1].toLowerCase();
+  let value = match[2];
+
+  // subject:(quarterly report) - every word must match; from:(a OR b) - any
+  if (value.startsWith('(') && value.endsWith(')')) {
+    const words = value.slice(1, -1).match(/"[^"]*"|[^\s"]+/g) || [];
+    const values = words.filter(word => word !== 'OR').map(word => unquote(word).toLowerCase());
+    return words.includes('OR') ? { operator, values, any: true } : { operator, values };
+  }
+
+  value = unquote(value).toLowerCase();
+  return { operator, value };
+}
+
+/**
+ * Normalize a label name the way Gmail search does
+ */
+export function normalizeLabel(name) {
+  return String(name).toLowerCase().replace(/[\s/]+/g, '-');
+}
+
+function parseDate(value) {
+  if (/^\d+$/.test(value)) return new Date(Number(value) * 1000); // Epoch seconds
+  const parts = value.split(/[/-]/).map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) throw new Error(`Invalid search date: ${value}`);
+  return new Date(parts[0], parts[1] - 1, parts[2]);
+}
+
+function parseAge(value, now) {
+  const match = value.match(/^(\d+)([dmy])$/);
+  if (!match) throw new Error(`Invalid search age: ${value}`);
+  const amount = Number(match[1]);
+  const date = new Date(now);
+  if (match[2] === 'd') return new Date(now - amount * DAY_MS);
+  if (match[2] === 'm') date.setMonth(date.getMonth() - amount);
+  if (match[2] === 'y') date.setFullYear(date.getFullYear() - amount);
+  return date;
+}
+
+function parseSize(value) {
+  const match = value.match(/^(\d+)([km]?)b?$/);
+  if (!match) throw new Error(`Invalid search size: ${value}`);
+  return Number(match[1]) * SIZE_UNITS[match[2]];
+}
+
+function matchesAddress(header, value, me) {
+  const text = String(header || '').toLowerCase();
+  if (value === 'me') return me.some(address => text.includes(address));
+  return text.includes(value);
+}
+
+/**
+ * Does a single term match a message view?
+ * @param {Object} term - { operator, value | values }
+ * @param {Object} message - { from, to, cc, bcc, subject, body, date, size,
+ *   labels (names), system (Set of system label ids), attachments, headers, category }
+ * @param {Object} env - { now, me: [addresses] }
+ */
+function matchTerm(term, message, env) {
+  const { operator } = term;
+  const values = term.values || [term.value];
+  const every = test => (term.any ? values.some(test) : values.every(test));
+
+  switch (operator) {
+    case null:
+      return [message.subject, message.body, message.from, message.to, message.cc]
+        .some(field => String(field || '').toLowerCase().includes(term.value));
+
+    case 'from':
+    case 'to':
+    case 'cc':
+    case 'bcc':
+      return every(value => matchesAddress(message[operator], value, env.me));
+
+    case 'deliveredto':
+      return every(value => matchesAddress(message.headers['delivered-to'] || message.to, value, env.me));
+
+    case 'subject':
+      return every(value => message.subject.toLowerCase().includes(value));
+
+    case 'label':
+      return every(value => message.labels.some(name => normalizeLabel(name) === normalizeLabel(value)) ||
+        message.system.has(value.toUpperCase()));
+
+    case 'in':
+      return every(value => {
+        if (value === 'anywhere') return true;
+        if (value === 'chats' || value === 'snoozed') return false;
+        const system = { inbox: 'INBOX', trash: 'TRASH', spam: 'SPAM', sent: 'SENT', drafts: 'DRAFT' }[value];
+        if (!system) throw new Error(`Unsupported search value: in:${value}`);
+        return message.system.has(system);
+      });
+
+    case 'is':
+      return every(value => {
+        switch (value) {
+          case 'starred': return message.system.has('STARRED');
+          case 'unread': return message.system.has('UNREAD');
+          case 'read': return !message.system.has('UNREAD');
+          case 'important': return message.system.has('IMPORTANT');
+          case 'snoozed':
+          case 'muted':
+          case 'chat': return false;
+          default: throw new Error(`Unsupported search value: is:${value}`);
+        }
+      });
+
+    case 'has':
+      return every(value => {
+        switch (value) {
+          case 'attachment': return message.attachments.length > 0;
+          case 'userlabels': return message.labels.length > 0;
+          case 'nouserlabels': return message.labels.length === 0;
+          case 'drive':
+          case 'document':
+          case 'spreadsheet':
+          case 'presentation':
+          case 'youtube': return false;
+          default: throw new Error(`Unsupported search value: has:${value}`);
+        }
+      });
+
+    case 'filename':
+      return every(value => message.attachments.some(a => a.name.toLowerCase().includes(value)));
+
+    case 'larger':
+    case 'size':
+      return message.size >= parseSize(term.value);
+
+    case 'smaller':
+      return message.size < parseSize(term.value);
+
+    case 'after':
+    case 'newer':
+      return message.date >= parseDate(term.value);
+
+    case 'before':
+    case 'older':
+      return message.date < parseDate(term.value);
+
+    case 'older_than':
+      return message.date < parseAge(term.value, env.now);
+
+    case 'newer_than':
+      return message.date >= parseAge(term.value, env.now);
+
+    case 'list':
+      return every(value => String(message.headers['list-id'] || '').toLowerCase().includes(value));
+
+    case 'category':
+      return every(value => message.category === value);
+
+    default:
+      throw new Error(`Unsupported search operator: ${operator}`);
+  }
+}
+
+/**
+ * Evaluate a parsed query against a message view
+ */
+export function evaluate(node, message, env) {
+  if (node.and) return node.and.every(child => evaluate(child, message, env));
+  if (node.or) return node.or.some(child => evaluate(child, message, env));
+  if (node.not) return !evaluate(node.not, message, env);
+  return matchTerm(node.term, message, env);
+}
+
+/**
+ * Does the query explicitly ask for trash or spam? Otherwise those
+ * messages are excluded, as in Gmail.
+ */
+export function includesTrash(node) {
+  if (node.and) return node.and.some(includesTrash);
+  if (node.or) return node.or.some(includesTrash);
+  if (node.not) return false;
+  const { operator, value } = node.term;
+  return operator === 'in' && ['trash', 'spam', 'anywhere'].includes(value);
+}
+
+/**
+ * Build a predicate for message views
+ * @param {string} query
+ * @param {Object} env - { now, me }
+ */
+export function compile(query, env) {
+  const tree = parse(query);
+  const withTrash = includesTrash(tree);
+
+  return message => {
+    if (!withTrash && (message.system.has('TRASH') || message.system.has('SPAM'))) return false;
+    return evaluate(tree, message, env);
+  };
+}
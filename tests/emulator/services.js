@@ -0,0 +1,225 @@
+/**
+ * In-memory Apps Script services for the emulator: PropertiesService,
+ * CacheService, LockService, ScriptApp, Session and Logger. Quotas that
+ * production code has to respect are enforced so tests catch overruns.
+ */
+
+export const PROPERTY_VALUE_LIMIT = 9 * 1024; // Bytes per value
+export const PROPERTY_STORE_LIMIT = 500 * 1024; // Bytes per store
+export const CACHE_KEY_LIMIT = 250; // Characters
+export const CACHE_VALUE_LIMIT = 100 * 1024; // Bytes
+export const CACHE_DEFAULT_TTL = 600; // Seconds
+export const CACHE_MAX_TTL = 21600; // Seconds
+
+const bytes = value => Buffer.byteLength(String(value), 'utf8');
+
+// ==================== PROPERTIES ====================
+
+export class FakeProperties {
+  constructor(initial = {}) {
+    this.store = {};
+    this.setProperties(initial);
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null;
+  }
+
+  getProperties() {
+    return { ...this.store };
+  }
+
+  getKeys() {
+    return Object.keys(this.store);
+  }
+
+  setProperty(key, value) {
+    const text = String(value);
+    if (bytes(text) > PROPERTY_VALUE_LIMIT) {
+      throw new Error(`Argument too large: value (${bytes(text)} bytes for ${key})`);
+    }
+    const total = this.size() - (this.getProperty(key) === null ? 0 : bytes(key) + bytes(this.store[key]));
+    if (total + bytes(key) + bytes(text) > PROPERTY_STORE_LIMIT) {
+      throw new Error('You have exceeded the property storage quota. Please remove some properties and try again.');
+    }
+    this.store[key] = text;
+    return this;
+  }
+
+  setProperties(properties, deleteAllOthers = false) {
+    if (deleteAllOthers) this.store = {};
+    for (const [key, value] of Object.entries(properties)) this.setProperty(key, value);
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.store[key];
+    return this;
+  }
+
+  deleteAllProperties() {
+    this.store = {};
+    return this;
+  }
+
+  size() {
+    return Object.entries(this.store).reduce((sum, [key, value]) => sum + bytes(key) + bytes(value), 0);
+  }
+}
+
+// ==================== CACHE ====================
+
+export class FakeCache {
+  /**
+   * @param {Object} clock - { now() } in milliseconds
+   */
+  constructor(clock) {
+    this.clock = clock;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expires <= this.clock.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  getAll(keys) {
+    const values = {};
+    for (const key of keys) {
+      const value = this.get(key);
+      if (value !== null) values[key] = value;
+    }
+    return values;
+  }
+
+  put(key, value, expirationInSeconds = CACHE_DEFAULT_TTL) {
+    if (String(key).length > CACHE_KEY_LIMIT) throw new Error(`Argument too large: key (${String(key).length} characters)`);
+    const text = String(value);
+    if (bytes(text) > CACHE_VALUE_LIMIT) throw new Error(`Argument too large: value (${bytes(text)} bytes)`);
+    const ttl = Math.min(Math.max(Number(expirationInSeconds) || CACHE_DEFAULT_TTL, 1), CACHE_MAX_TTL);
+    this.entries.set(key, { value: text, expires: this.clock.now() + ttl * 1000 });
+  }
+
+  putAll(values, expirationInSeconds) {
+    for (const [key, value] of Object.entries(values)) this.put(key, value, expirationInSeconds);
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+  }
+
+  removeAll(keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+}
+
+// ==================== LOCK ====================
+
+export class FakeLock {
+  constructor() {
+    this.held = false;
+  }
+
+  tryLock() {
+    if (this.held) return false;
+    this.held = true;
+    return true;
+  }
+
+  waitLock() {
+    if (!this.tryLock()) throw new Error('Lock timeout: another process was holding the lock for too long.');
+  }
+
+  hasLock() {
+    return this.held;
+  }
+
+  releaseLock() {
+    this.held = false;
+  }
+}
+
+// ==================== SCRIPT APP ====================
+
+const TRIGGER_OPTIONS = [
+  'after', 'at', 'atDate', 'atHour', 'everyDays', 'everyHours', 'everyMinutes', 'everyWeeks',
+  'inTimezone', 'nearMinute', 'onMonthDay', 'onWeekDay'
+];
+
+/**
+ * ScriptApp with recorded triggers
+ * @param {Array} triggers - Shared list of created triggers
+ */
+export function createScriptApp(triggers) {
+  let nextId = 1;
+
+  return {
+    WeekDay: {
+      MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY',
+      FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY'
+    },
+    newTrigger(handler) {
+      return {
+        timeBased() {
+          const schedule = {};
+          const builder = {
+            create() {
+              const id = String(nextId++);
+              const trigger = {
+                handler,
+                schedule,
+                getUniqueId: () => id,
+                getHandlerFunction: () => handler,
+                getEventType: () => 'CLOCK'
+              };
+              triggers.push(trigger);
+              return trigger;
+            }
+          };
+          TRIGGER_OPTIONS.forEach(option => {
+            builder[option] = value => {
+              schedule[option] = value;
+              return builder;
+            };
+          });
+          return builder;
+        }
+      };
+    },
+    getProjectTriggers: () => [...triggers],
+    deleteTrigger(trigger) {
+      const index = triggers.findIndex(t => t.getUniqueId() === trigger.getUniqueId());
+      if (index !== -1) triggers.splice(index, 1);
+    },
+    getScriptId: () => 'emulated-script'
+  };
+}
+
+// ==================== LOGGER ====================
+
+/**
+ * Logger that collects lines instead of printing them
+ */
+export function createLogger(lines) {
+  const format = (message, args) => args.reduce(
+    (text, arg) => text.replace(/%s|%d/, String(arg)),
+    typeof message === 'string' ? message : JSON.stringify(message)
+  );
+
+  const logger = {
+    log(message, ...args) {
+      lines.push(format(message, args));
+      return logger;
+    },
+    getLog: () => lines.join('\n'),
+    clear() {
+      lines.length = 0;
+    }
+  };
+  return logger;
+}
@@ -0,0 +1,244 @@
+/**
+ * In-memory SpreadsheetApp for the emulator
+ *
+ * Sheets are plain arrays of rows. Ranges read and write through to them,
+ * padding with empty strings like the real service. The grid starts at 1000
+ * rows by 26 columns, as new sheets do, and grows as values are written.
+ */
+
+const isEmpty = value => value === '' || value === null || value === undefined;
+
+function columnIndex(letters) {
+  return letters.toUpperCase().split('').reduce((sum, ch) => sum * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
+function parseA1(notation) {
+  const match = String(notation).match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+  if (!match) throw new Error(`Range not found: ${notation}`);
+  const row = Number(match[2]);
+  const column = columnIndex(match[1]);
+  const lastRow = match[4] ? Number(match[4]) : row;
+  const lastColumn = match[3] ? columnIndex(match[3]) : column;
+  return [row, column, lastRow - row + 1, lastColumn - column + 1];
+}
+
+export class FakeSheet {
+  constructor(name, rows = [], id = 0) {
+    this.name = name;
+    this.rows = rows.map(row => [...row]);
+    this.frozenRows = 0;
+    this.id = id;
+    this.maxRows = 1000;
+    this.maxColumns = 26;
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getSheetId() { return this.id; }
+
+  getLastRow() {
+    for (let i = this.rows.length - 1; i >= 0; i--) {
+      if (this.rows[i].some(value => !isEmpty(value))) return i + 1;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, row) => {
+      for (let i = row.length - 1; i >= 0; i--) {
+        if (!isEmpty(row[i])) return Math.max(max, i + 1);
+      }
+      return max;
+    }, 0);
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, this.maxRows); }
+  getMaxColumns() { return Math.max(this.rows.reduce((max, row) => Math.max(max, row.length), 0), this.maxColumns); }
+
+  insertRowsAfter(afterPosition, howMany) {
+    if (afterPosition < this.rows.length) {
+      this.rows.splice(afterPosition, 0, ...Array.from({ length: howMany }, () => []));
+    }
+    this.maxRows = this.getMaxRows() + howMany;
+    return this;
+  }
+
+  deleteColumns(columnPosition, howMany) {
+    const maxColumns = this.getMaxColumns();
+    if (columnPosition < 1 || columnPosition + howMany - 1 > maxColumns) {
+      throw new Error('Those columns are out of bounds.');
+    }
+    if (howMany >= maxColumns) {
+      throw new Error("Sorry, it is not possible to delete all non-frozen columns.");
+    }
+    this.rows.forEach(row => row.splice(columnPosition - 1, howMany));
+    this.maxColumns = maxColumns - howMany;
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (typeof row === 'string') return new FakeRange(this, ...parseA1(row));
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error('The coordinates or dimensions of the range are invalid.');
+    }
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(values) {
+    this.rows.splice(this.getLastRow(), 0, [...values]);
+    return this;
+  }
+
+  deleteRows(position, count) {
+    this.rows.splice(position - 1, count);
+  }
+
+  deleteRow(position) {
+    this.deleteRows(position, 1);
+  }
+
+  clear() {
+    this.rows = [];
+    return this;
+  }
+
+  clearContents() {
+    return this.clear();
+  }
+
+  setFrozenRows(rows) { this.frozenRows = rows; }
+  getFrozenRows() { return this.frozenRows; }
+  autoResizeColumns() { return this; }
+
+  // Cell access for ranges
+  read(row, column) {
+    const value = (this.rows[row - 1] || [])[column - 1];
+    return isEmpty(value) ? '' : value;
+  }
+
+  write(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const target = this.rows[row - 1];
+    while (target.length < column - 1) target.push('');
+    target[column - 1] = value;
+  }
+}
+
+export class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    Object.assign(this, { sheet, row, column, numRows, numColumns });
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getSheet() { return this.sheet; }
+
+  getValues() {
+    return Array.from({ length: this.numRows }, (_, r) =>
+      Array.from({ length: this.numColumns }, (_, c) => this.sheet.read(this.row + r, this.column + c)));
+  }
+
+  getValue() {
+    return this.sheet.read(this.row, this.column);
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => (value instanceof Date ? value.toISOString() : String(value))));
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values.length} but the range has ${this.numRows}.`);
+    }
+    values.forEach((row, r) => {
+      if (row.length !== this.numColumns) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${row.length} but the range has ${this.numColumns}.`);
+      }
+      row.forEach((value, c) => this.sheet.write(this.row + r, this.column + c, value));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    this.sheet.write(this.row, this.column, value);
+    return this;
+  }
+
+  clearContent() {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) this.sheet.write(this.row + r, this.column + c, '');
+    }
+    return this;
+  }
+
+  clear() {
+    return this.clearContent();
+  }
+
+  // Formatting is accepted and ignored
+  setFontWeight() { return this; }
+  setBackground() { return this; }
+  setNumberFormat() { return this; }
+}
+
+export class FakeSpreadsheet {
+  constructor(id, name, sheets = {}) {
+    this.id = id;
+    this.name = name;
+    this.sheets = Object.entries(sheets).map(([sheetName, rows], i) => new FakeSheet(sheetName, rows, i));
+    if (this.sheets.length === 0) this.sheets.push(new FakeSheet('Sheet1'));
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+  getSheets() { return [...this.sheets]; }
+  getSheetByName(name) { return this.sheets.find(sheet => sheet.getName() === name) || null; }
+  getActiveSheet() { return this.sheets[0]; }
+
+  insertSheet(name) {
+    const sheetName = name || `Sheet${this.sheets.length + 1}`;
+    if (this.getSheetByName(sheetName)) {
+      throw new Error(`A sheet with the name "${sheetName}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(sheetName, [], this.sheets.length);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(other => other !== sheet);
+  }
+}
+
+/**
+ * SpreadsheetApp over a map of spreadsheet ID -> FakeSpreadsheet
+ */
+export function createSpreadsheetApp(spreadsheets) {
+  let nextId = 1;
+
+  return {
+    openById(id) {
+      const spreadsheet = spreadsheets.get(id);
+      if (!spreadsheet) throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp (${id}).`);
+      return spreadsheet;
+    },
+    openByUrl(url) {
+      const match = String(url).match(/\/d\/([^/]+)/);
+      return this.openById(match ? match[1] : url);
+    },
+    create(name) {
+      const id = `emulated-sheet-${nextId++}`;
+      const spreadsheet = new FakeSpreadsheet(id, name);
+      spreadsheets.set(id, spreadsheet);
+      return spreadsheet;
+    },
+    getActiveSpreadsheet: () => spreadsheets.values().next().value || null,
+    flush: () => {}
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Utilities service for the emulator
+ *
+ * sleep() advances the emulator clock instead of blocking, and digests are
+ * returned as signed bytes like Apps Script does.
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+
+const DIGESTS = { MD2: 'md2', MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512' };
+const CHARSETS = { US_ASCII: 'ascii', UTF_8: 'utf8' };
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+
+const toSigned = buffer => [...buffer].map(byte => (byte > 127 ? byte - 256 : byte));
+const toBuffer = data => (Array.isArray(data) ? Buffer.from(data.map(byte => byte & 0xff)) : Buffer.from(String(data)));
+
+/**
+ * Date parts in a timezone
+ */
+function partsIn(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric', weekday: 'short'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offset = Math.round((local - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    millisecond: date.getUTCMilliseconds(),
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+    offset
+  };
+}
+
+function formatOffset(minutes, separator) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${separator}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format a date with a SimpleDateFormat pattern
+ */
+export function formatDate(date, timeZone, pattern) {
+  const p = partsIn(new Date(date), timeZone);
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+  return pattern.replace(/'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|E|HH|H|hh|h|mm|m|ss|s|SSS|a|Z|XXX|X/g, (token, literal) => {
+    if (literal !== undefined) return literal === '' ? "'" : literal;
+    switch (token) {
+      case 'yyyy': return String(p.year);
+      case 'yy': return pad(p.year % 100);
+      case 'MMMM': return MONTH_NAMES[p.month - 1];
+      case 'MMM': return MONTH_NAMES[p.month - 1].substring(0, 3);
+      case 'MM': return pad(p.month);
+      case 'M': return String(p.month);
+      case 'dd': return pad(p.day);
+      case 'd': return String(p.day);
+      case 'EEEE': return DAY_NAMES[p.weekday];
+      case 'EEE':
+      case 'E': return DAY_NAMES[p.weekday].substring(0, 3);
+      case 'HH': return pad(p.hour);
+      case 'H': return String(p.hour);
+      case 'hh': return pad(p.hour % 12 || 12);
+      case 'h': return String(p.hour % 12 || 12);
+      case 'mm': return pad(p.minute);
+      case 'm': return String(p.minute);
+      case 'ss': return pad(p.second);
+      case 's': return String(p.second);
+      case 'SSS': return pad(p.millisecond, 3);
+      case 'a': return p.hour < 12 ? 'AM' : 'PM';
+      case 'Z': return formatOffset(p.offset, '');
+      case 'XXX': return p.offset === 0 ? 'Z' : formatOffset(p.offset, ':');
+      case 'X': return p.offset === 0 ? 'Z' : formatOffset(p.offset, '').substring(0, 3);
+      default: return token;
+    }
+  });
+}
+
+/**
+ * Utilities over an emulator clock
+ * @param {Object} clock - { now(), advance(ms) }
+ */
+export function createUtilities(clock) {
+  return {
+    DigestAlgorithm: Object.fromEntries(Object.keys(DIGESTS).map(key => [key, key])),
+    Charset: Object.fromEntries(Object.keys(CHARSETS).map(key => [key, key])),
+
+    sleep(milliseconds) {
+      clock.advance(milliseconds);
+    },
+
+    formatDate,
+
+    computeDigest(algorithm, value, charset = 'UTF_8') {
+      const hash = createHash(DIGESTS[algorithm]);
+      hash.update(Array.isArray(value) ? toBuffer(value) : Buffer.from(String(value), CHARSETS[charset]));
+      return toSigned(hash.digest());
+    },
+
+    base64Encode: (data, charset = 'UTF_8') => (Array.isArray(data)
+      ? toBuffer(data) : Buffer.from(String(data), CHARSETS[charset])).toString('base64'),
+    base64EncodeWebSafe: (data, charset = 'UTF_8') => (Array.isArray(data)
+      ? toBuffer(data) : Buffer.from(String(data), CHARSETS[charset])).toString('base64url'),
+    base64Decode: data => toSigned(Buffer.from(String(data), 'base64')),
+    base64DecodeWebSafe: data => toSigned(Buffer.from(String(data), 'base64url')),
+    newBlob: (data, contentType = 'text/plain', name = null) => ({
+      getDataAsString: () => toBuffer(data).toString('utf8'),
+      getBytes: () => toSigned(toBuffer(data)),
+      getContentType: () => contentType,
+      getName: () => name
+    }),
+    getUuid: () => randomUUID()
+  };
+}
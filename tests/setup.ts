@@ -3,57 +3,19 @@
  * Runs before all test files
  */
 
-import { beforeAll, afterEach, afterAll } from 'vitest';
+import { beforeAll, beforeEach, afterAll } from 'vitest';
+import { createRuntime } from './emulator/index.js';
 
-// Mock Google Apps Script globals
-globalThis.GmailApp = {
-  search: () => [],
-  getThreadById: () => null,
-  getUserLabelByName: () => null,
-  createLabel: () => ({}),
-  sendEmail: () => {},
-  getUserLabels: () => []
-} as any;
-
-globalThis.SpreadsheetApp = {
-  openById: () => ({
-    getSheetByName: () => null,
-    insertSheet: () => ({
-      appendRow: () => {}
-    })
-  })
-} as any;
-
-globalThis.ScriptApp = {
-  getProjectTriggers: () => [],
-  deleteTrigger: () => {},
-  newTrigger: () => ({
-    timeBased: () => ({
-      everyHours: () => ({ create: () => {} }),
-      everyDays: () => ({ create: () => {} }),
-      everyMinutes: () => ({ create: () => {} })
-    })
-  })
-} as any;
-
-globalThis.Gmail = {
-  Users: {
-    Settings: {
-      Filters: {
-        create: () => ({})
-      }
-    }
-  }
-} as any;
+// Fresh, empty Apps Script globals (GmailApp, PropertiesService, ...) for
+// every test. Tests needing data install createRuntime(fixture) themselves.
+beforeEach(() => {
+  createRuntime().install();
+});
 
 beforeAll(() => {
   console.log('🧪 Starting Vitest tests...');
 });
 
-afterEach(() => {
-  // Clear all mocks after each test
-});
-
 afterAll(() => {
   console.log('✅ Tests completed');
-});
\ No newline at end of file
+});
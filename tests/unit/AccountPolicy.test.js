@@ -0,0 +1,75 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { AccountPolicy, PolicyError } from '../../shared/utilities/AccountPolicy.js';
+
+const registry = JSON.parse(readFileSync('config/accounts.json', 'utf8')).accounts;
+
+describe('AccountPolicy', () => {
+  afterEach(() => {
+    AccountPolicy.install(null);
+  });
+
+  it('should read permissions from a registry entry', () => {
+    const policy = AccountPolicy.fromAccount(registry['personal-ahniel']);
+
+    expect(policy.allows('label')).toBe(true);
+    expect(policy.allows('forward')).toBe(false);
+    expect(policy.allows('send')).toBe(false); // Not in allowedOperations
+    expect(() => policy.authorize('delete')).toThrow('"delete" is a restricted operation for ahnielitecky@gmail.com');
+    expect(() => policy.authorize('send')).toThrow('"send" is not an allowed operation for ahnielitecky@gmail.com - allowed: read, label, archive');
+  });
+
+  it('should read account.json, with the compliance audit log', () => {
+    const policy = AccountPolicy.fromAccount(JSON.parse(readFileSync('accounts/work-uaa/account.json', 'utf8')));
+
+    expect(policy.auditLog).toBe(true);
+    expect(policy.account).toBe('jjohnson47@alaska.edu');
+    expect(policy.allowedDomains).toContain('alaska.edu');
+  });
+
+  it('should throw PolicyError naming the operation', () => {
+    const policy = new AccountPolicy({ restrictedOperations: ['archive'] });
+
+    try {
+      policy.authorize('archive', { threads: 2 });
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(PolicyError);
+      expect(error.name).toBe('PolicyError');
+      expect(error.operation).toBe('archive');
+    }
+    expect(() => policy.authorize('archiv')).toThrow('Unknown operation "archiv"');
+    expect(() => new AccountPolicy({ allowedOperations: ['delete', 'purge'] })).toThrow('Unknown operation "purge"');
+  });
+
+  it('should allow recipients in allowed domains and their subdomains only', () => {
+    const policy = new AccountPolicy({ allowedDomains: ['alaska.edu'], blockedDomains: ['spam.alaska.edu'] });
+
+    expect(policy.authorize('send', { to: ['dean@alaska.edu', 'Help Desk <help@it.alaska.edu>'] })).toBe(true);
+    expect(() => policy.authorize('forward', { to: 'me@notalaska.edu' })).toThrow('forward to me@notalaska.edu is blocked');
+    expect(() => policy.authorize('send', { to: 'x@spam.alaska.edu' })).toThrow('spam.alaska.edu is a blocked domain');
+    expect(() => policy.authorize('send', { to: 'no-domain' })).toThrow(PolicyError);
+  });
+
+  it('should audit allowed operations only when auditLog is on', () => {
+    const log = vi.fn();
+
+    new AccountPolicy({ auditLog: true }, { log }).authorize('label', { labels: ['VIP'], threads: 3 });
+    new AccountPolicy({}, { log }).authorize('label');
+    expect(() => new AccountPolicy({ auditLog: true, restrictedOperations: ['send'] }, { log }).authorize('send')).toThrow(PolicyError);
+
+    expect(log.mock.calls).toEqual([['🔐 Audit: label {"labels":["VIP"],"threads":3}']]);
+  });
+
+  it('should load the current policy from CONFIG_ACCOUNT unless one is installed', () => {
+    expect(AccountPolicy.current().allows('delete')).toBe(true);
+
+    PropertiesService.getScriptProperties().setProperty('CONFIG_ACCOUNT', JSON.stringify(registry['personal-ahniel']));
+    expect(AccountPolicy.current().allows('delete')).toBe(false);
+
+    const installed = AccountPolicy.install(new AccountPolicy());
+    expect(AccountPolicy.current()).toBe(installed);
+
+    expect(() => AccountPolicy.fromProperties({ CONFIG_ACCOUNT: '{' })).toThrow('CONFIG_ACCOUNT is not valid JSON');
+  });
+});
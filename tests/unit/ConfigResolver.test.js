@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { ConfigResolver, ConfigError } from '../../shared/utilities/ConfigResolver.js';
+
+const SETTINGS = {
+  SHEET_ID: { type: 'string', required: true, secret: true, property: 'SHEET_ID' },
+  MAX_PER_RUN: { type: 'int', default: 50, min: 1, environment: 'limits.maxThreadsPerRun', property: 'MAX_PER_RUN' },
+  DRY_RUN: { type: 'boolean', default: false, environment: 'dryRun', property: 'DRY_RUN' },
+  DAILY_QUOTA: { type: 'int', default: 1000, account: 'quotas.dailyQuota' },
+  DOMAINS: { type: 'csv', default: [], account: 'restrictions.allowedDomains', property: 'DOMAINS' },
+  RATIO: { type: 'number', default: 0.5, max: 1, property: 'RATIO' },
+  MODE: { type: 'string', default: 'run', values: ['run', 'daily'], property: 'MODE' }
+};
+
+describe('ConfigResolver', () => {
+  const resolver = new ConfigResolver(SETTINGS);
+
+  it('should merge defaults, environment, account and properties in order', () => {
+    const config = resolver.resolve({
+      environment: { dryRun: true, limits: { maxThreadsPerRun: 500 } },
+      account: { quotas: { dailyQuota: 20000 }, restrictions: { allowedDomains: ['alaska.edu', 'ua.edu'] } },
+      properties: { SHEET_ID: 'sheet-1', MAX_PER_RUN: '25', DOMAINS: '' }
+    });
+
+    expect(config).toEqual({
+      SHEET_ID: 'sheet-1',
+      MAX_PER_RUN: 25,
+      DRY_RUN: true,
+      DAILY_QUOTA: 20000,
+      DOMAINS: ['alaska.edu', 'ua.edu'],
+      RATIO: 0.5,
+      MODE: 'run'
+    });
+  });
+
+  it('should coerce property strings', () => {
+    const config = resolver.resolve({
+      properties: { SHEET_ID: 'x', DRY_RUN: 'YES', DOMAINS: ' a.edu, ,b.edu ', RATIO: '0.75' }
+    });
+
+    expect(config.DRY_RUN).toBe(true);
+    expect(config.DOMAINS).toEqual(['a.edu', 'b.edu']);
+    expect(config.RATIO).toBe(0.75);
+    expect(ConfigResolver.coerce('{"a":1}', { type: 'json' })).toEqual({ a: 1 });
+  });
+
+  it('should report every missing or invalid value at once', () => {
+    let error;
+    try {
+      resolver.resolve({
+        environment: { limits: { maxThreadsPerRun: 0 } },
+        properties: { DRY_RUN: 'maybe', RATIO: 'high', MODE: 'weekly' }
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      'SHEET_ID is required - set Script Property SHEET_ID',
+      'MAX_PER_RUN: environment limits.maxThreadsPerRun 0 is below the minimum of 1',
+      'DRY_RUN: property DRY_RUN "maybe" is not a boolean',
+      'RATIO: property RATIO "high" is not a number',
+      'MODE: property MODE "weekly" must be one of: run, daily'
+    ]);
+  });
+
+  it('should dump the effective configuration with secrets redacted', () => {
+    const lines = resolver.dump({
+      environment: { limits: { maxThreadsPerRun: 500 } },
+      properties: { SHEET_ID: '1OIY5GfzoRGDKgZHXTxf2QvDcXesC3', MODE: 'weekly' }
+    });
+
+    expect(lines).toEqual([
+      'SHEET_ID = [redacted] (property SHEET_ID)',
+      'MAX_PER_RUN = 500 (environment limits.maxThreadsPerRun)',
+      'DRY_RUN = false (default)',
+      'DAILY_QUOTA = 1000 (default)',
+      'DOMAINS = [] (default)',
+      'RATIO = 0.5 (default)',
+      'MODE = "run" (default)',
+      '⚠️ MODE: property MODE "weekly" must be one of: run, daily'
+    ]);
+    expect(lines.join('\n')).not.toContain('1OIY5G');
+  });
+
+  it('should read the environment and account layers from Script Properties', () => {
+    const layers = ConfigResolver.layersFromProperties({
+      CONFIG_ENVIRONMENT: '{"dryRun": true}',
+      CONFIG_ACCOUNT: '{"quotas": {"dailyQuota": 5}}',
+      SHEET_ID: 'x'
+    });
+
+    expect(resolver.resolve(layers)).toEqual(expect.objectContaining({ DRY_RUN: true, DAILY_QUOTA: 5 }));
+    expect(() => ConfigResolver.layersFromProperties({ CONFIG_ACCOUNT: '{' })).toThrow('CONFIG_ACCOUNT is not valid JSON');
+  });
+
+  it('should merge a registry entry and account.json into one account document', () => {
+    const merged = ConfigResolver.mergeAccount(
+      { email: 'me@alaska.edu', quotas: { dailyQuota: 20000 }, restrictions: { allowedDomains: ['alaska.edu'], retentionPolicy: '7years' } },
+      { restrictions: { allowedDomains: ['ua.edu'] }, preferences: { businessHours: { enabled: true } } }
+    );
+
+    expect(merged).toEqual({
+      email: 'me@alaska.edu',
+      quotas: { dailyQuota: 20000 },
+      restrictions: { allowedDomains: ['ua.edu'], retentionPolicy: '7years' },
+      preferences: { businessHours: { enabled: true } }
+    });
+    expect(resolver.resolve({ account: merged, properties: { SHEET_ID: 'x' } })).toEqual(expect.objectContaining({ DAILY_QUOTA: 20000, DOMAINS: ['ua.edu'] }));
+  });
+
+  it('should reject unknown setting types', () => {
+    expect(() => new ConfigResolver({ X: { type: 'date' } })).toThrow('Setting X has unknown type "date"');
+  });
+});
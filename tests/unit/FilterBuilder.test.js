@@ -1,84 +1,10 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-
-// Mock FilterBuilder class
-class FilterBuilder {
-  constructor() {
-    this.criteria = {};
-    this.actions = {};
-  }
-
-  from(email) {
-    this.criteria.from = email;
-    return this;
-  }
-
-  to(email) {
-    this.criteria.to = email;
-    return this;
-  }
-
-  subject(text) {
-    this.criteria.subject = text;
-    return this;
-  }
-
-  hasWords(words) {
-    this.criteria.query = words;
-    return this;
-  }
-
-  doesNotHaveWords(words) {
-    this.criteria.negatedQuery = words;
-    return this;
-  }
-
-  hasAttachment() {
-    this.criteria.hasAttachment = true;
-    return this;
-  }
-
-  addLabel(labelName) {
-    if (!this.actions.add) this.actions.add = [];
-    this.actions.add.push(labelName);
-    return this;
-  }
-
-  removeLabel(labelName) {
-    if (!this.actions.remove) this.actions.remove = [];
-    this.actions.remove.push(labelName);
-    return this;
-  }
-
-  markAsRead() {
-    this.actions.shouldMarkAsRead = true;
-    return this;
-  }
-
-  archive() {
-    this.actions.shouldArchive = true;
-    return this;
-  }
-
-  build() {
-    return {
-      criteria: this.criteria,
-      action: this.actions
-    };
-  }
-
-  toQueryString() {
-    const parts = [];
-    
-    if (this.criteria.from) parts.push(`from:(${this.criteria.from})`);
-    if (this.criteria.to) parts.push(`to:(${this.criteria.to})`);
-    if (this.criteria.subject) parts.push(`subject:(${this.criteria.subject})`);
-    if (this.criteria.query) parts.push(this.criteria.query);
-    if (this.criteria.negatedQuery) parts.push(`-(${this.criteria.negatedQuery})`);
-    if (this.criteria.hasAttachment) parts.push('has:attachment');
-    
-    return parts.join(' ');
-  }
-}
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FilterBuilder } from '../../shared/libraries/FilterBuilder.js';
+import * as AccountPolicyModule from '../../shared/utilities/AccountPolicy.js';
+import { createRuntime, loadFixture, installScripts } from '../emulator/index.js';
+
+installScripts(AccountPolicyModule);
+const { AccountPolicy } = AccountPolicyModule;
 
 describe('FilterBuilder', () => {
   let builder;
@@ -213,4 +139,330 @@ describe('FilterBuilder', () => {
       expect(query).toBe('');
     });
   });
+
+  describe('search operators', () => {
+    it('should quote values that would break the query', () => {
+      builder
+        .from(['provost@alaska.edu', 'Jane Doe'])
+        .subject('Re: (urgent) "budget" update')
+        .to('me@alaska.edu');
+
+      expect(builder.toQueryString()).toBe(
+        'from:(provost@alaska.edu OR "Jane Doe") to:(me@alaska.edu) subject:("Re: (urgent) budget update")'
+      );
+      expect(FilterBuilder.quote('OR')).toBe('"OR"');
+      expect(FilterBuilder.quote('-draft')).toBe('"-draft"');
+      expect(FilterBuilder.quote('budget meeting')).toBe('budget meeting');
+      expect(FilterBuilder.fromQueryString(builder.toQueryString()).criteria).toEqual({
+        from: ['provost@alaska.edu', 'Jane Doe'],
+        to: 'me@alaska.edu',
+        subject: 'Re: (urgent) budget update'
+      });
+    });
+
+    it('should add operators to the query', () => {
+      builder
+        .hasWords('budget')
+        .label(['Clients/Active', 'VIP'])
+        .category('updates')
+        .is('unread')
+        .in('inbox')
+        .filename('pdf')
+        .list('news.example.com')
+        .deliveredTo('me+lists@alaska.edu')
+        .after(new Date('2025-01-05T12:00:00Z'))
+        .before('2025-02-01')
+        .olderThan('7d')
+        .newerThan('1y');
+
+      expect(builder.criteria.query).toBe(
+        'budget {label:clients-active label:vip} category:updates is:unread in:inbox filename:pdf ' +
+        'list:news.example.com deliveredto:me+lists@alaska.edu after:2025/01/05 before:2025/02/01 ' +
+        'older_than:7d newer_than:1y'
+      );
+      expect(() => builder.category('spam')).toThrow('Unknown category "spam"');
+      expect(() => builder.after('last week')).toThrow('Invalid search date');
+      expect(() => builder.olderThan('7w')).toThrow('Invalid search period');
+    });
+
+    it('should format dates in the script time zone', () => {
+      createRuntime({ timeZone: 'America/Anchorage' }).install();
+      const lateEvening = new Date('2025-01-05T08:30:00Z'); // 23:30 on the 4th in Anchorage
+
+      expect(FilterBuilder.formatDate(lateEvening)).toBe('2025/01/04');
+      expect(FilterBuilder.formatDate(new Date('2025-01-05T09:00:00Z'))).toBe('2025/01/05');
+      expect(new FilterBuilder().after(lateEvening).toQueryString()).toBe('after:2025/01/04');
+    });
+
+    it('should match the same threads in Gmail search', () => {
+      const runtime = createRuntime(loadFixture('inbox')).install();
+      const search = filter => runtime.gmail.searchThreads(filter.toQueryString());
+
+      expect(search(builder.from(['provost@alaska.edu', 'news@edtech.example.com']))).toEqual(['t-provost', 't-newsletter']);
+      expect(search(new FilterBuilder().label('Students').in('inbox'))).toEqual(['t-student']);
+      expect(search(new FilterBuilder().category(['promotions', 'social']))).toEqual(['t-newsletter']);
+    });
+  });
+
+  describe('filter validation', () => {
+    it('should separate search-only criteria from filter criteria', () => {
+      builder.from('x@example.com').list('news.example.com').filename('pdf').hasAttachment().excludeChats();
+      expect(builder.isFilterable()).toBe(true);
+
+      builder.label('work').olderThan('30d').doesNotHaveWords('{is:starred has:yellow-star}');
+      expect(builder.searchOnlyTerms()).toEqual(['label:work', 'older_than:30d', 'is:starred', 'has:yellow-star']);
+      expect(builder.isFilterable()).toBe(false);
+      expect(FilterBuilder.fromQueryString('in:inbox -label:_Triage').searchOnlyTerms()).toEqual(['in:inbox', 'label:_Triage']);
+    });
+
+    it('should refuse to create search-only filters', () => {
+      createRuntime(loadFixture('inbox')).install();
+
+      expect(() => builder.from('x@example.com').is('unread').archive().create())
+        .toThrow("Search-only criteria can't be saved as a Gmail filter: is:unread");
+
+      const created = new FilterBuilder().from('news@edtech.example.com').addLabel('Newsletters').archive().create();
+      const newsletters = Gmail.Users.Labels.list('me').labels.find(label => label.name === 'Newsletters');
+      expect(created.action).toEqual({ addLabelIds: [newsletters.id], removeLabelIds: ['INBOX'] });
+      expect(() => new FilterBuilder().from('a@b.com').addLabel('Missing').create()).toThrow('Label not found: Missing');
+      expect(Gmail.Users.Settings.Filters.list('me').filter).toHaveLength(1);
+    });
+
+    it('should need forward and delete permissions for filters that forward or trash', () => {
+      createRuntime(loadFixture('inbox')).install();
+      const policy = new AccountPolicy({ allowedOperations: ['organize', 'forward'], allowedDomains: ['alaska.edu'] });
+
+      expect(builder.from('a@b.com').archive().operations()).toEqual(['organize']);
+      expect(new FilterBuilder().from('a@b.com').forward('me@alaska.edu').authorize(policy)).toBeInstanceOf(FilterBuilder);
+      expect(() => new FilterBuilder().from('a@b.com').forward('me@gmail.com').authorize(policy))
+        .toThrow('forward to me@gmail.com is blocked');
+      expect(() => new FilterBuilder().from('a@b.com').deleteIt().authorize(policy))
+        .toThrow('"delete" is not an allowed operation');
+
+      AccountPolicy.install(policy);
+      try {
+        expect(() => new FilterBuilder().from('spam@b.com').deleteIt().create()).toThrow('"delete" is not an allowed operation');
+        expect(Gmail.Users.Settings.Filters.list('me').filter || []).toHaveLength(0);
+      } finally {
+        AccountPolicy.install(null);
+      }
+    });
+  });
+
+  describe('fromQueryString', () => {
+    it('should map top-level operators to criteria', () => {
+      const filter = FilterBuilder.fromQueryString(
+        'from:alice@example.com subject:(quarterly report) has:attachment -in:chats larger:5M label:work'
+      );
+
+      expect(filter.criteria).toEqual({
+        from: 'alice@example.com',
+        subject: 'quarterly report',
+        hasAttachment: true,
+        excludeChats: true,
+        size: 5 * 1024 * 1024,
+        sizeComparison: 'larger',
+        query: 'label:work'
+      });
+    });
+
+    it('should keep unsupported parts as raw terms', () => {
+      const filter = FilterBuilder.fromQueryString('from:(a OR b) to:"Bob Smith" OR to:c {x y} has:drive from:d AND z');
+
+      expect(filter.criteria.from).toEqual(['a', 'b']);
+      expect(filter.criteria.to).toBeUndefined();
+      expect(filter.criteria.query).toBe('to:"Bob Smith" OR to:c {x y} has:drive from:d z');
+    });
+
+    it('should fold negated terms into doesNotHaveWords', () => {
+      expect(FilterBuilder.fromQueryString('invoice -(spam promotion)').criteria)
+        .toEqual({ query: 'invoice', negatedQuery: 'spam promotion' });
+      expect(FilterBuilder.fromQueryString('in:inbox -is:starred -in:chats -label:_Triage').criteria)
+        .toEqual({ query: 'in:inbox', negatedQuery: '{is:starred label:_Triage}', excludeChats: true });
+    });
+
+    it('should parse the query syntax tree', () => {
+      const tree = FilterBuilder.parseQuery('-"exact words" (a OR b) subject:{x y}');
+
+      expect(tree.children.map(node => node.type)).toEqual(['not', 'group', 'operator']);
+      expect(tree.children[0].child).toEqual({ type: 'phrase', value: 'exact words', text: '"exact words"' });
+      expect(tree.children[1].children[0]).toEqual(expect.objectContaining({ type: 'or', text: 'a OR b' }));
+      expect(tree.children[2]).toEqual(expect.objectContaining({ operator: 'subject', value: '{x y}' }));
+      expect(FilterBuilder.parseQuery('a ) (b').children.map(node => node.text)).toEqual(['a', ')', '(b']);
+    });
+
+    it('should round-trip toQueryString output', () => {
+      const query = builder
+        .from('sender@example.com')
+        .subject('Important')
+        .hasWords('project deadline')
+        .doesNotHaveWords('spam')
+        .hasAttachment()
+        .excludeChats()
+        .size(102400)
+        .sizeComparison('smaller')
+        .toQueryString();
+
+      const parsed = FilterBuilder.fromQueryString(query);
+
+      expect(parsed.criteria).toEqual(builder.criteria);
+      expect(parsed.toQueryString()).toBe(query);
+    });
+
+    it('should keep quoted phrases as phrases', () => {
+      const parsed = FilterBuilder.fromQueryString('subject:"hello world" from:("Jane Doe" OR x@example.com)');
+
+      expect(parsed.criteria).toEqual({ subject: '"hello world"', from: ['Jane Doe', 'x@example.com'] });
+      expect(parsed.toQueryString()).toBe('from:("Jane Doe" OR x@example.com) subject:("hello world")');
+      expect(FilterBuilder.fromQueryString('from:"Jane Doe"').toQueryString()).toBe('from:("Jane Doe")');
+      expect(FilterBuilder.fromQueryString(parsed.toQueryString()).criteria).toEqual(parsed.criteria);
+
+      const resource = parsed.toGmailFilter();
+      expect(resource.criteria.subject).toBe('"hello world"');
+      expect(FilterBuilder.fromGmailFilter(resource).criteria).toEqual(parsed.criteria);
+    });
+
+    it('should be stable after one round trip', () => {
+      const queries = [
+        'in:inbox -is:starred -in:chats -label:_Triage',
+        'from:a from:b smaller:100K AND x -y -(z w)',
+        '(a OR b) "exact phrase" larger:1234 -{c d}',
+        'weird ) (unclosed "quote'
+      ];
+
+      for (const query of queries) {
+        const once = FilterBuilder.fromQueryString(query).toQueryString();
+        expect(FilterBuilder.fromQueryString(once).toQueryString()).toBe(once);
+      }
+    });
+  });
+
+  describe('Gmail API filters', () => {
+    it('should convert actions to label changes and back', () => {
+      builder.from('github.com').addLabel('GitHub').archive().markAsRead().star();
+      const ids = { GitHub: 'Label_1' };
+
+      const resource = builder.toGmailFilter(name => ids[name]);
+
+      expect(resource).toEqual({
+        criteria: { from: 'github.com' },
+        action: { addLabelIds: ['Label_1', 'STARRED'], removeLabelIds: ['INBOX', 'UNREAD'] }
+      });
+      const back = FilterBuilder.fromGmailFilter(resource, id => (id === 'Label_1' ? 'GitHub' : id));
+      expect(back.criteria).toEqual(builder.criteria);
+      expect(back.actions).toEqual(builder.actions);
+    });
+
+    it('should build filters from JSON specs', () => {
+      const spec = FilterBuilder.fromSpec({
+        query: 'from:(lists.example.com) -label:work',
+        criteria: { hasAttachment: true, excludeChats: false },
+        actions: { addLabel: ['Lists', 'Read Later'], archive: true }
+      });
+
+      expect(spec.criteria).toEqual({ from: 'lists.example.com', negatedQuery: 'label:work', hasAttachment: true });
+      expect(spec.actions).toEqual({ add: ['Lists', 'Read Later'], shouldArchive: true });
+      expect(() => FilterBuilder.fromSpec({ actions: { archiveIt: true } })).toThrow('Unknown filter action "archiveIt"');
+    });
+  });
+
+  describe('mailFilters.xml', () => {
+    // As exported from Gmail Settings > Filters and Blocked Addresses
+    const EXPORTED = `<?xml version='1.0' encoding='UTF-8'?><feed xmlns='http://www.w3.org/2005/Atom' xmlns:apps='http://schemas.google.com/apps/2006'>
+	<title>Mail Filters</title>
+	<id>tag:mail.google.com,2008:filters:z0000001687372945521*,z0000001701108223785*</id>
+	<updated>2025-07-15T18:00:00Z</updated>
+	<author>
+		<name>Jeffrey Johnson</name>
+		<email>jjohnson47@alaska.edu</email>
+	</author>
+	<entry>
+		<category term='filter'></category>
+		<title>Mail Filter</title>
+		<id>tag:mail.google.com,2008:filter:z0000001687372945521*</id>
+		<updated>2025-07-15T18:00:00Z</updated>
+		<content></content>
+		<apps:property name='from' value='notifications@github.com'/>
+		<apps:property name='hasTheWord' value='&quot;pull request&quot; OR review'/>
+		<apps:property name='label' value='Dev/GitHub'/>
+		<apps:property name='shouldArchive' value='true'/>
+		<apps:property name='sizeOperator' value='s_sl'/>
+		<apps:property name='sizeUnit' value='s_smb'/>
+	</entry>
+	<entry>
+		<category term='filter'></category>
+		<title>Mail Filter</title>
+		<id>tag:mail.google.com,2008:filter:z0000001701108223785*</id>
+		<updated>2025-07-15T18:00:00Z</updated>
+		<content></content>
+		<apps:property name='subject' value='Fall &amp; Spring'/>
+		<apps:property name='hasAttachment' value='true'/>
+		<apps:property name='size' value='2'/>
+		<apps:property name='sizeOperator' value='s_sl'/>
+		<apps:property name='sizeUnit' value='s_smb'/>
+		<apps:property name='smartLabelToApply' value='^smartlabel_notification'/>
+		<apps:property name='shouldNeverSpam' value='true'/>
+		<apps:property name='cannedResponse' value='tag:mail.google.com,2009:cannedResponse:1'/>
+	</entry>
+</feed>`;
+
+    it('should parse a Gmail export', () => {
+      const [github, registrar] = FilterBuilder.fromMailFiltersXml(EXPORTED);
+
+      expect(github.criteria).toEqual({ from: 'notifications@github.com', query: '"pull request" OR review' });
+      expect(github.actions).toEqual({ add: ['Dev/GitHub'], shouldArchive: true });
+      expect(registrar.criteria).toEqual({
+        subject: 'Fall & Spring',
+        hasAttachment: true,
+        size: 2 * 1024 * 1024,
+        sizeComparison: 'larger'
+      });
+      expect(registrar.actions).toEqual({ add: ['CATEGORY_UPDATES'], shouldNeverSpam: true });
+      expect(() => FilterBuilder.fromMailFiltersXml('<html></html>')).toThrow('Not a mailFilters.xml document');
+    });
+
+    it('should export one entry per label and read it back', () => {
+      builder.from('dean@alaska.edu').hasWords('<budget> & "fees"').size(204800).sizeComparison('smaller')
+        .addLabel('Admin').addLabel('Budget').star();
+
+      const xml = FilterBuilder.toMailFiltersXml([builder], { updated: new Date('2025-07-15T18:00:00Z') });
+
+      expect(xml).toContain("<apps:property name='hasTheWord' value='&lt;budget&gt; &amp; &quot;fees&quot;'/>");
+      expect(xml).toContain("<apps:property name='sizeUnit' value='s_skb'/>");
+      expect(xml).toContain('<updated>2025-07-15T18:00:00Z</updated>');
+      const [admin, budget] = FilterBuilder.fromMailFiltersXml(xml);
+      expect(admin.criteria).toEqual(builder.criteria);
+      expect(admin.actions).toEqual({ add: ['Admin'], shouldStar: true });
+      expect(budget.actions).toEqual({ add: ['Budget'] });
+    });
+
+    it('should quote list and phrase values the way queries do', () => {
+      builder.from(['a@x.com', 'b@y.com']).subject('Budget (Q3)').to('"Jane Doe"').addLabel('Budget');
+
+      const xml = FilterBuilder.toMailFiltersXml([builder]);
+
+      expect(xml).toContain("<apps:property name='from' value='a@x.com OR b@y.com'/>");
+      expect(xml).toContain("<apps:property name='subject' value='&quot;Budget (Q3)&quot;'/>");
+      expect(xml).toContain("<apps:property name='to' value='&quot;Jane Doe&quot;'/>");
+      const [imported] = FilterBuilder.fromMailFiltersXml(xml);
+      expect(imported.criteria).toEqual(builder.criteria);
+      expect(imported.toQueryString()).toBe(builder.toQueryString());
+    });
+
+    it('should refuse label removal, which the format cannot express', () => {
+      builder.from('x@example.com').removeLabel('Work');
+
+      expect(() => FilterBuilder.toMailFiltersXml([builder])).toThrow('mailFilters.xml cannot remove labels (Work)');
+    });
+
+    it('should convert to an account.json spec and back', () => {
+      const [github] = FilterBuilder.fromMailFiltersXml(EXPORTED);
+
+      expect(github.toSpec()).toEqual({
+        criteria: { from: 'notifications@github.com', hasWords: '"pull request" OR review' },
+        actions: { addLabel: ['Dev/GitHub'], archive: true }
+      });
+      expect(FilterBuilder.fromSpec(github.toSpec()).build()).toEqual(github.build());
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as FilterBuilderModule from '../../shared/libraries/FilterBuilder.js';
+import { FilterSync } from '../../shared/libraries/FilterSync.js';
+import * as AccountPolicyModule from '../../shared/utilities/AccountPolicy.js';
+import { createRuntime, loadFixture, installScripts } from '../emulator/index.js';
+
+installScripts(FilterBuilderModule, AccountPolicyModule);
+const { AccountPolicy, PolicyError } = AccountPolicyModule;
+const { FilterBuilder } = FilterBuilderModule;
+
+const ACCOUNT = {
+  filters: {
+    gmail: [
+      { criteria: { from: 'notifications@github.com' }, actions: { addLabel: 'GitHub', archive: true } },
+      { query: 'list:newsletters.example.com', actions: { addLabel: 'Newsletters', markAsRead: true } },
+      { criteria: { from: 'provost@alaska.edu' }, actions: { addLabel: 'VIP', star: true } }
+    ]
+  }
+};
+
+describe('FilterSync', () => {
+  let sync;
+
+  beforeEach(() => {
+    createRuntime(loadFixture('inbox')).install();
+    sync = new FilterSync();
+  });
+
+  function labelId(name) {
+    return Gmail.Users.Labels.list('me').labels.find(label => label.name === name).id;
+  }
+
+  function filters() {
+    return Gmail.Users.Settings.Filters.list('me').filter || [];
+  }
+
+  it('should plan labels and filters to create on a dry run', () => {
+    const { plan, lines, result } = sync.sync(FilterSync.fromAccount(ACCOUNT));
+
+    expect(result).toBeNull();
+    expect(plan.labels).toEqual(['GitHub']);
+    expect(plan.create).toHaveLength(3);
+    expect(lines).toEqual([
+      '+ label GitHub',
+      '+ filter from:(notifications@github.com) => +GitHub -INBOX',
+      '+ filter list:newsletters.example.com => +Newsletters -UNREAD',
+      '+ filter from:(provost@alaska.edu) => +VIP +STARRED',
+      '1 labels to create, 3 filters to create, 0 to delete, 0 unchanged'
+    ]);
+    expect(filters()).toEqual([]);
+  });
+
+  it('should apply with label IDs and change nothing the second time', () => {
+    const desired = FilterSync.fromAccount(ACCOUNT);
+
+    expect(sync.sync(desired, { dryRun: false }).result).toEqual({ labels: 1, created: 3, removed: 0, skipped: 0 });
+    expect(filters()[0]).toEqual({
+      id: expect.any(String),
+      criteria: { from: 'notifications@github.com' },
+      action: { addLabelIds: [labelId('GitHub')], removeLabelIds: ['INBOX'] }
+    });
+
+    const again = sync.sync(desired, { dryRun: false });
+    expect(again.plan).toEqual({ labels: [], create: [], remove: [], unchanged: 3 });
+    expect(again.result).toEqual({ labels: 0, created: 0, removed: 0, skipped: 0 });
+    expect(filters()).toHaveLength(3);
+  });
+
+  it('should replace changed filters and remove duplicates and strays', () => {
+    const vip = labelId('VIP');
+    Gmail.Users.Settings.Filters.create({ criteria: { from: 'provost@alaska.edu' }, action: { addLabelIds: ['STARRED', vip] } }, 'me');
+    Gmail.Users.Settings.Filters.create({ criteria: { from: 'provost@alaska.edu' }, action: { addLabelIds: [vip, 'STARRED'] } }, 'me');
+    Gmail.Users.Settings.Filters.create({ criteria: { from: 'notifications@github.com' }, action: { removeLabelIds: ['INBOX'] } }, 'me');
+    const [, duplicate, stale] = filters();
+
+    const { plan, result } = new FilterSync({ prune: true }).sync(FilterSync.fromAccount(ACCOUNT), { dryRun: false });
+
+    expect(plan.unchanged).toBe(1);
+    expect(plan.create.map(({ query }) => query)).toEqual(['from:(notifications@github.com)', 'list:newsletters.example.com']);
+    expect(plan.remove).toEqual([
+      expect.objectContaining({ id: duplicate.id, reason: 'duplicate' }),
+      expect.objectContaining({ id: stale.id, reason: 'not desired' })
+    ]);
+    expect(result).toEqual({ labels: 1, created: 2, removed: 2, skipped: 0 });
+    expect(filters()).toHaveLength(3);
+  });
+
+  it('should keep filters it does not manage unless prune is on', () => {
+    Gmail.Users.Settings.Filters.create({ criteria: { to: 'me+lists@alaska.edu' }, action: { removeLabelIds: ['INBOX'] } }, 'me');
+
+    const { plan } = sync.sync([new FilterBuilder().from('x@example.com').star()]);
+
+    expect(plan.remove).toEqual([]);
+    expect(plan.create).toHaveLength(1);
+  });
+
+  it('should delete nothing when filters.gmail is empty or missing', () => {
+    Gmail.Users.Settings.Filters.create({ criteria: { to: 'me+lists@alaska.edu' }, action: { removeLabelIds: ['INBOX'] } }, 'me');
+
+    for (const account of [{}, { filters: {} }, { filters: { gmail: [] } }]) {
+      expect(sync.sync(FilterSync.fromAccount(account), { dryRun: false }).result).toEqual({ labels: 0, created: 0, removed: 0, skipped: 0 });
+      expect(() => new FilterSync({ prune: true }).sync(FilterSync.fromAccount(account), { dryRun: false }))
+        .toThrow('Refusing to prune with no desired filters');
+    }
+    expect(filters()).toHaveLength(1);
+  });
+
+  it('should reject search-only filters before changing anything', () => {
+    const desired = [new FilterBuilder().from('x@example.com').star(), new FilterBuilder().is('unread').archive()];
+
+    expect(() => sync.sync(desired, { dryRun: false })).toThrow('Search-only criteria');
+    expect(filters()).toEqual([]);
+  });
+
+  it('should skip changes that were already applied', () => {
+    const desired = FilterSync.fromAccount(ACCOUNT);
+    const plan = sync.plan(desired);
+    sync.apply(plan);
+
+    expect(sync.apply(plan)).toEqual({ labels: 0, created: 0, removed: 0, skipped: 3 });
+  });
+
+  it('should check the whole plan against the account policy before applying', () => {
+    const policy = new AccountPolicy({ account: 'me@gmail.com', allowedOperations: ['organize'] });
+    const desired = [...FilterSync.fromAccount(ACCOUNT), new FilterBuilder().from('x@example.com').forward('me@alaska.edu')];
+
+    expect(() => new FilterSync({ policy }).sync(desired, { dryRun: false })).toThrow(PolicyError);
+    expect(() => new FilterSync({ policy }).sync(desired, { dryRun: false }))
+      .toThrow('"forward" is not an allowed operation for me@gmail.com - allowed: organize');
+    expect(filters()).toEqual([]);
+    expect(Gmail.Users.Labels.list('me').labels.map(label => label.name)).not.toContain('GitHub');
+
+    expect(new FilterSync({ policy }).sync(FilterSync.fromAccount(ACCOUNT), { dryRun: false }).result.created).toBe(3);
+  });
+});
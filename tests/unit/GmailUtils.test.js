@@ -1,194 +1,293 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-
-// Mock the module since we're testing in Node environment
-const GmailUtils = {
-  searchThreads(query, maxResults = 50, pageToken = null) {
-    const threads = GmailApp.search(query, 0, maxResults);
-    
-    return threads.map(thread => ({
-      id: thread.getId(),
-      firstMessageSubject: thread.getFirstMessageSubject(),
-      lastMessageDate: thread.getLastMessageDate(),
-      messageCount: thread.getMessageCount(),
-      labels: thread.getLabels().map(l => l.getName()),
-      isUnread: thread.isUnread(),
-      isImportant: thread.isImportant()
-    }));
-  },
-
-  applyLabels(threadIds, labelNames) {
-    const threads = threadIds.map(id => GmailApp.getThreadById(id));
-    const labels = labelNames.map(name => 
-      GmailApp.getUserLabelByName(name) || GmailApp.createLabel(name)
-    );
-    
-    threads.forEach(thread => {
-      if (thread) {
-        labels.forEach(label => thread.addLabel(label));
-      }
-    });
-  },
-
-  archiveOldThreads(query, daysOld) {
-    const dateQuery = `${query} older_than:${daysOld}d`;
-    const threads = GmailApp.search(dateQuery);
-    
-    threads.forEach(thread => {
-      thread.moveToArchive();
-    });
-    
-    return threads.length;
-  },
-
-  getStatistics(query = '') {
-    const threads = GmailApp.search(query, 0, 500);
-    const labels = GmailApp.getUserLabels();
-    
-    return {
-      totalThreads: threads.length,
-      unreadCount: threads.filter(t => t.isUnread()).length,
-      labelCount: labels.length,
-      labelStats: labels.map(label => ({
-        name: label.getName(),
-        threadCount: label.getThreads().length
-      }))
-    };
-  }
-};
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import GmailUtils from '../../shared/libraries/GmailUtils.js';
+import * as AccountPolicyModule from '../../shared/utilities/AccountPolicy.js';
+import * as RetentionPolicyModule from '../../shared/utilities/RetentionPolicy.js';
+import { createRuntime, loadFixture, installScripts } from '../emulator/index.js';
+
+installScripts(AccountPolicyModule, RetentionPolicyModule);
+const { AccountPolicy, PolicyError } = AccountPolicyModule;
+const { RetentionPolicy, RetentionError } = RetentionPolicyModule;
 
 describe('GmailUtils', () => {
+  let runtime;
+
   beforeEach(() => {
-    vi.clearAllMocks();
+    runtime = createRuntime(loadFixture('inbox')).install();
   });
 
   describe('searchThreads', () => {
     it('should search and return formatted threads', () => {
-      const mockThreads = [
-        {
-          getId: () => 'thread1',
-          getFirstMessageSubject: () => 'Test Subject',
-          getLastMessageDate: () => new Date('2025-01-16'),
-          getMessageCount: () => 3,
-          getLabels: () => [{ getName: () => 'Important' }],
-          isUnread: () => true,
-          isImportant: () => true
-        }
-      ];
-
-      GmailApp.search = vi.fn().mockReturnValue(mockThreads);
-
-      const results = GmailUtils.searchThreads('test query', 10);
-
-      expect(GmailApp.search).toHaveBeenCalledWith('test query', 0, 10);
+      const results = GmailUtils.searchThreads('from:provost@alaska.edu', 10);
+
       expect(results).toHaveLength(1);
       expect(results[0]).toEqual({
-        id: 'thread1',
-        firstMessageSubject: 'Test Subject',
-        lastMessageDate: new Date('2025-01-16'),
-        messageCount: 3,
-        labels: ['Important'],
+        id: 't-provost',
+        firstMessageSubject: 'Budget review meeting',
+        lastMessageDate: expect.any(Date),
+        messageCount: 1,
+        labels: [],
         isUnread: true,
         isImportant: true
       });
     });
 
-    it('should handle empty search results', () => {
-      GmailApp.search = vi.fn().mockReturnValue([]);
+    it('should list labels and respect maxResults', () => {
+      const results = GmailUtils.searchThreads('in:inbox', 2);
 
-      const results = GmailUtils.searchThreads('no results', 50);
+      expect(results.map(t => t.id)).toEqual(['t-provost', 't-student']);
+      expect(results[1].labels).toEqual(['Students']);
+    });
 
-      expect(results).toEqual([]);
+    it('should handle empty search results', () => {
+      expect(GmailUtils.searchThreads('from:nobody@example.com', 50)).toEqual([]);
     });
   });
 
-  describe('applyLabels', () => {
-    it('should apply labels to threads', () => {
-      const mockThread = {
-        addLabel: vi.fn()
-      };
-      const mockLabel = {};
+  describe('pagination', () => {
+    // t-1 is the newest, t-12 the oldest
+    const backlog = () => createRuntime({
+      user: 'me@alaska.edu',
+      threads: Array.from({ length: 12 }, (_, i) => ({
+        id: `t-${i + 1}`,
+        messages: [{ id: `m-${i + 1}`, from: 'list@example.com', subject: `Issue ${i + 1}`, date: `-${i + 1}h` }]
+      }))
+    }).install();
+    const ids = threads => threads.map(thread => thread.id);
 
-      GmailApp.getThreadById = vi.fn().mockReturnValue(mockThread);
-      GmailApp.getUserLabelByName = vi.fn().mockReturnValue(null);
-      GmailApp.createLabel = vi.fn().mockReturnValue(mockLabel);
+    it('should page through results with the returned token', () => {
+      backlog();
 
-      GmailUtils.applyLabels(['thread1'], ['NewLabel']);
+      const first = GmailUtils.searchPage('in:inbox', { maxResults: 5 });
+      const second = GmailUtils.searchPage('in:inbox', { maxResults: 5, pageToken: first.nextPageToken });
+      const third = GmailUtils.searchThreads('in:inbox', 5, second.nextPageToken);
 
-      expect(GmailApp.getThreadById).toHaveBeenCalledWith('thread1');
-      expect(GmailApp.createLabel).toHaveBeenCalledWith('NewLabel');
-      expect(mockThread.addLabel).toHaveBeenCalledWith(mockLabel);
+      expect(ids(first.threads)).toEqual(['t-1', 't-2', 't-3', 't-4', 't-5']);
+      expect(ids(second.threads)).toEqual(['t-6', 't-7', 't-8', 't-9', 't-10']);
+      expect(ids(third)).toEqual(['t-11', 't-12']);
+      expect(GmailUtils.searchPage('in:inbox', { maxResults: 12 }).nextPageToken).toBeNull();
     });
 
-    it('should use existing labels when available', () => {
-      const mockThread = {
-        addLabel: vi.fn()
-      };
-      const existingLabel = {};
+    it('should continue after the last thread when the results shift', () => {
+      const runtime = backlog();
+      const first = GmailUtils.searchPage('in:inbox', { maxResults: 5 });
 
-      GmailApp.getThreadById = vi.fn().mockReturnValue(mockThread);
-      GmailApp.getUserLabelByName = vi.fn().mockReturnValue(existingLabel);
-      GmailApp.createLabel = vi.fn();
+      // Work on the first page leaves the inbox, so offset 5 is now t-8
+      ['t-1', 't-2', 't-3'].forEach(id => GmailApp.getThreadById(id).moveToArchive());
+      const second = GmailUtils.searchPage('in:inbox', { maxResults: 5, pageToken: first.nextPageToken });
+      expect(ids(second.threads)).toEqual(['t-6', 't-7', 't-8', 't-9', 't-10']);
 
-      GmailUtils.applyLabels(['thread1'], ['ExistingLabel']);
+      GmailApp.getThreadById('t-10').moveToArchive();
+      expect(() => GmailUtils.searchPage('in:inbox', { maxResults: 5, pageToken: second.nextPageToken }))
+        .toThrow('Search results changed too much');
+      expect(runtime.gmail.searchThreads('in:inbox')).toHaveLength(8);
+    });
 
-      expect(GmailApp.getUserLabelByName).toHaveBeenCalledWith('ExistingLabel');
-      expect(GmailApp.createLabel).not.toHaveBeenCalled();
-      expect(mockThread.addLabel).toHaveBeenCalledWith(existingLabel);
+    it('should reject tokens from another search', () => {
+      backlog();
+      const { nextPageToken } = GmailUtils.searchPage('in:inbox', { maxResults: 5 });
+
+      expect(() => GmailUtils.searchPage('from:list@example.com', { pageToken: nextPageToken }))
+        .toThrow('Page token belongs to a different search');
+      expect(() => GmailUtils.searchPage('in:inbox', { pageToken: 'not-a-token' })).toThrow('Invalid page token');
+      expect(() => GmailUtils.searchPage('in:inbox', { pageToken: nextPageToken, advanced: true }))
+        .toThrow('different search');
+    });
+
+    it('should page with the Gmail advanced service', () => {
+      backlog();
+
+      const first = GmailUtils.searchPage('in:inbox', { maxResults: 8, advanced: true });
+      const second = GmailUtils.searchPage('in:inbox', { maxResults: 8, pageToken: first.nextPageToken, advanced: true });
+
+      expect(first.threads[0]).toEqual(expect.objectContaining({ id: 't-1', firstMessageSubject: 'Issue 1' }));
+      expect(ids(second.threads)).toEqual(['t-9', 't-10', 't-11', 't-12']);
+      expect(second.nextPageToken).toBeNull();
+    });
+
+    it('should iterate lazily up to the limit', () => {
+      backlog();
+      const search = vi.spyOn(GmailApp, 'search');
+
+      const iterator = GmailUtils.iterateThreads('in:inbox', { pageSize: 4, limit: 10 });
+      expect(search).not.toHaveBeenCalled();
+      expect(iterator.next().value.id).toBe('t-1');
+
+      expect(['t-1', ...ids([...iterator])]).toEqual(['t-1', 't-2', 't-3', 't-4', 't-5', 't-6', 't-7', 't-8', 't-9', 't-10']);
+      expect(ids([...GmailUtils.iterateThreads('in:inbox', { pageSize: 5, advanced: true })])).toHaveLength(12);
+    });
+  });
+
+  describe('applyLabels', () => {
+    it('should create missing labels and apply them to threads', () => {
+      GmailUtils.applyLabels(['t-provost'], ['NewLabel']);
+
+      expect(GmailApp.getUserLabelByName('NewLabel')).not.toBeNull();
+      expect(runtime.gmail.searchThreads('label:NewLabel')).toEqual(['t-provost']);
+    });
+
+    it('should use existing labels when available', () => {
+      const before = GmailApp.getUserLabels().length;
+
+      GmailUtils.applyLabels(['t-provost', 't-newsletter'], ['VIP']);
+
+      expect(GmailApp.getUserLabels()).toHaveLength(before);
+      expect(runtime.gmail.searchThreads('label:VIP')).toEqual(['t-provost', 't-newsletter']);
     });
   });
 
   describe('archiveOldThreads', () => {
-    it('should archive threads older than specified days', () => {
-      const mockThreads = [
-        { moveToArchive: vi.fn() },
-        { moveToArchive: vi.fn() }
-      ];
+    it('should archive only threads older than the given days', () => {
+      const count = GmailUtils.archiveOldThreads('in:inbox', 7);
 
-      GmailApp.search = vi.fn().mockReturnValue(mockThreads);
+      expect(count).toBe(1);
+      expect(GmailApp.getThreadById('t-newsletter').isInInbox()).toBe(false);
+      expect(GmailApp.getThreadById('t-provost').isInInbox()).toBe(true);
+    });
+  });
 
-      const count = GmailUtils.archiveOldThreads('in:inbox', 30);
+  describe('batchDelete', () => {
+    it('should trash matching threads and return a manifest', () => {
+      const manifest = GmailUtils.batchDelete('from:winner@prizes.example.net OR from:news@edtech.example.com');
 
-      expect(GmailApp.search).toHaveBeenCalledWith('in:inbox older_than:30d');
-      expect(count).toBe(2);
-      mockThreads.forEach(thread => {
-        expect(thread.moveToArchive).toHaveBeenCalled();
+      expect(manifest).toEqual({
+        query: 'from:winner@prizes.example.net OR from:news@edtech.example.com',
+        permanent: false,
+        dryRun: false,
+        count: 1,
+        threadIds: ['t-newsletter'],
+        confirmation: expect.stringMatching(/^delete-/),
+        timestamp: expect.any(String)
       });
+      expect(runtime.gmail.searchThreads('in:trash')).toContain('t-newsletter');
+    });
+
+    it('should refuse broad queries and too many matches', () => {
+      for (const query of ['', '  ', 'in:inbox', 'in:anywhere -is:starred', '{is:read is:unread}', 'category:promotions']) {
+        expect(() => GmailUtils.batchDelete(query)).toThrow('Refusing to delete');
+      }
+      expect(() => GmailUtils.batchDelete('in:inbox alaska.edu', { maxCount: 1 })).toThrow('matches more than 1 threads');
+      expect(runtime.gmail.searchThreads('in:trash')).toEqual([]);
+    });
+
+    it('should only delete permanently with the confirmation from a dry run', () => {
+      const query = 'in:inbox older_than:7d';
+      expect(() => GmailUtils.batchDelete(query, true)).toThrow('Permanent deletion needs confirm');
+
+      const preview = GmailUtils.batchDelete(query, { permanent: true, dryRun: true });
+      expect(preview.threadIds).toEqual(['t-newsletter']);
+      expect(GmailApp.getThreadById('t-newsletter')).not.toBeNull();
+
+      const manifest = GmailUtils.batchDelete(query, { permanent: true, confirm: preview.confirmation });
+      expect(manifest.threadIds).toEqual(['t-newsletter']);
+      expect(GmailApp.getThreadById('t-newsletter')).toBeNull();
+      expect(runtime.gmail.searchThreads('in:trash')).toEqual([]);
+    });
+
+    it('should not accept a confirmation once the matching threads change', () => {
+      const query = 'label:Students OR label:VIP';
+      const preview = GmailUtils.batchDelete(query, { permanent: true, dryRun: true });
+
+      GmailUtils.applyLabels(['t-provost'], ['VIP']);
+
+      expect(() => GmailUtils.batchDelete(query, { permanent: true, confirm: preview.confirmation }))
+        .toThrow('Permanent deletion needs confirm');
+      expect(GmailApp.getThreadById('t-student')).not.toBeNull();
+    });
+  });
+
+  describe('sendEmail', () => {
+    it('should send through GmailApp', () => {
+      GmailUtils.sendEmail('dean@alaska.edu', 'Summary', 'Body', { cc: 'chair@alaska.edu' });
+
+      expect(runtime.sentEmails).toEqual([expect.objectContaining({ to: 'dean@alaska.edu', subject: 'Summary' })]);
+    });
+  });
+
+  describe('account policy', () => {
+    afterEach(() => {
+      AccountPolicy.install(null);
+    });
+
+    it('should block restricted operations before changing anything', () => {
+      AccountPolicy.install(new AccountPolicy({
+        account: 'me@gmail.com',
+        allowedOperations: ['read', 'label', 'archive'],
+        restrictedOperations: ['delete', 'send']
+      }));
+
+      expect(() => GmailUtils.batchDelete('in:inbox older_than:7d'))
+        .toThrow('"delete" is a restricted operation for me@gmail.com');
+      expect(() => GmailUtils.sendEmail('dean@alaska.edu', 'Summary', 'Body')).toThrow(PolicyError);
+      expect(GmailUtils.batchDelete('in:inbox older_than:7d', { dryRun: true }).count).toBe(1);
+      expect(runtime.gmail.searchThreads('in:trash')).toEqual([]);
+      expect(runtime.sentEmails).toEqual([]);
+
+      GmailUtils.applyLabels(['t-provost'], ['VIP']);
+      expect(runtime.gmail.searchThreads('label:VIP')).toEqual(['t-provost']);
+    });
+
+    it('should check every recipient against the allowed domains', () => {
+      AccountPolicy.install(new AccountPolicy({ allowedDomains: ['alaska.edu'] }));
+
+      expect(() => GmailUtils.sendEmail('dean@alaska.edu', 'Summary', 'Body', { bcc: 'me@gmail.com' }))
+        .toThrow('send to me@gmail.com is blocked - this account only allows alaska.edu');
+      expect(runtime.sentEmails).toEqual([]);
+    });
+
+    it('should read the policy from CONFIG_ACCOUNT and audit allowed operations', () => {
+      runtime.properties.script.setProperty('CONFIG_ACCOUNT', JSON.stringify({
+        email: 'me@alaska.edu',
+        permissions: { restrictedOperations: ['archive'], auditLog: true }
+      }));
+
+      expect(() => GmailUtils.archiveOldThreads('in:inbox', 7)).toThrow('"archive" is a restricted operation for me@alaska.edu');
+      GmailUtils.applyLabels(['t-provost'], ['VIP']);
+
+      expect(runtime.logs).toContain('🔐 Audit: label {"labels":["VIP"],"threads":1}');
+    });
+  });
+
+  describe('retention', () => {
+    afterEach(() => {
+      RetentionPolicy.install(null);
+    });
+
+    it('should refuse cleanup on accounts that turn it off', () => {
+      const entry = { email: 'me@alaska.edu', features: { cleanup: false }, restrictions: { retentionPolicy: '7years' } };
+      runtime.properties.script.setProperty('CONFIG_ACCOUNT', JSON.stringify(entry));
+
+      expect(() => GmailUtils.archiveOldThreads('in:inbox', 7)).toThrow('Cleanup is turned off for me@alaska.edu');
+      expect(() => GmailUtils.batchDelete('from:news@edtech.example.com', { dryRun: true })).toThrow(RetentionError);
+      expect(GmailApp.getThreadById('t-newsletter').isInInbox()).toBe(true);
+    });
+
+    it('should not delete threads inside their retention window or on legal hold', () => {
+      RetentionPolicy.install(new RetentionPolicy({ duration: '7days', holds: ['Newsletters'] }));
+
+      expect(() => GmailUtils.batchDelete('from:alaska.edu')).toThrow(
+        'Refusing to delete threads for this account: 2 inside their retention window'
+      );
+      expect(() => GmailUtils.batchDelete('label:Newsletters')).toThrow('1 on legal hold (Newsletters) and undeletable');
+      expect(runtime.gmail.searchThreads('in:trash')).toEqual([]);
+
+      expect(GmailUtils.batchDelete('from:news@edtech.example.com').threadIds).toEqual(['t-newsletter']);
     });
   });
 
   describe('getStatistics', () => {
     it('should return email statistics', () => {
-      const mockThreads = [
-        { isUnread: () => true },
-        { isUnread: () => false },
-        { isUnread: () => true }
-      ];
-
-      const mockLabels = [
-        {
-          getName: () => 'Work',
-          getThreads: () => new Array(5)
-        },
-        {
-          getName: () => 'Personal',
-          getThreads: () => new Array(3)
-        }
-      ];
-
-      GmailApp.search = vi.fn().mockReturnValue(mockThreads);
-      GmailApp.getUserLabels = vi.fn().mockReturnValue(mockLabels);
-
       const stats = GmailUtils.getStatistics();
 
       expect(stats).toEqual({
-        totalThreads: 3,
+        totalThreads: 4,
         unreadCount: 2,
-        labelCount: 2,
+        labelCount: 3,
         labelStats: [
-          { name: 'Work', threadCount: 5 },
-          { name: 'Personal', threadCount: 3 }
+          { name: 'VIP', threadCount: 0 },
+          { name: 'Students', threadCount: 1 },
+          { name: 'Newsletters', threadCount: 1 }
         ]
       });
     });
   });
-});
\ No newline at end of file
+});
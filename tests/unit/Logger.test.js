@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Logger, LOG_HEADERS } from '../../shared/utilities/Logger.js';
+import { FakeRange, FakeSheet } from '../emulator/spreadsheet.js';
+
+describe('Logger', () => {
+  let spreadsheet;
+
+  beforeEach(() => {
+    spreadsheet = SpreadsheetApp.create('Script logs');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  function createLogger(config = {}) {
+    return new Logger({ prefix: 'Triage', logToSheet: true, sheetId: spreadsheet.getId(), ...config });
+  }
+
+  it('should only log levels up to the configured one', () => {
+    const logger = createLogger({ level: 'WARN' });
+
+    logger.info('skipped');
+    logger.warn('kept');
+
+    expect(logger.buffer.map(entry => entry.message)).toEqual(['kept']);
+  });
+
+  it('should write buffered rows to the Logs sheet in one call on flush', () => {
+    const setValues = vi.spyOn(FakeRange.prototype, 'setValues');
+    const appendRow = vi.spyOn(FakeSheet.prototype, 'appendRow');
+    const logger = createLogger();
+
+    logger.info('Run started');
+    logger.warn('Slow search', { seconds: 12 });
+    expect(spreadsheet.getSheetByName('Logs')).toBeNull();
+
+    logger.flush();
+
+    const rows = spreadsheet.getSheetByName('Logs').getDataRange().getValues();
+    expect(rows).toEqual([
+      LOG_HEADERS,
+      [expect.any(Date), 'INFO', 'Triage', 'Run started', ''],
+      [expect.any(Date), 'WARN', 'Triage', 'Slow search', '{"seconds":12}']
+    ]);
+    expect(setValues).toHaveBeenCalledTimes(2); // Header, then both rows
+    expect(appendRow).not.toHaveBeenCalled();
+    expect(logger.buffer).toEqual([]);
+  });
+
+  it('should flush automatically when the buffer is full', () => {
+    const logger = createLogger({ bufferSize: 2 });
+
+    ['one', 'two', 'three'].forEach(message => logger.info(message));
+
+    expect(spreadsheet.getSheetByName('Logs').getLastRow()).toBe(3);
+    expect(logger.buffer).toHaveLength(1);
+  });
+
+  it('should roll over to a new spreadsheet when the workbook reaches the cell limit', () => {
+    // Sheet1 (1000 x 26) and a Logs sheet trimmed to 1000 x 5, plus room for two rows
+    const sheetMaxCells = 1000 * 26 + 1000 * LOG_HEADERS.length + 2 * LOG_HEADERS.length;
+    const logger = createLogger({ sheetMaxCells });
+
+    for (let i = 1; i <= 1003; i++) logger.info(`entry ${i}`);
+    logger.flush();
+
+    const logs = spreadsheet.getSheetByName('Logs');
+    expect(logs.getMaxColumns()).toBe(LOG_HEADERS.length);
+    expect(logs.getLastRow()).toBe(1002);
+    expect(spreadsheet.getSheets().reduce((sum, sheet) => sum + sheet.getMaxRows() * sheet.getMaxColumns(), 0)).toBe(sheetMaxCells);
+
+    const rollover = JSON.parse(PropertiesService.getScriptProperties().getProperty(`LOG_SHEET_ROLLOVER_${spreadsheet.getId()}`));
+    const rolled = SpreadsheetApp.openById(rollover.id);
+    expect(rollover.number).toBe(2);
+    expect(rolled.getName()).toBe('Script logs 2');
+    expect(rolled.getSheets().map(sheet => sheet.getName())).toEqual(['Logs']);
+    expect(rolled.getSheetByName('Logs').getMaxColumns()).toBe(LOG_HEADERS.length);
+
+    const messages = () => rolled.getSheetByName('Logs').getDataRange().getValues().map(row => row[3]);
+    expect(messages()).toEqual(['Message', 'entry 1002', 'entry 1003']);
+
+    const resumed = createLogger({ sheetMaxCells });
+    resumed.error('later');
+    resumed.flush();
+    expect(messages()).toEqual(['Message', 'entry 1002', 'entry 1003', 'later']);
+    expect(logs.getLastRow()).toBe(1002);
+  });
+
+  it('should leave an older two-column Logs sheet alone and roll over', () => {
+    const legacy = spreadsheet.insertSheet('Logs');
+    legacy.appendRow([new Date('2025-07-01T12:00:00Z'), '[Triage] [INFO] Run started']);
+    const logger = createLogger();
+
+    logger.info('new layout');
+    logger.flush();
+
+    expect(legacy.getDataRange().getValues()).toEqual([[expect.any(Date), '[Triage] [INFO] Run started']]);
+    expect(legacy.getMaxColumns()).toBe(26);
+    const { id } = JSON.parse(PropertiesService.getScriptProperties().getProperty(`LOG_SHEET_ROLLOVER_${spreadsheet.getId()}`));
+    expect(SpreadsheetApp.openById(id).getSheetByName('Logs').getDataRange().getValues()).toEqual([
+      LOG_HEADERS,
+      [expect.any(Date), 'INFO', 'Triage', 'new layout', '']
+    ]);
+  });
+
+  it('should keep logging when the sheet cannot be opened', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const logger = createLogger({ sheetId: 'missing' });
+
+    logger.info('still logged');
+    logger.flush();
+
+    expect(error).toHaveBeenCalledWith('Failed to log to sheet:', expect.any(Error));
+    expect(logger.buffer).toEqual([]);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { RetentionPolicy, RetentionError } from '../../shared/utilities/RetentionPolicy.js';
+import { createRuntime, loadFixture } from '../emulator/index.js';
+
+const registry = JSON.parse(readFileSync('config/accounts.json', 'utf8')).accounts;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('RetentionPolicy', () => {
+  beforeEach(() => {
+    createRuntime(loadFixture('inbox')).install();
+  });
+
+  afterEach(() => {
+    RetentionPolicy.install(null);
+  });
+
+  it('should read the registry entry and account.json', () => {
+    const entry = RetentionPolicy.fromAccount(registry['work-uaa']);
+    expect(entry).toMatchObject({ account: 'jjohnson47@alaska.edu', duration: '7years', cleanup: false, holds: [] });
+
+    const account = RetentionPolicy.fromAccount(JSON.parse(readFileSync('accounts/work-uaa/account.json', 'utf8')));
+    expect(account).toMatchObject({ duration: '7years', holds: ['legal-hold', 'confidential'], cleanup: true });
+
+    expect(RetentionPolicy.fromAccount(registry['personal-jeffrey'])).toMatchObject({ duration: null, cleanup: true });
+    expect(() => new RetentionPolicy({ duration: '7 years' })).toThrow('Invalid retention "7 years"');
+  });
+
+  it('should add durations in calendar units', () => {
+    const date = new Date('2024-02-29T12:00:00Z');
+
+    expect(RetentionPolicy.addDuration(date, '30days').toISOString()).toBe('2024-03-30T12:00:00.000Z');
+    expect(RetentionPolicy.addDuration(date, '1months').toISOString()).toBe('2024-03-29T12:00:00.000Z');
+    expect(RetentionPolicy.addDuration(date, '7years').toISOString()).toBe('2031-03-01T12:00:00.000Z');
+  });
+
+  it('should let the longest label retention override the account', () => {
+    const policy = new RetentionPolicy({ duration: '7years', labels: { Newsletters: '30days', Research: '10years' } });
+
+    expect(policy.retentionFor([])).toBe('7years');
+    expect(policy.retentionFor(['Newsletters'])).toBe('30days');
+    expect(policy.retentionFor(['Newsletters', 'Research/grants'])).toBe('10years');
+    expect(policy.retentionFor(['Researchers'])).toBe('7years');
+  });
+
+  it('should evaluate threads as eligible, retained or held', () => {
+    const policy = new RetentionPolicy({ duration: '7days', labels: { Newsletters: '30days' }, holds: ['Students'] });
+    const status = id => policy.evaluate(GmailApp.getThreadById(id));
+
+    expect(status('t-newsletter')).toMatchObject({ status: 'eligible', retention: '7days', labels: [] });
+    expect(status('t-provost')).toMatchObject({ status: 'retained', eligibleAt: expect.any(Date) });
+    expect(status('t-old-notice')).toMatchObject({ status: 'eligible', retention: '30days' });
+    expect(status('t-student')).toMatchObject({ status: 'held', holds: ['Students'], eligibleAt: null });
+  });
+
+  it('should refuse to delete protected threads and list them', () => {
+    const policy = new RetentionPolicy({ account: 'me@alaska.edu', duration: '7days', holds: ['Students'] });
+    const threads = ['t-newsletter', 't-provost', 't-student'].map(id => GmailApp.getThreadById(id));
+
+    expect(policy.assertDeletable(threads.slice(0, 1))).toBe(policy);
+    try {
+      policy.assertDeletable(threads);
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(RetentionError);
+      expect(error.message).toMatch(/^Refusing to delete threads for me@alaska.edu: 1 inside their retention window \(until \d{4}-\d{2}-\d{2}\); 1 on legal hold \(Students\) and undeletable$/);
+      expect(error.threads.map(item => item.threadId)).toEqual(['t-provost', 't-student']);
+    }
+
+    expect(() => new RetentionPolicy({ cleanup: false }).assertDeletable(threads.slice(0, 1))).toThrow('Cleanup is turned off');
+  });
+
+  it('should report when threads become eligible', () => {
+    const policy = new RetentionPolicy({ duration: '30days', holds: ['Students'] });
+    const now = new Date();
+
+    const report = policy.report('', { now });
+
+    expect(report.counts).toEqual({ eligible: 1, retained: 2, held: 1 });
+    expect(report.threads.map(item => item.threadId)).toEqual(['t-old-notice', 't-newsletter', 't-provost', 't-student']);
+    const months = [...new Set([10, 2 / 24].map(days => new Date(now.getTime() + (30 - days) * DAY_MS).toISOString().slice(0, 7)))];
+    expect(Object.keys(report.schedule)).toEqual(months.sort());
+    expect(Object.values(report.schedule).reduce((a, b) => a + b)).toBe(2);
+
+    expect(policy.format(report)).toEqual([
+      'Retention for this account: 30days, legal holds Students',
+      '4 threads: 1 eligible now, 2 retained, 1 on legal hold',
+      ...Object.entries(report.schedule).map(([month, count]) => `  ${month}: ${count} become eligible`)
+    ]);
+  });
+
+  it('should load the current policy from CONFIG_ACCOUNT unless one is installed', () => {
+    expect(RetentionPolicy.current().cleanup).toBe(true);
+
+    PropertiesService.getScriptProperties().setProperty('CONFIG_ACCOUNT', JSON.stringify(registry['work-uaa']));
+    expect(RetentionPolicy.current().cleanup).toBe(false);
+
+    const installed = RetentionPolicy.install(new RetentionPolicy());
+    expect(RetentionPolicy.current()).toBe(installed);
+    expect(() => RetentionPolicy.fromProperties({ CONFIG_ACCOUNT: '{' })).toThrow('CONFIG_ACCOUNT is not valid JSON');
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { accountConfig } from '../../scripts/account-config.js';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+describe('account-config', () => {
+  it('should merge the registry entry with account.json', () => {
+    const account = accountConfig('work-uaa', REPO_ROOT);
+
+    expect(account.quotas.rateLimitPerMinute).toBe(250);
+    expect(account.features.compliance).toBe(true);
+    expect(account.preferences.businessHours.timezone).toBe('America/Anchorage');
+    expect(account.restrictions).toEqual(expect.objectContaining({ retentionPolicy: '7years', allowedDomains: ['alaska.edu', 'ua.edu', 'edu'] }));
+    expect(() => accountConfig('work', REPO_ROOT)).toThrow('Unknown account "work"');
+  });
+
+  it('should print the property value', () => {
+    const output = execFileSync('node', ['scripts/account-config.js', 'personal-ahniel'], { cwd: REPO_ROOT, encoding: 'utf8' });
+
+    expect(JSON.parse(output)).toEqual(accountConfig('personal-ahniel', REPO_ROOT));
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createRuntime, loadFixture, installScripts } from '../../emulator/index.js';
+import { LabelCache, MutationPlan } from '../../../accounts/work-uaa/scripts/gmail-triage/MutationPlan.js';
+import { RunJournal } from '../../../accounts/work-uaa/scripts/gmail-triage/RunJournal.js';
+import { ThreadContext } from '../../../accounts/work-uaa/scripts/gmail-triage/ThreadContext.js';
+import { BulkMailDetector } from '../../../accounts/work-uaa/scripts/gmail-triage/BulkMail.js';
+import * as AccountPolicy from '../../../shared/utilities/AccountPolicy.js';
+
+installScripts(AccountPolicy);
+
+describe('emulated Gmail', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = createRuntime(loadFixture('inbox')).install();
+  });
+
+  describe('GmailApp', () => {
+    it('should search newest first with start and max', () => {
+      const ids = GmailApp.search('in:inbox').map(t => t.getId());
+
+      expect(ids).toEqual(['t-provost', 't-student', 't-newsletter']);
+      expect(GmailApp.search('in:inbox', 1, 1).map(t => t.getId())).toEqual(['t-student']);
+      expect(() => GmailApp.search('in:inbox', 0, 501)).toThrow('cannot exceed 500');
+    });
+
+    it('should expose thread and message state', () => {
+      const thread = GmailApp.getThreadById('t-student');
+      const [question, reply] = thread.getMessages();
+
+      expect(thread.getMessageCount()).toBe(2);
+      expect(thread.getFirstMessageSubject()).toBe('Question about CS 101 homework');
+      expect(thread.getLabels().map(l => l.getName())).toEqual(['Students']);
+      expect(thread.hasStarredMessages()).toBe(false);
+      expect(thread.isStarred).toBeUndefined();
+      expect(question.getFrom()).toContain('sstudent@alaska.edu');
+      expect(reply.getDate() > question.getDate()).toBe(true);
+      expect(GmailApp.getThreadById('missing')).toBeNull();
+    });
+
+    it('should keep changes across every view of a thread', () => {
+      const label = GmailApp.getUserLabelByName('VIP');
+      GmailApp.getThreadById('t-provost').addLabel(label).moveToArchive();
+      GmailApp.starMessages([GmailApp.getMessageById('m-provost-1')]);
+
+      const thread = GmailApp.getThreadById('t-provost');
+      expect(thread.isInInbox()).toBe(false);
+      expect(thread.hasStarredMessages()).toBe(true);
+      expect(label.getThreads().map(t => t.getId())).toEqual(['t-provost']);
+      expect(GmailApp.search('is:starred label:vip').map(t => t.getId())).toEqual(['t-provost']);
+    });
+
+    it('should limit bulk calls to 100 threads', () => {
+      const threads = Array.from({ length: 101 }, () => GmailApp.getThreadById('t-provost'));
+      expect(() => GmailApp.moveThreadsToArchive(threads)).toThrow('at most 100');
+    });
+
+    it('should record sent mail', () => {
+      GmailApp.sendEmail('me@alaska.edu', 'Summary', 'Body');
+      expect(runtime.sentEmails).toEqual([expect.objectContaining({ to: 'me@alaska.edu', subject: 'Summary' })]);
+    });
+  });
+
+  describe('Gmail advanced service', () => {
+    it('should share labels and state with GmailApp', () => {
+      const { id } = Gmail.Users.Labels.create({ name: 'Lists/edtech' }, 'me');
+
+      Gmail.Users.Messages.batchModify({
+        ids: ['m-newsletter-1'],
+        addLabelIds: [id],
+        removeLabelIds: ['INBOX', 'UNREAD']
+      }, 'me');
+
+      const thread = GmailApp.getThreadById('t-newsletter');
+      expect(thread.getLabels().map(l => l.getName())).toEqual(['Lists/edtech']);
+      expect(thread.isInInbox()).toBe(false);
+      expect(thread.isUnread()).toBe(false);
+    });
+
+    it('should reject unknown labels and oversized batches', () => {
+      expect(() => Gmail.Users.Messages.batchModify({ ids: ['m-provost-1'], addLabelIds: ['Label_99'] }, 'me'))
+        .toThrow('Invalid label');
+      expect(() => Gmail.Users.Messages.batchModify({ ids: new Array(1001).fill('x') }, 'me'))
+        .toThrow('at most 1000');
+    });
+
+    it('should page message lists with tokens', () => {
+      const first = Gmail.Users.Messages.list('me', { q: '', maxResults: 3 });
+      const second = Gmail.Users.Messages.list('me', { q: '', maxResults: 3, pageToken: first.nextPageToken });
+
+      expect(first.messages).toHaveLength(3);
+      expect(second.messages).toHaveLength(2);
+      expect(second.nextPageToken).toBeUndefined();
+    });
+
+    it('should delete messages permanently', () => {
+      Gmail.Users.Threads.remove('me', 't-old-notice');
+
+      expect(GmailApp.getThreadById('t-old-notice')).toBeNull();
+      expect(runtime.gmail.searchThreads('in:anywhere scheduled maintenance')).toEqual([]);
+    });
+
+    it('should store filters', () => {
+      const created = Gmail.Users.Settings.Filters.create({
+        criteria: { from: 'news@edtech.example.com' },
+        action: { removeLabelIds: ['INBOX'] }
+      }, 'me');
+
+      expect(Gmail.Users.Settings.Filters.list('me').filter).toEqual([created]);
+      Gmail.Users.Settings.Filters.remove('me', created.id);
+      expect(Gmail.Users.Settings.Filters.list('me').filter).toBeUndefined();
+    });
+  });
+
+  describe('triage modules end to end', () => {
+    it('should apply a mutation plan and roll it back from the journal', () => {
+      const journal = new RunJournal('run-1');
+      const plan = new MutationPlan(new LabelCache(), { journal });
+
+      for (const thread of GmailApp.search('in:inbox is:unread')) {
+        const context = ThreadContext.fromThread(thread, ['me@alaska.edu']);
+        plan.track(thread, context.messageIds);
+        if (BulkMailDetector.detect(context.message).isBulk) {
+          plan.addLabel(thread, 'Newsletters').archive(thread);
+        } else {
+          plan.addLabel(thread, 'VIP').markImportant(thread).star(thread, context.message);
+        }
+      }
+      const result = plan.apply();
+      journal.save();
+
+      expect(result).toEqual({ mode: 'advanced', threads: 2, calls: 3, errors: [] });
+      expect(runtime.gmail.searchThreads('label:newsletters -in:inbox')).toEqual(['t-newsletter', 't-old-notice']);
+      expect(runtime.gmail.searchThreads('is:starred label:vip')).toEqual(['t-provost']);
+
+      RunJournal.rollback(RunJournal.load('run-1', PropertiesService.getScriptProperties()), GmailApp);
+
+      expect(runtime.gmail.searchThreads('in:inbox is:unread')).toEqual(['t-provost', 't-newsletter']);
+      expect(runtime.gmail.searchThreads('label:vip OR is:starred')).toEqual([]);
+    });
+
+    it('should fall back to GmailApp without the advanced service', () => {
+      delete globalThis.Gmail;
+      const plan = new MutationPlan(new LabelCache());
+
+      plan.addLabel(GmailApp.getThreadById('t-provost'), 'Work/Urgent');
+      expect(plan.apply().mode).toBe('gmailapp');
+      expect(runtime.gmail.searchThreads('label:work-urgent')).toEqual(['t-provost']);
+    });
+  });
+});
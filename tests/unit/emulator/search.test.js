@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { parse, compile, normalizeLabel } from '../../emulator/search.js';
+
+const NOW = new Date('2025-07-15T12:00:00Z').getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+function view(overrides = {}) {
+  return {
+    from: 'Provost <provost@alaska.edu>',
+    to: 'me@alaska.edu',
+    cc: '',
+    bcc: '',
+    subject: 'Budget review meeting',
+    body: 'Please review the attached budget.',
+    date: new Date(NOW - 2 * DAY),
+    size: 2048,
+    labels: ['Work/Committees'],
+    system: new Set(['INBOX', 'UNREAD']),
+    attachments: [{ name: 'budget.xlsx', size: 2000 }],
+    headers: {},
+    category: 'primary',
+    ...overrides
+  };
+}
+
+const matches = (query, message = view()) => compile(query, { now: NOW, me: ['me@alaska.edu'] })(message);
+
+describe('search', () => {
+  it('should parse OR, negation and groups', () => {
+    expect(parse('from:a OR from:b -is:starred')).toEqual({
+      and: [
+        { or: [{ term: { operator: 'from', value: 'a' } }, { term: { operator: 'from', value: 'b' } }] },
+        { not: { term: { operator: 'is', value: 'starred' } } }
+      ]
+    });
+    expect(parse('{a b}').and[0].or).toHaveLength(2);
+    expect(() => parse('(from:a')).toThrow('Unbalanced');
+  });
+
+  it('should match address, subject and free-text terms', () => {
+    expect(matches('from:provost@alaska.edu')).toBe(true);
+    expect(matches('from:provost to:me')).toBe(true);
+    expect(matches('subject:(budget meeting)')).toBe(true);
+    expect(matches('subject:"review meeting"')).toBe(true);
+    expect(matches('from:(dean OR "Provost <provost")')).toBe(true);
+    expect(matches('subject:("meeting (draft)" OR budget)')).toBe(true);
+    expect(matches('subject:("meeting (draft)" budget)')).toBe(false);
+    expect(matches('attached')).toBe(true);
+    expect(matches('from:dean')).toBe(false);
+  });
+
+  it('should combine with OR, AND and negation', () => {
+    expect(matches('from:dean OR subject:budget')).toBe(true);
+    expect(matches('{from:dean from:provost} AND is:unread')).toBe(true);
+    expect(matches('-from:provost')).toBe(false);
+    expect(matches('(from:dean OR from:chair) budget')).toBe(false);
+  });
+
+  it('should match labels by their normalized names', () => {
+    expect(normalizeLabel('Work/Committees')).toBe('work-committees');
+    expect(matches('label:work-committees')).toBe(true);
+    expect(matches('label:"Work/Committees"')).toBe(true);
+    expect(matches('has:userlabels')).toBe(true);
+    expect(matches('has:nouserlabels')).toBe(false);
+  });
+
+  it('should match location and state', () => {
+    expect(matches('in:inbox is:unread')).toBe(true);
+    expect(matches('is:read')).toBe(false);
+    expect(matches('is:starred OR is:important')).toBe(false);
+    expect(matches('in:anywhere')).toBe(true);
+  });
+
+  it('should exclude trash and spam unless asked for', () => {
+    const trashed = view({ system: new Set(['TRASH']) });
+    expect(matches('budget', trashed)).toBe(false);
+    expect(matches('in:trash budget', trashed)).toBe(true);
+    expect(matches('in:anywhere', trashed)).toBe(true);
+  });
+
+  it('should match dates, ages and sizes', () => {
+    expect(matches('older_than:1d')).toBe(true);
+    expect(matches('newer_than:1d')).toBe(false);
+    expect(matches('newer_than:1m')).toBe(true);
+    expect(matches('after:2025/07/01 before:2025/07/20')).toBe(true);
+    expect(matches('before:2025-07-01')).toBe(false);
+    expect(matches('larger:1K smaller:1M')).toBe(true);
+    expect(matches('larger:5M')).toBe(false);
+  });
+
+  it('should match attachments, lists and categories', () => {
+    const list = view({ headers: { 'list-id': 'CS Faculty <cs-faculty.lists.alaska.edu>' }, category: 'forums' });
+    expect(matches('has:attachment filename:xlsx')).toBe(true);
+    expect(matches('filename:pdf')).toBe(false);
+    expect(matches('list:cs-faculty.lists.alaska.edu', list)).toBe(true);
+    expect(matches('category:forums', list)).toBe(true);
+    expect(matches('category:promotions', list)).toBe(false);
+  });
+
+  it('should reject operators it does not emulate', () => {
+    expect(() => matches('rfc822msgid:abc')).toThrow('Unsupported search operator: rfc822msgid');
+    expect(() => matches('is:bogus')).toThrow('Unsupported search value: is:bogus');
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createRuntime } from '../../emulator/index.js';
+import { formatDate } from '../../emulator/utilities.js';
+
+describe('emulated services', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('PropertiesService', () => {
+    it('should store strings and enforce the value limit', () => {
+      const properties = PropertiesService.getScriptProperties();
+
+      properties.setProperty('COUNT', 3);
+      expect(properties.getProperty('COUNT')).toBe('3');
+      expect(properties.getProperty('MISSING')).toBeNull();
+      expect(() => properties.setProperty('BIG', 'x'.repeat(9 * 1024 + 1))).toThrow('Argument too large');
+    });
+
+    it('should enforce the store quota', () => {
+      const properties = PropertiesService.getScriptProperties();
+      for (let i = 0; i < 56; i++) properties.setProperty(`K${i}`, 'x'.repeat(9000));
+
+      expect(() => properties.setProperty('ONE_MORE', 'x'.repeat(9000))).toThrow('property storage quota');
+    });
+
+    it('should load fixture properties', () => {
+      createRuntime({ properties: { script: { TRIAGE_MODE: 'preview' } } }).install();
+      expect(PropertiesService.getScriptProperties().getProperty('TRIAGE_MODE')).toBe('preview');
+    });
+  });
+
+  describe('CacheService', () => {
+    it('should expire entries with the clock', () => {
+      const runtime = createRuntime().install();
+      const cache = CacheService.getScriptCache();
+
+      cache.put('short', 'a', 60);
+      cache.put('default', 'b');
+      runtime.clock.advance(61 * 1000);
+
+      expect(cache.getAll(['short', 'default'])).toEqual({ default: 'b' });
+      Utilities.sleep(600 * 1000);
+      expect(cache.get('default')).toBeNull();
+    });
+
+    it('should cap expiration at six hours', () => {
+      const runtime = createRuntime().install();
+      const cache = CacheService.getScriptCache();
+
+      cache.put('key', 'value', 100000);
+      runtime.clock.advance(21600 * 1000);
+
+      expect(cache.get('key')).toBeNull();
+    });
+
+    it('should enforce key and value sizes', () => {
+      const cache = CacheService.getScriptCache();
+      expect(() => cache.put('k'.repeat(251), 'v')).toThrow('key');
+      expect(() => cache.put('key', 'v'.repeat(100 * 1024 + 1))).toThrow('value');
+    });
+  });
+
+  describe('SpreadsheetApp', () => {
+    it('should open fixture spreadsheets and read ranges', () => {
+      createRuntime({
+        spreadsheets: { 'sheet-1': { name: 'Analysis', sheets: { Senders: [['Sender', 'Count'], ['a@x.com', 4]] } } }
+      }).install();
+
+      const sheet = SpreadsheetApp.openById('sheet-1').getSheetByName('Senders');
+
+      expect(sheet.getDataRange().getValues()).toEqual([['Sender', 'Count'], ['a@x.com', 4]]);
+      expect(sheet.getRange('B2').getValue()).toBe(4);
+      expect(() => SpreadsheetApp.openById('missing')).toThrow('openById');
+    });
+
+    it('should append, write and validate range dimensions', () => {
+      const sheet = SpreadsheetApp.create('Audit').insertSheet('Log');
+
+      sheet.appendRow(['When', 'What']);
+      sheet.getRange(3, 1, 1, 2).setValues([['later', 'gap']]);
+      sheet.appendRow(['next', 'row']);
+
+      expect(sheet.getLastRow()).toBe(4);
+      expect(sheet.getRange(2, 1, 1, 2).getValues()).toEqual([['', '']]);
+      expect(() => sheet.getRange(1, 1, 2, 2).setValues([['one row']])).toThrow('number of rows');
+    });
+
+    it('should size the grid like new sheets', () => {
+      const sheet = SpreadsheetApp.create('Logs').getSheets()[0];
+      sheet.getRange(1, 1, 1, 3).setValues([['a', 'b', 'c']]);
+
+      expect([sheet.getMaxRows(), sheet.getMaxColumns()]).toEqual([1000, 26]);
+      sheet.deleteColumns(2, 24);
+      sheet.insertRowsAfter(1000, 5);
+
+      expect([sheet.getMaxRows(), sheet.getMaxColumns()]).toEqual([1005, 2]);
+      expect(sheet.getRange(1, 1, 1, 2).getValues()).toEqual([['a', '']]);
+      expect(() => sheet.deleteColumns(1, 2)).toThrow('delete all');
+    });
+  });
+
+  describe('Utilities', () => {
+    it('should return digests as signed bytes', () => {
+      const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, 'x', Utilities.Charset.UTF_8);
+
+      expect(bytes).toHaveLength(32);
+      expect(bytes.every(b => b >= -128 && b <= 127)).toBe(true);
+      expect(bytes.slice(0, 2)).toEqual([45, 113]); // 2d71...
+    });
+
+    it('should format dates in a timezone', () => {
+      const date = new Date('2025-07-15T18:05:09Z');
+
+      expect(formatDate(date, 'America/Anchorage', 'yyyy-MM-dd HH:mm:ss Z')).toBe('2025-07-15 10:05:09 -0800');
+      expect(Utilities.formatDate(date, 'UTC', "EEE, MMM d 'at' h:mm a")).toBe('Tue, Jul 15 at 6:05 PM');
+    });
+  });
+
+  describe('ScriptApp, Session and Logger', () => {
+    it('should record triggers and log lines', () => {
+      const runtime = createRuntime({ user: 'me@alaska.edu', timeZone: 'America/Anchorage' }).install();
+
+      const trigger = ScriptApp.newTrigger('processInbox').timeBased().everyMinutes(15).create();
+      Logger.log('Processed %s threads', 12);
+
+      expect(runtime.triggers[0].schedule).toEqual({ everyMinutes: 15 });
+      ScriptApp.deleteTrigger(trigger);
+      expect(ScriptApp.getProjectTriggers()).toEqual([]);
+      expect(Session.getActiveUser().getEmail()).toBe('me@alaska.edu');
+      expect(Session.getScriptTimeZone()).toBe('America/Anchorage');
+      expect(runtime.logs).toEqual(['Processed 12 threads']);
+    });
+
+    it('should follow fake timers', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+      const runtime = createRuntime({ threads: [{ messages: [{ date: '-2d', subject: 'old' }] }] });
+
+      expect(runtime.gmail.searchThreads('older_than:1d')).toHaveLength(1);
+      vi.setSystemTime(new Date('2024-12-30T12:00:00Z'));
+      expect(runtime.gmail.searchThreads('older_than:1d')).toHaveLength(0);
+    });
+  });
+});
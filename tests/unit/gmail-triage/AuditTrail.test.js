@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createHash } from 'crypto';
+import { AuditTrail, AUDIT_HEADERS } from '../../../accounts/work-uaa/scripts/gmail-triage/AuditTrail.js';
+
+function createSheet() {
+  const rows = [];
+  const sheet = {
+    rows,
+    setValuesCalls: 0,
+    getLastRow: () => rows.length,
+    setFrozenRows: vi.fn(),
+    getRange: (row, col, numRows, numCols) => ({
+      setValues: values => {
+        expect(row).toBe(rows.length + 1);
+        expect(values).toHaveLength(numRows);
+        values.forEach(v => expect(v).toHaveLength(numCols));
+        sheet.setValuesCalls++;
+        rows.push(...values);
+      }
+    })
+  };
+  return sheet;
+}
+
+const hash = text => createHash('sha256').update(text).digest('hex');
+
+const decision = (threadId, result = {}) => ({
+  threadId,
+  sender: 'dean@alaska.edu',
+  subject: 'Budget review',
+  result: {
+    action: 'label',
+    label: 'Department',
+    confidence: 0.71234,
+    reason: 'Department business',
+    matchedRules: ['university-department'],
+    ...result
+  }
+});
+
+describe('AuditTrail', () => {
+  it('should write structured rows with a header in one call', () => {
+    const sheet = createSheet();
+    const openSheet = vi.fn(() => sheet);
+    const audit = new AuditTrail(openSheet, { runId: 'run1', mode: 'dry-run', hash });
+
+    audit.record(decision('t1'));
+    audit.record(decision('t2', { keywords: ['budget'], matchedRules: undefined }));
+    const count = audit.flush();
+
+    expect(count).toBe(2);
+    expect(openSheet).toHaveBeenCalledTimes(1);
+    expect(sheet.setValuesCalls).toBe(2);
+    expect(sheet.rows[0]).toEqual(AUDIT_HEADERS);
+    expect(sheet.rows[1].slice(1)).toEqual([
+      'run1',
+      'dry-run',
+      't1',
+      'dean@alaska.edu',
+      hash('Budget review'),
+      'label',
+      'Department',
+      0.712,
+      'Department business',
+      'university-department'
+    ]);
+    expect(sheet.rows[1][0]).toBeInstanceOf(Date);
+    expect(sheet.rows[2][10]).toBe('budget');
+  });
+
+  it('should not store the subject itself', () => {
+    const sheet = createSheet();
+    const audit = new AuditTrail(() => sheet, { hash });
+    audit.record(decision('t1'));
+    audit.flush();
+
+    expect(sheet.rows[1]).not.toContain('Budget review');
+  });
+
+  it('should flush automatically when the batch is full', () => {
+    const sheet = createSheet();
+    const audit = new AuditTrail(() => sheet, { batchSize: 2, hash });
+
+    audit.record(decision('t1'));
+    expect(sheet.rows).toHaveLength(0);
+    audit.record(decision('t2'));
+    audit.record(decision('t3'));
+    audit.flush();
+
+    expect(sheet.rows).toHaveLength(4);
+    expect(audit.written).toBe(3);
+  });
+
+  it('should not open the sheet when nothing was recorded', () => {
+    const openSheet = vi.fn();
+    expect(new AuditTrail(openSheet, { hash }).flush()).toBe(0);
+    expect(openSheet).not.toHaveBeenCalled();
+  });
+
+  it('should hash with Utilities in Apps Script', () => {
+    globalThis.Utilities = {
+      DigestAlgorithm: { SHA_256: 'SHA_256' },
+      Charset: { UTF_8: 'UTF_8' },
+      computeDigest: vi.fn(() => [-1, 0, 16, 127])
+    };
+
+    expect(AuditTrail.sha256('x')).toBe('ff00107f');
+    expect(globalThis.Utilities.computeDigest).toHaveBeenCalledWith('SHA_256', 'x', 'UTF_8');
+    delete globalThis.Utilities;
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { BulkMailDetector } from '../../../accounts/work-uaa/scripts/gmail-triage/BulkMail.js';
+
+function createMessage(headers = {}) {
+  return { getHeader: name => headers[name] || '' };
+}
+
+describe('BulkMailDetector', () => {
+  describe('detect', () => {
+    it('should treat List-Id as a mailing list', () => {
+      const result = BulkMailDetector.detect(createMessage({
+        'List-Id': 'CS Faculty <CS-Faculty.lists.alaska.edu>',
+        'List-Unsubscribe': '<mailto:leave@lists.alaska.edu>'
+      }));
+
+      expect(result).toEqual({
+        kind: 'list',
+        isBulk: true,
+        listId: 'cs-faculty.lists.alaska.edu',
+        listName: 'cs-faculty.lists.alaska.edu',
+        signals: ['List-Id', 'List-Unsubscribe']
+      });
+    });
+
+    it('should flag unsubscribe, precedence and ESP headers as bulk', () => {
+      expect(BulkMailDetector.detect(createMessage({ 'List-Unsubscribe': '<https://x.com/u>' })).kind).toBe('bulk');
+      expect(BulkMailDetector.detect(createMessage({ Precedence: 'Bulk' })).signals).toEqual(['Precedence: bulk']);
+      expect(BulkMailDetector.detect(createMessage({ 'X-MC-User': 'abc' })).signals).toEqual(['Mailchimp']);
+      expect(BulkMailDetector.detect(createMessage({ 'X-SG-EID': 'abc' })).isBulk).toBe(true);
+    });
+
+    it('should report automated mail separately from bulk mail', () => {
+      const auto = BulkMailDetector.detect(createMessage({ 'Auto-Submitted': 'auto-generated' }));
+      expect(auto).toMatchObject({ kind: 'auto', isBulk: false, signals: ['Auto-Submitted: auto-generated'] });
+
+      const both = BulkMailDetector.detect(createMessage({ 'Auto-Submitted': 'auto-generated', Precedence: 'bulk' }));
+      expect(both.kind).toBe('bulk');
+    });
+
+    it('should ignore personal mail and non-bulk header values', () => {
+      const result = BulkMailDetector.detect(createMessage({ 'Auto-Submitted': 'no', Precedence: 'first-class' }));
+      expect(result).toEqual({ kind: null, isBulk: false, listId: '', listName: '', signals: [] });
+    });
+
+    it('should handle a missing message', () => {
+      expect(BulkMailDetector.detect(null).kind).toBeNull();
+    });
+  });
+
+  describe('parseListId', () => {
+    it('should parse bare and bracketed ids', () => {
+      expect(BulkMailDetector.parseListId('<announce.example.org>')).toEqual({ id: 'announce.example.org', name: 'announce.example.org' });
+      expect(BulkMailDetector.parseListId('dev.example.org')).toEqual({ id: 'dev.example.org', name: 'dev.example.org' });
+    });
+
+    it('should make names safe for labels', () => {
+      expect(BulkMailDetector.parseListId('<team/ops+alerts.example.org>').name).toBe('team-ops-alerts.example.org');
+    });
+
+    it('should keep lists with the same name on different hosts apart', () => {
+      expect(BulkMailDetector.parseListId('CS Faculty <cs-faculty.lists.alaska.edu>').name).toBe('cs-faculty.lists.alaska.edu');
+      expect(BulkMailDetector.parseListId('CS Faculty <cs-faculty.example.com>').name).toBe('cs-faculty.example.com');
+    });
+
+    it('should return null for empty values', () => {
+      expect(BulkMailDetector.parseListId('')).toBeNull();
+      expect(BulkMailDetector.parseListId('<>')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { BusinessHours } from '../../../accounts/work-uaa/scripts/gmail-triage/BusinessHours.js';
+
+// Same shape as account.json preferences.businessHours
+const config = {
+  timezone: 'America/Anchorage',
+  schedule: {
+    monday: '09:00-18:00',
+    tuesday: '09:00-18:00',
+    wednesday: '09:00-18:00',
+    thursday: '09:00-18:00',
+    friday: '09:00-16:00'
+  }
+};
+
+// Anchorage is UTC-8 in summer (AKDT) and UTC-9 in winter (AKST)
+describe('BusinessHours', () => {
+  const hours = new BusinessHours(config);
+
+  describe('isOpen', () => {
+    it('should be open during the schedule in the configured timezone', () => {
+      expect(hours.isOpen(new Date('2025-07-15T17:00:00Z'))).toBe(true); // Tue 09:00
+      expect(hours.isOpen(new Date('2025-07-16T01:59:00Z'))).toBe(true); // Tue 17:59
+    });
+
+    it('should be closed before the start and from the end time', () => {
+      expect(hours.isOpen(new Date('2025-07-15T16:59:00Z'))).toBe(false); // Tue 08:59
+      expect(hours.isOpen(new Date('2025-07-16T02:00:00Z'))).toBe(false); // Tue 18:00
+    });
+
+    it('should use the earlier Friday end time', () => {
+      expect(hours.isOpen(new Date('2025-07-18T23:30:00Z'))).toBe(true); // Fri 15:30
+      expect(hours.isOpen(new Date('2025-07-19T00:30:00Z'))).toBe(false); // Fri 16:30
+    });
+
+    it('should be closed on days missing from the schedule', () => {
+      expect(hours.isOpen(new Date('2025-07-19T20:00:00Z'))).toBe(false); // Sat 12:00
+    });
+
+    it('should always be open when disabled', () => {
+      const disabled = new BusinessHours({ ...config, enabled: false });
+      expect(disabled.isOpen(new Date('2025-07-19T20:00:00Z'))).toBe(true);
+    });
+  });
+
+  describe('nextOpening', () => {
+    it('should return the date itself when open', () => {
+      const date = new Date('2025-07-15T20:00:00Z');
+      expect(hours.nextOpening(date)).toBe(date);
+    });
+
+    it('should return the same morning before the start', () => {
+      expect(hours.nextOpening(new Date('2025-07-15T12:00:00Z')).toISOString())
+        .toBe('2025-07-15T17:00:00.000Z'); // Tue 04:00 -> 09:00
+    });
+
+    it('should skip to Monday after Friday closes', () => {
+      expect(hours.nextOpening(new Date('2025-07-19T01:00:00Z')).toISOString())
+        .toBe('2025-07-21T17:00:00.000Z'); // Fri 17:00 -> Mon 09:00
+    });
+
+    it('should follow daylight saving changes', () => {
+      // Sat 1 Nov 2025 (AKDT) -> Mon 3 Nov 09:00 AKST
+      expect(hours.nextOpening(new Date('2025-11-01T20:00:00Z')).toISOString())
+        .toBe('2025-11-03T18:00:00.000Z');
+    });
+
+    it('should return null when no day is open', () => {
+      expect(new BusinessHours({ timezone: 'UTC', schedule: {} }).nextOpening()).toBeNull();
+    });
+  });
+
+  describe('configuration', () => {
+    it('should build a weekday schedule from whole hours', () => {
+      const simple = BusinessHours.fromHours(8, 17, 'UTC');
+      expect(simple.isOpen(new Date('2025-07-14T08:00:00Z'))).toBe(true); // Mon
+      expect(simple.isOpen(new Date('2025-07-14T17:00:00Z'))).toBe(false);
+      expect(simple.isOpen(new Date('2025-07-13T12:00:00Z'))).toBe(false); // Sun
+    });
+
+    it('should reject malformed ranges and unknown days', () => {
+      expect(() => new BusinessHours({ schedule: { monday: '9-5' } })).toThrow(/Invalid business hours range/);
+      expect(() => new BusinessHours({ schedule: { monday: '17:00-08:00' } })).toThrow(/Invalid business hours range/);
+      expect(() => new BusinessHours({ schedule: { funday: '09:00-17:00' } })).toThrow(/Unknown weekday/);
+    });
+  });
+});
@@ -0,0 +1,367 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { createRuntime, loadFixture, installScripts } from '../../emulator/index.js';
+import * as AuditTrail from '../../../accounts/work-uaa/scripts/gmail-triage/AuditTrail.js';
+import * as BulkMail from '../../../accounts/work-uaa/scripts/gmail-triage/BulkMail.js';
+import * as BusinessHours from '../../../accounts/work-uaa/scripts/gmail-triage/BusinessHours.js';
+import * as Continuation from '../../../accounts/work-uaa/scripts/gmail-triage/Continuation.js';
+import * as Digest from '../../../accounts/work-uaa/scripts/gmail-triage/Digest.js';
+import * as Feedback from '../../../accounts/work-uaa/scripts/gmail-triage/Feedback.js';
+import * as IntelligenceSchema from '../../../accounts/work-uaa/scripts/gmail-triage/IntelligenceSchema.js';
+import * as MutationPlan from '../../../accounts/work-uaa/scripts/gmail-triage/MutationPlan.js';
+import * as NaiveBayes from '../../../accounts/work-uaa/scripts/gmail-triage/NaiveBayes.js';
+import * as RuleEngine from '../../../accounts/work-uaa/scripts/gmail-triage/RuleEngine.js';
+import * as RunJournal from '../../../accounts/work-uaa/scripts/gmail-triage/RunJournal.js';
+import * as ThreadContext from '../../../accounts/work-uaa/scripts/gmail-triage/ThreadContext.js';
+import * as ConfigResolver from '../../../shared/utilities/ConfigResolver.js';
+import * as AccountPolicy from '../../../shared/utilities/AccountPolicy.js';
+import { accountConfig } from '../../../scripts/account-config.js';
+import {
+  TRIAGE_SETTINGS,
+  buildConfig,
+  HistoricalIntelligence,
+  EmailClassifier,
+  processInbox,
+  loadBusinessHours,
+  rollbackRun
+} from '../../../accounts/work-uaa/scripts/gmail-triage/Code.js';
+
+installScripts(
+  AuditTrail, BulkMail, BusinessHours, Continuation, Digest, Feedback, IntelligenceSchema,
+  MutationPlan, NaiveBayes, RuleEngine, RunJournal, ThreadContext, ConfigResolver, AccountPolicy
+);
+
+const TUESDAY_10AM = new Date('2025-07-15T18:00:00Z'); // America/Anchorage
+const MONDAY_10PM = new Date('2025-07-15T06:00:00Z');
+
+function createConfig(props = {}) {
+  return {
+    ...buildConfig({ ANALYSIS_SHEET_ID: 'analysis-sheet', TRIAGE_VIP_SENDERS: 'provost@alaska.edu', ...props }),
+    VIP_DOMAINS: []
+  };
+}
+
+function startAt(date) {
+  vi.setSystemTime(date);
+  return createRuntime({ ...loadFixture('inbox'), ...loadFixture('analysis-spreadsheet') }).install();
+}
+
+describe('Code.js', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('buildConfig', () => {
+    const REQUIRED = { ANALYSIS_SHEET_ID: 'analysis-sheet' };
+
+    it('should read Script Properties values with defaults', () => {
+      const config = buildConfig({
+        ...REQUIRED,
+        TRIAGE_MAX_PER_RUN: '25',
+        TRIAGE_DRY_RUN: 'true',
+        TRIAGE_KEEP_SENDERS: 'a@x.com, b@y.com'
+      });
+
+      expect(config.MAX_PER_RUN).toBe(25);
+      expect(config.DRY_RUN).toBe(true);
+      expect(config.KEEP_SENDERS).toEqual(['a@x.com', 'b@y.com']);
+      expect(config.KEEP_DOMAINS).toEqual(['alaska.edu']);
+      expect(config.MAX_EXECUTION_SECONDS).toBe(360);
+      expect(config.PAGE_SIZE).toBe(50);
+      expect(config.JOURNAL_RETAIN_HOURS).toBe(24);
+      expect(buildConfig({ ...REQUIRED, TRIAGE_JOURNAL_RETAIN_HOURS: '1', TRIAGE_FEEDBACK_DELAY_HOURS: '6' }).JOURNAL_RETAIN_HOURS).toBe(7);
+    });
+
+    it('should layer the environment and account under Script Properties', () => {
+      const environment = JSON.parse(readFileSync('config/environments/production.json', 'utf8'));
+      const account = JSON.parse(readFileSync('config/accounts.json', 'utf8')).accounts['personal-jeffrey'];
+
+      const config = buildConfig({
+        ...REQUIRED,
+        CONFIG_ENVIRONMENT: JSON.stringify(environment),
+        CONFIG_ACCOUNT: JSON.stringify(account),
+        TRIAGE_DRY_RUN: 'yes'
+      });
+
+      expect(config.MAX_PER_RUN).toBe(250); // 500 in production, capped by the account's rate limit
+      expect(config.DRY_RUN).toBe(true);
+      expect(config.AUDIT_ENABLED).toBe(true);
+    });
+
+    it('should apply account quotas between the environment and Script Properties', () => {
+      const production = JSON.parse(readFileSync('config/environments/production.json', 'utf8'));
+      const development = JSON.parse(readFileSync('config/environments/development.json', 'utf8'));
+      const account = JSON.parse(readFileSync('config/accounts.json', 'utf8')).accounts['work-uaa'];
+      const layers = (environment, props = {}) => buildConfig({
+        ...REQUIRED,
+        CONFIG_ENVIRONMENT: JSON.stringify(environment),
+        CONFIG_ACCOUNT: JSON.stringify({ ...account, quotas: { dailyQuota: 20000, rateLimitPerMinute: 120 } }),
+        ...props
+      });
+
+      expect(buildConfig({ ...REQUIRED, CONFIG_ENVIRONMENT: JSON.stringify(production) }).MAX_PER_RUN).toBe(250);
+      expect(layers(production).MAX_PER_RUN).toBe(120);
+      expect(layers(development).MAX_PER_RUN).toBe(development.limits.maxThreadsPerRun);
+      expect(layers(production, { TRIAGE_RATE_LIMIT_PER_MINUTE: '1000' }).MAX_PER_RUN).toBe(500);
+      expect(layers(production, { TRIAGE_RATE_LIMIT_PER_MINUTE: '1000', TRIAGE_MAX_PER_RUN: '800' }).MAX_PER_RUN).toBe(800);
+
+      expect(buildConfig(REQUIRED).KEEP_DOMAINS).toEqual(['alaska.edu']);
+      expect(layers(production).KEEP_DOMAINS).toEqual(['alaska.edu']); // allowedDomains is the policy allow-list, not senders to keep
+      expect(layers(production, { TRIAGE_KEEP_DOMAINS: 'uaa.alaska.edu' }).KEEP_DOMAINS).toEqual(['uaa.alaska.edu']);
+    });
+
+    it('should read business hours from the account layer', () => {
+      const account = JSON.parse(readFileSync('accounts/work-uaa/account.json', 'utf8'));
+      account.preferences.businessHours.schedule = { monday: '20:00-23:00' };
+      const session = { getScriptTimeZone: () => 'America/Anchorage' };
+
+      const config = buildConfig({ ...REQUIRED, CONFIG_ACCOUNT: JSON.stringify(account) });
+      const hours = loadBusinessHours(config, { session });
+
+      expect(config.BUSINESS_HOURS.timezone).toBe('America/Anchorage');
+      expect(hours.isOpen(MONDAY_10PM)).toBe(true);
+      expect(hours.isOpen(TUESDAY_10AM)).toBe(false);
+      expect(loadBusinessHours(buildConfig(REQUIRED), { session }).isOpen(TUESDAY_10AM)).toBe(true);
+    });
+
+    it('should resolve every account setting from the merged shipped account files', () => {
+      const props = { ...REQUIRED, CONFIG_ACCOUNT: JSON.stringify(accountConfig('work-uaa')) };
+      const config = buildConfig(props);
+      const { sources } = new ConfigResolver.ConfigResolver(TRIAGE_SETTINGS).explain(ConfigResolver.ConfigResolver.layersFromProperties(props));
+
+      expect(Object.keys(TRIAGE_SETTINGS).filter(key => TRIAGE_SETTINGS[key].account).map(key => sources[key])).toEqual([
+        'account quotas.rateLimitPerMinute',
+        'account features.compliance',
+        'account preferences.businessHours'
+      ]);
+      expect(config.AUDIT_ENABLED).toBe(true);
+      expect(config.RATE_LIMIT_PER_MINUTE).toBe(250);
+      expect(config.BUSINESS_HOURS.timezone).toBe('America/Anchorage');
+    });
+
+    it('should refuse missing and invalid values', () => {
+      expect(() => buildConfig()).toThrow('ANALYSIS_SHEET_ID is required');
+      expect(() => buildConfig({ ...REQUIRED, TRIAGE_DIGEST_FREQUENCY: 'hourly' })).toThrow('must be one of: run, daily, weekly');
+      expect(() => buildConfig({ ...REQUIRED, TRIAGE_MAX_PER_RUN: 'lots' })).toThrow('"lots" is not an integer');
+    });
+  });
+
+  describe('HistoricalIntelligence', () => {
+    it('should load validated data and cache it', () => {
+      const runtime = startAt(TUESDAY_10AM);
+      const loader = new HistoricalIntelligence({ config: createConfig() });
+
+      const intelligence = loader.load();
+
+      expect(intelligence.senderProfiles['sstudent@alaska.edu']).toEqual({ count: 14, avgLabels: 1.2, importance: 'high' });
+      expect(intelligence.keywordProfiles.homework.commonLabel).toBe('Students');
+      expect(intelligence.labelPatterns.Students.keywordPatterns).toEqual(['homework', 'office hours']);
+      expect(intelligence.metadata.emailCount).toBe(1250);
+
+      runtime.spreadsheets.clear();
+      expect(new HistoricalIntelligence({ config: createConfig() }).load()).toEqual(intelligence);
+    });
+
+    it('should refuse invalid spreadsheets', () => {
+      const runtime = startAt(TUESDAY_10AM);
+      runtime.spreadsheets.get('analysis-sheet').getSheetByName('Senders').getRange('B2').setValue('many');
+      const loader = new HistoricalIntelligence({ config: createConfig() });
+
+      expect(loader.load()).toBeNull();
+      expect(loader.report.valid).toBe(false);
+      expect(runtime.logs.some(line => line.includes('Senders'))).toBe(true);
+    });
+  });
+
+  describe('EmailClassifier', () => {
+    it('should use injected VIP and protected senders', () => {
+      startAt(TUESDAY_10AM);
+      const config = createConfig({ TRIAGE_KEEP_SENDERS: 'news@edtech.example.com' });
+      const classifier = new EmailClassifier(null, { config, myAddresses: ['me@alaska.edu'] });
+
+      expect(classifier.classifyThread(GmailApp.getThreadById('t-provost')).label).toBe('VIP');
+      expect(classifier.classifyThread(GmailApp.getThreadById('t-newsletter')).reason).toBe('Protected sender');
+    });
+
+    it('should fall back to rules below the confidence threshold', () => {
+      startAt(TUESDAY_10AM);
+      const classifier = new EmailClassifier(null, { config: createConfig(), myAddresses: ['me@alaska.edu'] });
+
+      const result = classifier.classifyThread(GmailApp.getThreadById('t-newsletter'));
+
+      expect(result).toEqual(expect.objectContaining({ action: 'label', label: 'Lists/weekly.edtech.example.com', confidence: 0.85 }));
+    });
+  });
+
+  describe('processInbox', () => {
+    it('should triage the inbox end to end', () => {
+      const runtime = startAt(TUESDAY_10AM);
+
+      const result = processInbox({ config: createConfig() });
+
+      expect(result).toEqual(expect.objectContaining({
+        mode: 'production', processed: 3, starred: 1, labeled: 1, archived: 1, held: 0, drained: true
+      }));
+      expect(runtime.gmail.searchThreads('label:VIP is:starred is:important')).toEqual(['t-provost']);
+      expect(runtime.gmail.searchThreads('label:lists-weekly.edtech.example.com -in:inbox')).toEqual(['t-newsletter']);
+      expect(runtime.gmail.searchThreads('in:inbox')).toEqual(['t-provost', 't-student']);
+      expect(runtime.gmail.searchThreads('label:_triage-processed')).toHaveLength(3);
+      expect(runtime.spreadsheets.get('analysis-sheet').getSheetByName('Audit').getLastRow()).toBe(4);
+      expect(runtime.locks.script.hasLock()).toBe(false);
+    });
+
+    it('should count each thread once and change nothing in dry-run mode', () => {
+      const runtime = startAt(TUESDAY_10AM);
+      const labelsBefore = GmailApp.getUserLabels().map(label => label.getName());
+
+      const result = processInbox({ config: createConfig({ TRIAGE_DRY_RUN: 'true', TRIAGE_MAX_PER_RUN: '2' }) });
+
+      expect(result).toEqual(expect.objectContaining({ mode: 'dry-run', processed: 2, drained: false }));
+      expect(runtime.gmail.searchThreads('in:inbox')).toEqual(['t-provost', 't-student', 't-newsletter']);
+      expect(runtime.gmail.searchThreads('is:starred OR label:vip OR label:lists-weekly')).toEqual([]);
+      expect(runtime.gmail.searchThreads('label:_triage-processed')).toEqual([]);
+      expect(GmailApp.getUserLabels().map(label => label.getName())).toEqual(labelsBefore);
+      expect(runtime.logs).toContain('[DRY RUN] Would star: Budget review meeting');
+      expect(runtime.logs).toContain('  - Processed: 2');
+
+      // The continuation picks up after the threads it looked at
+      expect(processInbox({ config: createConfig({ TRIAGE_DRY_RUN: 'true', TRIAGE_MAX_PER_RUN: '2' }) }))
+        .toEqual(expect.objectContaining({ processed: 1, drained: true }));
+    });
+
+    it('should add only preview labels in preview mode', () => {
+      const runtime = startAt(TUESDAY_10AM);
+
+      const result = processInbox({ config: createConfig({ TRIAGE_PREVIEW_MODE: 'true' }) });
+
+      expect(result).toEqual(expect.objectContaining({ mode: 'preview', processed: 3, drained: true }));
+      expect(runtime.gmail.searchThreads('label:_triage-preview-star')).toEqual(['t-provost']);
+      expect(runtime.gmail.searchThreads('label:_triage-processed')).toEqual([]);
+      expect(GmailApp.getUserLabels().map(label => label.getName()).filter(name => name.startsWith('_Triage/Run-'))).toEqual([]);
+      expect(runtime.gmail.searchThreads('in:inbox')).toEqual(['t-provost', 't-student', 't-newsletter']);
+    });
+
+    it('should hold after-hours mail and release it when business hours start', () => {
+      const runtime = startAt(MONDAY_10PM);
+      const config = createConfig();
+
+      expect(processInbox({ config }).held).toBe(1);
+      expect(runtime.gmail.searchThreads('in:inbox')).toEqual(['t-provost']);
+
+      vi.setSystemTime(TUESDAY_10AM);
+      processInbox({ config });
+
+      expect(runtime.gmail.searchThreads('in:inbox')).toEqual(['t-provost', 't-student']);
+      expect(runtime.gmail.searchThreads('label:_triage-held')).toEqual([]);
+    });
+
+    it('should install the account policy for shared code during a run', () => {
+      startAt(TUESDAY_10AM);
+      const policy = new AccountPolicy.AccountPolicy({ account: 'me@alaska.edu' });
+      const fromProperties = vi.spyOn(AccountPolicy.AccountPolicy, 'fromProperties');
+      const apply = MutationPlan.MutationPlan.prototype.apply;
+      const seen = [];
+      vi.spyOn(MutationPlan.MutationPlan.prototype, 'apply').mockImplementation(function () {
+        seen.push(AccountPolicy.AccountPolicy.current());
+        return apply.call(this);
+      });
+
+      processInbox({ config: createConfig(), services: { policy } });
+
+      expect(seen.length).toBeGreaterThan(0);
+      expect(seen.every(current => current === policy)).toBe(true);
+      expect(fromProperties).not.toHaveBeenCalled();
+      expect(AccountPolicy.AccountPolicy.installed).toBeNull();
+    });
+
+    it('should use injected services', () => {
+      startAt(TUESDAY_10AM);
+      const lock = { tryLock: vi.fn(() => false), releaseLock: vi.fn() };
+
+      expect(processInbox({ config: createConfig(), services: { lock } })).toBeNull();
+      expect(lock.releaseLock).not.toHaveBeenCalled();
+    });
+
+    it('should send the digest once it reaches the threshold', () => {
+      const runtime = startAt(TUESDAY_10AM);
+
+      processInbox({ config: createConfig({ TRIAGE_DIGEST_THRESHOLD: '3' }) });
+
+      expect(runtime.sentEmails).toHaveLength(1);
+      const [email] = runtime.sentEmails;
+      expect(email.to).toBe('me@alaska.edu');
+      expect(email.subject).toMatch(/^Gmail Triage Digest - 3 threads/);
+      expect(email.options.htmlBody).toContain('#all/t-newsletter');
+      expect(runtime.properties.script.getProperty('TRIAGE_DIGEST')).toBeNull();
+    });
+
+    it('should hold the daily digest until the next day in business hours', () => {
+      const runtime = startAt(TUESDAY_10AM);
+      const config = createConfig({ TRIAGE_DIGEST_FREQUENCY: 'daily', TRIAGE_DIGEST_THRESHOLD: '1' });
+
+      processInbox({ config });
+      expect(runtime.sentEmails).toHaveLength(0);
+
+      vi.setSystemTime(new Date('2025-07-16T18:00:00Z'));
+      processInbox({ config });
+
+      expect(runtime.sentEmails).toHaveLength(1);
+      expect(runtime.sentEmails[0].subject).toBe('Daily Gmail Triage Digest - 3 threads');
+    });
+
+    it('should keep a digest the account policy does not let it send', () => {
+      const runtime = startAt(TUESDAY_10AM);
+      const policy = new AccountPolicy.AccountPolicy({ account: 'me@alaska.edu', restrictedOperations: ['send'] });
+
+      expect(() => processInbox({ config: createConfig({ TRIAGE_DIGEST_THRESHOLD: '3' }), services: { policy } }))
+        .toThrow('"send" is a restricted operation for me@alaska.edu');
+
+      expect(runtime.sentEmails).toHaveLength(0);
+      expect(runtime.properties.script.getProperty('TRIAGE_DIGEST')).not.toBeNull();
+      expect(runtime.gmail.searchThreads('label:_triage-processed')).toHaveLength(3);
+      expect(runtime.spreadsheets.get('analysis-sheet').getSheetByName('Audit').getLastRow()).toBe(4);
+    });
+
+    it('should keep the digest when sending fails', () => {
+      const runtime = startAt(TUESDAY_10AM);
+      const config = createConfig({ TRIAGE_DIGEST_THRESHOLD: '3' });
+      vi.spyOn(GmailApp, 'sendEmail').mockImplementationOnce(() => {
+        throw new Error('Service invoked too many times for one day: email.');
+      });
+
+      expect(() => processInbox({ config })).toThrow('Service invoked too many times');
+      expect(runtime.sentEmails).toHaveLength(0);
+      expect(runtime.properties.script.getProperty('TRIAGE_DIGEST')).not.toBeNull();
+
+      processInbox({ config });
+
+      expect(runtime.sentEmails).toHaveLength(1);
+      expect(runtime.sentEmails[0].subject).toMatch(/^Gmail Triage Digest - 3 threads/);
+      expect(runtime.properties.script.getProperty('TRIAGE_DIGEST')).toBeNull();
+    });
+
+    it('should drop digests below the threshold', () => {
+      const runtime = startAt(TUESDAY_10AM);
+
+      processInbox({ config: createConfig() });
+
+      expect(runtime.sentEmails).toHaveLength(0);
+      expect(runtime.logs).toContain('📭 Digest skipped - 3 threads, threshold 20');
+    });
+
+    it('should be undone by rollbackRun', () => {
+      const runtime = startAt(TUESDAY_10AM);
+      runtime.properties.script.setProperty('ANALYSIS_SHEET_ID', 'analysis-sheet');
+      const { runId } = processInbox({ config: createConfig() });
+
+      rollbackRun(runId);
+
+      expect(runtime.gmail.searchThreads('in:inbox')).toEqual(['t-provost', 't-student', 't-newsletter']);
+      expect(runtime.gmail.searchThreads('is:starred OR label:vip OR label:_triage-processed')).toEqual([]);
+    });
+  });
+});
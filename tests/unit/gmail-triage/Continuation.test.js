@@ -0,0 +1,231 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  ExecutionBudget,
+  InboxPager,
+  Continuation
+} from '../../../accounts/work-uaa/scripts/gmail-triage/Continuation.js';
+
+function createProperties() {
+  const store = {};
+  return {
+    store,
+    getProperty: key => (key in store ? store[key] : null),
+    setProperty: (key, value) => { store[key] = value; },
+    deleteProperty: key => { delete store[key]; }
+  };
+}
+
+/**
+ * Search backed by a list of IDs; processed IDs drop out of the results,
+ * like threads gaining _Triage/Processed under the real query.
+ */
+function createBacklog(count) {
+  const pending = Array.from({ length: count }, (_, i) => `t${i}`);
+  const search = vi.fn((query, start, max) =>
+    pending.slice(start, start + max).map(id => ({ getId: () => id }))
+  );
+  const process = thread => pending.splice(pending.indexOf(thread.getId()), 1);
+  return { pending, search, process };
+}
+
+describe('ExecutionBudget', () => {
+  it('should reserve the safety margin', () => {
+    let now = 0;
+    const budget = new ExecutionBudget(360, 60, () => now);
+
+    now = 250 * 1000;
+    expect(budget.remainingSeconds()).toBe(50);
+    expect(budget.isExhausted()).toBe(false);
+
+    now = 300 * 1000;
+    expect(budget.isExhausted()).toBe(true);
+  });
+
+  it('should stop when the next average item would not fit', () => {
+    let now = 0;
+    const budget = new ExecutionBudget(100, 10, () => now);
+
+    now = 80 * 1000;
+    budget.recordItem();
+    budget.recordItem();
+    budget.recordItem();
+    budget.recordItem();
+
+    // 20s average per item, only 10s left
+    expect(budget.isExhausted()).toBe(true);
+  });
+});
+
+describe('InboxPager', () => {
+  it('should drain a backlog page by page', () => {
+    const backlog = createBacklog(120);
+    const pager = new InboxPager('in:inbox', { pageSize: 50, search: backlog.search });
+
+    const ids = [];
+    for (const thread of pager) {
+      ids.push(thread.getId());
+      backlog.process(thread);
+    }
+
+    expect(ids).toHaveLength(120);
+    expect(new Set(ids).size).toBe(120);
+    expect(pager.drained).toBe(true);
+    expect(pager.stopReason).toBe('drained');
+    expect(backlog.search).toHaveBeenCalledWith('in:inbox', 0, 50);
+  });
+
+  it('should stop at maxThreads without draining', () => {
+    const backlog = createBacklog(120);
+    const pager = new InboxPager('in:inbox', { pageSize: 50, maxThreads: 70, search: backlog.search });
+
+    let count = 0;
+    for (const thread of pager) {
+      backlog.process(thread);
+      count++;
+    }
+
+    expect(count).toBe(70);
+    expect(pager.drained).toBe(false);
+    expect(pager.stopReason).toBe('limit');
+    expect(backlog.search).toHaveBeenLastCalledWith('in:inbox', 0, 20);
+  });
+
+  it('should move the offset past skipped threads', () => {
+    const backlog = createBacklog(10);
+    const pager = new InboxPager('in:inbox', { pageSize: 4, search: backlog.search });
+
+    const ids = [];
+    for (const thread of pager) {
+      ids.push(thread.getId());
+      if (thread.getId() === 't1') {
+        pager.skip();
+      } else {
+        backlog.process(thread);
+      }
+    }
+
+    expect(ids).toHaveLength(10);
+    expect(pager.offset).toBe(1);
+    expect(backlog.pending).toEqual(['t1']);
+    expect(pager.drained).toBe(true);
+  });
+
+  it('should resume from a checkpoint offset', () => {
+    const backlog = createBacklog(10);
+    const pager = new InboxPager('in:inbox', { pageSize: 5, offset: 3, search: backlog.search });
+
+    const first = pager[Symbol.iterator]().next().value;
+
+    expect(first.getId()).toBe('t3');
+  });
+
+  it('should never yield a thread twice when the index lags', () => {
+    const thread = { getId: () => 'stale' };
+    const search = vi.fn((query, start) => (start === 0 ? [thread] : []));
+    const pager = new InboxPager('in:inbox', { search });
+
+    const ids = [...pager].map(t => t.getId());
+
+    expect(ids).toEqual(['stale']);
+    expect(pager.offset).toBe(1);
+    expect(pager.drained).toBe(true);
+  });
+
+  it('should apply deferred changes before each following page', () => {
+    const backlog = createBacklog(10);
+    const handled = [];
+    const pager = new InboxPager('in:inbox', {
+      pageSize: 4,
+      search: backlog.search,
+      beforePage: () => handled.splice(0).forEach(backlog.process)
+    });
+
+    const ids = [];
+    for (const thread of pager) {
+      ids.push(thread.getId());
+      handled.push(thread);
+    }
+
+    expect(ids).toEqual(Array.from({ length: 10 }, (_, i) => `t${i}`));
+    expect(pager.offset).toBe(0);
+    expect(pager.drained).toBe(true);
+  });
+
+  it('should stop when the budget is exhausted', () => {
+    const backlog = createBacklog(100);
+    let now = 0;
+    const budget = new ExecutionBudget(100, 10, () => now);
+    const pager = new InboxPager('in:inbox', { pageSize: 50, budget, search: backlog.search });
+
+    let count = 0;
+    for (const thread of pager) {
+      backlog.process(thread);
+      count++;
+      now += 10 * 1000;
+    }
+
+    expect(count).toBe(8);
+    expect(pager.stopReason).toBe('time');
+    expect(pager.drained).toBe(false);
+  });
+});
+
+describe('Continuation', () => {
+  let properties;
+  let scriptApp;
+  let created;
+
+  beforeEach(() => {
+    properties = createProperties();
+    created = [];
+    let nextId = 1;
+    const after = vi.fn(() => ({
+      create: () => {
+        const trigger = { id: String(nextId++), getUniqueId() { return this.id; } };
+        created.push(trigger);
+        return trigger;
+      }
+    }));
+    scriptApp = {
+      after,
+      newTrigger: vi.fn(() => ({ timeBased: () => ({ after }) })),
+      getProjectTriggers: vi.fn(() => [...created, { getUniqueId: () => 'regular' }]),
+      deleteTrigger: vi.fn(trigger => created.splice(created.indexOf(trigger), 1))
+    };
+  });
+
+  it('should save and load checkpoints', () => {
+    const continuation = new Continuation('processInbox', { properties, scriptApp });
+
+    expect(continuation.loadCheckpoint()).toBeNull();
+
+    continuation.saveCheckpoint({ offset: 2, runs: 1, processed: 50 });
+
+    expect(continuation.loadCheckpoint()).toEqual(expect.objectContaining({ offset: 2, runs: 1, processed: 50 }));
+  });
+
+  it('should schedule a single one-shot trigger', () => {
+    const continuation = new Continuation('processInbox', { properties, scriptApp });
+
+    continuation.schedule(1);
+    continuation.schedule(2);
+
+    expect(scriptApp.newTrigger).toHaveBeenCalledWith('processInbox');
+    expect(scriptApp.after).toHaveBeenLastCalledWith(2 * 60 * 1000);
+    expect(scriptApp.deleteTrigger).toHaveBeenCalledTimes(1);
+    expect(created.map(t => t.getUniqueId())).toEqual(['2']);
+  });
+
+  it('should clear the checkpoint and pending trigger on completion', () => {
+    const continuation = new Continuation('processInbox', { properties, scriptApp });
+    continuation.saveCheckpoint({ offset: 0, runs: 1, processed: 50 });
+    continuation.schedule(1);
+
+    continuation.complete();
+
+    expect(continuation.loadCheckpoint()).toBeNull();
+    expect(created).toEqual([]);
+    expect(scriptApp.deleteTrigger).toHaveBeenCalledTimes(1);
+    expect(properties.store).toEqual({});
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FakeProperties } from '../../emulator/services.js';
+import { DigestStore, DigestRenderer } from '../../../accounts/work-uaa/scripts/gmail-triage/Digest.js';
+
+const TIME_ZONE = 'America/Anchorage';
+const MONDAY_10AM = new Date('2025-07-14T18:00:00Z');
+const TUESDAY_10AM = new Date('2025-07-15T18:00:00Z');
+
+function createEntry(id, overrides = {}) {
+  return {
+    id,
+    subject: `Subject ${id}`,
+    sender: `${id}@example.com`,
+    action: 'label',
+    label: 'Newsletters',
+    confidence: 0.9,
+    reason: 'Newsletter',
+    archived: true,
+    held: false,
+    mode: 'production',
+    ...overrides
+  };
+}
+
+function createCounts(processed, overrides = {}) {
+  return { processed, starred: 0, labeled: processed, archived: processed, held: 0, ...overrides };
+}
+
+describe('DigestStore', () => {
+  let properties;
+  let store;
+
+  beforeEach(() => {
+    properties = new FakeProperties();
+    store = new DigestStore({ properties, timeZone: TIME_ZONE });
+  });
+
+  it('should accumulate runs until cleared', () => {
+    store.add({ counts: createCounts(2), entries: [createEntry('a'), createEntry('b')] }, MONDAY_10AM);
+    store.add({ counts: createCounts(1, { held: 1 }), entries: [createEntry('c', { held: true })] }, TUESDAY_10AM);
+
+    const digest = store.load();
+    expect(digest.startedAt).toBe(MONDAY_10AM.toISOString());
+    expect(digest.counts).toEqual({ processed: 3, starred: 0, labeled: 3, archived: 3, held: 1 });
+    expect(digest.entries.map(entry => entry.id)).toEqual(['a', 'b', 'c']);
+
+    store.clear();
+    expect(store.load().entries).toEqual([]);
+    expect(Object.keys(properties.getProperties())).toEqual(['TRIAGE_DIGEST_HISTORY']);
+  });
+
+  it('should chunk large digests and count entries beyond the cap', () => {
+    const entries = Array.from({ length: 250 }, (_, i) => createEntry(`t${i}`, { subject: '📬 '.repeat(60) }));
+
+    store.add({ counts: createCounts(250), entries }, MONDAY_10AM);
+
+    const digest = store.load();
+    expect(digest.entries).toHaveLength(200);
+    expect(digest.entries[0].subject).toHaveLength(100);
+    expect(digest.omitted).toBe(50);
+    expect(JSON.parse(properties.getProperty('TRIAGE_DIGEST')).chunks).toBeGreaterThan(1);
+  });
+
+  it('should know when each frequency is due', () => {
+    expect(store.isDue('run', MONDAY_10AM)).toBe(false);
+
+    store.add({ counts: createCounts(1), entries: [] }, MONDAY_10AM);
+
+    expect(store.isDue('run', MONDAY_10AM)).toBe(true);
+    expect(store.isDue('daily', new Date('2025-07-15T06:00:00Z'))).toBe(false); // Monday 10pm in Anchorage
+    expect(store.isDue('daily', TUESDAY_10AM)).toBe(true);
+    expect(store.isDue('weekly', TUESDAY_10AM)).toBe(false);
+    expect(store.isDue('weekly', new Date('2025-07-21T18:00:00Z'))).toBe(true);
+    expect(() => store.isDue('hourly')).toThrow('Unknown digest frequency');
+  });
+
+  it('should compare day totals', () => {
+    store.add({ counts: createCounts(5), entries: [] }, new Date('2025-07-13T18:00:00Z'));
+    store.add({ counts: createCounts(3), entries: [] }, MONDAY_10AM);
+    store.add({ counts: createCounts(4), entries: [] }, TUESDAY_10AM);
+
+    const perRun = store.compare('run', TUESDAY_10AM);
+    expect(perRun.current).toEqual({ day: '2025-07-15', counts: createCounts(4) });
+    expect(perRun.previous).toEqual({ day: '2025-07-14', counts: createCounts(3) });
+
+    const daily = store.compare('daily', TUESDAY_10AM);
+    expect(daily.current.day).toBe('2025-07-14');
+    expect(daily.previous.counts.processed).toBe(5);
+    expect(store.compare('daily', MONDAY_10AM).previous.counts.processed).toBe(0);
+  });
+
+  it('should keep two weeks of history', () => {
+    for (let day = 1; day <= 20; day++) {
+      store.add({ counts: createCounts(1), entries: [] }, new Date(Date.UTC(2025, 6, day, 18)));
+    }
+
+    const days = Object.keys(store.history());
+    expect(days).toHaveLength(14);
+    expect(days[0]).toBe('2025-07-07');
+  });
+});
+
+describe('DigestRenderer', () => {
+  const digest = {
+    startedAt: MONDAY_10AM.toISOString(),
+    counts: { processed: 4, starred: 1, labeled: 2, archived: 1, held: 1 },
+    entries: [
+      createEntry('t-provost', { subject: 'Budget <review>', action: 'star', label: 'VIP', confidence: 0.95, archived: false }),
+      createEntry('t-news', { label: 'Lists/weekly', confidence: 0.85 }),
+      createEntry('t-maybe', { label: 'Students', confidence: 0.55, archived: false }),
+      createEntry('t-late', { action: 'keep', label: null, confidence: 0.3, archived: false, held: true })
+    ],
+    omitted: 0
+  };
+
+  it('should group threads by action and label', () => {
+    const groups = DigestRenderer.group(digest.entries);
+
+    expect(groups.map(group => group.action)).toEqual(['star', 'label', 'hold']);
+    expect(groups[1].labels.map(({ label, entries }) => [label, entries.length])).toEqual([
+      ['Lists/weekly', 1],
+      ['Students', 1]
+    ]);
+  });
+
+  it('should render escaped HTML with deep links', () => {
+    const { subject, html } = DigestRenderer.render(digest, {
+      account: 'me@alaska.edu',
+      timeZone: TIME_ZONE,
+      now: TUESDAY_10AM
+    });
+
+    expect(subject).toBe('Gmail Triage Digest - 4 threads, 2 to review');
+    expect(html).toContain('Budget &lt;review&gt;');
+    expect(html).not.toContain('<review>');
+    expect(html).toContain('href="https://mail.google.com/mail/?authuser=me%40alaska.edu#all/t-news"');
+    expect(html).toContain('Held until business hours (1)');
+    expect(html).toContain('Jul 14, 2025');
+  });
+
+  it('should flag low-confidence decisions for review', () => {
+    const { html, text } = DigestRenderer.render(digest, { lowConfidence: 0.6 });
+    const review = html.substring(html.indexOf('Needs review'), html.indexOf('VIP / Starred ('));
+
+    expect(review).toContain('t-maybe');
+    expect(review).toContain('t-late');
+    expect(review).not.toContain('t-news');
+    expect(text).toContain('Needs review (confidence below 60%):');
+    expect(text).toContain('- Subject t-maybe - t-maybe@example.com (55%)');
+
+    expect(DigestRenderer.render(digest, { lowConfidence: 0.2 }).subject).toBe('Gmail Triage Digest - 4 threads');
+  });
+
+  it('should compare with the previous day', () => {
+    const comparison = {
+      current: { day: '2025-07-15', counts: createCounts(4) },
+      previous: { day: '2025-07-14', counts: createCounts(6) }
+    };
+
+    const { subject, html } = DigestRenderer.render(digest, { frequency: 'daily', comparison });
+
+    expect(subject).toMatch(/^Daily Gmail Triage Digest/);
+    expect(html).toContain('<th align="right">2025-07-14</th>');
+    expect(html).toContain('<td align="right" style="color:#d93025">-2</td>');
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect } from 'vitest';
+import { FeedbackLearner, FeedbackWeights } from '../../../accounts/work-uaa/scripts/gmail-triage/Feedback.js';
+import * as RunJournalModule from '../../../accounts/work-uaa/scripts/gmail-triage/RunJournal.js';
+import { installScripts } from '../../emulator/index.js';
+
+installScripts(RunJournalModule);
+
+function createProperties() {
+  const store = {};
+  return {
+    store,
+    getProperty: key => (key in store ? store[key] : null),
+    setProperty: (key, value) => { store[key] = value; },
+    deleteProperty: key => { delete store[key]; }
+  };
+}
+
+function createThread(labels, inInbox = false) {
+  return {
+    getLabels: () => labels.map(name => ({ getName: () => name })),
+    isInInbox: () => inInbox,
+    getMessages: () => [{ getFrom: () => 'News Desk <News@Example.com>' }]
+  };
+}
+
+function journalFor(changes, before = { inInbox: true, labels: [] }) {
+  return {
+    runId: 'run1',
+    entries: [{ threadId: 't1', subject: 'Weekly digest', before, changes }]
+  };
+}
+
+describe('FeedbackLearner', () => {
+  const applied = [
+    { type: 'addLabel', label: 'Newsletters' },
+    { type: 'archive' },
+    { type: 'addLabel', label: '_Triage/Processed' }
+  ];
+
+  it('should detect a removed label', () => {
+    const gmail = { getThreadById: () => createThread(['_Triage/Processed']) };
+
+    const corrections = FeedbackLearner.detectCorrections(journalFor(applied), gmail);
+
+    expect(corrections).toEqual([{
+      runId: 'run1',
+      threadId: 't1',
+      sender: 'news@example.com',
+      subject: 'Weekly digest',
+      type: 'label-removed',
+      from: 'Newsletters',
+      to: null
+    }]);
+  });
+
+  it('should detect a label replaced by another', () => {
+    const gmail = { getThreadById: () => createThread(['Research', '_Triage/Processed']) };
+
+    const [correction] = FeedbackLearner.detectCorrections(journalFor(applied), gmail);
+
+    expect(correction).toMatchObject({ type: 'relabeled', from: 'Newsletters', to: 'Research' });
+  });
+
+  it('should detect a label added next to the one applied', () => {
+    const gmail = { getThreadById: () => createThread(['Newsletters', 'Research', '_Triage/Processed']) };
+
+    const corrections = FeedbackLearner.detectCorrections(journalFor(applied), gmail);
+
+    expect(corrections).toHaveLength(1);
+    expect(corrections[0]).toMatchObject({ type: 'label-added', from: 'Newsletters', to: 'Research' });
+  });
+
+  it('should detect archived threads moved back to the inbox', () => {
+    const gmail = { getThreadById: () => createThread(['Newsletters'], true) };
+
+    const corrections = FeedbackLearner.detectCorrections(journalFor(applied), gmail);
+
+    expect(corrections.map(c => c.type)).toEqual(['unarchived']);
+  });
+
+  it('should attribute corrections with the given sender lookup', () => {
+    const gmail = { getThreadById: () => createThread(['_Triage/Processed']) };
+
+    const [correction] = FeedbackLearner.detectCorrections(journalFor(applied), gmail, '_Triage', () => 'latest@example.com');
+
+    expect(correction.sender).toBe('latest@example.com');
+  });
+
+  it('should ignore accepted decisions, pre-existing labels and missing threads', () => {
+    const accepted = { getThreadById: () => createThread(['Newsletters', '_Triage/Processed']) };
+    const preexisting = journalFor(applied, { inInbox: false, labels: ['Newsletters'] });
+    const gone = { getThreadById: () => null };
+
+    expect(FeedbackLearner.detectCorrections(journalFor(applied), accepted)).toEqual([]);
+    expect(FeedbackLearner.detectCorrections(preexisting, { getThreadById: () => createThread([], true) })).toEqual([]);
+    expect(FeedbackLearner.detectCorrections(journalFor(applied), gone)).toEqual([]);
+  });
+});
+
+describe('FeedbackWeights', () => {
+  const relabel = { sender: 'news@example.com', type: 'relabeled', from: 'Newsletters', to: 'Research' };
+
+  it('should lower confidence for corrected sender and keywords', () => {
+    const weights = new FeedbackWeights();
+    weights.learn({ ...relabel, type: 'label-removed', to: null }, ['digest']);
+
+    const result = weights.adjust(
+      { action: 'label', label: 'Newsletters', confidence: 0.9, reason: 'Rule' },
+      'news@example.com',
+      ['digest']
+    );
+
+    expect(weights.score('news@example.com', 'Newsletters', ['digest'])).toBe(-1.25);
+    expect(result.confidence).toBeCloseTo(0.9 * Math.pow(2, -1.25));
+    expect(result.reason).toBe('Rule (lowered by corrections)');
+  });
+
+  it('should lower confidence for other senders through keywords only', () => {
+    const weights = new FeedbackWeights();
+    weights.learn(relabel, ['digest']);
+
+    const result = weights.adjust(
+      { action: 'label', label: 'Newsletters', confidence: 0.8, reason: 'Rule' },
+      'other@example.com',
+      ['digest']
+    );
+
+    expect(result.confidence).toBeCloseTo(0.8 * Math.pow(2, -0.25));
+  });
+
+  it('should raise an added label without lowering the applied one', () => {
+    const weights = new FeedbackWeights();
+    weights.learn({ ...relabel, type: 'label-added' }, ['digest']);
+
+    expect(weights.senders['news@example.com'].labels).toEqual({ Research: 1 });
+    expect(weights.keywords.digest).toEqual({ Research: 1 });
+  });
+
+  it('should switch to the preferred label after repeated corrections', () => {
+    const weights = new FeedbackWeights();
+    weights.learn(relabel);
+    weights.learn(relabel);
+
+    const result = weights.adjust(
+      { action: 'label', label: 'Newsletters', confidence: 0.9, reason: 'Rule' },
+      'news@example.com'
+    );
+
+    expect(result).toEqual({
+      action: 'label',
+      label: 'Research',
+      confidence: 0.7,
+      reason: 'Learned from 2 corrections'
+    });
+  });
+
+  it('should never archive senders whose mail was moved back', () => {
+    const weights = new FeedbackWeights();
+    weights.learn({ sender: 'news@example.com', type: 'unarchived' });
+
+    const result = weights.adjust({ action: 'archive', label: null, confidence: 0.9, reason: 'Rule' }, 'news@example.com');
+
+    expect(result.action).toBe('keep');
+    expect(result.noArchive).toBe(true);
+  });
+
+  it('should leave unrelated classifications untouched', () => {
+    const result = { action: 'label', label: 'Students', confidence: 0.8, reason: 'Rule' };
+    expect(new FeedbackWeights().adjust(result, 'a@b.com', ['x'])).toEqual(result);
+  });
+
+  it('should persist weights and reviewed runs', () => {
+    const properties = createProperties();
+    const weights = new FeedbackWeights();
+    weights.learn(relabel, ['digest']);
+    weights.markReviewed('run1');
+    weights.markReviewed('run1');
+    weights.save(properties);
+
+    const loaded = FeedbackWeights.load(properties);
+
+    expect(loaded.isReviewed('run1')).toBe(true);
+    expect(loaded.reviewedRuns).toEqual(['run1']);
+    expect(loaded.senders['news@example.com'].labels).toEqual({ Newsletters: -1, Research: 1 });
+    expect(loaded.keywords.digest).toEqual({ Newsletters: -1, Research: 1 });
+  });
+
+  it('should keep the most recently corrected senders when pruning', () => {
+    const weights = new FeedbackWeights();
+    for (let i = 0; i < 1000; i++) {
+      weights.learn({ ...relabel, sender: `s${i}@x.com` });
+    }
+    weights.learn({ ...relabel, sender: 's0@x.com' });
+    weights.save(createProperties());
+
+    expect(RunJournal.byteLength(JSON.stringify(weights.senders))).toBeLessThanOrEqual(60 * 1024);
+    expect(weights.senders['s0@x.com']).toBeDefined();
+    expect(weights.senders['s1@x.com']).toBeUndefined();
+    expect(weights.senders['s999@x.com']).toBeDefined();
+  });
+
+  it('should save at the byte caps within the Script Properties limits', () => {
+    const properties = PropertiesService.getScriptProperties();
+    const weights = new FeedbackWeights();
+    for (let i = 0; i < 3000; i++) {
+      const label = `Département/Étudiants ${i % 7}`;
+      weights.learn({ sender: `correspondant.${i}@université-exemple.fr`, type: 'relabeled', from: 'Newsletters', to: label }, [`mot${i}é`, `clé${i}`]);
+      weights.markReviewed(`run${i}`);
+    }
+
+    const chunks = weights.save(properties);
+    const stored = properties.getProperties();
+    const bytes = Object.entries(stored).reduce((sum, [key, value]) => sum + RunJournal.byteLength(key + value), 0);
+
+    expect(chunks).toBeGreaterThan(1);
+    expect(RunJournal.byteLength(JSON.stringify(weights.senders))).toBeLessThanOrEqual(60 * 1024);
+    expect(RunJournal.byteLength(JSON.stringify(weights.keywords))).toBeLessThanOrEqual(30 * 1024);
+    expect(bytes).toBeLessThan(100 * 1024);
+
+    const loaded = FeedbackWeights.load(properties);
+    expect(loaded.senders).toEqual(weights.senders);
+    expect(loaded.keywords).toEqual(weights.keywords);
+    expect(loaded.reviewedRuns).toHaveLength(100);
+
+    // Fewer chunks next time: the extra ones are deleted
+    new FeedbackWeights().save(properties);
+    expect(properties.getKeys()).toEqual(['TRIAGE_FEEDBACK_WEIGHTS_0', 'TRIAGE_FEEDBACK_WEIGHTS']);
+  });
+});
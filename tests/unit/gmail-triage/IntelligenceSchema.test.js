@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { IntelligenceSchema, INTELLIGENCE_SCHEMA } from '../../../accounts/work-uaa/scripts/gmail-triage/IntelligenceSchema.js';
+
+function createSpreadsheet(sheets) {
+  return {
+    getSheetByName: name => (sheets[name]
+      ? { getDataRange: () => ({ getValues: () => sheets[name] }) }
+      : null)
+  };
+}
+
+function validSheets() {
+  return {
+    Senders: [
+      ['Sender', 'Count', 'Avg Labels'],
+      ['Dean@alaska.edu', 42, 1.5],
+      ['news@example.com', '7', '']
+    ],
+    Keywords: [
+      ['Keyword', 'Count', 'Most Common Label'],
+      ['meeting', 30, 'Meetings'],
+      [2025, 12, ''],
+      ['', '', '']
+    ],
+    Characteristics: [
+      ['Label', 'Top Senders', 'Top Keywords', 'Avg Response Time'],
+      ['Meetings', 'chair@alaska.edu, dean@alaska.edu', 'meeting', '2h']
+    ],
+    Metadata: [
+      ['Total Emails Analyzed', 5000],
+      ['Schema Version', 1]
+    ]
+  };
+}
+
+describe('IntelligenceSchema', () => {
+  describe('validate', () => {
+    it('should accept valid sheets and return typed rows', () => {
+      const { report, data } = IntelligenceSchema.validate(createSpreadsheet(validSheets()));
+
+      expect(report.valid).toBe(true);
+      expect(report.errors).toEqual([]);
+      expect(report.sheetVersion).toBe(1);
+      expect(report.sheets.Senders).toMatchObject({ rows: 2, skipped: 0 });
+      expect(report.sheets.Keywords).toMatchObject({ rows: 2, skipped: 1 });
+      expect(data.Senders[1]).toEqual({ Sender: 'news@example.com', Count: 7, 'Avg Labels': null });
+      expect(data.Keywords[1].Keyword).toBe('2025');
+      expect(data.Metadata['Total Emails Analyzed']).toBe(5000);
+    });
+
+    it('should report missing sheets and columns', () => {
+      const sheets = validSheets();
+      delete sheets.Characteristics;
+      sheets.Keywords[0] = ['Term', 'Count', 'Most Common Label'];
+
+      const { report } = IntelligenceSchema.validate(createSpreadsheet(sheets));
+
+      expect(report.valid).toBe(false);
+      expect(report.errors).toContain('Characteristics: sheet is missing');
+      expect(report.errors).toContain('Keywords: missing columns Keyword');
+      expect(report.sheets.Keywords.missingColumns).toEqual(['Keyword']);
+    });
+
+    it('should allow optional columns to be absent', () => {
+      const sheets = validSheets();
+      sheets.Senders = [['Sender', 'Count'], ['a@b.com', 1]];
+
+      expect(IntelligenceSchema.validate(createSpreadsheet(sheets)).report.valid).toBe(true);
+    });
+
+    it('should refuse bad types and duplicate keys', () => {
+      const sheets = validSheets();
+      sheets.Senders.push(['dean@alaska.edu', 'many', 1]);
+      sheets.Keywords.push([true, 3, 'Other']);
+
+      const { report } = IntelligenceSchema.validate(createSpreadsheet(sheets));
+
+      expect(report.valid).toBe(false);
+      expect(report.sheets.Senders.badValues).toEqual([{ row: 4, column: 'Count', value: 'many' }]);
+      expect(report.sheets.Senders.duplicates).toEqual(['dean@alaska.edu']);
+      expect(report.errors).toContain('Senders: 1 bad values (row 4 Count="many")');
+      expect(report.errors).toContain('Senders: duplicate Sender dean@alaska.edu');
+      expect(report.sheets.Keywords.badValues[0]).toMatchObject({ row: 5, column: 'Keyword' });
+    });
+
+    it('should limit the bad values listed in an error', () => {
+      const sheets = validSheets();
+      for (let i = 0; i < 15; i++) sheets.Senders.push([`s${i}@x.com`, 'n/a', 0]);
+
+      const { report } = IntelligenceSchema.validate(createSpreadsheet(sheets));
+      const error = report.errors.find(e => e.startsWith('Senders'));
+
+      expect(error).toMatch(/^Senders: 15 bad values/);
+      expect(error).toMatch(/and 5 more\)$/);
+    });
+
+    it('should check metadata keys and the schema version', () => {
+      const unversioned = validSheets();
+      unversioned.Metadata = [['Total Emails Analyzed', 10]];
+      const result = IntelligenceSchema.validate(createSpreadsheet(unversioned)).report;
+      expect(result.valid).toBe(true);
+      expect(result.sheetVersion).toBeNull();
+      expect(result.warnings).toEqual(['Metadata: no Schema Version, assuming 1']);
+
+      const newer = validSheets();
+      newer.Metadata[1] = ['Schema Version', 2];
+      expect(IntelligenceSchema.validate(createSpreadsheet(newer)).report.errors)
+        .toEqual(['Metadata: Schema Version 2 is not supported (expected 1)']);
+
+      const broken = validSheets();
+      broken.Metadata = [['Total Emails Analyzed', 'lots'], ['Schema Version', 1]];
+      expect(IntelligenceSchema.validate(createSpreadsheet(broken)).report.errors)
+        .toEqual(['Metadata: bad value for Total Emails Analyzed: "lots"']);
+
+      const missing = validSheets();
+      missing.Metadata = [['Schema Version', 1]];
+      expect(IntelligenceSchema.validate(createSpreadsheet(missing)).report.errors)
+        .toEqual(['Metadata: missing keys Total Emails Analyzed']);
+    });
+  });
+
+  describe('coerce', () => {
+    it('should convert cells to declared types', () => {
+      expect(IntelligenceSchema.coerce(' Meetings ', 'text')).toBe('Meetings');
+      expect(IntelligenceSchema.coerce(42, 'text')).toBe('42');
+      expect(IntelligenceSchema.coerce(new Date(), 'text')).toBeUndefined();
+      expect(IntelligenceSchema.coerce('3.5', 'number')).toBe(3.5);
+      expect(IntelligenceSchema.coerce('', 'number')).toBeUndefined();
+      expect(IntelligenceSchema.coerce(NaN, 'number')).toBeUndefined();
+      expect(IntelligenceSchema.coerce(null, 'any')).toBeNull();
+    });
+  });
+
+  describe('formatReport', () => {
+    it('should summarize sheets, warnings and errors', () => {
+      const sheets = validSheets();
+      delete sheets.Characteristics;
+      const { report } = IntelligenceSchema.validate(createSpreadsheet(sheets));
+
+      const lines = IntelligenceSchema.formatReport(report);
+
+      expect(lines[0]).toBe(`Schema version ${INTELLIGENCE_SCHEMA.version} (spreadsheet: 1)`);
+      expect(lines).toContain('  Keywords: 2 rows, 1 blank skipped');
+      expect(lines).toContain('  Characteristics: missing');
+      expect(lines).toContain('❌ Characteristics: sheet is missing');
+      expect(lines[lines.length - 1]).toBe('❌ Invalid - historical intelligence not used');
+    });
+  });
+});
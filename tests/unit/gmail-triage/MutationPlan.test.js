@@ -0,0 +1,223 @@
+import { describe, it, expect, vi } from 'vitest';
+import { LabelCache, MutationPlan } from '../../../accounts/work-uaa/scripts/gmail-triage/MutationPlan.js';
+import * as AccountPolicyModule from '../../../shared/utilities/AccountPolicy.js';
+import { installScripts } from '../../emulator/index.js';
+
+installScripts(AccountPolicyModule);
+const { AccountPolicy, PolicyError } = AccountPolicyModule;
+
+function createThread(id, messageCount = 2) {
+  const messages = Array.from({ length: messageCount }, (_, i) => ({ getId: () => `${id}-m${i}` }));
+  return { getId: () => id, getMessages: vi.fn(() => messages), messages };
+}
+
+function createAdvanced(existing = {}) {
+  let nextId = 1;
+  return {
+    Users: {
+      Labels: {
+        list: vi.fn(() => ({ labels: Object.entries(existing).map(([name, id]) => ({ name, id })) })),
+        create: vi.fn(label => ({ id: `Label_new${nextId++}`, name: label.name }))
+      },
+      Messages: { batchModify: vi.fn() }
+    }
+  };
+}
+
+function createGmail(existing = []) {
+  const makeLabel = name => ({ getName: () => name, addToThreads: vi.fn() });
+  return {
+    getUserLabels: vi.fn(() => existing.map(makeLabel)),
+    createLabel: vi.fn(makeLabel),
+    markThreadsImportant: vi.fn(),
+    moveThreadsToArchive: vi.fn(),
+    starMessages: vi.fn()
+  };
+}
+
+describe('LabelCache', () => {
+  it('should list labels once and create missing ones', () => {
+    const gmail = createGmail(['VIP']);
+    const cache = new LabelCache({ gmail, advanced: null });
+
+    const vip = cache.getLabel('VIP');
+    expect(cache.getLabel('VIP')).toBe(vip);
+    cache.getLabel('_Triage/Processed');
+    cache.getLabel('_Triage/Processed');
+
+    expect(gmail.getUserLabels).toHaveBeenCalledTimes(1);
+    expect(gmail.createLabel).toHaveBeenCalledTimes(1);
+    expect(gmail.createLabel).toHaveBeenCalledWith('_Triage/Processed');
+  });
+
+  it('should resolve advanced service label IDs once', () => {
+    const advanced = createAdvanced({ VIP: 'Label_1' });
+    const cache = new LabelCache({ gmail: createGmail(), advanced });
+
+    expect(cache.getLabelId('VIP')).toBe('Label_1');
+    expect(cache.getLabelId('Lists/cs')).toBe('Label_new1');
+    expect(cache.getLabelId('Lists/cs')).toBe('Label_new1');
+
+    expect(advanced.Users.Labels.list).toHaveBeenCalledTimes(1);
+    expect(advanced.Users.Labels.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('MutationPlan', () => {
+  it('should journal every change when it is planned', () => {
+    const journal = { record: vi.fn() };
+    const plan = new MutationPlan(new LabelCache({ gmail: createGmail(), advanced: null }), { journal });
+    const thread = createThread('t1');
+
+    plan.addLabel(thread, 'VIP').markImportant(thread).star(thread, thread.messages[1]).archive(thread, 'hold');
+
+    expect(journal.record.mock.calls.map(call => call[1])).toEqual([
+      { type: 'addLabel', label: 'VIP' },
+      { type: 'markImportant' },
+      { type: 'star', messageId: 't1-m1' },
+      { type: 'hold' }
+    ]);
+    expect(plan.size).toBe(1);
+  });
+
+  it('should refuse restricted changes before journaling them and audit the rest once', () => {
+    const journal = { record: vi.fn() };
+    const log = vi.fn();
+    const policy = new AccountPolicy({ restrictedOperations: ['modify'], auditLog: true }, { log });
+    const plan = new MutationPlan(new LabelCache({ gmail: createGmail(), advanced: createAdvanced() }), { journal, policy });
+    const threads = ['t1', 't2'].map(id => createThread(id));
+
+    expect(() => plan.markImportant(threads[0])).toThrow(PolicyError);
+    expect(() => plan.star(threads[0], threads[0].messages[0])).toThrow('"modify" is a restricted operation');
+    threads.forEach(thread => plan.addLabel(thread, 'Newsletters').archive(thread));
+    plan.apply();
+
+    expect(journal.record).toHaveBeenCalledTimes(4);
+    expect(log.mock.calls.map(call => call[0])).toEqual([
+      '🔐 Audit: label {"labels":["Newsletters"],"threads":2}',
+      '🔐 Audit: archive {"threads":2}'
+    ]);
+  });
+
+  describe('with the advanced service', () => {
+    it('should share one batchModify between threads with the same changes', () => {
+      const advanced = createAdvanced({ Newsletters: 'Label_1', '_Triage/Processed': 'Label_2' });
+      const plan = new MutationPlan(new LabelCache({ gmail: createGmail(), advanced }));
+      const threads = ['t1', 't2', 't3'].map(id => createThread(id));
+
+      for (const thread of threads) {
+        plan.addLabel(thread, 'Newsletters').addLabel(thread, '_Triage/Processed').archive(thread);
+      }
+      plan.addLabel(threads[2], 'Extra');
+
+      const result = plan.apply();
+
+      expect(result).toEqual({ mode: 'advanced', threads: 3, calls: 2, errors: [] });
+      expect(advanced.Users.Messages.batchModify).toHaveBeenCalledWith({
+        ids: ['t1-m0', 't1-m1', 't2-m0', 't2-m1'],
+        addLabelIds: ['Label_1', 'Label_2'],
+        removeLabelIds: ['INBOX']
+      }, 'me');
+      expect(plan.size).toBe(0);
+    });
+
+    it('should use tracked message IDs instead of fetching messages', () => {
+      const advanced = createAdvanced();
+      const plan = new MutationPlan(new LabelCache({ gmail: createGmail(), advanced }));
+      const thread = createThread('t1');
+
+      plan.track(thread, ['known']).markImportant(thread).star(thread, thread.messages[0]);
+      plan.apply();
+
+      expect(thread.getMessages).not.toHaveBeenCalled();
+      expect(advanced.Users.Messages.batchModify.mock.calls.map(call => call[0])).toEqual([
+        { ids: ['known'], addLabelIds: ['IMPORTANT'], removeLabelIds: [] },
+        { ids: ['t1-m0'], addLabelIds: ['STARRED'], removeLabelIds: [] }
+      ]);
+    });
+
+    it('should split batches at 1,000 message IDs', () => {
+      const advanced = createAdvanced();
+      const plan = new MutationPlan(new LabelCache({ gmail: createGmail(), advanced }));
+
+      for (let i = 0; i < 1500; i++) {
+        plan.archive(createThread(`t${i}`, 1));
+      }
+      const result = plan.apply();
+
+      const sizes = advanced.Users.Messages.batchModify.mock.calls.map(call => call[0].ids.length);
+      expect(sizes).toEqual([1000, 500]);
+      expect(result.calls).toBe(2);
+    });
+
+    it('should collect errors from later batches', () => {
+      const advanced = createAdvanced();
+      advanced.Users.Messages.batchModify
+        .mockImplementationOnce(() => {})
+        .mockImplementationOnce(() => { throw new Error('Rate limit'); });
+      const plan = new MutationPlan(new LabelCache({ gmail: createGmail(), advanced }));
+      const [a, b] = [createThread('a', 1), createThread('b', 1)];
+
+      plan.archive(a).markImportant(b);
+      const result = plan.apply();
+
+      expect(result.mode).toBe('advanced');
+      expect(result.errors).toEqual([{
+        operation: 'batchModify +IMPORTANT -',
+        count: 1,
+        error: 'Error: Rate limit'
+      }]);
+    });
+
+    it('should fall back to GmailApp when the service is unusable', () => {
+      const advanced = createAdvanced();
+      advanced.Users.Labels.list.mockImplementation(() => { throw new Error('Gmail API has not been enabled'); });
+      const gmail = createGmail();
+      const plan = new MutationPlan(new LabelCache({ gmail, advanced }), { gmail });
+      const thread = createThread('t1');
+
+      plan.addLabel(thread, 'VIP');
+      const result = plan.apply();
+
+      expect(result.mode).toBe('gmailapp');
+      expect(result.fallbackReason).toBe('Error: Gmail API has not been enabled');
+      expect(gmail.createLabel.mock.results[0].value.addToThreads).toHaveBeenCalledWith([thread]);
+    });
+  });
+
+  describe('with GmailApp', () => {
+    it('should use bulk methods grouped by change', () => {
+      const gmail = createGmail(['VIP']);
+      const cache = new LabelCache({ gmail, advanced: null });
+      const plan = new MutationPlan(cache, { gmail });
+      const [a, b] = [createThread('a'), createThread('b')];
+
+      plan.addLabel(a, 'VIP').markImportant(a).star(a, a.messages[0]);
+      plan.addLabel(b, 'VIP').archive(b);
+      const result = plan.apply();
+
+      expect(result).toEqual({ mode: 'gmailapp', threads: 2, calls: 4, errors: [] });
+      expect(cache.getLabel('VIP').addToThreads).toHaveBeenCalledWith([a, b]);
+      expect(gmail.markThreadsImportant).toHaveBeenCalledWith([a]);
+      expect(gmail.moveThreadsToArchive).toHaveBeenCalledWith([b]);
+      expect(gmail.starMessages).toHaveBeenCalledWith([a.messages[0]]);
+    });
+
+    it('should call in chunks of 100 and record failures', () => {
+      const gmail = createGmail();
+      gmail.moveThreadsToArchive.mockImplementationOnce(() => { throw new Error('Service invoked too many times'); });
+      const plan = new MutationPlan(new LabelCache({ gmail, advanced: null }), { gmail });
+
+      for (let i = 0; i < 250; i++) plan.archive(createThread(`t${i}`));
+      const result = plan.apply();
+
+      expect(gmail.moveThreadsToArchive.mock.calls.map(call => call[0].length)).toEqual([100, 100, 50]);
+      expect(result.errors).toEqual([{ operation: 'archive', count: 100, error: 'Error: Service invoked too many times' }]);
+    });
+
+    it('should do nothing for an empty plan', () => {
+      const plan = new MutationPlan(new LabelCache({ gmail: createGmail(), advanced: null }));
+      expect(plan.apply()).toEqual({ mode: 'none', threads: 0, calls: 0, errors: [] });
+    });
+  });
+});
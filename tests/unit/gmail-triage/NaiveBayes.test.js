@@ -0,0 +1,181 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  NaiveBayesClassifier,
+  ModelStore,
+  tokenize,
+  extractFeatures
+} from '../../../accounts/work-uaa/scripts/gmail-triage/NaiveBayes.js';
+
+const documents = [
+  { sender: 'registrar@alaska.edu', subject: 'Grade submission deadline', body: 'Final grades are due for all course sections', label: 'Students' },
+  { sender: 'student1@alaska.edu', subject: 'Question about my grade', body: 'Could you review my exam grade', label: 'Students' },
+  { sender: 'student2@alaska.edu', subject: 'Homework extension', body: 'Requesting an extension on homework for the course', label: 'Students' },
+  { sender: 'student3@alaska.edu', subject: 'Exam grade', body: 'My exam grade seems wrong', label: 'Students' },
+  { sender: 'news@acm.org', subject: 'ACM newsletter', body: 'This month in computing, unsubscribe anytime', label: 'Newsletters' },
+  { sender: 'news@ieee.org', subject: 'IEEE weekly newsletter', body: 'Top stories in computing, unsubscribe here', label: 'Newsletters' },
+  { sender: 'news@acm.org', subject: 'Computing digest', body: 'Weekly stories newsletter unsubscribe', label: 'Newsletters' },
+  { sender: 'deals@store.com', subject: 'Weekly deals newsletter', body: 'Unsubscribe from promotional stories', label: 'Newsletters' }
+];
+
+describe('tokenize', () => {
+  it('should lowercase, drop stop-words, numbers and URLs', () => {
+    expect(tokenize('The Final GRADES for CS-101 are due 2025 https://example.com/x')).toEqual([
+      'final', 'grades', 'cs', 'due'
+    ]);
+  });
+
+  it('should handle empty input', () => {
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('extractFeatures', () => {
+  it('should add sender and domain features', () => {
+    expect(extractFeatures({ sender: 'Dean@Alaska.edu', subject: 'Budget', body: '' })).toEqual([
+      'budget', 'sender:dean@alaska.edu', 'domain:alaska.edu'
+    ]);
+  });
+});
+
+describe('NaiveBayesClassifier', () => {
+  it('should predict the most likely label with normalized probabilities', () => {
+    const model = new NaiveBayesClassifier().fit(documents);
+
+    const predictions = model.predict({ sender: 'student9@alaska.edu', subject: 'exam grade question', body: '' });
+
+    expect(predictions[0].label).toBe('Students');
+    expect(predictions[0].probability).toBeGreaterThan(0.5);
+    expect(predictions.reduce((sum, p) => sum + p.probability, 0)).toBeCloseTo(1, 10);
+  });
+
+  it('should classify newsletters', () => {
+    const model = new NaiveBayesClassifier().fit(documents);
+    const [best] = model.predict({ sender: 'news@acm.org', subject: 'Weekly computing stories', body: 'unsubscribe' });
+    expect(best.label).toBe('Newsletters');
+  });
+
+  it('should fall back to priors for unknown tokens', () => {
+    const model = new NaiveBayesClassifier().fit([...documents, documents[4]]);
+    const [best] = model.predict({ subject: 'zzz qqq', body: '' });
+    expect(best.label).toBe('Newsletters');
+  });
+
+  it('should return no predictions before training', () => {
+    expect(new NaiveBayesClassifier().predict({ subject: 'x' })).toEqual([]);
+  });
+
+  it('should prune rare tokens and cap the vocabulary', () => {
+    const model = new NaiveBayesClassifier({ maxVocabulary: 3, minTokenCount: 2 }).fit(documents);
+
+    expect(model.vocabulary.size).toBe(3);
+    for (const entry of Object.values(model.labels)) {
+      expect(Object.keys(entry.tokens).every(token => model.vocabulary.has(token))).toBe(true);
+      expect(entry.total).toBe(Object.values(entry.tokens).reduce((a, b) => a + b, 0));
+    }
+  });
+
+  it('should explain predictions with the most indicative tokens', () => {
+    const model = new NaiveBayesClassifier().fit(documents);
+    const tokens = model.topTokens({ subject: 'grade exam grade', body: '' }, 'Students', 2);
+    expect(tokens).toEqual(['grade', 'exam']);
+    expect(model.topTokens({ subject: 'grade' }, 'Unknown')).toEqual([]);
+  });
+
+  it('should soften overconfident probabilities when calibrating', () => {
+    const model = new NaiveBayesClassifier({ minTokenCount: 1 }).fit(documents);
+    const email = { sender: 'student9@alaska.edu', subject: 'Exam grade homework', body: 'course grade exam' };
+    const raw = model.predict(email)[0].probability;
+
+    // Held-out documents whose labels contradict the training data
+    const temperature = model.calibrate([
+      { ...email, label: 'Newsletters' },
+      { ...email, label: 'Students' }
+    ]);
+
+    expect(temperature).toBeGreaterThan(1);
+    expect(model.predict(email)[0].probability).toBeLessThan(raw);
+  });
+
+  it('should train with a calibration holdout', () => {
+    const model = NaiveBayesClassifier.train(documents);
+
+    expect(model.documentCount).toBe(documents.length);
+    expect(model.temperature).toBeGreaterThanOrEqual(1);
+  });
+
+  it('should keep copies of a thread on one side of the holdout', () => {
+    const fit = vi.spyOn(NaiveBayesClassifier.prototype, 'fit');
+    const calibrate = vi.spyOn(NaiveBayesClassifier.prototype, 'calibrate');
+    const copies = Array.from({ length: 5 }, () => ({ threadId: 't-fixed', subject: 'exam regrade', label: 'Students' }));
+
+    NaiveBayesClassifier.train([...documents.slice(0, 4), ...copies]);
+
+    const holdout = calibrate.mock.calls[0][0];
+    const training = fit.mock.calls[0][0];
+    expect(holdout.filter(doc => doc.threadId === 't-fixed')).toHaveLength(0);
+    expect(training.filter(doc => doc.threadId === 't-fixed')).toHaveLength(5);
+    expect(holdout).toEqual([documents[0]]);
+  });
+
+  it('should round-trip through JSON', () => {
+    const model = NaiveBayesClassifier.train(documents);
+    const restored = NaiveBayesClassifier.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+    const email = { sender: 'x@acm.org', subject: 'newsletter', body: 'stories' };
+
+    expect(restored.temperature).toBe(model.temperature);
+    expect(restored.vocabulary).toEqual(model.vocabulary);
+    expect(restored.predict(email)).toEqual(model.predict(email));
+  });
+});
+
+describe('ModelStore', () => {
+  function createSheet() {
+    let rows = [];
+    return {
+      clear: vi.fn(() => { rows = []; }),
+      getLastRow: () => rows.length,
+      getRange: (row, col, numRows) => ({
+        setValues: values => { rows = values; },
+        getValues: () => rows.slice(row - 1, row - 1 + numRows)
+      })
+    };
+  }
+
+  it('should save and load a model across chunked cells', () => {
+    const sheet = createSheet();
+    const bigDocs = Array.from({ length: 400 }, (_, i) => ({
+      subject: `token${i} token${i} shared`,
+      label: i % 2 ? 'A' : 'B'
+    }));
+    const model = new NaiveBayesClassifier({ maxVocabulary: 10000 }).fit(bigDocs);
+
+    const chunks = new ModelStore(sheet).save(model);
+    const loaded = new ModelStore(sheet).load();
+
+    expect(chunks).toBeGreaterThan(0);
+    expect(sheet.clear).toHaveBeenCalled();
+    expect(loaded.vocabulary.size).toBe(model.vocabulary.size);
+    expect(loaded.predict({ subject: 'token3' })[0].label).toBe('A');
+  });
+
+  it('should prefix chunks so Sheets stores them as text', () => {
+    const sheet = createSheet();
+    const model = new NaiveBayesClassifier().fit(documents);
+    const payload = JSON.stringify(model.toJSON());
+    const saved = [];
+    sheet.getRange = (row, col, numRows) => ({
+      setValues: values => { saved.push(...values); },
+      getValues: () => saved.slice(row - 1, row - 1 + numRows)
+    });
+    sheet.getLastRow = () => saved.length;
+
+    new ModelStore(sheet).save(model);
+
+    expect(saved).toEqual([[`~${payload}`]]);
+    expect(new ModelStore(sheet).load().vocabulary).toEqual(model.vocabulary);
+  });
+
+  it('should return null for an empty sheet', () => {
+    expect(new ModelStore(createSheet()).load()).toBeNull();
+  });
+});
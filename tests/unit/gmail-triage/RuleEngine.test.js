@@ -0,0 +1,215 @@
+import { describe, it, expect } from 'vitest';
+import { RuleEngine, DEFAULT_RULE_PACK } from '../../../accounts/work-uaa/scripts/gmail-triage/RuleEngine.js';
+
+function createSheet(rows) {
+  return { getDataRange: () => ({ getValues: () => rows }) };
+}
+
+describe('RuleEngine', () => {
+  describe('default rule pack', () => {
+    const engine = new RuleEngine();
+
+    it('should label university meetings', () => {
+      const result = engine.evaluate({ sender: 'chair@alaska.edu', subject: 'Faculty Meeting', body: '' });
+
+      expect(result).toMatchObject({
+        action: 'label',
+        label: 'Meetings',
+        confidence: 0.8,
+        reason: 'Meeting related',
+        rule: 'university-meetings'
+      });
+    });
+
+    it('should apply rules in order', () => {
+      const result = engine.evaluate({ sender: 'x@ua.edu', subject: 'Student grades', body: 'department' });
+      expect(result.label).toBe('Students');
+    });
+
+    it('should only apply university rules to university domains', () => {
+      const result = engine.evaluate({ sender: 'x@gmail.com', subject: 'Meeting', body: '' });
+      expect(result.action).toBe('keep');
+    });
+
+    it('should detect newsletters from bulk headers rather than text', () => {
+      const bulk = { kind: 'bulk', isBulk: true, listId: '', listName: '' };
+      const result = engine.evaluate({ sender: 'news@shop.com', subject: 'Deals', body: '', bulk });
+      expect(result).toMatchObject({ label: 'Newsletters', confidence: 0.9 });
+
+      const human = engine.evaluate({ sender: 'jo@shop.com', subject: 'Hi', body: 'How do I unsubscribe?' });
+      expect(human.action).toBe('keep');
+    });
+
+    it('should route mailing lists to per-list labels', () => {
+      const bulk = { kind: 'list', isBulk: true, listId: 'cs-faculty.lists.example.com', listName: 'cs-faculty.lists.example.com' };
+      const result = engine.evaluate({ sender: 'owner@example.com', subject: 'Agenda', body: '', bulk });
+      expect(result).toMatchObject({ label: 'Lists/cs-faculty.lists.example.com', rule: 'mailing-lists' });
+    });
+
+    it('should fall back to keep when nothing matches', () => {
+      const result = engine.evaluate({ sender: 'a@b.com', subject: 'Hello', body: 'Hi' });
+
+      expect(result).toEqual({
+        action: 'keep',
+        label: null,
+        confidence: 0.3,
+        reason: 'No specific rule matched',
+        rule: null,
+        matchedRules: []
+      });
+    });
+  });
+
+  describe('conditions', () => {
+    const evaluate = (when, email) =>
+      new RuleEngine([{ id: 'r', when, then: { action: 'archive', confidence: 1 } }]).evaluate(email).rule;
+
+    it('should support all, any and not', () => {
+      const when = {
+        all: [
+          { any: [{ field: 'sender', op: 'endsWith', value: '@a.com' }, { field: 'domain', op: 'equals', value: 'b.com' }] },
+          { not: { field: 'subject', op: 'contains', value: 'urgent' } }
+        ]
+      };
+
+      expect(evaluate(when, { sender: 'x@a.com', subject: 'hi' })).toBe('r');
+      expect(evaluate(when, { sender: 'x@b.com', subject: 'hi' })).toBe('r');
+      expect(evaluate(when, { sender: 'x@b.com', subject: 'URGENT' })).toBeNull();
+      expect(evaluate(when, { sender: 'x@c.com', subject: 'hi' })).toBeNull();
+    });
+
+    it('should match regular expressions case-insensitively', () => {
+      const when = { field: 'subject', op: 'matches', value: '^Invoice #\\d+$' };
+
+      expect(evaluate(when, { subject: 'INVOICE #42' })).toBe('r');
+      expect(evaluate(when, { subject: 'Invoice pending' })).toBeNull();
+    });
+
+    it('should read message headers', () => {
+      const message = { getHeader: name => (name === 'List-Id' ? '<cs.alaska.edu>' : '') };
+
+      expect(evaluate({ field: 'header:List-Id', op: 'exists' }, { message })).toBe('r');
+      expect(evaluate({ field: 'header:List-Id', op: 'contains', value: 'CS.alaska' }, { message })).toBe('r');
+      expect(evaluate({ field: 'header:Precedence', op: 'exists' }, { message })).toBeNull();
+      expect(evaluate({ field: 'header:Precedence', op: 'exists' }, {})).toBeNull();
+    });
+
+    it('should match bulk mail kind and list id', () => {
+      const bulk = { kind: 'list', listId: 'cs.lists.alaska.edu', listName: 'cs' };
+
+      expect(evaluate({ field: 'bulk', op: 'equals', value: 'list' }, { bulk })).toBe('r');
+      expect(evaluate({ field: 'list', op: 'endsWith', value: '.alaska.edu' }, { bulk })).toBe('r');
+      expect(evaluate({ field: 'bulk', op: 'exists' }, {})).toBeNull();
+    });
+
+    it('should match any thread participant', () => {
+      const when = { field: 'participants', op: 'contains', value: 'provost@alaska.edu' };
+
+      expect(evaluate(when, { participants: ['jo@alaska.edu', 'Provost@alaska.edu'] })).toBe('r');
+      expect(evaluate(when, { participants: ['jo@alaska.edu'] })).toBeNull();
+      expect(evaluate(when, {})).toBeNull();
+    });
+
+    it('should match in, equals and exists against each participant', () => {
+      const when = { field: 'participants', op: 'in', value: ['dean@alaska.edu', 'Provost@alaska.edu'] };
+      const participants = ['jo@alaska.edu', 'provost@alaska.edu'];
+
+      expect(evaluate(when, { participants })).toBe('r');
+      expect(evaluate(when, { participants: ['jo@alaska.edu'] })).toBeNull();
+      expect(evaluate({ field: 'participants', op: 'equals', value: 'jo@alaska.edu' }, { participants })).toBe('r');
+      expect(evaluate({ field: 'participants', op: 'exists' }, { participants })).toBe('r');
+      expect(evaluate({ field: 'participants', op: 'exists' }, {})).toBeNull();
+    });
+  });
+
+  describe('modes', () => {
+    const rules = [
+      { id: 'low', when: { field: 'text', op: 'contains', value: 'report' }, then: { action: 'label', label: 'Reports', confidence: 0.5, reason: 'Report' } },
+      { id: 'high', when: { field: 'text', op: 'contains', value: 'weekly' }, then: { action: 'label', label: 'Weekly', confidence: 0.9, reason: 'Weekly' } }
+    ];
+    const email = { subject: 'Weekly report', body: '' };
+
+    it('should stop at the first match by default', () => {
+      const result = new RuleEngine(rules).evaluate(email);
+      expect(result.rule).toBe('low');
+      expect(result.matchedRules).toEqual(['low']);
+    });
+
+    it('should pick the highest confidence in best-score mode', () => {
+      const result = new RuleEngine({ mode: 'best-score', rules }).evaluate(email);
+      expect(result.rule).toBe('high');
+      expect(result.matchedRules).toEqual(['low', 'high']);
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => new RuleEngine(rules, { mode: 'random' })).toThrow('Unknown rule mode: random');
+    });
+  });
+
+  describe('validation', () => {
+    const rule = overrides => ({
+      id: 'r1',
+      when: { field: 'sender', op: 'equals', value: 'a@b.com' },
+      then: { action: 'label', label: 'X', confidence: 0.5 },
+      ...overrides
+    });
+
+    it('should skip disabled rules', () => {
+      const engine = new RuleEngine([rule({ enabled: false })]);
+      expect(engine.rules).toEqual([]);
+    });
+
+    it.each([
+      [rule({ id: undefined }), 'missing an id'],
+      [rule({ then: { action: 'delete', confidence: 1 } }), 'unknown action: delete'],
+      [rule({ then: { action: 'label', confidence: 1 } }), 'without a label'],
+      [rule({ then: { action: 'keep', confidence: 2 } }), 'between 0 and 1'],
+      [rule({ when: { field: 'cc', op: 'equals', value: 'x' } }), 'unknown field: cc'],
+      [rule({ when: { field: 'sender', op: 'like', value: 'x' } }), 'unknown operator: like'],
+      [rule({ when: { field: 'sender', op: 'equals' } }), 'missing a value'],
+      [rule({ when: { field: 'sender', op: 'matches', value: '(' } }), 'invalid pattern'],
+      [rule({ when: { any: [] } }), 'empty all/any group']
+    ])('should reject malformed rules (%#)', (bad, message) => {
+      expect(() => new RuleEngine([bad])).toThrow(message);
+    });
+  });
+
+  describe('loading', () => {
+    it('should load a JSON rule document', () => {
+      const engine = RuleEngine.fromJson(JSON.stringify(DEFAULT_RULE_PACK));
+      expect(engine.rules).toHaveLength(DEFAULT_RULE_PACK.rules.length);
+      expect(engine.mode).toBe('first-match');
+    });
+
+    it('should load rules from a sheet', () => {
+      const sheet = createSheet([
+        ['Id', 'Enabled', 'Conditions', 'Action', 'Label', 'Confidence', 'Reason'],
+        ['grants', true, '{"field":"subject","op":"contains","value":"grant"}', 'label', 'Research', 0.85, 'Grant mail'],
+        ['off', 'FALSE', '{"field":"subject","op":"contains","value":"x"}', 'keep', '', 0.1, ''],
+        ['', '', '', '', '', '', '']
+      ]);
+
+      const engine = RuleEngine.fromSheet(sheet, { mode: 'best-score' });
+
+      expect(engine.mode).toBe('best-score');
+      expect(engine.rules.map(r => r.id)).toEqual(['grants']);
+      expect(engine.evaluate({ subject: 'NSF Grant deadline' })).toMatchObject({
+        label: 'Research',
+        confidence: 0.85,
+        reason: 'Grant mail'
+      });
+    });
+
+    it('should report missing sheet columns', () => {
+      expect(() => RuleEngine.fromSheet(createSheet([['Id', 'Action']]))).toThrow('missing column: Enabled');
+    });
+
+    it('should report invalid condition JSON with its row', () => {
+      const sheet = createSheet([
+        ['Id', 'Enabled', 'Conditions', 'Action', 'Label', 'Confidence', 'Reason'],
+        ['bad', true, '{oops', 'keep', '', 0.5, '']
+      ]);
+      expect(() => RuleEngine.fromSheet(sheet)).toThrow('Rule bad (row 2) has invalid Conditions JSON');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { RunJournal } from '../../../accounts/work-uaa/scripts/gmail-triage/RunJournal.js';
+
+function createProperties() {
+  const store = {};
+  return {
+    store,
+    getProperty: key => (key in store ? store[key] : null),
+    getKeys: () => Object.keys(store),
+    setProperty: (key, value) => { store[key] = value; },
+    deleteProperty: key => { delete store[key]; }
+  };
+}
+
+function createThread(id, state = {}) {
+  return {
+    getId: () => id,
+    getFirstMessageSubject: () => `Subject ${id}`,
+    isInInbox: () => state.inInbox ?? true,
+    isImportant: () => state.important ?? false,
+    getMessages: () => [{ getId: () => `${id}-m1`, isStarred: () => state.starred ?? false }],
+    getLabels: () => (state.labels || []).map(name => ({ getName: () => name })),
+    removeLabel: vi.fn(),
+    moveToInbox: vi.fn(),
+    markUnimportant: vi.fn()
+  };
+}
+
+describe('RunJournal', () => {
+  let properties;
+
+  beforeEach(() => {
+    properties = createProperties();
+  });
+
+  it('should create sortable run IDs', () => {
+    expect(RunJournal.createRunId(new Date(Date.UTC(2025, 0, 16, 8, 30, 15)))).toBe('20250116-083015');
+  });
+
+  it('should snapshot prior state only on the first change to a thread', () => {
+    const journal = new RunJournal('run1', { properties });
+    const thread = createThread('t1', { labels: ['Existing'] });
+
+    journal.record(thread, { type: 'addLabel', label: 'VIP' });
+    journal.record(thread, { type: 'archive' });
+
+    expect(journal.threadCount).toBe(1);
+    expect(journal.entries.t1.before).toEqual({
+      inInbox: true,
+      important: false,
+      starredMessageIds: [],
+      labels: ['Existing']
+    });
+    expect(journal.entries.t1.changes).toHaveLength(2);
+  });
+
+  it('should save and load journals across chunked properties', () => {
+    const journal = new RunJournal('run1', { properties, mode: 'preview' });
+    for (let i = 0; i < 200; i++) {
+      journal.record(createThread(`thread-${i}`, { labels: ['A', 'B'] }), { type: 'addLabel', label: 'Newsletters' });
+    }
+    journal.save();
+
+    expect(Object.keys(properties.store).length).toBeGreaterThan(3);
+    Object.values(properties.store).forEach(value => expect(value.length).toBeLessThanOrEqual(9000));
+
+    const loaded = RunJournal.load('run1', properties);
+    expect(loaded.mode).toBe('preview');
+    expect(loaded.entries).toHaveLength(200);
+    expect(RunJournal.listRuns(properties)).toEqual([
+      expect.objectContaining({ runId: 'run1', mode: 'preview', threads: 200 })
+    ]);
+  });
+
+  it('should not save empty journals', () => {
+    new RunJournal('empty', { properties }).save();
+    expect(properties.store).toEqual({});
+  });
+
+  it('should prune journals older than the retention age, however many runs there are', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const start = new Date('2025-07-15T08:00:00Z').getTime();
+    const save = (runId, minutes) => {
+      vi.setSystemTime(start + minutes * 60 * 1000);
+      const journal = new RunJournal(runId, { properties, retainHours: 3 });
+      journal.record(createThread('t1'), { type: 'archive' });
+      journal.save();
+    };
+
+    try {
+      // A backlog: continuation runs a minute apart
+      for (let run = 0; run < 40; run++) save(`run${run}`, run);
+      expect(RunJournal.listRuns(properties)).toHaveLength(40);
+
+      save('later', 3 * 60 + 10);
+      const runIds = RunJournal.listRuns(properties).map(run => run.runId);
+      expect(runIds).toHaveLength(31);
+      expect([runIds[0], runIds[30]]).toEqual(['run10', 'later']);
+      expect(RunJournal.load('run9', properties)).toBeNull();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should prune the oldest journals to stay within the byte budget', () => {
+    const save = runId => {
+      const journal = new RunJournal(runId, { properties, maxBytes: 20000 });
+      for (let i = 0; i < 30; i++) {
+        journal.record(createThread(`${runId}-t${i}`, { labels: ['Students'] }), { type: 'addLabel', label: 'Newsletters' });
+      }
+      return journal.save();
+    };
+
+    for (let run = 1; run <= 8; run++) save(`run${run}`);
+
+    const runs = RunJournal.listRuns(properties);
+    expect(runs.length).toBeGreaterThan(1);
+    expect(runs.length).toBeLessThan(8);
+    expect(runs[runs.length - 1].runId).toBe('run8');
+    expect(runs.reduce((sum, run) => sum + run.bytes, 0)).toBeLessThanOrEqual(20000);
+    expect(Object.keys(properties.store).filter(key => key.includes('run1'))).toEqual([]);
+    expect(RunJournal.load('run8', properties).entries).toHaveLength(30);
+  });
+
+  it('should keep the threads that fit when one run exceeds the budget', () => {
+    const journal = new RunJournal('big', { properties, maxBytes: 5000 });
+    for (let i = 0; i < 100; i++) {
+      journal.record(createThread(`t${i}`), { type: 'archive' });
+    }
+
+    const { bytes, omitted } = journal.save();
+
+    expect(bytes).toBeLessThanOrEqual(5000);
+    expect(omitted).toBeGreaterThan(0);
+    expect(RunJournal.load('big', properties).entries).toHaveLength(100 - omitted);
+    expect(RunJournal.listRuns(properties)[0].threads).toBe(100 - omitted);
+  });
+
+  it('should delete chunks left behind by a failed save', () => {
+    properties.store.TRIAGE_JOURNAL_crashed_0 = '{"runId":';
+    properties.store.TRIAGE_JOURNAL_crashed_1 = '"crashed"';
+    properties.store.TRIAGE_JOURNAL_run1_7 = 'stale';
+
+    const journal = new RunJournal('run1', { properties });
+    journal.record(createThread('t1'), { type: 'archive' });
+    journal.save();
+
+    expect(Object.keys(properties.store).sort()).toEqual(['TRIAGE_JOURNAL_INDEX', 'TRIAGE_JOURNAL_run1', 'TRIAGE_JOURNAL_run1_0']);
+  });
+
+  it('should keep chunks under the value limit for multi-byte subjects', () => {
+    const journal = new RunJournal('run1', { properties });
+    for (let i = 0; i < 50; i++) {
+      const thread = createThread(`t${i}`);
+      thread.getFirstMessageSubject = () => '会議の議事録'.repeat(20);
+      journal.record(thread, { type: 'archive' });
+    }
+    journal.save();
+
+    Object.values(properties.store).forEach(value => expect(RunJournal.byteLength(value)).toBeLessThanOrEqual(9000));
+    expect(RunJournal.load('run1', properties).entries).toHaveLength(50);
+  });
+
+  it('should remove a journal and its index entry', () => {
+    const journal = new RunJournal('run1', { properties });
+    journal.record(createThread('t1'), { type: 'archive' });
+    journal.save();
+
+    RunJournal.remove('run1', properties);
+
+    expect(RunJournal.load('run1', properties)).toBeNull();
+    expect(RunJournal.listRuns(properties)).toEqual([]);
+  });
+
+  describe('rollback', () => {
+    it('should reverse only the changes the run made', () => {
+      const thread = createThread('t1', { labels: ['VIP'] });
+      const journal = new RunJournal('run1', { properties });
+      journal.record(thread, { type: 'addLabel', label: 'VIP' });
+      journal.record(thread, { type: 'addLabel', label: '_Triage/Processed' });
+      journal.record(thread, { type: 'markImportant' });
+      journal.record(thread, { type: 'star', messageId: 't1-m1' });
+      journal.record(thread, { type: 'archive' });
+      journal.save();
+
+      const processedLabel = { getName: () => '_Triage/Processed' };
+      const message = {};
+      const gmail = {
+        getThreadById: vi.fn().mockReturnValue(thread),
+        getUserLabelByName: vi.fn().mockReturnValue(processedLabel),
+        getMessageById: vi.fn().mockReturnValue(message),
+        unstarMessage: vi.fn()
+      };
+
+      const result = RunJournal.rollback(RunJournal.load('run1', properties), gmail);
+
+      expect(result).toEqual({ restored: 1, missing: 0, errors: [] });
+      expect(gmail.getUserLabelByName).toHaveBeenCalledTimes(1);
+      expect(thread.removeLabel).toHaveBeenCalledTimes(1);
+      expect(thread.removeLabel).toHaveBeenCalledWith(processedLabel);
+      expect(thread.markUnimportant).toHaveBeenCalled();
+      expect(gmail.unstarMessage).toHaveBeenCalledWith(message);
+      expect(thread.moveToInbox).toHaveBeenCalled();
+    });
+
+    it('should leave threads that were already archived out of the inbox', () => {
+      const thread = createThread('t1', { inInbox: false, important: true });
+      const journal = new RunJournal('run1', { properties });
+      journal.record(thread, { type: 'archive' });
+      journal.record(thread, { type: 'markImportant' });
+
+      const gmail = { getThreadById: () => thread };
+      RunJournal.rollback({ entries: Object.values(journal.entries) }, gmail);
+
+      expect(thread.moveToInbox).not.toHaveBeenCalled();
+      expect(thread.markUnimportant).not.toHaveBeenCalled();
+    });
+
+    it('should return held threads to the inbox', () => {
+      const thread = createThread('t1');
+      const journal = new RunJournal('run1', { properties });
+      journal.record(thread, { type: 'hold' });
+
+      const gmail = { getThreadById: () => thread };
+      RunJournal.rollback({ entries: Object.values(journal.entries) }, gmail);
+
+      expect(thread.moveToInbox).toHaveBeenCalled();
+    });
+
+    it('should count missing threads and collect errors', () => {
+      const broken = createThread('t2');
+      broken.moveToInbox.mockImplementation(() => { throw new Error('quota'); });
+
+      const journal = {
+        entries: [
+          { threadId: 't1', before: { inInbox: true }, changes: [{ type: 'archive' }] },
+          { threadId: 't2', before: { inInbox: true }, changes: [{ type: 'archive' }] }
+        ]
+      };
+      const gmail = { getThreadById: id => (id === 't2' ? broken : null) };
+
+      const result = RunJournal.rollback(journal, gmail);
+
+      expect(result.missing).toBe(1);
+      expect(result.restored).toBe(0);
+      expect(result.errors).toEqual([{ threadId: 't2', error: 'Error: quota' }]);
+    });
+  });
+});
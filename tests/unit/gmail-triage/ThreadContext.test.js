@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { ThreadContext } from '../../../accounts/work-uaa/scripts/gmail-triage/ThreadContext.js';
+
+const ME = ['me@alaska.edu', 'Alias@Example.com'];
+
+let nextId = 1;
+
+function createMessage(from, { to = 'me@alaska.edu', cc = '', subject = 'Spring newsletter', body = '' } = {}) {
+  const id = `m${nextId++}`;
+  return {
+    getId: () => id,
+    getFrom: () => from,
+    getTo: () => to,
+    getCc: () => cc,
+    getSubject: () => subject,
+    getPlainBody: () => body || `Body from ${from}`
+  };
+}
+
+describe('ThreadContext', () => {
+  it('should use the latest inbound message for sender, subject and body', () => {
+    const context = ThreadContext.fromMessages([
+      createMessage('News <news@list.example.com>', { body: 'Unsubscribe here' }),
+      createMessage('Provost <provost@alaska.edu>', { subject: 'RE: Re: Spring newsletter', body: 'See me today' })
+    ], ME);
+
+    expect(context.sender).toBe('provost@alaska.edu');
+    expect(context.subject).toBe('Spring newsletter');
+    expect(context.body).toBe('See me today\nUnsubscribe here');
+    expect(context.message.getFrom()).toContain('provost');
+    expect(context.senders).toEqual(['news@list.example.com', 'provost@alaska.edu']);
+    expect(context.inboundCount).toBe(2);
+  });
+
+  it('should never pick one of my addresses as the sender', () => {
+    const context = ThreadContext.fromMessages([
+      createMessage('Me <me@alaska.edu>', { to: 'student@alaska.edu' }),
+      createMessage('student@alaska.edu'),
+      createMessage('alias@example.com', { to: 'student@alaska.edu' })
+    ], ME);
+
+    expect(context.sender).toBe('student@alaska.edu');
+    expect(context.startedByMe).toBe(true);
+    expect(context.repliedByMe).toBe(true);
+    expect(context.messageCount).toBe(3);
+    expect(context.messageIds).toHaveLength(3);
+    expect(context.inboundCount).toBe(1);
+  });
+
+  it('should not count a message I started as a reply', () => {
+    const context = ThreadContext.fromMessages([
+      createMessage('me@alaska.edu', { to: 'dean@alaska.edu' })
+    ], ME);
+
+    expect(context.repliedByMe).toBe(false);
+    expect(context.inboundCount).toBe(0);
+    expect(context.sender).toBe('');
+    expect(context.message).toBeNull();
+  });
+
+  it('should collect participants from every message without my addresses', () => {
+    const context = ThreadContext.fromMessages([
+      createMessage('"Smith, Jo" <jo@alaska.edu>', { to: 'me@alaska.edu, Pat <pat@alaska.edu>', cc: 'team@alaska.edu' }),
+      createMessage('me@alaska.edu', { to: 'jo@alaska.edu', cc: 'Dean <DEAN@alaska.edu>' })
+    ], ME);
+
+    expect(context.participants).toEqual(['dean@alaska.edu', 'jo@alaska.edu', 'pat@alaska.edu', 'team@alaska.edu']);
+  });
+
+  it('should cap aggregated bodies to the newest inbound messages', () => {
+    const messages = ['a', 'b', 'c', 'd'].map(name =>
+      createMessage(`${name}@example.com`, { body: name.repeat(600) }));
+
+    const context = ThreadContext.fromMessages(messages, ME);
+    const parts = context.body.split('\n');
+
+    expect(parts).toHaveLength(3);
+    expect(parts[0]).toBe('d'.repeat(500));
+    expect(parts[2]).toBe('b'.repeat(500));
+  });
+
+  it('should read messages from a thread', () => {
+    const thread = { getMessages: () => [createMessage('x@example.com')] };
+    expect(ThreadContext.fromThread(thread, ME).sender).toBe('x@example.com');
+  });
+
+  it('should parse addresses from header values', () => {
+    expect(ThreadContext.parseAddresses('A <A@X.com>, b@y.org; "C, D" <c@z.net>'))
+      .toEqual(['a@x.com', 'b@y.org', 'c@z.net']);
+    expect(ThreadContext.parseAddresses('')).toEqual([]);
+  });
+});
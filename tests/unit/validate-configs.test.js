@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateSchema, validateConfigs } from '../../scripts/validate-configs.js';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+function readSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'config', 'schemas', `${name}.schema.json`), 'utf8'));
+}
+
+function writeJson(root, file, data) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), JSON.stringify(data, null, 2));
+}
+
+function createRegistryEntry(email) {
+  return {
+    email,
+    name: 'Test',
+    type: 'personal',
+    provider: 'gmail',
+    features: { filters: true, labels: true, automation: true, cleanup: false },
+    quotas: { dailyQuota: 20000, rateLimitPerMinute: 250 }
+  };
+}
+
+function createAccount(email, overrides = {}) {
+  return {
+    account: { email, displayName: 'Test', type: 'personal', created: '2025-01-16' },
+    scripts: [{ name: 'inbox-zero', schedule: 'daily', enabled: true }],
+    ...overrides
+  };
+}
+
+describe('validate-configs', () => {
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', pattern: '^[a-z]+$' },
+        items: { type: 'array', uniqueItems: true, items: { $ref: '#/definitions/item' } }
+      },
+      definitions: {
+        item: { type: 'object', required: ['count'], properties: { count: { type: 'integer', minimum: 1 } } }
+      }
+    };
+
+    it('should report every problem with its JSON Pointer', () => {
+      const errors = validateSchema({ name: 'Bad', extra: 1, items: [{ count: 0 }, {}, {}] }, schema);
+
+      expect(errors).toEqual([
+        { path: '/name', message: 'must match ^[a-z]+$ (got "Bad")' },
+        { path: '/extra', message: 'is not allowed' },
+        { path: '/items', message: 'has duplicate item {}' },
+        { path: '/items/0/count', message: 'must be >= 1' },
+        { path: '/items/1/count', message: 'is required' },
+        { path: '/items/2/count', message: 'is required' }
+      ]);
+    });
+
+    it('should stop at type and enum mismatches', () => {
+      expect(validateSchema('x', schema)).toEqual([{ path: '/', message: 'must be an object' }]);
+      expect(validateSchema(1.5, { type: 'integer' })[0].message).toBe('must be an integer');
+      expect(validateSchema('hourlyy', { enum: ['hourly', 'daily'] })[0].message)
+        .toBe('must be one of: hourly, daily (got "hourlyy")');
+    });
+
+    it('should accept the repository configuration files', () => {
+      const read = file => JSON.parse(fs.readFileSync(path.join(REPO_ROOT, file), 'utf8'));
+
+      expect(validateSchema(read('config/accounts.json'), readSchema('accounts'))).toEqual([]);
+      expect(validateSchema(read('config/environments/production.json'), readSchema('environment'))).toEqual([]);
+      for (const key of ['work-uaa', 'personal-jeffrey', 'business-happy-patterns', 'personal-ahniel']) {
+        expect(validateSchema(read(`accounts/${key}/account.json`), readSchema('account'))).toEqual([]);
+      }
+    });
+
+    it('should reject unknown schedules', () => {
+      const account = createAccount('me@example.com', {
+        scripts: [{ name: 'inbox-zero', schedule: 'every20minutes', enabled: true }]
+      });
+
+      expect(validateSchema(account, readSchema('account'))).toEqual([
+        expect.objectContaining({ path: '/scripts/0/schedule' })
+      ]);
+    });
+  });
+
+  describe('validateConfigs', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-configs-'));
+      fs.cpSync(path.join(REPO_ROOT, 'config', 'schemas'), path.join(root, 'config', 'schemas'), { recursive: true });
+
+      writeJson(root, 'config/accounts.json', {
+        accounts: { personal: createRegistryEntry('me@example.com') },
+        sharedSettings: { timezone: 'America/Anchorage' }
+      });
+      writeJson(root, 'config/environments/development.json', {
+        name: 'development',
+        debug: true,
+        dryRun: true,
+        logging: { level: 'DEBUG' },
+        limits: { maxThreadsPerRun: 10, maxExecutionTime: 300 }
+      });
+      writeJson(root, 'accounts/personal/account.json', createAccount('me@example.com'));
+      fs.mkdirSync(path.join(root, 'accounts/personal/scripts/inbox-zero'), { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should pass a consistent tree', () => {
+      const report = validateConfigs(root);
+
+      expect(report.files).toEqual([
+        'config/environments/development.json',
+        'config/accounts.json',
+        'accounts/personal/account.json'
+      ]);
+      expect(report.errors).toEqual([]);
+    });
+
+    it('should match account keys with directories', () => {
+      writeJson(root, 'accounts/stray/account.json', createAccount('stray@example.com', { scripts: [] }));
+      const registry = JSON.parse(fs.readFileSync(path.join(root, 'config/accounts.json'), 'utf8'));
+      registry.accounts.missing = createRegistryEntry('missing@example.com');
+      writeJson(root, 'config/accounts.json', registry);
+
+      const { errors } = validateConfigs(root);
+
+      expect(errors).toEqual([
+        { file: 'config/accounts.json', path: '/accounts/missing', message: 'has no accounts/missing/ directory' },
+        { file: 'accounts/stray/account.json', path: '/', message: 'account "stray" is not registered in config/accounts.json' }
+      ]);
+    });
+
+    it('should warn about missing script folders and templates', () => {
+      writeJson(root, 'accounts/personal/account.json', createAccount('me@example.com', {
+        scripts: [
+          { name: 'inbox-zero', schedule: 'daily', enabled: true },
+          { name: 'lead-capture', schedule: 'hourly', enabled: true },
+          { name: 'crm-sync', schedule: 'weekly', enabled: false }
+        ],
+        templates: { invoices: 'templates/invoice.html' },
+        filters: { autoResponse: { enabled: true, templates: { inquiry: 'templates/inquiry.html' } } }
+      }));
+      fs.mkdirSync(path.join(root, 'accounts/personal/templates'));
+      fs.writeFileSync(path.join(root, 'accounts/personal/templates/invoice.html'), '<p></p>');
+
+      const { errors, warnings } = validateConfigs(root);
+
+      expect(errors).toEqual([]);
+      expect(warnings.map(({ path: at, message }) => `${at}: ${message}`)).toEqual([
+        '/scripts/1/name: script folder accounts/personal/scripts/lead-capture/ not found',
+        '/scripts/2/name: disabled script has no folder accounts/personal/scripts/crm-sync/',
+        '/filters/autoResponse/templates/inquiry: template accounts/personal/templates/inquiry.html not found'
+      ]);
+    });
+
+    it('should check values shared between files', () => {
+      writeJson(root, 'accounts/personal/account.json', createAccount('other@example.com', {
+        permissions: { allowedOperations: ['read', 'delete'], restrictedOperations: ['delete'] }
+      }));
+      writeJson(root, 'config/environments/staging.json', {
+        name: 'production',
+        debug: false,
+        dryRun: false,
+        logging: { level: 'WARN' },
+        limits: { maxThreadsPerRun: 500, maxExecutionTime: 600 }
+      });
+
+      const { errors } = validateConfigs(root);
+
+      expect(errors.map(({ file, path: at }) => `${file}${at}`)).toEqual([
+        'config/environments/staging.json/limits/maxExecutionTime',
+        'config/environments/staging.json/name',
+        'accounts/personal/account.json/account/email',
+        'accounts/personal/account.json/permissions/allowedOperations'
+      ]);
+    });
+
+    it('should pass the repository configuration', () => {
+      const report = validateConfigs(REPO_ROOT);
+
+      expect(report.files).toContain('accounts/work-uaa/account.json');
+      expect(report.errors).toEqual([]);
+      expect(execFileSync(process.execPath, [path.join(REPO_ROOT, 'scripts/validate-configs.js')], { encoding: 'utf8' }))
+        .toMatch(/All configuration files are valid/);
+    });
+
+    it('should report unreadable files', () => {
+      fs.writeFileSync(path.join(root, 'accounts/personal/account.json'), '{ "account": ');
+
+      const { errors } = validateConfigs(root);
+
+      expect(errors).toEqual([expect.objectContaining({ file: 'accounts/personal/account.json', path: '/' })]);
+      expect(errors[0].message).toMatch(/^invalid JSON/);
+    });
+  });
+});